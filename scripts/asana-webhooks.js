@@ -0,0 +1,130 @@
+/**
+ * Script para administrar webhooks de Asana (cache en tiempo real)
+ *
+ * Uso:
+ *   node scripts/asana-webhooks.js list [workspaceGid]
+ *   node scripts/asana-webhooks.js register [workspaceGid] --url https://<api-id>.execute-api.us-east-1.amazonaws.com/dev
+ *   node scripts/asana-webhooks.js delete <webhookGid>
+ *
+ * Sin workspaceGid, list/register operan sobre todos los workspaces.
+ * La URL base tambien puede venir de ASANA_WEBHOOK_BASE_URL (output ApiEndpoint del stack).
+ */
+
+require('dotenv').config({ path: '.env.local' });
+
+const asanaService = require('../src/services/asana');
+const dynamoService = require('../src/services/dynamo');
+
+const args = process.argv.slice(2);
+const COMMAND = args[0];
+const urlIndex = args.indexOf('--url');
+const BASE_URL = (urlIndex >= 0 ? args[urlIndex + 1] : process.env.ASANA_WEBHOOK_BASE_URL || '').replace(/\/$/, '');
+const TARGET_ARG = args.slice(1).find((a, i) => !a.startsWith('--') && args[i] !== '--url');
+
+// Eventos de proyectos que afectan el cache global
+const PROJECT_FILTERS = [
+  { resource_type: 'project', action: 'changed' },
+  { resource_type: 'project', action: 'added' },
+  { resource_type: 'project', action: 'removed' },
+  { resource_type: 'project', action: 'deleted' },
+  { resource_type: 'project', action: 'undeleted' }
+];
+
+async function getTargetWorkspaces() {
+  const workspaces = await asanaService.getWorkspaces();
+  if (!TARGET_ARG) return workspaces;
+  return workspaces.filter(w => w.gid === TARGET_ARG);
+}
+
+async function listWebhooks() {
+  const workspaces = await getTargetWorkspaces();
+
+  for (const workspace of workspaces) {
+    const webhooks = await asanaService.getWebhooks(workspace.gid);
+    console.log(`\nWorkspace: "${workspace.name}" (${workspace.gid}) - ${webhooks.length} webhooks`);
+
+    for (const webhook of webhooks) {
+      const state = await dynamoService.getWebhookState(webhook.resource?.gid);
+      console.log(`  - ${webhook.gid} | ${webhook.active ? 'activo' : 'inactivo'} | recurso ${webhook.resource?.gid} (${webhook.resource?.name || 'N/A'})`);
+      console.log(`    target: ${webhook.target}`);
+      console.log(`    secreto guardado: ${state?.secret ? 'si' : 'NO'}`);
+      if (webhook.last_failure_at) {
+        console.log(`    ultimo error: ${webhook.last_failure_at} ${webhook.last_failure_content || ''}`);
+      }
+    }
+  }
+}
+
+async function registerWebhooks() {
+  if (!BASE_URL) {
+    console.error('Falta la URL base: usa --url o ASANA_WEBHOOK_BASE_URL');
+    process.exit(1);
+  }
+
+  const workspaces = await getTargetWorkspaces();
+  if (workspaces.length === 0) {
+    console.error(`No se encontro el workspace ${TARGET_ARG}`);
+    process.exit(1);
+  }
+
+  for (const workspace of workspaces) {
+    const target = `${BASE_URL}/asana/webhooks/${workspace.gid}`;
+    console.log(`Registrando webhook para "${workspace.name}" (${workspace.gid}) -> ${target}`);
+
+    try {
+      // Asana hace el handshake contra la Lambda antes de responder;
+      // la Lambda solo lo acepta con el registro marcado como pendiente
+      await dynamoService.startWebhookRegistration(workspace.gid);
+      const webhook = await asanaService.createWebhook(workspace.gid, target, PROJECT_FILTERS);
+      await dynamoService.setWebhookRegistration(workspace.gid, { webhookGid: webhook.gid, target });
+      console.log(`  OK: webhook ${webhook.gid}`);
+    } catch (error) {
+      const detail = error?.response?.body?.errors?.[0]?.message || error.message;
+      console.error(`  Error: ${detail}`);
+    }
+  }
+}
+
+async function deleteWebhook() {
+  if (!TARGET_ARG) {
+    console.error('Uso: node scripts/asana-webhooks.js delete <webhookGid>');
+    process.exit(1);
+  }
+
+  const workspaces = await asanaService.getWorkspaces();
+  for (const workspace of workspaces) {
+    const webhooks = await asanaService.getWebhooks(workspace.gid);
+    const webhook = webhooks.find(w => w.gid === TARGET_ARG);
+    if (!webhook) continue;
+
+    await asanaService.deleteWebhook(webhook.gid);
+    if (webhook.resource?.gid) {
+      await dynamoService.deleteWebhookState(webhook.resource.gid);
+    }
+    console.log(`Webhook ${webhook.gid} eliminado (recurso ${webhook.resource?.gid})`);
+    return;
+  }
+
+  console.error(`No se encontro el webhook ${TARGET_ARG}`);
+  process.exit(1);
+}
+
+async function main() {
+  try {
+    if (COMMAND === 'list') {
+      await listWebhooks();
+    } else if (COMMAND === 'register') {
+      await registerWebhooks();
+    } else if (COMMAND === 'delete') {
+      await deleteWebhook();
+    } else {
+      console.log('Uso: node scripts/asana-webhooks.js <list|register|delete> [workspaceGid|webhookGid] [--url <baseUrl>]');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\nError:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,64 +1,36 @@
 /**
  * Script para refrescar el cache global de proyectos
  *
- * Uso: node scripts/refresh-all-caches.js
+ * Uso: node scripts/refresh-all-caches.js [--full]
  *
- * Este script ejecuta la misma logica que la Lambda cache-refresh
- * pero localmente para refresh manual.
+ * Ejecuta runCacheRefresh, la misma logica que la Lambda cache-refresh
+ * (y que "admin refrescar cache"), pero localmente para refresh manual.
+ * --full fuerza la reconciliacion completa.
  */
 
 require('dotenv').config({ path: '.env.local' });
 
-const asanaService = require('../src/services/asana');
-const dynamoService = require('../src/services/dynamo');
+const cacheRefresh = require('../src/handlers/cache-refresh');
 
 async function main() {
   console.log('='.repeat(50));
   console.log('REFRESH CACHE GLOBAL DE PROYECTOS');
-  console.log('='.repeat(50) + '
-');
-
-  const startTime = Date.now();
+  console.log('='.repeat(50) + '\n');
 
   try {
-    const allProjects = await asanaService.getAllActiveProjectsWithResponsable();
-    console.log(`Proyectos no archivados: ${allProjects.length}`);
-
-    let updated = 0;
-    let deleted = 0;
-    let skipped = 0;
-
-    for (const project of allProjects) {
-      const status = (project.status || '').toLowerCase();
-      if (status === 'completed') {
-        await dynamoService.deleteProjectCache(project.gid);
-        deleted++;
-        continue;
-      }
-
-      if (!project.pmoId && !project.responsable) {
-        skipped++;
-        continue;
-      }
-
-      await dynamoService.upsertProjectCache(project);
-      updated++;
-    }
-
-    const elapsed = Math.round((Date.now() - startTime) / 1000);
-
-    console.log('
-' + '='.repeat(50));
-    console.log(`COMPLETADO en ${elapsed} segundos`);
-    console.log(`  Proyectos procesados: ${allProjects.length}`);
-    console.log(`  Actualizados: ${updated}`);
-    console.log(`  Eliminados: ${deleted}`);
-    console.log(`  Omitidos: ${skipped}`);
+    const summary = await cacheRefresh.runCacheRefresh({ fullRefresh: process.argv.includes('--full') });
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`COMPLETADO en ${summary.elapsed} (modo ${summary.mode})`);
+    console.log(`  Proyectos no archivados: ${summary.totalProjects}`);
+    console.log(`  Re-obtenidos: ${summary.changed}`);
+    console.log(`  Actualizados: ${summary.updated}`);
+    console.log(`  Eliminados: ${summary.deleted + summary.removed}`);
+    console.log(`  Omitidos: ${summary.skipped}`);
     console.log('='.repeat(50));
 
   } catch (error) {
-    console.error('
-Error:', error.message);
+    console.error('\nError:', error.message);
     process.exit(1);
   }
 }
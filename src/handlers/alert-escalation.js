@@ -0,0 +1,36 @@
+/**
+ * Alert Escalation Handler
+ *
+ * Disparado por EventBridge una vez al día (días hábiles).
+ * Re-publica en el canal las alertas de riesgo que siguen sin reconocer
+ * después de ALERT_ESCALATION_DAYS días, mencionando al líder PMO
+ * (PMO_LEAD_SLACK_ID).
+ * También alerta los proyectos que dejaron de reportar (regla stale_update),
+ * que nunca pasan por el guardado de un update.
+ */
+
+const alerts = require('../lib/alerts');
+
+/**
+ * Handler principal de Lambda
+ */
+exports.handler = async () => {
+  console.log('Alert Escalation iniciado:', new Date().toISOString());
+
+  try {
+    const stats = await alerts.escalateStaleAlerts();
+    stats.quietProjects = await alerts.checkQuietProjects();
+
+    console.log('Alert Escalation completado:', stats);
+    return {
+      statusCode: 200,
+      body: JSON.stringify(stats)
+    };
+  } catch (error) {
+    console.error('Error en Alert Escalation:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
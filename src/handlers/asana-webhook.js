@@ -0,0 +1,156 @@
+/**
+ * Asana Webhook Handler
+ *
+ * Recibe eventos de webhooks de Asana para mantener el cache global de
+ * proyectos casi en tiempo real (sin esperar al cache-refresh de 6 horas).
+ *
+ * - Handshake: Asana envia X-Hook-Secret; solo se acepta si el bot inicio el
+ *   registro del recurso (scripts/asana-webhooks.js), se persiste y se devuelve
+ * - Eventos: se verifica X-Hook-Signature (HMAC-SHA256 del body con el secreto)
+ *   y se re-obtiene solo el proyecto que cambio
+ *
+ * Ruta: POST /asana/webhooks/{resourceGid}
+ */
+
+const asanaService = require('../services/asana');
+const dynamoService = require('../services/dynamo');
+
+/**
+ * Handler principal de Lambda
+ */
+exports.handler = async (event) => {
+  const resourceGid = event.pathParameters?.resourceGid;
+  if (!resourceGid) {
+    return { statusCode: 400, body: 'Missing resourceGid' };
+  }
+
+  try {
+    let rawBody = event.body || '';
+    if (event.isBase64Encoded) {
+      rawBody = Buffer.from(event.body, 'base64').toString('utf-8');
+    }
+
+    // 1. Handshake al registrar el webhook
+    const hookSecret = getHeader(event.headers, 'x-hook-secret');
+    if (hookSecret) {
+      // No permitir reemplazar el secreto de un webhook ya registrado
+      const existing = await dynamoService.getWebhookState(resourceGid);
+      if (existing?.webhookGid) {
+        console.error(`[AsanaWebhook] Handshake rechazado: ${resourceGid} ya tiene webhook ${existing.webhookGid}`);
+        return { statusCode: 409, body: 'Webhook already registered' };
+      }
+
+      const saved = await dynamoService.saveWebhookSecret(resourceGid, hookSecret);
+      if (!saved) {
+        console.error(`[AsanaWebhook] Handshake rechazado: ${resourceGid} no tiene un registro pendiente`);
+        return { statusCode: 403, body: 'No pending webhook registration' };
+      }
+
+      console.log(`[AsanaWebhook] Handshake completado para recurso ${resourceGid}`);
+      return {
+        statusCode: 200,
+        headers: { 'X-Hook-Secret': hookSecret },
+        body: ''
+      };
+    }
+
+    // 2. Verificar firma
+    const signature = getHeader(event.headers, 'x-hook-signature');
+    const state = await dynamoService.getWebhookState(resourceGid);
+    if (!asanaService.verifyWebhookSignature(state?.secret, rawBody, signature)) {
+      console.error(`[AsanaWebhook] Firma invalida para recurso ${resourceGid}`);
+      return { statusCode: 401, body: 'Invalid signature' };
+    }
+
+    // 3. Procesar eventos (heartbeats llegan con events vacio)
+    const body = rawBody ? JSON.parse(rawBody) : {};
+    const events = Array.isArray(body.events) ? body.events : [];
+    const stats = await processProjectEvents(events);
+
+    if (events.length > 0) {
+      console.log(`[AsanaWebhook] Eventos procesados (${resourceGid}):`, JSON.stringify(stats));
+    }
+
+    return { statusCode: 200, body: JSON.stringify(stats) };
+  } catch (error) {
+    console.error('[AsanaWebhook] Error:', error);
+    return { statusCode: 500, body: 'Internal Server Error' };
+  }
+};
+
+/**
+ * Aplica al cache los eventos de proyectos (un fetch por proyecto)
+ * @param {Array} events
+ * @returns {{events: number, updated: number, deleted: number, skipped: number, errors: number}}
+ */
+async function processProjectEvents(events) {
+  const stats = { events: events.length, updated: 0, deleted: 0, skipped: 0, errors: 0 };
+
+  // Ultima accion por proyecto: varios cambios del mismo proyecto llegan juntos
+  const actionsByProject = new Map();
+  for (const evt of events) {
+    if (evt.resource?.resource_type !== 'project' || !evt.resource.gid) {
+      continue;
+    }
+    actionsByProject.set(evt.resource.gid, evt.action);
+  }
+
+  for (const [projectGid, action] of actionsByProject) {
+    try {
+      if (action === 'deleted' || action === 'removed') {
+        await dynamoService.deleteProjectCache(projectGid);
+        stats.deleted++;
+        continue;
+      }
+
+      const result = await refreshProject(projectGid);
+      stats[result]++;
+    } catch (error) {
+      console.error(`[AsanaWebhook] Error procesando proyecto ${projectGid}:`, error.message);
+      stats.errors++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Re-obtiene un proyecto desde Asana y lo guarda o elimina del cache
+ * con las mismas reglas que cache-refresh
+ * @param {string} projectGid
+ * @returns {'updated'|'deleted'|'skipped'}
+ */
+async function refreshProject(projectGid) {
+  let project;
+  try {
+    project = await asanaService.getProjectForCache(projectGid);
+  } catch (error) {
+    const status = error?.status || error?.response?.status;
+    if (status === 404) {
+      await dynamoService.deleteProjectCache(projectGid);
+      return 'deleted';
+    }
+    throw error;
+  }
+
+  const status = (project.status || '').toLowerCase();
+  if (project.archived || status === 'completed') {
+    await dynamoService.deleteProjectCache(projectGid);
+    return 'deleted';
+  }
+
+  if (!project.pmoId && !project.responsable) {
+    // Pudo haber perdido el responsable: no debe seguir en el cache
+    await dynamoService.deleteProjectCache(projectGid);
+    return 'skipped';
+  }
+
+  await dynamoService.upsertProjectCache(project);
+  return 'updated';
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
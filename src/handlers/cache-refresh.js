@@ -7,65 +7,181 @@
  * Optimizaciones:
  * - Solo proyectos con Status != "completed"
  * - Requests paralelas a Asana (20 simultaneas)
+ * - Incremental: solo re-obtiene detalle de proyectos cuyo modified_at cambio
+ *   desde la ultima corrida exitosa
+ * - Reconciliacion completa periodica (CACHE_FULL_REFRESH_HOURS, default 24h):
+ *   re-obtiene todo y elimina del cache proyectos archivados o borrados en Asana
+ *
+ * Evento opcional: { "fullRefresh": true } fuerza la reconciliacion completa.
+ * runCacheRefresh también se ejecuta a pedido con "admin refrescar cache" (lib/admin)
+ * y desde scripts/refresh-all-caches.js.
  */
 
 const asanaService = require('../services/asana');
 const dynamoService = require('../services/dynamo');
+const asanaSync = require('../lib/asana-sync');
+
+// Margen para cambios ocurridos mientras corria la ejecucion anterior
+const MODIFIED_MARGIN_MS = 10 * 60 * 1000;
 
 /**
  * Handler principal
  */
 exports.handler = async (event) => {
+  try {
+    const summary = await runCacheRefresh({ fullRefresh: event?.fullRefresh === true });
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error('[CacheRefresh] Error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+/**
+ * Refresca el cache global de proyectos
+ * @param {Object} options
+ * @param {boolean} options.fullRefresh - Fuerza la reconciliacion completa
+ * @returns {Object} Resumen de la ejecucion
+ */
+async function runCacheRefresh(options = {}) {
   console.log('[CacheRefresh] Iniciando refresh de cache global...');
   const startTime = Date.now();
+  const startedAt = new Date(startTime).toISOString();
 
+  // 0. Publicar updates encolados antes de leer status de Asana.
+  // Si falla, se reintenta en la proxima corrida: no detiene el refresh.
+  let asanaSyncResult;
   try {
-    // 1. Obtener todos los proyectos no archivados con detalle
-    const allProjects = await asanaService.getAllActiveProjectsWithResponsable();
-    console.log(`[CacheRefresh] Proyectos no archivados encontrados: ${allProjects.length}`);
-
-    // 2. Actualizar cache global
-    let updated = 0;
-    let deleted = 0;
-    let skipped = 0;
-
-    for (const project of allProjects) {
-      const status = (project.status || '').toLowerCase();
-      if (status === 'completed') {
+    asanaSyncResult = await asanaSync.retryPendingSyncs();
+    if (asanaSyncResult.pending > 0) {
+      console.log('[CacheRefresh] Updates pendientes publicados en Asana:', JSON.stringify(asanaSyncResult));
+    }
+  } catch (error) {
+    console.error('[CacheRefresh] Error reintentando updates pendientes de Asana:', error.message);
+    asanaSyncResult = { pending: 0, synced: 0, failed: 0, error: error.message };
+  }
+
+  // 1. Decidir modo (incremental o reconciliacion completa)
+  const refreshState = await dynamoService.getCacheRefreshState();
+  const fullRefresh = isFullRefreshDue(options, refreshState, startTime);
+  const mode = fullRefresh ? 'full' : 'incremental';
+  console.log(`[CacheRefresh] Modo: ${mode} (ultima corrida exitosa: ${refreshState?.lastSuccessAt || 'nunca'})`);
+
+  // 2. Listar proyectos (solo metadata) y versiones cacheadas
+  const listedProjects = await asanaService.listAllProjects();
+  const cachedVersions = await dynamoService.getCachedProjectVersions();
+  const cachedModifiedAt = new Map(cachedVersions.map(p => [p.gid, p.modifiedAt]));
+
+  const activeProjects = listedProjects.filter(p => !p.archived);
+  const since = refreshState?.lastSuccessAt
+    ? new Date(refreshState.lastSuccessAt).getTime() - MODIFIED_MARGIN_MS
+    : null;
+  const changedProjects = fullRefresh
+    ? activeProjects
+    : activeProjects.filter(p => hasChanged(p, cachedModifiedAt, since));
+
+  console.log(`[CacheRefresh] Proyectos no archivados: ${activeProjects.length}, a re-obtener: ${changedProjects.length}`);
+
+  // 3. Obtener detalle solo de los que cambiaron y actualizar cache global
+  const projectsWithDetail = await asanaService.getProjectsWithDetail(changedProjects);
+
+  let updated = 0;
+  let deleted = 0;
+  let skipped = 0;
+  let removed = 0;
+
+  for (const project of projectsWithDetail) {
+    const status = (project.status || '').toLowerCase();
+    if (status === 'completed') {
+      if (cachedModifiedAt.has(project.gid)) {
         await dynamoService.deleteProjectCache(project.gid);
-        deleted++;
-        continue;
       }
+      deleted++;
+      continue;
+    }
 
-      if (!project.pmoId && !project.responsable) {
+    // Sin PMO ID ni responsable no se cachea (y deja el cache si ya estaba)
+    if (!project.pmoId && !project.responsable) {
+      if (cachedModifiedAt.has(project.gid)) {
+        await dynamoService.deleteProjectCache(project.gid);
+        deleted++;
+      } else {
         skipped++;
-        continue;
       }
+      continue;
+    }
+
+    await dynamoService.upsertProjectCache(project);
+    updated++;
+  }
 
-      await dynamoService.upsertProjectCache(project);
-      updated++;
+  // 4. Eliminar del cache proyectos archivados (y borrados, en reconciliacion completa)
+  const listedByGid = new Map(listedProjects.map(p => [p.gid, p]));
+  for (const gid of cachedModifiedAt.keys()) {
+    const listed = listedByGid.get(gid);
+    const archived = listed?.archived === true;
+    const missing = !listed && fullRefresh;
+    if (archived || missing) {
+      await dynamoService.deleteProjectCache(gid);
+      removed++;
     }
+  }
 
-    const elapsed = Math.round((Date.now() - startTime) / 1000);
-    const summary = {
-      elapsed: `${elapsed}s`,
-      totalProjects: allProjects.length,
-      updated,
-      deleted,
-      skipped
-    };
+  const elapsed = Math.round((Date.now() - startTime) / 1000);
+  const summary = {
+    elapsed: `${elapsed}s`,
+    mode,
+    totalProjects: activeProjects.length,
+    changed: changedProjects.length,
+    unchanged: activeProjects.length - changedProjects.length,
+    removed,
+    updated,
+    deleted,
+    skipped,
+    asanaSync: asanaSyncResult
+  };
 
-    console.log('[CacheRefresh] Completado:', JSON.stringify(summary));
+  await dynamoService.saveCacheRefreshState({
+    lastSuccessAt: startedAt,
+    lastFullRunAt: fullRefresh ? startedAt : (refreshState?.lastFullRunAt || null),
+    lastSummary: summary
+  });
 
-    return {
-      statusCode: 200,
-      body: JSON.stringify(summary)
-    };
-  } catch (error) {
-    console.error('[CacheRefresh] Error:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message })
-    };
+  console.log('[CacheRefresh] Completado:', JSON.stringify(summary));
+
+  return summary;
+}
+
+exports.runCacheRefresh = runCacheRefresh;
+
+/**
+ * Determina si corresponde una reconciliacion completa
+ */
+function isFullRefreshDue(options, refreshState, now) {
+  if (options?.fullRefresh === true) return true;
+  if (!refreshState?.lastSuccessAt || !refreshState?.lastFullRunAt) return true;
+
+  const fullRefreshHours = Number(process.env.CACHE_FULL_REFRESH_HOURS || 24);
+  const lastFullRun = new Date(refreshState.lastFullRunAt).getTime();
+  return now - lastFullRun >= fullRefreshHours * 60 * 60 * 1000;
+}
+
+/**
+ * Un proyecto cambio si su modified_at difiere del cacheado, o si no esta
+ * cacheado (nuevo u omitido antes) y fue modificado desde la ultima corrida
+ */
+function hasChanged(project, cachedModifiedAt, since) {
+  if (!project.modifiedAt || since === null) return true;
+
+  if (cachedModifiedAt.has(project.gid)) {
+    return cachedModifiedAt.get(project.gid) !== project.modifiedAt;
   }
-};
+
+  return new Date(project.modifiedAt).getTime() > since;
+}
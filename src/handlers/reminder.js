@@ -3,15 +3,30 @@
  *
  * Reintenta solicitudes de update si no hay respuesta despues de 1 hora.
  * Antes de insistir, verifica si el proyecto ya fue actualizado.
+ * No insiste a PMs con una ausencia activa (user.absence).
+ * runReminders también se ejecuta a pedido con "admin recordar" (lib/admin).
  */
 
 const dynamoService = require('../services/dynamo');
 const slackService = require('../services/slack');
 const conversationState = require('../lib/conversation-state');
+const updateFlow = require('../lib/update-flow');
+const i18n = require('../lib/i18n');
+const absence = require('../lib/absence');
 
 exports.handler = async () => {
-  const now = new Date();
+  const stats = await runReminders();
+  return { statusCode: 200, body: JSON.stringify(stats) };
+};
+
+/**
+ * Revisa las conversaciones activas y envía los recordatorios que correspondan
+ * @param {Date} now - Hora de referencia (default: ahora)
+ * @returns {{processed: number, reminded: number, advanced: number}}
+ */
+async function runReminders(now = new Date()) {
   const states = await dynamoService.getActiveConversationStates();
+  const stats = { processed: states.length, reminded: 0, advanced: 0 };
 
   for (const state of states) {
     if (!state.slackUserId || !state.currentProjectGid) {
@@ -32,35 +47,46 @@ exports.handler = async () => {
       continue;
     }
 
+    const user = await dynamoService.getUser(state.slackUserId);
+    if (absence.isAbsent(user)) {
+      continue;
+    }
+
     // Verificar si ya se actualizo por otra via
     const lastUpdates = await dynamoService.getLastUpdates(state.currentProjectGid, 1);
     const lastUpdateAt = lastUpdates[0]?.timestamp ? new Date(lastUpdates[0].timestamp) : null;
     if (lastUpdateAt && lastUpdateAt > lastPromptAt) {
-      const advanced = await advanceToNextProject(state.slackUserId, state);
+      const advanced = await updateFlow.advanceToNextProject(state.slackUserId, state);
       if (!advanced) {
         await conversationState.clearConversationState(state.slackUserId);
       }
+      stats.advanced++;
       continue;
     }
 
-    // Enviar recordatorio segun el paso
+    // Enviar recordatorio segun el paso (en el idioma guardado al iniciar el flujo)
+    const lang = i18n.normalizeLanguage(state.language);
     if (state.step === 'awaiting_status') {
       await slackService.sendUpdateRequest(
         state.slackUserId,
-        state.currentProjectName || 'Proyecto',
-        state.currentProjectGid
+        state.currentProjectName || i18n.t(lang, 'common.project'),
+        state.currentProjectGid,
+        lang
       );
     } else if (state.step === 'awaiting_blockers') {
       await slackService.sendMessage(
         state.slackUserId,
-        `Recuerda indicar si hay bloqueos para *${state.currentProjectName || 'el proyecto'}*. ` +
-          `Si necesitas mas tiempo, escribe "mas tarde".`
+        i18n.t(lang, 'reminder.blockers', { project: state.currentProjectName || i18n.t(lang, 'common.theProject') })
+      );
+    } else if (state.step === 'awaiting_blocker_description') {
+      await slackService.sendMessage(
+        state.slackUserId,
+        i18n.t(lang, 'reminder.blockerDescription', { project: state.currentProjectName || i18n.t(lang, 'common.theProject') })
       );
     } else if (state.step === 'awaiting_advances') {
       await slackService.sendMessage(
         state.slackUserId,
-        `Recuerda enviar los avances para *${state.currentProjectName || 'el proyecto'}*. ` +
-          `Si necesitas mas tiempo, escribe "mas tarde".`
+        i18n.t(lang, 'reminder.advances', { project: state.currentProjectName || i18n.t(lang, 'common.theProject') })
       );
     }
 
@@ -68,35 +94,10 @@ exports.handler = async () => {
       ...state,
       lastPromptAt: new Date().toISOString()
     });
+    stats.reminded++;
   }
 
-  return { statusCode: 200, body: JSON.stringify({ processed: states.length }) };
-};
-
-async function advanceToNextProject(slackUserId, state) {
-  const pending = Array.isArray(state.pendingProjects) ? state.pendingProjects : [];
-  const currentIndex = typeof state.currentIndex === 'number' ? state.currentIndex : 0;
-  const nextIndex = currentIndex + 1;
-
-  if (nextIndex >= pending.length) {
-    return false;
-  }
-
-  const next = pending[nextIndex];
-  await conversationState.setConversationState(slackUserId, {
-    ...state,
-    step: 'awaiting_status',
-    currentIndex: nextIndex,
-    currentProjectGid: next.gid,
-    currentProjectName: next.name,
-    currentProjectPmoId: next.pmoId || null,
-    status: null,
-    hasBlockers: null,
-    blockerDescription: null,
-    lastPromptAt: new Date().toISOString(),
-    snoozeUntil: null
-  });
-
-  await slackService.sendUpdateRequest(slackUserId, next.name, next.gid);
-  return true;
+  return stats;
 }
+
+exports.runReminders = runReminders;
@@ -1,8 +1,16 @@
 /**
  * Scheduled Pulse Handler
  *
- * Disparado por EventBridge los Lunes y Jueves.
- * Envía solicitudes de update a todos los PMs onboarded.
+ * Disparado por EventBridge cada hora.
+ * Envía solicitudes de update a los PMs onboarded a quienes les toca
+ * según su horario (días, hora local y frecuencia en user.schedule).
+ * Los PMs ausentes (user.absence) no reciben solicitudes: van a su backup
+ * si lo tienen, y al comenzar la ausencia se avisa al canal PMO si dejan
+ * proyectos Off Track.
+ * Los proyectos cuyo canal vinculado recibe el pulse (lib/project-channels)
+ * se piden en ese canal en lugar del DM del PM.
+ * Los usuarios con rol viewer (lib/roles) no reciben solicitudes.
+ * runPulse también se ejecuta a pedido con "admin pulse" (lib/admin).
  *
  * @see Project_Pulse_Bot_MVP_Implementacion.md - Paso 2.2
  */
@@ -11,6 +19,12 @@ const { DateTime } = require('luxon');
 const dynamoService = require('../services/dynamo');
 const slackService = require('../services/slack');
 const conversationState = require('../lib/conversation-state');
+const updateFlow = require('../lib/update-flow');
+const pulseSchedule = require('../lib/pulse-schedule');
+const absence = require('../lib/absence');
+const projectChannels = require('../lib/project-channels');
+const roles = require('../lib/roles');
+const i18n = require('../lib/i18n');
 
 /**
  * Handler principal de Lambda
@@ -19,142 +33,187 @@ exports.handler = async (event) => {
   console.log('Scheduled Pulse iniciado:', new Date().toISOString());
   console.log('Evento:', JSON.stringify(event, null, 2));
 
+  try {
+    const stats = await runPulse();
+    return {
+      statusCode: 200,
+      body: JSON.stringify(stats)
+    };
+  } catch (error) {
+    console.error('Error en Scheduled Pulse:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+/**
+ * Ejecuta el pulse. Lo usan el cron y el comando "admin pulse" (lib/admin)
+ * @param {Object} options
+ * @param {DateTime} options.now - Hora de referencia (default: ahora)
+ * @param {Array<string>|null} options.userIds - Solo estos usuarios (default: todos los onboarded)
+ * @param {boolean} options.force - Ignora el horario y agrega los proyectos a una cola en curso
+ * @returns {Object} Estadísticas de la ejecución
+ */
+async function runPulse({ now = DateTime.utc(), userIds = null, force = false } = {}) {
   const stats = {
     usersProcessed: 0,
+    usersDue: 0,
     projectsFound: 0,
     requestsSent: 0,
+    delegated: 0,
+    channelPulses: 0,
+    skippedAbsent: 0,
+    coverageGaps: 0,
     errors: []
   };
 
-  try {
-    // 1. Obtener todos los usuarios onboarded
-    const users = await dynamoService.getAllOnboardedUsers();
-    console.log(`Usuarios onboarded encontrados: ${users.length}`);
-
-    // 2. Obtener proyectos que ya tienen update hoy
-    const updatedToday = await dynamoService.getProjectsUpdatedToday();
-    const updatedTodaySet = new Set(updatedToday);
-
-    // 3. Procesar cada usuario
-    for (const user of users) {
-      try {
-        stats.usersProcessed++;
-
-        // Verificar si es hora apropiada en timezone del usuario
-        if (!isAppropriateTime(user.timezone)) {
-          console.log(`Saltando usuario ${user.slackUserId} - fuera de horario (${user.timezone})`);
-          continue;
-        }
+  // 1. Obtener usuarios onboarded a los que les toca en esta hora (horario y timezone)
+  const allUsers = await dynamoService.getAllOnboardedUsers();
+  const users = userIds ? allUsers.filter(u => userIds.includes(u.slackUserId)) : allUsers;
+  const dueUsers = force ? users : users.filter(user => pulseSchedule.isPulseDue(user, now));
+  stats.usersProcessed = users.length;
+  stats.usersDue = dueUsers.length;
+  console.log(`Usuarios onboarded: ${users.length}, con solicitud en esta hora: ${dueUsers.length}${force ? ' (forzado)' : ''}`);
+
+  // 2. Avisar brechas de cobertura de los PMs cuya ausencia ya comenzó
+  for (const user of users) {
+    if (!absence.isAbsent(user, now) || user.absence.gapNotifiedAt) continue;
+    try {
+      const result = await absence.notifyCoverageGap(user);
+      if (result.notified) {
+        stats.coverageGaps++;
+      }
+    } catch (gapError) {
+      console.error(`Error avisando cobertura de ${user.slackUserId}:`, gapError);
+      stats.errors.push({ userId: user.slackUserId, error: gapError.message });
+    }
+  }
+
+  if (dueUsers.length === 0) {
+    return stats;
+  }
+
+  // 3. Obtener proyectos que ya tienen update hoy
+  const updatedToday = await dynamoService.getProjectsUpdatedToday();
+  const updatedTodaySet = new Set(updatedToday);
+  const usersById = new Map(allUsers.map(u => [u.slackUserId, u]));
+  const pulseChannels = await projectChannels.getPulseChannels();
+
+  // 4. Procesar cada usuario
+  for (const user of dueUsers) {
+    try {
+      if (!user.asanaName) {
+        console.log(`Usuario ${user.slackUserId} sin asanaName, saltando`);
+        continue;
+      }
+
+      // Los viewers no reportan updates (un admin puede cambiarles el rol)
+      if (!roles.can(user, 'reportUpdates')) {
+        console.log(`Usuario ${user.slackUserId} con rol ${roles.getRole(user)}, saltando`);
+        continue;
+      }
 
-        if (!user.asanaName) {
-          console.log(`Usuario ${user.slackUserId} sin asanaName, saltando`);
+      // PM ausente: sus solicitudes van al backup (si tiene y no está ausente también)
+      const activeAbsence = absence.getActiveAbsence(user, now);
+      let delegate = null;
+      if (activeAbsence) {
+        const delegateId = activeAbsence.delegateSlackId;
+        delegate = delegateId
+          ? usersById.get(delegateId) || await dynamoService.getUser(delegateId) || { slackUserId: delegateId }
+          : null;
+        if (!delegate || absence.isAbsent(delegate, now)) {
+          console.log(`Usuario ${user.slackUserId} ausente sin backup disponible, saltando`);
+          stats.skippedAbsent++;
           continue;
         }
-
+      } else if (!force) {
         // Si ya hay una conversacion activa, no iniciar otra cola
         const state = await conversationState.getConversationState(user.slackUserId);
         if (state && conversationState.isInUpdateFlow(state)) {
           console.log(`Usuario ${user.slackUserId} ya tiene flujo activo, saltando`);
           continue;
         }
+      }
 
-        // Obtener proyectos del usuario desde cache global
-        const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
-
-        // Filtrar completados y los que ya tienen update hoy
-        const filtered = projects.filter((project) => {
-          const status = (project.status || '').toLowerCase();
-          if (status === 'completed') return false;
-          if (updatedTodaySet.has(project.gid)) return false;
-          return true;
-        });
-
-        // Ordenar por PMO-ID numerico si existe
-        filtered.sort((a, b) => {
-          const aNum = parsePmoIdNumber(a.pmoId);
-          const bNum = parsePmoIdNumber(b.pmoId);
-          return aNum - bNum;
-        });
-
-        if (filtered.length === 0) {
-          continue;
-        }
+      // Obtener proyectos del usuario desde cache global
+      const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
 
-        stats.projectsFound += filtered.length;
-
-        // Iniciar flujo secuencial con el primer proyecto
-        const firstProject = filtered[0];
-        await conversationState.setConversationState(user.slackUserId, {
-          step: 'awaiting_status',
-          pendingProjects: filtered.map((p) => ({
-            gid: p.gid,
-            name: p.name,
-            pmoId: p.pmoId || null,
-            status: p.status || null
-          })),
-          currentIndex: 0,
-          currentProjectGid: firstProject.gid,
-          currentProjectName: firstProject.name,
-          currentProjectPmoId: firstProject.pmoId || null,
-          lastPromptAt: new Date().toISOString()
-        });
-
-        await slackService.sendUpdateRequest(
-          user.slackUserId,
-          firstProject.name,
-          firstProject.gid
-        );
-        stats.requestsSent++;
+      // Filtrar completados y los que ya tienen update hoy
+      const filtered = projects.filter((project) => {
+        const status = (project.status || '').toLowerCase();
+        if (status === 'completed') return false;
+        if (updatedTodaySet.has(project.gid)) return false;
+        return true;
+      });
 
-      } catch (userError) {
-        console.error(`Error procesando usuario ${user.slackUserId}:`, userError);
-        stats.errors.push({
-          userId: user.slackUserId,
-          error: userError.message
-        });
+      if (filtered.length === 0) {
+        continue;
       }
-    }
 
-    console.log('Scheduled Pulse completado:', stats);
-    return {
-      statusCode: 200,
-      body: JSON.stringify(stats)
-    };
+      stats.projectsFound += filtered.length;
 
-  } catch (error) {
-    console.error('Error en Scheduled Pulse:', error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({ error: error.message })
-    };
-  }
-};
+      // Proyectos con el pulse en su canal: la solicitud va al canal, no a la cola del PM
+      const channelProjects = filtered.filter(p => pulseChannels.has(p.gid));
+      for (const project of channelProjects) {
+        await projectChannels.sendChannelPulse(project, pulseChannels.get(project.gid));
+        stats.channelPulses++;
+      }
+      const dmProjects = filtered.filter(p => !pulseChannels.has(p.gid));
+      if (dmProjects.length === 0) {
+        await dynamoService.updateUser(user.slackUserId, { lastPulseAt: now.toISO() });
+        continue;
+      }
 
-/**
- * Verifica si es hora apropiada para enviar solicitudes (8-10 AM local)
- */
-function isAppropriateTime(timezone) {
-  try {
-    const now = DateTime.now().setZone(timezone);
-    const hour = now.hour;
-    return hour >= 8 && hour <= 10;
-  } catch (error) {
-    console.error(`Error con timezone ${timezone}:`, error);
-    // En caso de error, asumir que sí es apropiado
-    return true;
+      if (delegate) {
+        // Se agregan a la cola del backup (puede tener su propio flujo en curso)
+        const lang = i18n.getUserLanguage(delegate);
+        await slackService.sendMessage(delegate.slackUserId, i18n.t(lang, 'absence.delegatedRequest', {
+          pm: user.slackUserId,
+          to: i18n.formatDate(activeAbsence.to, lang)
+        }));
+        const result = await updateFlow.startUpdateFlow(
+          delegate.slackUserId,
+          updateFlow.sortByPmoId(dmProjects),
+          { merge: true, language: lang }
+        );
+        if (result.started || result.merged) {
+          stats.delegated++;
+          await dynamoService.updateUser(user.slackUserId, { lastPulseAt: now.toISO() });
+        }
+        continue;
+      }
+
+      // Iniciar flujo secuencial (ordenado por PMO-ID numerico); forzado se suma a la cola en curso
+      const result = await updateFlow.startUpdateFlow(
+        user.slackUserId,
+        updateFlow.sortByPmoId(dmProjects),
+        { merge: force, language: user.language }
+      );
+      if (result.started || result.merged) {
+        stats.requestsSent++;
+        await dynamoService.updateUser(user.slackUserId, { lastPulseAt: now.toISO() });
+      }
+
+    } catch (userError) {
+      console.error(`Error procesando usuario ${user.slackUserId}:`, userError);
+      stats.errors.push({
+        userId: user.slackUserId,
+        error: userError.message
+      });
+    }
   }
+
+  console.log('Scheduled Pulse completado:', stats);
+  return stats;
 }
 
+exports.runPulse = runPulse;
+
 /**
  * Función auxiliar para esperar
  */
 function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function parsePmoIdNumber(pmoId) {
-  if (!pmoId) return Number.POSITIVE_INFINITY;
-  const match = String(pmoId).match(/\d+/);
-  if (!match) return Number.POSITIVE_INFINITY;
-  return Number(match[0]);
-}
+}
\ No newline at end of file
@@ -4,7 +4,15 @@
  * Maneja todos los eventos entrantes de Slack:
  * - url_verification: Verificación inicial del endpoint
  * - event_callback (message): Mensajes DM al bot
+ * - event_callback (app_mention): Menciones en canales vinculados a un proyecto
  * - block_actions: Interacciones con botones
+ * - view_submission: Envío del formulario (modal) de update
+ * - slash_command: Comando /pulse (respuestas efímeras via response_url)
+ *
+ * El handler HTTP solo verifica, deduplica (event_id / trigger_id) y encola:
+ * el procesamiento ocurre en el worker (exports.worker, ver services/event-queue)
+ * para responder a Slack dentro de 3 segundos. Los botones y comandos que abren
+ * un modal se procesan en línea, porque el trigger_id vence a los 3 segundos.
  *
  * @see Project_Pulse_Bot_MVP_Implementacion.md - Paso 2.1
  */
@@ -12,9 +20,29 @@
 const slackService = require('../services/slack');
 const dynamoService = require('../services/dynamo');
 const agentService = require('../services/agent');
+const eventQueue = require('../services/event-queue');
 const messages = require('../lib/messages');
 const riskDetector = require('../lib/risk-detector');
 const conversationState = require('../lib/conversation-state');
+const asanaSync = require('../lib/asana-sync');
+const updateFlow = require('../lib/update-flow');
+const blockers = require('../lib/blockers');
+const riskRules = require('../lib/risk-rules');
+const alerts = require('../lib/alerts');
+const i18n = require('../lib/i18n');
+const pulseSchedule = require('../lib/pulse-schedule');
+const absence = require('../lib/absence');
+const appHome = require('../lib/app-home');
+const projectHistory = require('../lib/project-history');
+const projectSearch = require('../lib/project-search');
+const identity = require('../lib/identity');
+const projectChannels = require('../lib/project-channels');
+const subscriptions = require('../lib/subscriptions');
+const portfolioExport = require('../lib/portfolio-export');
+const roles = require('../lib/roles');
+const admin = require('../lib/admin');
+const { normalizeProjectStatus } = require('../lib/portfolio-digest');
+const { normalizeText } = require('../lib/text');
 
 /**
  * Handler principal de Lambda
@@ -29,24 +57,19 @@ exports.handler = async (event) => {
       rawBody = Buffer.from(event.body, 'base64').toString('utf-8');
     }
 
-    // Slack reintenta si no respondemos rapido. Evitar duplicados.
-    const retryNum = event.headers?.['x-slack-retry-num'] || event.headers?.['X-Slack-Retry-Num'];
-    const retryReason = event.headers?.['x-slack-retry-reason'] || event.headers?.['X-Slack-Retry-Reason'];
-    if (retryNum || retryReason) {
-      console.warn(`Slack retry recibido (num=${retryNum || 'n/a'} reason=${retryReason || 'n/a'}). Ignorando.`);
-      return { statusCode: 200, body: 'OK' };
-    }
-
     // 2. Parsear body según content-type
     let body;
     const contentType = event.headers?.['content-type'] || event.headers?.['Content-Type'] || '';
 
     if (contentType.includes('application/x-www-form-urlencoded')) {
       // block_actions viene como form-urlencoded con campo "payload"
+      // slash commands vienen como form-urlencoded con campo "command"
       const params = new URLSearchParams(rawBody);
       const payloadStr = params.get('payload');
       if (payloadStr) {
         body = JSON.parse(payloadStr);
+      } else if (params.get('command')) {
+        body = { type: 'slash_command', ...Object.fromEntries(params) };
       } else {
         body = {};
       }
@@ -74,18 +97,46 @@ exports.handler = async (event) => {
       };
     }
 
-    // 5. Manejar event_callback (mensajes)
-    if (body.type === 'event_callback') {
-      await handleEventCallback(body.event);
+    // 5. Deduplicar reintentos de Slack (el primer intento ya fue encolado)
+    const eventKey = getEventKey(body);
+    if (eventKey && !(await dynamoService.claimSlackEvent(eventKey))) {
+      const retryNum = event.headers?.['x-slack-retry-num'] || event.headers?.['X-Slack-Retry-Num'];
+      console.warn(`Evento duplicado ${eventKey} (retry=${retryNum || 'n/a'}). Ignorando.`);
+      return { statusCode: 200, body: body.type === 'event_callback' ? 'OK' : '' };
     }
 
-    // 6. Manejar block_actions (botones)
-    if (body.type === 'block_actions') {
-      await handleBlockActions(body);
+    try {
+      // 6. Envío de modales: la validación responde en línea, el resto va al worker
+      if (body.type === 'view_submission') {
+        const response = await handleViewSubmission(body);
+        if (response) {
+          return {
+            statusCode: 200,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(response)
+          };
+        }
+        // Body vacío: Slack cierra el modal
+        return { statusCode: 200, body: '' };
+      }
+
+      // 7. Botones y comandos que abren un modal: en línea, el trigger_id vence a los 3 segundos
+      if (opensModal(body)) {
+        await processJob({ type: body.type, body });
+      } else if (['event_callback', 'block_actions', 'slash_command'].includes(body.type)) {
+        // 8. event_callback, block_actions y slash commands: procesar en el worker
+        await eventQueue.enqueue({ type: body.type, body }, processJob);
+      }
+    } catch (error) {
+      // Sin encolar: liberar el evento para que el reintento de Slack se procese
+      if (eventKey) {
+        await dynamoService.releaseSlackEvent(eventKey);
+      }
+      throw error;
     }
 
-    // Responder 200 OK rápidamente
-    return { statusCode: 200, body: 'OK' };
+    // Slash command: body vacío (Slack mostraría cualquier texto como respuesta al usuario)
+    return { statusCode: 200, body: body.type === 'slash_command' ? '' : 'OK' };
 
   } catch (error) {
     console.error('Error en handler:', error);
@@ -93,17 +144,105 @@ exports.handler = async (event) => {
   }
 };
 
+/**
+ * Worker: procesa los eventos encolados por el handler HTTP
+ * (Lambda invocada de forma asíncrona por services/event-queue)
+ */
+exports.worker = async (job) => {
+  try {
+    await processJob(job);
+  } catch (error) {
+    console.error(`Error en worker (${job?.type}):`, error);
+    throw error;
+  }
+};
+
+/**
+ * Procesa un trabajo encolado
+ * @param {Object} job - { type: event_callback | block_actions | slash_command, body }
+ *   o { type: update_form | schedule_form | absence_form, payload }
+ */
+async function processJob(job) {
+  switch (job.type) {
+    case 'event_callback':
+      return handleEventCallback(job.body.event);
+    case 'block_actions':
+      return handleBlockActions(job.body);
+    case 'slash_command':
+      return handleSlashCommand(job.body);
+    case 'update_form':
+      return submitUpdateForm(job.payload);
+    case 'schedule_form':
+      return submitScheduleForm(job.payload);
+    case 'absence_form':
+      return submitAbsenceForm(job.payload);
+    default:
+      console.warn(`Trabajo desconocido: ${job.type}`);
+  }
+}
+
+/**
+ * Indica si un request abre un modal: se procesa en el handler HTTP porque
+ * el trigger_id de Slack vence a los 3 segundos (no alcanza con el worker)
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function opensModal(body) {
+  if (body.type === 'slash_command') {
+    const subcommand = ((body.text || '').trim().split(/\s+/)[0] || '').toLowerCase();
+    return MODAL_SUBCOMMANDS.includes(subcommand);
+  }
+  if (body.type === 'block_actions') {
+    return MODAL_ACTIONS.some(prefix => body.actions?.[0]?.action_id?.startsWith(prefix));
+  }
+  return false;
+}
+
+/**
+ * Clave de idempotencia de un request de Slack: event_id de Events API o
+ * trigger_id de interacciones y slash commands (null si no trae ninguno)
+ */
+function getEventKey(body) {
+  if (body.type === 'event_callback') {
+    return body.event_id ? `event:${body.event_id}` : null;
+  }
+  return body.trigger_id ? `trigger:${body.trigger_id}` : null;
+}
+
 /**
  * Maneja eventos de tipo message
  */
 async function handleEventCallback(event) {
-  // Solo procesar mensajes DM (channel empieza con 'D')
-  if (event.type !== 'message' || !event.channel?.startsWith('D')) {
+  // Pestaña Home: publicar el tablero del PM
+  if (event.type === 'app_home_opened') {
+    if (event.tab === 'home') {
+      await appHome.publishHome(event.user);
+    }
+    return;
+  }
+
+  // Menciones en canales: "@Pulse status", "@Pulse vincular PMO-911"
+  if (event.type === 'app_mention') {
+    await handleChannelMention(event);
     return;
   }
 
   // Ignorar mensajes del propio bot
-  if (event.bot_id || event.subtype === 'bot_message') {
+  if (event.type !== 'message' || event.bot_id || event.subtype === 'bot_message') {
+    return;
+  }
+
+  // Mensajes en canales (solo si la app recibe message.channels): únicamente
+  // "vincular" / "desvincular"; las menciones llegan como app_mention
+  if (!event.channel?.startsWith('D')) {
+    const command = parseChannelCommand(event.text);
+    const isChannelCommand = (command.action === 'link' && command.pmoId)
+      || (command.action === 'unlink' && CHANNEL_UNLINK_COMMANDS.includes(normalizeText((event.text || '').trim())));
+    if (event.user && isChannelCommand) {
+      const lang = i18n.getChannelLanguage();
+      await handleChannelCommand(event.channel, event.user, command, lang,
+        (message, blocks) => slackService.sendMessage(event.channel, message, blocks));
+    }
     return;
   }
 
@@ -116,11 +255,17 @@ async function handleEventCallback(event) {
   const user = await dynamoService.getUser(userId);
 
   if (!user || !user.onboarded) {
+    // Stakeholders (sponsors, account managers) pueden seguir proyectos sin ser PMs
+    const followCommand = subscriptions.parseFollowCommand(text);
+    if (followCommand) {
+      await handleFollowCommand(userId, user, followCommand);
+      return;
+    }
     // Iniciar o continuar onboarding
     await handleOnboarding(userId, text, user);
   } else {
     // Usuario onboarded - procesar como texto de avances
-    await handleAdvancesText(userId, text);
+    await handleAdvancesText(userId, text, user);
   }
 }
 
@@ -129,76 +274,160 @@ async function handleEventCallback(event) {
  */
 async function handleOnboarding(userId, text, existingUser) {
   if (!existingUser) {
-    // Primer mensaje - pedir nombre
-    await slackService.sendMessage(userId, null, messages.getOnboardingNameBlocks());
+    // Primer mensaje - pedir nombre (en el idioma de Slack del usuario, se puede cambiar),
+    // sugiriendo el responsable del usuario de Asana con el mismo email si existe
+    const profile = await getSlackProfile(userId);
+    const resolved = await identity.resolveIdentityByEmail(profile.email);
+    const suggestion = resolved?.match
+      ? { asanaName: resolved.asanaUser.name, name: resolved.match.name }
+      : null;
+
+    await slackService.sendMessage(userId, null, messages.getOnboardingNameBlocks(profile.language, suggestion));
     await dynamoService.saveUser({
       slackUserId: userId,
+      language: profile.language,
+      asanaEmail: resolved?.asanaUser.email,
+      asanaUserGid: resolved?.asanaUser.gid,
       onboarded: false
     });
-  } else if (!existingUser.asanaName) {
-    // Guardar nombre
+    return;
+  }
+
+  const lang = i18n.getUserLanguage(existingUser);
+  if (!existingUser.asanaName) {
+    // Ofrecer los responsables más parecidos al nombre escrito
     const name = text.trim();
-    if (name.length >= 2) {
-      await dynamoService.updateUser(userId, { asanaName: name });
-      await slackService.sendMessage(userId, null, messages.getOnboardingTimezoneBlocks());
+    if (name.length < 2) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'onboarding.nameTooShort'));
+      return;
+    }
+
+    let matches;
+    try {
+      matches = await identity.findResponsableMatches(name);
+    } catch (error) {
+      // Sin cache disponible se guarda el nombre tal como se escribió
+      console.error(`Error buscando responsables parecidos a ${name}:`, error);
+      await linkResponsable(userId, name, lang);
+      return;
+    }
+
+    if (matches.length > 0 && identity.isExactMatch(name, matches[0])) {
+      await linkResponsable(userId, matches[0].name, lang);
     } else {
-      await slackService.sendMessage(userId, 'Por favor ingresa tu nombre completo.');
+      await slackService.sendMessage(
+        userId,
+        i18n.t(lang, 'onboarding.matchesText', { name }),
+        messages.getResponsableMatchBlocks(name, matches, lang)
+      );
     }
   } else if (!existingUser.timezone) {
     // Si tiene nombre pero no timezone, pedir timezone
-    await slackService.sendMessage(userId, null, messages.getOnboardingTimezoneBlocks());
+    await slackService.sendMessage(userId, null, messages.getOnboardingTimezoneBlocks(lang));
+  }
+}
+
+/**
+ * Guarda el responsable canónico ("Responsable Proyecto") del usuario en onboarding
+ * y continúa con la zona horaria
+ */
+async function linkResponsable(userId, name, lang) {
+  await dynamoService.updateUser(userId, { asanaName: name });
+  await slackService.sendMessage(userId, i18n.t(lang, 'onboarding.linked', { name }));
+  await slackService.sendMessage(userId, null, messages.getOnboardingTimezoneBlocks(lang));
+}
+
+/**
+ * Idioma inicial (locale de Slack) y email del usuario según users.info.
+ * El email requiere el scope users:read.email; sin él queda en null.
+ * @returns {{language: string, email: string|null}}
+ */
+async function getSlackProfile(userId) {
+  try {
+    const info = await slackService.getUserInfo(userId);
+    return {
+      language: i18n.normalizeLanguage(info?.locale),
+      email: info?.profile?.email || null
+    };
+  } catch (error) {
+    // Sin locale se usa el idioma por defecto; el usuario puede cambiarlo
+    console.error(`Error obteniendo locale de ${userId}:`, error.message);
+    return { language: i18n.DEFAULT_LANGUAGE, email: null };
   }
 }
 
 /**
  * Maneja texto libre (avances del proyecto o comandos)
  */
-async function handleAdvancesText(userId, text) {
+async function handleAdvancesText(userId, text, user) {
   const textLower = text.trim().toLowerCase();
+  const lang = i18n.getUserLanguage(user);
+
+  // Comandos especiales (aceptan los alias de cada idioma)
+  if (HELP_COMMANDS.includes(normalizeText(textLower))) {
+    await slackService.sendMessage(userId, null, messages.getHelpBlocks(lang));
+    return;
+  }
 
-  // Comandos especiales
-  if (textLower === 'ayuda' || textLower === 'help') {
-    await slackService.sendMessage(userId, null, messages.getHelpBlocks());
+  // Administración: "admin usuarios", "admin rol @ana pmo", "admin reasignar PMO-911 @ana"
+  const adminCommand = admin.parseAdminCommand(text);
+  if (adminCommand) {
+    const reply = roles.can(user, 'admin', userId)
+      ? await admin.executeAdminCommand(userId, adminCommand, lang)
+      : getForbiddenText(user, userId, lang);
+    await slackService.sendMessage(userId, reply);
     return;
   }
 
   if (textLower === 'reset' || textLower === 'reiniciar') {
+    // Solo los admins reinician perfiles; el resto se lo pide a un admin ("admin reset @usuario")
+    if (!roles.can(user, 'admin', userId)) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'roles.resetForbidden'));
+      return;
+    }
     await dynamoService.deleteUser(userId);
-    await slackService.sendMessage(userId, 'Perfil reiniciado. Escribe cualquier cosa para comenzar de nuevo.');
+    await slackService.sendMessage(userId, i18n.t(lang, 'onboarding.reset'));
     return;
   }
 
-  if ((textLower === 'mis proyectos' || textLower === 'proyectos') && !textLower.includes('cliente')) {
-    const user = await dynamoService.getUser(userId);
+  const languageArg = parseLanguageCommand(text);
+  if (languageArg !== null) {
+    const language = LANGUAGE_ALIASES[languageArg];
+    if (language) {
+      await changeUserLanguage(userId, language);
+    } else {
+      await slackService.sendMessage(userId, null, messages.getLanguageBlocks(lang));
+    }
+    return;
+  }
+
+  if (SCHEDULE_COMMANDS.includes(normalizeText(textLower))) {
+    // El modal necesita un trigger_id: se abre desde el botón schedule_open
+    await slackService.sendMessage(userId, null, messages.getScheduleBlocks(user?.schedule, lang));
+    return;
+  }
+
+  if (MY_PROJECTS_COMMANDS.includes(normalizeText(textLower))) {
     if (user?.asanaName) {
       const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
       if (projects.length > 0) {
-        const projectList = projects.map((p) => {
-          const statusText = p.status || 'Sin estado';
-          const progress = p.progressPercent || 'N/A';
-          const due = p.dueOn || p.dueAt || 'N/A';
-          const pmoId = p.pmoId || 'PMO-N/A';
-          return `- ${pmoId} | ${p.name} | ${statusText} | ${progress} | ${due}`;
-        }).join('\n');
         await slackService.sendMessage(
           userId,
-          `*Tus proyectos (${projects.length}):*\n${projectList}`
+          i18n.t(lang, 'project.myProjects', { count: projects.length }),
+          messages.getMyProjectsBlocks(projects, lang)
         );
       } else {
         await slackService.sendMessage(
           userId,
-          `Aun no tengo proyectos cacheados para tu perfil.\n` +
-          `Tu nombre en Asana: *${user.asanaName}*.\n` +
-          `El cache global se actualiza cada 6 horas.`
+          i18n.t(lang, 'project.noCachedProjectsFor', { name: user.asanaName })
         );
       }
     } else {
-      await slackService.sendMessage(userId, 'No tienes configurado tu nombre. Escribe "reset" para reconfigurar tu perfil.');
+      await slackService.sendMessage(userId, i18n.t(lang, 'common.needName'));
     }
     return;
   }
 
-
   const state = await conversationState.getConversationState(userId);
   if (state && conversationState.isInUpdateFlow(state)) {
     if (isSnoozeCommand(textLower)) {
@@ -207,200 +436,570 @@ async function handleAdvancesText(userId, text) {
         ...state,
         snoozeUntil
       });
-      await slackService.sendMessage(userId, 'Perfecto, te vuelvo a avisar en 1 hora.');
+      await slackService.sendMessage(userId, i18n.t(lang, 'update.snoozedOneHour'));
+      return;
+    }
+  }
+
+  // Ausencias: "vacaciones desde 20/12 hasta 05/01 @backup" (no aplica en texto libre del update)
+  const absenceCommand = absence.parseAbsenceCommand(text, pulseSchedule.getLocalDate(user));
+  if (absenceCommand && !isAwaitingFreeText(state)) {
+    await handleAbsenceCommand(userId, user, absenceCommand, lang);
+    return;
+  }
+
+  // Suscripciones: "seguir PMO-911", "seguir cliente Acme solo cambios", "dejar de seguir", "siguiendo"
+  const followCommand = subscriptions.parseFollowCommand(text);
+  if (followCommand && !isAwaitingFreeText(state)) {
+    await handleFollowCommand(userId, user, followCommand);
+    return;
+  }
+
+  // Export: "exportar", "exportar updates desde 01/09 xlsx cliente:acme"
+  const exportCommand = portfolioExport.parseExportCommand(text, pulseSchedule.getLocalDate(user));
+  if (exportCommand && !isAwaitingFreeText(state)) {
+    if (roles.can(user, 'exportData', userId)) {
+      await handleExportCommand(userId, exportCommand, lang, message => slackService.sendMessage(userId, message));
+    } else {
+      await slackService.sendMessage(userId, getForbiddenText(user, userId, lang));
+    }
+    return;
+  }
+
+  // Update a demanda: "actualizar PMO-911", "actualizar PMO-911 PMO-912", "actualizar todos"
+  // (no aplica mientras se espera texto libre del update en curso)
+  const updateArgs = parseUpdateCommand(text);
+  if (updateArgs !== null && !isAwaitingFreeText(state)) {
+    if (!roles.can(user, 'reportUpdates', userId)) {
+      await slackService.sendMessage(userId, getForbiddenText(user, userId, lang));
+      return;
+    }
+    const { projects, notFound, forbidden } = await resolveUpdateProjects(user, updateArgs);
+    if (notFound.length > 0) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'project.notFoundIds', { pmoIds: notFound.join(', ') }));
+    }
+    if (forbidden.length > 0) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'roles.notYourProjects', { pmoIds: forbidden.join(', ') }));
+    }
+    if (projects.length > 0 || notFound.length + forbidden.length === 0) {
+      const result = await updateFlow.startUpdateFlow(userId, projects, { merge: true, language: lang });
+      if (!result.started) {
+        await slackService.sendMessage(userId, getUpdateFlowResultText(result, lang));
+      }
+    }
+    return;
+  }
+
+  // Consultas de proyectos (historial, búsqueda, PMO-ID): los viewers solo siguen proyectos
+  if (!isAwaitingFreeText(state) && !roles.can(user, 'viewProjects', userId) && isProjectQuery(text)) {
+    await slackService.sendMessage(userId, getForbiddenText(user, userId, lang));
+    return;
+  }
+
+  // Historial de updates: "historial PMO-911" y "siguiente" para la página anterior
+  if (!isAwaitingFreeText(state)) {
+    const handledHistory = await handleHistoryFlow(userId, text, textLower, state, lang);
+    if (handledHistory) {
       return;
     }
   }
 
-  const handledSearch = await handleSearchFlow(userId, text, textLower, state);
+  const handledSearch = await handleSearchFlow(userId, text, textLower, state, lang);
   if (handledSearch) {
     return;
   }
 
-  // Buscar proyecto por PMO ID (ej: PMO-911)
+  // Buscar proyecto por PMO ID (ej: PMO-911), salvo que sea parte de la respuesta en curso
   const pmoIdMatch = text.match(/pmo-?\d+/i);
-  if (pmoIdMatch) {
-    const rawPmoId = pmoIdMatch[0];
-    const pmoId = rawPmoId.toUpperCase().replace('PMO', 'PMO-').replace('PMO--', 'PMO-');
-    await slackService.sendMessage(userId, `Buscando proyecto ${pmoId}...`);
+  if (pmoIdMatch && !isAwaitingFreeText(state)) {
+    const pmoId = normalizePmoId(pmoIdMatch[0]);
+    await slackService.sendMessage(userId, i18n.t(lang, 'project.searching', { pmoId }));
 
     try {
       const project = await dynamoService.getProjectByPmoIdCached(pmoId);
       if (project) {
-        const statusText = project.status || 'Sin estado';
-        const updateText = project.lastUpdateText || 'Sin actualizacion';
-        const updateDate = project.lastUpdateAt
-          ? new Date(project.lastUpdateAt).toLocaleDateString('es-CL')
-          : 'N/A';
-        const progress = project.progressPercent || 'N/A';
-        const due = project.dueOn || project.dueAt || 'N/A';
-        const pending = (project.pendingTasks !== null && project.pendingTasks !== undefined)
-          ? project.pendingTasks
-          : 'N/A';
-        const total = (project.totalTasks !== null && project.totalTasks !== undefined)
-          ? project.totalTasks
-          : 'N/A';
-
-        const info = [
-          `*${project.name}*`,
-          `- PMO ID: ${project.pmoId || pmoId}`,
-          `- Responsable: ${project.responsable || 'No asignado'}`,
-          `- Estado: ${statusText}`,
-          `- Ultima actualizacion (${updateDate}): ${updateText}`,
-          `- Avance: ${progress}`,
-          `- Fecha fin: ${due}`,
-          `- Tareas pendientes: ${pending} / ${total}`
-        ].join('\n');
-        await slackService.sendMessage(userId, info);
+        const detail = await getProjectDetailWithBlockers(project, pmoId, lang);
+        await slackService.sendMessage(userId, detail.text, detail.blocks);
       } else {
-        await slackService.sendMessage(userId, `No encontre ningun proyecto con ID ${pmoId}`);
+        await slackService.sendMessage(userId, i18n.t(lang, 'project.notFound', { pmoId }));
       }
     } catch (error) {
       console.error(`Error buscando proyecto ${pmoId}:`, error);
-      await slackService.sendMessage(
-        userId,
-        `Hubo un problema buscando el proyecto ${pmoId}. Intenta de nuevo en unos minutos.`
-      );
+      await slackService.sendMessage(userId, i18n.t(lang, 'project.searchError', { pmoId }));
     }
     return;
   }
 
   // Obtener estado de conversacion
 
+  if (state && state.step === conversationState.CONVERSATION_STEPS.AWAITING_BLOCKER_DESCRIPTION) {
+    await conversationState.setConversationState(userId, {
+      ...state,
+      step: conversationState.CONVERSATION_STEPS.AWAITING_ADVANCES,
+      blockerDescription: text.trim(),
+      lastPromptAt: new Date().toISOString()
+    });
+    await slackService.sendMessage(userId, i18n.t(lang, 'update.askAdvancesAfterBlocker'));
+    return;
+  }
+
   if (state && state.step === 'awaiting_advances') {
-    // Guardar update completo
-    await dynamoService.saveUpdate({
+    // Sin bloqueos reportados: los bloqueos abiertos se dan por resueltos
+    await completeUpdate(userId, state, {
       projectGid: state.currentProjectGid,
       projectName: state.currentProjectName,
-      pmSlackId: userId,
       status: state.status,
       advances: text,
       hasBlockers: state.hasBlockers,
       blockerDescription: state.blockerDescription || null
-    });
+    }, { resolveAll: !state.hasBlockers }, lang);
+    return;
+  }
 
-    // Evaluar riesgo
-    const previousUpdates = await dynamoService.getLastUpdates(state.currentProjectGid, 2);
-    const riskAnalysis = riskDetector.shouldAlert(
-      { status: state.status, hasBlockers: state.hasBlockers },
-      previousUpdates
-    );
+  // Si no se reconoció ningún comando, usar el agente
+  await handleWithAgent(userId, text, user);
+}
 
-    if (riskAnalysis.shouldAlert) {
-      await slackService.sendAlertToPMO(
-        state.currentProjectName,
-        userId,
-        state.status,
-        text,
-        state.hasBlockers
-      );
+/**
+ * Guarda un update completo, lo publica en Asana, evalúa riesgo y avanza
+ * la cola de proyectos pendientes si el update corresponde al proyecto actual
+ * @param {string} userId
+ * @param {Object|null} state - Estado de conversación actual
+ * @param {Object} update - { projectGid, projectName, status, advances, hasBlockers,
+ *   blockerDescription, blockerCategory, nextSteps, newDueDate }
+ * @param {Object} blockerOptions - { resolveIds, resolveAll } (ver blockers.reconcileBlockers)
+ * @param {string} lang - Idioma del PM
+ */
+async function completeUpdate(userId, state, update, blockerOptions = {}, lang = i18n.DEFAULT_LANGUAGE) {
+  const { blockerCategory, ...updateData } = update;
+
+  // Historial previo y proyecto en cache para las reglas de riesgo
+  const previousUpdates = await dynamoService.getLastUpdates(update.projectGid, riskRules.HISTORY_SIZE);
+  const project = await dynamoService.getCachedProject(update.projectGid);
+
+  // Resumen para PMO (titular, riesgos, decisiones, próximos pasos); sin LLM, por reglas
+  const summary = await agentService.summarizeUpdate(updateData);
+
+  // Guardar update completo en un solo registro (con snapshot de tareas pendientes)
+  const savedUpdate = await dynamoService.saveUpdate({
+    ...updateData,
+    summary,
+    pendingTasks: project?.pendingTasks ?? null,
+    pmSlackId: userId
+  });
+
+  // Resolver / confirmar bloqueos abiertos y registrar el nuevo
+  const blockerResult = await blockers.reconcileBlockers(
+    { ...savedUpdate, blockerCategory },
+    dynamoService,
+    blockerOptions
+  );
+
+  // Publicar como status del proyecto en Asana (con todos los bloqueos vigentes)
+  const openDescriptions = blockerResult.open.map(b => `- ${b.description}`).join('\n');
+  await asanaSync.syncUpdateToAsana({
+    ...savedUpdate,
+    blockerDescription: openDescriptions || savedUpdate.blockerDescription
+  });
+
+  // Evaluar reglas de riesgo: una alerta por canal destino con todas las reglas que se cumplen
+  // (si ya hay una abierta, el seguimiento va en su hilo; On Track la cierra)
+  const riskAnalysis = riskDetector.shouldAlert(savedUpdate, previousUpdates, { project });
+  await alerts.processRiskAlerts({
+    update: savedUpdate,
+    firedRules: riskAnalysis.firedRules,
+    blockers: blockerResult.open
+  });
+
+  // Publicar también en el canal vinculado al proyecto y avisar a sus suscriptores
+  await projectChannels.crossPostUpdate(savedUpdate);
+  await subscriptions.notifySubscribers(savedUpdate, {
+    project,
+    previousStatus: previousUpdates[0]?.status || null,
+    blockers: blockerResult.open
+  });
+
+  await slackService.sendMessage(userId, i18n.t(lang, 'update.saved', {
+    emoji: messages.getStatusEmoji(update.status),
+    project: update.projectName
+  }));
+  await appHome.refreshHome(userId);
+
+  if (!state || !conversationState.isInUpdateFlow(state) || state.currentProjectGid !== update.projectGid) {
+    return;
+  }
+
+  const advanced = await updateFlow.advanceToNextProject(userId, state);
+  if (!advanced) {
+    await conversationState.clearConversationState(userId);
+  }
+}
+
+/**
+ * Detalle de un proyecto con sus bloqueos abiertos y el resumen del último update
+ * @returns {{text: string, blocks: Array|null}}
+ */
+async function getProjectDetailWithBlockers(project, pmoId, lang = i18n.DEFAULT_LANGUAGE) {
+  let openBlockers = [];
+  let lastUpdate = null;
+  try {
+    [openBlockers, [lastUpdate = null]] = await Promise.all([
+      dynamoService.getOpenBlockers(project.gid),
+      dynamoService.getLastUpdates(project.gid, 1)
+    ]);
+  } catch (error) {
+    // El detalle se responde igual, sin bloqueos ni resumen
+    console.error(`Error obteniendo bloqueos y último update de ${project.gid}:`, error);
+  }
+  const text = messages.getProjectDetailText(project, pmoId, openBlockers, lang, lastUpdate);
+  return { text, blocks: messages.getProjectDetailBlocks(text, lastUpdate, lang) };
+}
+
+/**
+ * Responde una mención en un canal (en su hilo, con el idioma del canal)
+ */
+async function handleChannelMention(event) {
+  const lang = i18n.getChannelLanguage();
+  const reply = (message, blocks = null) => slackService.sendMessage(
+    event.channel, message, blocks, { thread_ts: event.thread_ts || event.ts }
+  );
+
+  console.log(`Mención de ${event.user} en ${event.channel}: ${event.text}`);
+
+  try {
+    await handleChannelCommand(event.channel, event.user, parseChannelCommand(event.text), lang, reply);
+  } catch (error) {
+    console.error(`Error respondiendo mención en ${event.channel}:`, error);
+    await reply(i18n.t(lang, 'slash.error'));
+  }
+}
+
+/**
+ * Ejecuta un comando de canal (mención, mensaje en el canal o /pulse vincular)
+ * @param {string} channelId
+ * @param {string} userId
+ * @param {{action: string, pmoId: string|null}} command - Ver parseChannelCommand
+ * @param {string} lang - Idioma de las respuestas
+ * @param {Function} reply - (text, blocks) => Promise
+ */
+async function handleChannelCommand(channelId, userId, command, lang, reply) {
+  if (!['link', 'unlink', 'status'].includes(command.action)) {
+    await reply(i18n.t(lang, 'channel.mentionHelp'));
+    return;
+  }
+
+  const user = await dynamoService.getUser(userId);
+  const permission = command.action === 'status' ? 'viewProjects' : 'reportUpdates';
+  if (!roles.can(user, permission, userId)) {
+    await reply(getForbiddenText(user, userId, lang));
+    return;
+  }
+
+  // Vincular o desvincular: solo quien administra los proyectos afectados
+  const checkProject = async (projectGid, pmoId) => {
+    if (await canManageProjectChannel(user, userId, projectGid)) {
+      return true;
     }
+    await reply(i18n.t(lang, 'roles.notYourProjects', { pmoIds: pmoId || projectGid }));
+    return false;
+  };
 
-    await slackService.sendMessage(userId, `${messages.getStatusEmoji(state.status)} Update registrado para *${state.currentProjectName}*. !Gracias!`);
+  if (command.action === 'link') {
+    if (!command.pmoId) {
+      await reply(i18n.t(lang, 'channel.linkUsage'));
+      return;
+    }
+    const project = await dynamoService.getProjectByPmoIdCached(command.pmoId);
+    if (!project) {
+      await reply(i18n.t(lang, 'project.notFound', { pmoId: command.pmoId }));
+      return;
+    }
+    if (!await checkProject(project.gid, command.pmoId)) {
+      return;
+    }
+    // Re-vincular el canal a otro proyecto también desvincula el anterior
+    const previous = await projectChannels.getChannelProject(channelId);
+    if (previous && previous.projectGid !== project.gid && !await checkProject(previous.projectGid, previous.projectPmoId)) {
+      return;
+    }
+    // La confirmación se publica en el canal
+    const result = await projectChannels.linkChannel(channelId, project, userId);
+    if (!result.linked) {
+      await reply(i18n.t(lang, 'channel.notInChannel'));
+    }
+    return;
+  }
 
-    const advanced = await advanceToNextProject(userId, state);
-    if (!advanced) {
-      await conversationState.clearConversationState(userId);
+  if (command.action === 'unlink') {
+    const link = await projectChannels.getChannelProject(channelId);
+    if (!link) {
+      await reply(i18n.t(lang, 'channel.notLinked'));
+      return;
+    }
+    if (!await checkProject(link.projectGid, link.projectPmoId)) {
+      return;
+    }
+    const unlinked = await projectChannels.unlinkChannel(channelId, userId);
+    if (!unlinked) {
+      await reply(i18n.t(lang, 'channel.notLinked'));
     }
     return;
   }
 
-  // Si no se reconoció ningún comando, usar el agente
-  await handleWithAgent(userId, text);
+  // status: con PMO ID se consulta ese proyecto; sin él, el vinculado al canal
+  let project = null;
+  let pmoId = command.pmoId;
+  if (pmoId) {
+    project = await dynamoService.getProjectByPmoIdCached(pmoId);
+    if (!project) {
+      await reply(i18n.t(lang, 'project.notFound', { pmoId }));
+      return;
+    }
+  } else {
+    const link = await projectChannels.getChannelProject(channelId);
+    if (!link) {
+      await reply(i18n.t(lang, 'channel.notLinked'));
+      return;
+    }
+    project = await dynamoService.getCachedProject(link.projectGid);
+    pmoId = link.projectPmoId || 'PMO-N/A';
+    if (!project) {
+      await reply(i18n.t(lang, 'project.notFound', { pmoId }));
+      return;
+    }
+  }
+  const detail = await getProjectDetailWithBlockers(project, pmoId, lang);
+  await reply(detail.text, detail.blocks);
 }
 
 /**
- * Procesa mensaje con el agente de IA
+ * Interpreta un comando de canal, sin las menciones (<@U123>):
+ * "vincular PMO-911" -> link, "desvincular" -> unlink, "status [PMO-911]" -> status.
+ * Un PMO ID solo (o el texto vacío) consulta el estado.
+ * @returns {{action: 'link'|'unlink'|'status'|'help', pmoId: string|null}}
  */
-async function handleWithAgent(userId, text) {
+function parseChannelCommand(text) {
+  const clean = (text || '').replace(/<@[A-Z0-9]+(\|[^>]*)?>/g, ' ').trim();
+  const pmoIdMatch = clean.match(/pmo-?\d+/i);
+  const pmoId = pmoIdMatch ? normalizePmoId(pmoIdMatch[0]) : null;
+  const word = normalizeText(clean.split(/\s+/)[0] || '');
+
+  if (CHANNEL_LINK_COMMANDS.includes(word)) return { action: 'link', pmoId };
+  if (CHANNEL_UNLINK_COMMANDS.includes(word)) return { action: 'unlink', pmoId };
+  if (CHANNEL_STATUS_COMMANDS.includes(word) || !clean || (pmoId && /^pmo/i.test(clean))) {
+    return { action: 'status', pmoId };
+  }
+  return { action: 'help', pmoId };
+}
+
+/**
+ * Procesa mensaje con el agente de IA (con memoria de los últimos turnos y
+ * el contexto del estado de conversación)
+ */
+async function handleWithAgent(userId, text, user) {
+  const lang = i18n.getUserLanguage(user);
   try {
-    const user = await dynamoService.getUser(userId);
-    const result = await agentService.processMessage(text, { email: user?.asanaEmail });
+    const state = await conversationState.getConversationState(userId);
+    const result = await agentService.processMessage(text, {
+      email: user?.asanaEmail,
+      language: lang,
+      history: state?.agentHistory || [],
+      state,
+      executeTool: (name, params) => executeAgentTool(userId, user, lang, name, params)
+    });
 
-    // Si el agente devuelve una respuesta directa
     if (result.response) {
       const cleaned = normalizeAgentResponse(result.response);
       await slackService.sendMessage(userId, cleaned);
-      return;
     }
 
-    // Si el agente quiere ejecutar una herramienta
-    if (result.tool) {
-      switch (result.tool) {
-        case 'buscar_proyecto':
-          const pmoId = result.params.pmo_id;
-          const project = await dynamoService.getProjectByPmoIdCached(pmoId);
-          if (project) {
-            const statusText = project.status || 'Sin estado';
-            const updateText = project.lastUpdateText || 'Sin actualizacion';
-            const updateDate = project.lastUpdateAt
-              ? new Date(project.lastUpdateAt).toLocaleDateString('es-CL')
-              : 'N/A';
-            const progress = project.progressPercent || 'N/A';
-            const due = project.dueOn || project.dueAt || 'N/A';
-            const pending = (project.pendingTasks !== null && project.pendingTasks !== undefined)
-              ? project.pendingTasks
-              : 'N/A';
-            const total = (project.totalTasks !== null && project.totalTasks !== undefined)
-              ? project.totalTasks
-              : 'N/A';
-
-            const info = [
-              `*${project.name}*`,
-              `- PMO ID: ${project.pmoId || pmoId}`,
-              `- Responsable: ${project.responsable || 'No asignado'}`,
-              `- Estado: ${statusText}`,
-              `- Ultima actualizacion (${updateDate}): ${updateText}`,
-              `- Avance: ${progress}`,
-              `- Fecha fin: ${due}`,
-              `- Tareas pendientes: ${pending} / ${total}`
-            ].join('\n');
-            await slackService.sendMessage(userId, info);
-          } else {
-            await slackService.sendMessage(userId, `No encontre ningun proyecto con ID ${pmoId}`);
+    await conversationState.setConversationState(userId, {
+      agentHistory: agentService.appendHistory(state?.agentHistory, text, result)
+    });
+  } catch (error) {
+    console.error('Error en agente:', error);
+    await slackService.sendMessage(userId, i18n.t(lang, 'common.genericError'));
+  }
+}
+
+/**
+ * Ejecuta una herramienta pedida por el agente
+ * @returns {{shown: boolean, data: Object}} shown: el resultado ya se mostró al usuario;
+ *   data: datos que se devuelven al modelo
+ */
+async function executeAgentTool(userId, user, lang, name, params = {}) {
+  const permission = AGENT_TOOL_PERMISSIONS[name];
+  if (permission && !roles.can(user, permission, userId)) {
+    return { shown: false, data: { error: `el rol ${roles.getRole(user, userId)} no permite ${name}` } };
+  }
+
+  try {
+    switch (name) {
+      case 'buscar_proyecto': {
+        const pmoId = normalizePmoId(params.pmo_id || '');
+        const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+        if (!project) {
+          return { shown: false, data: { error: 'proyecto no encontrado', pmoId } };
+        }
+        const state = await conversationState.getConversationState(userId);
+        await respondWithProjectDetails(userId, project, state, lang);
+        return { shown: true, data: summarizeProjectForAgent(project) };
+      }
+
+      case 'buscar_proyectos': {
+        const query = [
+          params.texto,
+          params.cliente && `cliente:"${params.cliente}"`,
+          params.estado && `estado:${params.estado}`,
+          params.responsable && `responsable:"${params.responsable}"`
+        ].filter(Boolean).join(' ');
+        const results = await projectSearch.searchProjects(query, 50);
+        if (results.length > 0) {
+          await conversationState.setConversationState(userId, {
+            searchQuery: query,
+            searchResults: results,
+            searchPage: 0,
+            historyProjectGid: null,
+            lastSearchAt: new Date().toISOString()
+          });
+        }
+        return {
+          shown: false,
+          data: { total: results.length, proyectos: results.slice(0, 10).map(summarizeProjectForAgent) }
+        };
+      }
+
+      case 'ver_historial': {
+        const pmoId = normalizePmoId(params.pmo_id || '');
+        const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+        if (!project) {
+          return { shown: false, data: { error: 'proyecto no encontrado', pmoId } };
+        }
+        const state = await conversationState.getConversationState(userId);
+        await startProjectHistory(userId, project, state, lang);
+        return { shown: true, data: { mostrado: 'historial', pmoId } };
+      }
+
+      case 'analizar_riesgo': {
+        const pmoId = normalizePmoId(params.pmo_id || '');
+        const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+        if (!project) {
+          return { shown: false, data: { error: 'proyecto no encontrado', pmoId } };
+        }
+        const [analysis, openBlockers] = await Promise.all([
+          riskDetector.analyzeProjectRisk(project.gid, dynamoService, project),
+          dynamoService.getOpenBlockers(project.gid)
+        ]);
+        return {
+          shown: false,
+          data: {
+            ...summarizeProjectForAgent(project),
+            nivelRiesgo: analysis.riskLevel,
+            alertas: analysis.alerts,
+            reglas: (analysis.firedRules || []).map(rule => rule.reason),
+            ultimoEstado: analysis.latestStatus || null,
+            ultimoUpdate: analysis.lastUpdateAt || null,
+            tendencia: analysis.trend || null,
+            bloqueosAbiertos: openBlockers.map(b => b.description)
           }
-          break;
+        };
+      }
 
-        case 'mis_proyectos':
-          if (user?.asanaName) {
-            const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
-            if (projects.length > 0) {
-              const projectList = projects.map((p) => {
-                const statusText = p.status || 'Sin estado';
-                const progress = p.progressPercent || 'N/A';
-                const due = p.dueOn || p.dueAt || 'N/A';
-                const pmoId = p.pmoId || 'PMO-N/A';
-                return `- ${pmoId} | ${p.name} | ${statusText} | ${progress} | ${due}`;
-              }).join('\n');
-              await slackService.sendMessage(userId, `*Tus proyectos:*\n${projectList}`);
-            } else {
-              await slackService.sendMessage(
-                userId,
-                'Aun no tengo proyectos cacheados para tu perfil. El cache global se actualiza cada 6 horas.'
-              );
-            }
-          } else {
-            await slackService.sendMessage(userId, 'No tienes configurado tu nombre. Escribe "reset" para reconfigurar tu perfil.');
+      case 'proyectos_en_riesgo': {
+        if (params.alcance === 'todos') {
+          const all = await dynamoService.getAllCachedProjects();
+          const atRisk = all.filter(p => ['at_risk', 'off_track'].includes(normalizeProjectStatus(p.status)));
+          return {
+            shown: false,
+            data: { total: atRisk.length, proyectos: atRisk.slice(0, 20).map(summarizeProjectForAgent) }
+          };
+        }
+        if (!user?.asanaName) {
+          return { shown: false, data: { error: 'el usuario no tiene nombre de responsable configurado' } };
+        }
+        const own = await dynamoService.getProjectsByResponsableName(user.asanaName);
+        const entries = await appHome.buildHomeEntries(own);
+        const atRisk = entries.filter(e => ['at_risk', 'off_track'].includes(e.status));
+        return {
+          shown: false,
+          data: {
+            total: atRisk.length,
+            proyectos: atRisk.map(e => ({
+              ...summarizeProjectForAgent(e.project),
+              estado: e.status,
+              diasDesdeUltimoUpdate: e.daysSincePulse
+            }))
           }
-          break;
+        };
+      }
 
-        case 'mostrar_ayuda':
-          await slackService.sendMessage(userId, null, messages.getHelpBlocks());
-          break;
+      case 'iniciar_update': {
+        const args = Array.isArray(params.pmo_ids) ? params.pmo_ids.join(' ') : String(params.pmo_ids || '');
+        const { projects, notFound, forbidden } = await resolveUpdateProjects(user, args);
+        if (notFound.length > 0) {
+          await slackService.sendMessage(userId, i18n.t(lang, 'project.notFoundIds', { pmoIds: notFound.join(', ') }));
+        }
+        if (forbidden.length > 0) {
+          await slackService.sendMessage(userId, i18n.t(lang, 'roles.notYourProjects', { pmoIds: forbidden.join(', ') }));
+        }
+        if (projects.length === 0 && notFound.length + forbidden.length > 0) {
+          return { shown: true, data: { iniciado: false, noEncontrados: notFound, sinPermiso: forbidden } };
+        }
+        const result = await updateFlow.startUpdateFlow(userId, projects, { merge: true, language: lang });
+        if (!result.started) {
+          await slackService.sendMessage(userId, getUpdateFlowResultText(result, lang));
+        }
+        return {
+          shown: true,
+          data: { iniciado: result.started, proyectos: result.count || 0, noEncontrados: notFound, sinPermiso: forbidden }
+        };
+      }
 
-        case 'respuesta_directa':
-          await slackService.sendMessage(userId, result.params.mensaje);
-          break;
+      case 'mis_proyectos':
+        if (user?.asanaName) {
+          const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
+          if (projects.length > 0) {
+            await slackService.sendMessage(
+              userId,
+              i18n.t(lang, 'project.myProjects', { count: projects.length }),
+              messages.getMyProjectsBlocks(projects, lang)
+            );
+          } else {
+            await slackService.sendMessage(userId, i18n.t(lang, 'project.noCachedProjects'));
+          }
+        } else {
+          await slackService.sendMessage(userId, i18n.t(lang, 'common.needName'));
+        }
+        return { shown: true, data: { mostrado: 'mis proyectos' } };
 
-        default:
-          await slackService.sendMessage(userId, 'No entendí tu mensaje. Escribe "ayuda" para ver qué puedo hacer.');
-      }
+      case 'mostrar_ayuda':
+        await slackService.sendMessage(userId, null, messages.getHelpBlocks(lang));
+        return { shown: true, data: { mostrado: 'ayuda' } };
+
+      default:
+        return { shown: false, data: { error: `herramienta desconocida: ${name}` } };
     }
   } catch (error) {
-    console.error('Error en agente:', error);
-    await slackService.sendMessage(userId, 'Hubo un error procesando tu mensaje. Intenta de nuevo.');
+    console.error(`Error ejecutando herramienta ${name} del agente:`, error);
+    return { shown: false, data: { error: error.message } };
   }
+}
 
+/**
+ * Datos de un proyecto que se le entregan al agente
+ */
+function summarizeProjectForAgent(project) {
+  return {
+    pmoId: project.pmoId || null,
+    nombre: project.name,
+    cliente: project.clienteNuevo || null,
+    responsable: project.responsable || null,
+    estado: project.status || null,
+    fechaTermino: project.dueOn || project.dueAt || null,
+    avance: project.progressPercent ?? null,
+    tareasPendientes: project.pendingTasks ?? null
+  };
+}
 
 function normalizeAgentResponse(text) {
   const trimmed = String(text || '').trim();
@@ -418,32 +1017,12 @@ function normalizeAgentResponse(text) {
   return trimmed;
 }
 
-function normalizeText(text) {
-  return text.toLowerCase().normalize('NFD').replace(/[̀-ͯ]/g, '');
-}
-
-
-async function handleSearchFlow(userId, text, textLower, state) {
-  // Preguntas de contexto corto
-  if (isProjectEndDateQuestion(textLower) && state?.lastProjectAt) {
-    const lastAt = new Date(state.lastProjectAt);
-    const diffMs = Date.now() - lastAt.getTime();
-    if (diffMs <= 30 * 60 * 1000) {
-      const due = state.lastProjectDueOn || state.lastProjectDueAt;
-      if (due) {
-        const date = new Date(due).toLocaleDateString('es-CL');
-        await slackService.sendMessage(userId, `La fecha estimada es ${date}.`);
-      } else {
-        await slackService.sendMessage(userId, 'No tengo fecha de termino registrada para ese proyecto.');
-      }
-      return true;
-    }
-  }
 
+async function handleSearchFlow(userId, text, textLower, state, lang) {
   // Paginacion de resultados
   if (state?.searchResults && isNextPageCommand(textLower)) {
     const nextPage = (state.searchPage || 0) + 1;
-    const handled = await sendSearchResultsPage(userId, state, nextPage);
+    const handled = await sendSearchResultsPage(userId, state, nextPage, lang);
     return handled;
   }
 
@@ -454,9 +1033,9 @@ async function handleSearchFlow(userId, text, textLower, state) {
       const index = (state.searchPage || 0) * 5 + (selection - 1);
       const project = state.searchResults[index];
       if (project) {
-        await respondWithProjectDetails(userId, project, state);
+        await respondWithProjectDetails(userId, project, state, lang);
       } else {
-        await slackService.sendMessage(userId, 'Seleccion no valida.');
+        await slackService.sendMessage(userId, i18n.t(lang, 'search.invalidSelection'));
       }
       return true;
     }
@@ -465,45 +1044,44 @@ async function handleSearchFlow(userId, text, textLower, state) {
   const query = extractSearchQuery(text);
   if (!query) return false;
 
-  const results = await dynamoService.searchProjects(query, 50);
+  const results = await projectSearch.searchProjects(query, 50);
   if (results.length == 0) {
-    await slackService.sendMessage(userId, 'No encontre proyectos con ese criterio.');
+    await slackService.sendMessage(userId, i18n.t(lang, 'search.noResults'));
     return true;
   }
 
+  // Una búsqueda nueva reemplaza la paginación del historial
   await conversationState.setConversationState(userId, {
     ...state,
     searchQuery: query,
     searchResults: results,
     searchPage: 0,
+    historyProjectGid: null,
     lastSearchAt: new Date().toISOString()
   });
 
-  await sendSearchResultsPage(userId, { ...state, searchResults: results, searchPage: 0 }, 0);
+  await sendSearchResultsPage(userId, { ...state, searchResults: results, searchPage: 0, historyProjectGid: null }, 0, lang);
   return true;
 }
 
-async function sendSearchResultsPage(userId, state, page) {
+async function sendSearchResultsPage(userId, state, page, lang) {
   const results = state.searchResults || [];
   const pageSize = 5;
   const start = page * pageSize;
   const slice = results.slice(start, start + pageSize);
   if (slice.length == 0) {
-    await slackService.sendMessage(userId, 'No hay mas proyectos para mostrar.');
+    await slackService.sendMessage(userId, i18n.t(lang, 'search.noMore'));
     return true;
   }
 
   const lines = slice.map((p, i) => {
     const num = start + i + 1;
     const pmoId = p.pmoId || 'PMO-N/A';
-    const statusText = p.status || 'Sin estado';
+    const statusText = p.status || i18n.t(lang, 'common.noStatus');
     return `${num}. ${pmoId} | ${p.name} | ${statusText}`;
   }).join('\n');
 
-  await slackService.sendMessage(
-    userId,
-    `Estos son los proyectos que encontre:\n${lines}\n\nResponde con el numero para ver detalles o escribe "siguiente" para mas.`
-  );
+  await slackService.sendMessage(userId, i18n.t(lang, 'search.results', { lines }));
 
   await conversationState.setConversationState(userId, {
     ...state,
@@ -512,37 +1090,69 @@ async function sendSearchResultsPage(userId, state, page) {
   return true;
 }
 
-async function respondWithProjectDetails(userId, project, state) {
-  const statusText = project.status || 'Sin estado';
-  const updateText = project.lastUpdateText || 'Sin actualizacion';
-  const updateDate = project.lastUpdateAt
-    ? new Date(project.lastUpdateAt).toLocaleDateString('es-CL')
-    : 'N/A';
-  const progress = project.progressPercent || 'N/A';
-  const due = project.dueOn || project.dueAt || 'N/A';
-  const pending = (project.pendingTasks !== null && project.pendingTasks !== undefined)
-    ? project.pendingTasks
-    : 'N/A';
-  const total = (project.totalTasks !== null && project.totalTasks !== undefined)
-    ? project.totalTasks
-    : 'N/A';
-
-  const info = [
-    `*${project.name}*`,
-    `- PMO ID: ${project.pmoId || 'PMO-N/A'}`,
-    `- Responsable: ${project.responsable || 'No asignado'}`,
-    `- Estado: ${statusText}`,
-    `- Ultima actualizacion (${updateDate}): ${updateText}`,
-    `- Avance: ${progress}`,
-    `- Fecha fin: ${due}`,
-    `- Tareas pendientes: ${pending} / ${total}`
-  ].join('\n');
-
-  await slackService.sendMessage(userId, info);
-  await conversationState.setConversationState(userId, {
-    ...state,
+async function handleHistoryFlow(userId, text, textLower, state, lang) {
+  if (state?.historyProjectGid && isNextPageCommand(textLower)) {
+    const nextPage = (state.historyPage || 0) + 1;
+    return await sendHistoryPage(userId, state, nextPage, lang);
+  }
+
+  const command = projectHistory.parseHistoryCommand(text);
+  if (!command) return false;
+
+  if (!command.pmoId) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'history.usage'));
+    return true;
+  }
+
+  const project = await dynamoService.getProjectByPmoIdCached(command.pmoId);
+  if (!project) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'project.notFound', { pmoId: command.pmoId }));
+    return true;
+  }
+
+  await startProjectHistory(userId, project, state, lang);
+  return true;
+}
+
+/**
+ * Muestra la primera página del historial de un proyecto y deja la
+ * paginación en el estado de conversación (reemplaza la de búsqueda)
+ */
+async function startProjectHistory(userId, project, state, lang) {
+  const historyState = {
+    ...state,
+    searchResults: null,
+    historyProjectGid: project.gid,
+    historyProjectLabel: project.pmoId ? `${project.pmoId} · ${project.name}` : project.name,
+    historyPage: 0
+  };
+  await sendHistoryPage(userId, historyState, 0, lang);
+}
+
+async function sendHistoryPage(userId, state, page, lang) {
+  const history = await projectHistory.loadHistoryPage(state.historyProjectGid, page);
+  if (!history) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'history.noMore'));
+    return true;
+  }
+
+  await slackService.sendMessage(userId, messages.getProjectHistoryText(state.historyProjectLabel, history, lang));
+
+  await conversationState.setConversationState(userId, {
+    ...state,
+    historyPage: page
+  });
+  return true;
+}
+
+async function respondWithProjectDetails(userId, project, state, lang) {
+  const detail = await getProjectDetailWithBlockers(project, undefined, lang);
+  await slackService.sendMessage(userId, detail.text, detail.blocks);
+  await conversationState.setConversationState(userId, {
+    ...state,
     lastProjectGid: project.gid,
     lastProjectName: project.name,
+    lastProjectPmoId: project.pmoId || null,
     lastProjectDueOn: project.dueOn || null,
     lastProjectDueAt: project.dueAt || null,
     lastProjectAt: new Date().toISOString()
@@ -550,6 +1160,14 @@ async function respondWithProjectDetails(userId, project, state) {
 }
 
 function extractSearchQuery(text) {
+  // Con filtros se busca el texto completo, sin las palabras del comando
+  if (projectSearch.hasSearchFilters(text)) {
+    return text
+      .replace(/\b(dame|muestrame|busca|buscar|search|find|proyectos?|projects?|projetos?)\b/gi, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   const quoted = text.match(/"([^"]+)"/);
   if (quoted) {
     return quoted[1].trim();
@@ -575,7 +1193,7 @@ function extractSearchQuery(text) {
 
 function isNextPageCommand(textLower) {
   const t = normalizeText(textLower);
-  return t == 'siguiente' || t == 'next' || t == 'mas' || t == 'mas proyectos';
+  return t == 'siguiente' || t == 'next' || t == 'mas' || t == 'mas proyectos' || t == 'proximo';
 }
 
 function parseSelectionNumber(textLower) {
@@ -586,43 +1204,626 @@ function parseSelectionNumber(textLower) {
   return num;
 }
 
-function isProjectEndDateQuestion(textLower) {
-  return textLower.includes('cuando termina') || textLower.includes('fecha fin') || textLower.includes('termina ese proyecto');
+/**
+ * true si el texto es una consulta de proyectos (historial, búsqueda o PMO-ID)
+ */
+function isProjectQuery(text) {
+  return Boolean(projectHistory.parseHistoryCommand(text) || extractSearchQuery(text) || /pmo-?\d+/i.test(text));
+}
+
+/**
+ * Mensaje para una acción que el rol del usuario no permite
+ */
+function getForbiddenText(user, userId, lang) {
+  return i18n.t(lang, 'roles.forbidden', { role: i18n.t(lang, `roles.names.${roles.getRole(user, userId)}`) });
 }
 
 function isSnoozeCommand(text) {
   const t = normalizeText(text.trim());
-  return t.includes('mas tarde') || t.includes('postergar') || t.includes('despues');
+  return t.includes('mas tarde') || t.includes('postergar') || t.includes('despues') ||
+    t.includes('later') || t.includes('depois');
+}
+
+// Alias de comandos en cada idioma (texto normalizado, sin tildes)
+const HELP_COMMANDS = ['ayuda', 'help', 'ajuda'];
+const SCHEDULE_COMMANDS = ['configurar horario', 'horario', 'schedule', 'set schedule'];
+const MY_PROJECTS_COMMANDS = ['mis proyectos', 'proyectos', 'my projects', 'projects', 'meus projetos', 'projetos'];
+const CHANNEL_LINK_COMMANDS = ['vincular', 'link'];
+const CHANNEL_UNLINK_COMMANDS = ['desvincular', 'unlink'];
+const CHANNEL_STATUS_COMMANDS = ['status', 'estado'];
+
+// Permiso que requieren las herramientas del agente y los botones (el resto, ninguno)
+const AGENT_TOOL_PERMISSIONS = {
+  buscar_proyecto: 'viewProjects',
+  buscar_proyectos: 'viewProjects',
+  ver_historial: 'viewProjects',
+  analizar_riesgo: 'viewProjects',
+  proyectos_en_riesgo: 'viewProjects',
+  iniciar_update: 'reportUpdates'
+};
+// Subcomandos de /pulse y botones (prefijo de action_id) que abren un modal
+const MODAL_SUBCOMMANDS = ['schedule', 'horario'];
+const MODAL_ACTIONS = ['updateform_', 'schedule_open', 'absence_open'];
+const ACTION_PERMISSIONS = {
+  status: 'reportUpdates',
+  blockers: 'reportUpdates',
+  updateform: 'reportUpdates',
+  updatepick: 'reportUpdates',
+  channelpulse: 'reportUpdates',
+  alert: 'manageAlerts'
+};
+const LANGUAGE_ALIASES = {
+  es: 'es', espanol: 'es', spanish: 'es',
+  en: 'en', english: 'en', ingles: 'en',
+  pt: 'pt', portugues: 'pt', portuguese: 'pt'
+};
+
+/**
+ * Crea, lista o elimina suscripciones a proyectos y clientes
+ * @param {string} userId
+ * @param {Object|null} user - null si el stakeholder nunca habló con el bot
+ * @param {Object} command - Resultado de subscriptions.parseFollowCommand
+ */
+async function handleFollowCommand(userId, user, command) {
+  const lang = user ? i18n.getUserLanguage(user) : (await getSlackProfile(userId)).language;
+  const { action, target, filter } = command;
+  const filterLabel = i18n.t(lang, `subscription.filters.${filter}`);
+
+  if (action === 'list' || (action === 'unfollow' && !target)) {
+    const current = await dynamoService.getUserSubscriptions(userId);
+    await slackService.sendMessage(userId, current.length > 0
+      ? messages.getSubscriptionListText(current, lang)
+      : i18n.t(lang, 'subscription.none'));
+    return;
+  }
+
+  if (action === 'follow') {
+    if (!target) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'subscription.usage'));
+      return;
+    }
+
+    if (target.type === 'client') {
+      const client = await subscriptions.resolveClient(target.name);
+      if (!client) {
+        await slackService.sendMessage(userId, i18n.t(lang, 'subscription.clientNotFound', { client: target.name }));
+        return;
+      }
+      await dynamoService.saveSubscription({
+        targetKey: subscriptions.getClientTargetKey(client),
+        targetType: 'client',
+        slackUserId: userId,
+        client,
+        filter,
+        language: lang
+      });
+      await slackService.sendMessage(userId, i18n.t(lang, 'subscription.followingClient', { client, filter: filterLabel }));
+      return;
+    }
+
+    const project = await dynamoService.getProjectByPmoIdCached(target.pmoId);
+    if (!project) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'project.notFound', { pmoId: target.pmoId }));
+      return;
+    }
+    await dynamoService.saveSubscription({
+      targetKey: subscriptions.getProjectTargetKey(project.gid),
+      targetType: 'project',
+      slackUserId: userId,
+      projectGid: project.gid,
+      pmoId: project.pmoId || target.pmoId,
+      projectName: project.name,
+      filter,
+      language: lang
+    });
+    await slackService.sendMessage(userId, i18n.t(lang, 'subscription.followingProject', {
+      project: `${project.pmoId || target.pmoId} | ${project.name}`,
+      filter: filterLabel
+    }));
+    return;
+  }
+
+  // Dejar de seguir: se busca entre las suscripciones del usuario (el proyecto
+  // puede ya no estar en el cache)
+  const current = await dynamoService.getUserSubscriptions(userId);
+  if (target.type === 'all') {
+    for (const subscription of current) {
+      await dynamoService.deleteSubscription(subscription.pk, userId);
+    }
+    await slackService.sendMessage(userId, current.length > 0
+      ? i18n.t(lang, 'subscription.unfollowedAll', { count: current.length })
+      : i18n.t(lang, 'subscription.none'));
+    return;
+  }
+
+  const targetLabel = target.type === 'client' ? target.name : target.pmoId;
+  const match = target.type === 'client'
+    ? current.find(s => s.targetType === 'client' && s.pk === subscriptions.getClientTargetKey(target.name))
+    : current.find(s => s.targetType === 'project' && s.pmoId === target.pmoId);
+  if (!match) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'subscription.notFollowing', { target: targetLabel }));
+    return;
+  }
+
+  await dynamoService.deleteSubscription(match.pk, userId);
+  await slackService.sendMessage(userId, i18n.t(lang, 'subscription.unfollowed', {
+    target: match.targetType === 'client' ? match.client : `${match.pmoId} | ${match.projectName}`
+  }));
 }
 
-async function advanceToNextProject(userId, state) {
-  const pending = Array.isArray(state.pendingProjects) ? state.pendingProjects : [];
-  const currentIndex = typeof state.currentIndex === 'number' ? state.currentIndex : 0;
-  const nextIndex = currentIndex + 1;
+/**
+ * Genera un export (CSV/XLSX) y lo sube al DM del usuario
+ * @param {string} userId
+ * @param {Object} command - Resultado de portfolioExport.parseExportCommand
+ * @param {string} lang
+ * @param {Function} reply - (message) => Promise; DM o response_url del slash command
+ * @returns {boolean} true si se envió el archivo
+ */
+async function handleExportCommand(userId, command, lang, reply) {
+  if (command.invalid) {
+    await reply(i18n.t(lang, 'export.usage'));
+    return false;
+  }
 
-  if (nextIndex >= pending.length) {
+  await reply(i18n.t(lang, 'export.generating'));
+  try {
+    const result = await portfolioExport.sendExport(userId, command, lang);
+    if (result.count === 0) {
+      await reply(i18n.t(lang, 'export.empty'));
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error generando export para ${userId}:`, error);
+    await reply(i18n.t(lang, 'export.error'));
     return false;
   }
+}
 
-  const next = pending[nextIndex];
-  await conversationState.setConversationState(userId, {
-    ...state,
-    step: 'awaiting_status',
-    currentIndex: nextIndex,
-    currentProjectGid: next.gid,
-    currentProjectName: next.name,
-    currentProjectPmoId: next.pmoId || null,
-    status: null,
-    hasBlockers: null,
-    blockerDescription: null,
-    lastPromptAt: new Date().toISOString(),
-    snoozeUntil: null
-  });
+/**
+ * Registra, muestra o cancela la ausencia del PM (comando "vacaciones")
+ * @param {string} userId
+ * @param {Object} user
+ * @param {Object} command - Resultado de absence.parseAbsenceCommand
+ * @param {string} lang
+ */
+async function handleAbsenceCommand(userId, user, command, lang) {
+  const usage = i18n.t(lang, 'absence.usage');
 
-  await slackService.sendUpdateRequest(userId, next.name, next.gid);
-  return true;
+  if (command.action === 'invalid') {
+    await slackService.sendMessage(userId, `${i18n.t(lang, 'absence.invalid')}\n${usage}`);
+    return;
+  }
+
+  if (command.action === 'cancel') {
+    await cancelAbsence(userId, lang);
+    return;
+  }
+
+  if (command.action === 'status') {
+    const current = absence.getUpcomingAbsence(user);
+    if (!current) {
+      await slackService.sendMessage(userId, `${i18n.t(lang, 'absence.none')}\n${usage}`);
+      return;
+    }
+    const key = current.delegateSlackId ? 'absence.currentWithDelegate' : 'absence.current';
+    await slackService.sendMessage(userId, i18n.t(lang, key, {
+      from: i18n.formatDate(current.from, lang),
+      to: i18n.formatDate(current.to, lang),
+      delegate: current.delegateSlackId
+    }));
+    return;
+  }
+
+  if (command.delegateSlackId === userId) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'absence.selfDelegate'));
+    return;
+  }
+
+  await saveAbsence(userId, user, command, lang);
+}
+
+/**
+ * Guarda la ausencia del PM (comando o formulario de la Home), avisa al
+ * PM y al backup, y a PMO si la ausencia ya comenzó
+ * @param {string} userId
+ * @param {Object} user
+ * @param {{from: string, to: string, delegateSlackId: string|null}} range
+ * @param {string} lang
+ */
+async function saveAbsence(userId, user, range, lang) {
+  const record = {
+    from: range.from,
+    to: range.to,
+    delegateSlackId: range.delegateSlackId || null,
+    createdAt: new Date().toISOString(),
+    gapNotifiedAt: null
+  };
+  await dynamoService.updateUser(userId, { absence: record });
+  console.log(`Ausencia de ${userId} registrada:`, record);
+
+  const key = record.delegateSlackId ? 'absence.savedWithDelegate' : 'absence.saved';
+  await slackService.sendMessage(userId, i18n.t(lang, key, {
+    from: i18n.formatDate(record.from, lang),
+    to: i18n.formatDate(record.to, lang),
+    delegate: record.delegateSlackId
+  }));
+
+  if (record.delegateSlackId) {
+    const delegate = await dynamoService.getUser(record.delegateSlackId);
+    const delegateLang = i18n.getUserLanguage(delegate);
+    await slackService.sendMessage(record.delegateSlackId, i18n.t(delegateLang, 'absence.delegateNotice', {
+      pm: userId,
+      from: i18n.formatDate(record.from, delegateLang),
+      to: i18n.formatDate(record.to, delegateLang)
+    }));
+  }
+
+  // Si la ausencia empieza hoy se avisa ya; si no, scheduled-pulse avisa al comenzar
+  const updatedUser = { ...user, absence: record };
+  if (absence.isAbsent(updatedUser)) {
+    await absence.notifyCoverageGap(updatedUser);
+  }
+  await appHome.refreshHome(userId);
+}
+
+/**
+ * Cancela la ausencia registrada del PM
+ */
+async function cancelAbsence(userId, lang) {
+  await dynamoService.updateUser(userId, { absence: null });
+  await slackService.sendMessage(userId, i18n.t(lang, 'absence.cancelled'));
+  await appHome.refreshHome(userId);
+}
+
+/**
+ * Detecta el comando de idioma ("idioma", "language en", "idioma português")
+ * y retorna su argumento normalizado. null si no es el comando.
+ */
+function parseLanguageCommand(text) {
+  const match = normalizeText(text.trim()).match(/^(idioma|language|lingua)\b(.*)$/);
+  if (!match) return null;
+  return match[2].trim();
+}
+
+/**
+ * Cambia el idioma del usuario (y del flujo de update en curso) y lo confirma
+ */
+async function changeUserLanguage(userId, language) {
+  await dynamoService.updateUser(userId, { language });
+
+  const state = await conversationState.getConversationState(userId);
+  if (state && conversationState.isInUpdateFlow(state)) {
+    await conversationState.setConversationState(userId, { ...state, language });
+  }
+
+  await slackService.sendMessage(userId, i18n.t(language, 'language.changed'));
+  await appHome.refreshHome(userId);
+}
+
+/**
+ * Normaliza un PMO ID escrito por el usuario (pmo911, PMO-911) a PMO-911
+ */
+function normalizePmoId(rawPmoId) {
+  return rawPmoId.toUpperCase().replace('PMO', 'PMO-').replace('PMO--', 'PMO-');
+}
+
+/**
+ * Detecta el comando de update a demanda y retorna sus argumentos
+ * ("actualizar PMO-911" → "PMO-911"). null si no es el comando.
+ */
+function parseUpdateCommand(text) {
+  const match = normalizeText(text.trim()).match(/^(actualizar|update|atualizar)\b(.*)$/);
+  if (!match) return null;
+  return match[2].trim();
+}
+
+/**
+ * true si el flujo espera texto libre (descripción de bloqueo o avances)
+ */
+function isAwaitingFreeText(state) {
+  return state?.step === conversationState.CONVERSATION_STEPS.AWAITING_BLOCKER_DESCRIPTION ||
+    state?.step === conversationState.CONVERSATION_STEPS.AWAITING_ADVANCES;
+}
+
+/**
+ * Resuelve los proyectos de un update a demanda: los PMO-IDs indicados o,
+ * si no hay ninguno ("todos", "mis proyectos"), todos los proyectos activos del PM.
+ * Los PMs solo actualizan sus proyectos (incluidos los reasignados); pmo y admin, cualquiera.
+ * @returns {{projects: Array, notFound: Array<string>, forbidden: Array<string>}}
+ */
+async function resolveUpdateProjects(user, args) {
+  const pmoIds = (args.match(/pmo-?\d+/gi) || []).map(normalizePmoId);
+
+  if (pmoIds.length === 0) {
+    if (!user?.asanaName) {
+      return { projects: [], notFound: [], forbidden: [] };
+    }
+    const own = await dynamoService.getProjectsByResponsableName(user.asanaName);
+    const active = own.filter(p => (p.status || '').toLowerCase() !== 'completed');
+    return { projects: updateFlow.sortByPmoId(active), notFound: [], forbidden: [] };
+  }
+
+  const ownGids = roles.can(user, 'updateAnyProject')
+    ? null
+    : new Set((await dynamoService.getProjectsByResponsableName(user?.asanaName)).map(p => p.gid));
+
+  const projects = [];
+  const notFound = [];
+  const forbidden = [];
+  for (const pmoId of [...new Set(pmoIds)]) {
+    const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+    if (!project) {
+      notFound.push(pmoId);
+    } else if (ownGids && !ownGids.has(project.gid)) {
+      forbidden.push(pmoId);
+    } else {
+      projects.push(project);
+    }
+  }
+  return { projects, notFound, forbidden };
+}
+
+/**
+ * Indica si el usuario puede reportar el update de un proyecto: pmo/admin cualquiera;
+ * un pm los suyos (responsable o reasignados), los de su cola de updates (ej. delegados)
+ * y los de un PM ausente que lo dejó de backup
+ * @param {Object|null} user
+ * @param {string} userId
+ * @param {string} projectGid
+ * @param {Object|null} state - Estado de conversación del usuario
+ * @returns {boolean}
+ */
+async function canReportForProject(user, userId, projectGid, state) {
+  if (!roles.can(user, 'reportUpdates', userId)) {
+    return false;
+  }
+  if (roles.can(user, 'updateAnyProject', userId)) {
+    return true;
+  }
+  if ((state?.pendingProjects || []).some(p => p.gid === projectGid)) {
+    return true;
+  }
+
+  const ownsProject = async asanaName => Boolean(asanaName) &&
+    (await dynamoService.getProjectsByResponsableName(asanaName)).some(p => p.gid === projectGid);
+  if (await ownsProject(user?.asanaName)) {
+    return true;
+  }
+
+  const users = await dynamoService.getAllOnboardedUsers();
+  for (const pm of users) {
+    if (absence.getActiveAbsence(pm)?.delegateSlackId === userId && await ownsProject(pm.asanaName)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Indica si el usuario puede administrar el canal de un proyecto (vincular,
+ * desvincular y destino del pulse): pmo/admin cualquiera; un pm solo los
+ * suyos (responsable o reasignados)
+ * @param {Object|null} user
+ * @param {string} userId
+ * @param {string} projectGid
+ * @returns {boolean}
+ */
+async function canManageProjectChannel(user, userId, projectGid) {
+  if (roles.can(user, 'updateAnyProject', userId)) {
+    return true;
+  }
+  if (!roles.can(user, 'reportUpdates', userId) || !user?.asanaName) {
+    return false;
+  }
+  const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
+  return projects.some(p => p.gid === projectGid);
+}
+
+/**
+ * Texto para el resultado de updateFlow.startUpdateFlow
+ */
+function getUpdateFlowResultText(result, lang = i18n.DEFAULT_LANGUAGE) {
+  if (result.started) {
+    return i18n.t(lang, 'update.flowStarted', { count: result.count });
+  }
+  if (result.merged) {
+    return i18n.t(lang, 'update.flowMerged', { count: result.added, pending: result.count });
+  }
+  if (result.reason === 'already_queued') {
+    return i18n.t(lang, 'update.alreadyQueued');
+  }
+  return i18n.t(lang, 'update.noActiveProjects');
+}
+
+/**
+ * Maneja el slash command /pulse <subcomando> [argumentos]
+ * Todas las respuestas son efímeras via response_url.
+ */
+async function handleSlashCommand(payload) {
+  const userId = payload.user_id;
+  const text = (payload.text || '').trim();
+  const [rawSubcommand, ...rest] = text.split(/\s+/);
+  const subcommand = (rawSubcommand || 'help').toLowerCase();
+  const args = rest.join(' ').trim();
+  const respond = (message, blocks = null) => slackService.respondToUrl(payload.response_url, message, blocks);
+
+  console.log(`Slash command de ${userId}: ${payload.command} ${text}`);
+
+  let lang = i18n.DEFAULT_LANGUAGE;
+  try {
+    const user = await dynamoService.getUser(userId);
+    lang = i18n.getUserLanguage(user);
+
+    switch (subcommand) {
+      case 'update': {
+        if (!user?.onboarded || !user.asanaName) {
+          await respond(i18n.t(lang, 'common.needProfile'));
+          return;
+        }
+        if (!roles.can(user, 'reportUpdates', userId)) {
+          await respond(getForbiddenText(user, userId, lang));
+          return;
+        }
+
+        const { projects, notFound, forbidden } = await resolveUpdateProjects(user, args);
+        if (notFound.length > 0) {
+          await respond(i18n.t(lang, 'project.notFoundIds', { pmoIds: notFound.join(', ') }));
+        }
+        if (forbidden.length > 0) {
+          await respond(i18n.t(lang, 'roles.notYourProjects', { pmoIds: forbidden.join(', ') }));
+        }
+        if (projects.length === 0 && notFound.length + forbidden.length > 0) {
+          return;
+        }
+
+        const result = await updateFlow.startUpdateFlow(userId, projects, { merge: true, language: lang });
+        await respond(getUpdateFlowResultText(result, lang));
+        return;
+      }
+
+      case 'status': {
+        if (!roles.can(user, 'viewProjects', userId)) {
+          await respond(getForbiddenText(user, userId, lang));
+          return;
+        }
+        const pmoIdMatch = args.match(/pmo-?\d+/i);
+        if (!pmoIdMatch) {
+          await respond(i18n.t(lang, 'slash.statusUsage'));
+          return;
+        }
+        const pmoId = normalizePmoId(pmoIdMatch[0]);
+        const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+        if (project) {
+          const detail = await getProjectDetailWithBlockers(project, pmoId, lang);
+          await respond(detail.text, detail.blocks);
+        } else {
+          await respond(i18n.t(lang, 'project.notFound', { pmoId }));
+        }
+        return;
+      }
+
+      case 'mine': {
+        if (!user?.asanaName) {
+          await respond(i18n.t(lang, 'common.needProfile'));
+          return;
+        }
+        const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
+        if (projects.length > 0) {
+          await respond(`*${i18n.t(lang, 'project.myProjects', { count: projects.length })}:*\n${messages.getProjectListText(projects, lang)}`);
+        } else {
+          await respond(i18n.t(lang, 'project.noCachedProjects'));
+        }
+        return;
+      }
+
+      case 'search': {
+        if (!roles.can(user, 'viewProjects', userId)) {
+          await respond(getForbiddenText(user, userId, lang));
+          return;
+        }
+        if (args.length < 3) {
+          await respond(i18n.t(lang, 'slash.searchUsage'));
+          return;
+        }
+        const results = await projectSearch.searchProjects(args, 50);
+        if (results.length === 0) {
+          await respond(i18n.t(lang, 'search.noResults'));
+          return;
+        }
+        const lines = results.slice(0, 10).map((p) => {
+          const pmoId = p.pmoId || 'PMO-N/A';
+          return `- ${pmoId} | ${p.name} | ${p.status || i18n.t(lang, 'common.noStatus')}`;
+        }).join('\n');
+        const more = results.length > 10 ? `\n${i18n.t(lang, 'search.more', { count: results.length - 10 })}` : '';
+        await respond(`${i18n.t(lang, 'search.found', { count: results.length })}\n${lines}${more}`);
+        return;
+      }
+
+      case 'snooze': {
+        const state = await conversationState.getConversationState(userId);
+        if (!state || !conversationState.isInUpdateFlow(state)) {
+          await respond(i18n.t(lang, 'slash.noPendingUpdates'));
+          return;
+        }
+        const durationMs = parseSnoozeDuration(args);
+        if (!durationMs) {
+          await respond(i18n.t(lang, 'slash.snoozeUsage'));
+          return;
+        }
+        const snoozeUntil = new Date(Date.now() + durationMs).toISOString();
+        await conversationState.setConversationState(userId, { ...state, snoozeUntil });
+        await respond(i18n.t(lang, 'update.snoozed', { duration: args || '1h' }));
+        return;
+      }
+
+      case 'vincular':
+      case 'link':
+      case 'desvincular':
+      case 'unlink': {
+        // Vínculo del canal donde se ejecutó el comando (no aplica en DMs)
+        if (!payload.channel_id || payload.channel_id.startsWith('D')) {
+          await respond(i18n.t(lang, 'channel.onlyInChannel'));
+          return;
+        }
+        await handleChannelCommand(payload.channel_id, userId, parseChannelCommand(text), lang, respond);
+        return;
+      }
+
+      case 'exportar':
+      case 'export': {
+        if (!user?.onboarded) {
+          await respond(i18n.t(lang, 'common.needProfile'));
+          break;
+        }
+        if (!roles.can(user, 'exportData', userId)) {
+          await respond(getForbiddenText(user, userId, lang));
+          break;
+        }
+        const exportCommand = portfolioExport.parseExportCommand(text, pulseSchedule.getLocalDate(user));
+        const sent = await handleExportCommand(userId, exportCommand, lang, respond);
+        if (sent) {
+          await respond(i18n.t(lang, 'export.sentToDm'));
+        }
+        break;
+      }
+
+      case 'schedule':
+      case 'horario':
+        await slackService.openModal(payload.trigger_id, messages.getScheduleModalView(user?.schedule, lang));
+        return;
+
+      case 'help':
+      case 'ayuda':
+        await respond(i18n.t(lang, 'help.slashTitle'), messages.getSlashCommandHelpBlocks(lang));
+        return;
+
+      default:
+        await respond(i18n.t(lang, 'slash.unknownSubcommand', { subcommand }), messages.getSlashCommandHelpBlocks(lang));
+    }
+  } catch (error) {
+    console.error('Error en slash command:', error);
+    await respond(i18n.t(lang, 'slash.error'));
+  }
 }
 
+/**
+ * Convierte una duración (30m, 2h, 1d) a milisegundos. Sin unidad = horas.
+ * Máximo 7 días.
+ * @returns {number|null}
+ */
+function parseSnoozeDuration(text) {
+  const t = normalizeText((text || '1h').trim());
+  const match = t.match(/^(\d+)\s*(m|min|mins|minutos?|h|hr|hrs|horas?|d|dias?)?$/);
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const unit = (match[2] || 'h').charAt(0);
+  const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[unit];
+  const durationMs = value * unitMs;
+
+  if (durationMs <= 0 || durationMs > 7 * 24 * 60 * 60 * 1000) return null;
+  return durationMs;
 }
 
 /**
@@ -640,8 +1841,25 @@ async function handleBlockActions(payload) {
   const parts = actionId.split('_');
   const actionType = parts[0];
 
+  // Las alertas y los canales vinculados usan el idioma del canal; el resto, el del usuario
+  // (en ellos el usuario solo se lee para validar su rol)
+  const user = await dynamoService.getUser(userId);
+  const inChannel = ['alert', 'channelpulse'].includes(actionType);
+  const lang = i18n.getUserLanguage(inChannel ? null : user);
+
+  const permission = getActionPermission(actionType, parts[1]);
+  if (permission && !roles.can(user, permission, userId)) {
+    const text = getForbiddenText(user, userId, inChannel ? i18n.getChannelLanguage() : lang);
+    if (payload.response_url) {
+      await slackService.respondToUrl(payload.response_url, text);
+    } else {
+      await slackService.sendMessage(userId, text);
+    }
+    return;
+  }
+
   if (actionType === 'status') {
-    // status_{projectGid}_{value}
+    // status_{projectGid}_{value} (botones de mensajes anteriores al formulario)
     const projectGid = parts[1];
     const currentState = await conversationState.getConversationState(userId);
     let projectName = currentState?.currentProjectName || null;
@@ -656,6 +1874,7 @@ async function handleBlockActions(payload) {
     }
 
     await conversationState.setConversationState(userId, {
+      ...currentState,
       step: 'awaiting_blockers',
       currentProjectGid: projectGid,
       currentProjectName: projectName,
@@ -664,7 +1883,6 @@ async function handleBlockActions(payload) {
       lastPromptAt: new Date().toISOString()
     });
     // El mensaje de bloqueos ya esta en el mensaje original
-  } else if (actionType === 'blockers') {
   } else if (actionType === 'blockers') {
     // blockers_{projectGid}_{yes|no}
     const state = await conversationState.getConversationState(userId);
@@ -672,19 +1890,392 @@ async function handleBlockActions(payload) {
 
     await conversationState.setConversationState(userId, {
       ...state,
-      step: 'awaiting_advances',
+      step: hasBlockers
+        ? conversationState.CONVERSATION_STEPS.AWAITING_BLOCKER_DESCRIPTION
+        : conversationState.CONVERSATION_STEPS.AWAITING_ADVANCES,
       hasBlockers,
       lastPromptAt: new Date().toISOString()
     });
 
-    // Pedir descripción de avances
-    await slackService.sendMessage(userId, 'Por favor describe brevemente los *avances* desde tu último update:');
+    if (hasBlockers) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'update.askBlocker'));
+    } else {
+      // Pedir descripción de avances
+      await slackService.sendMessage(userId, i18n.t(lang, 'update.askAdvances'));
+    }
+  } else if (actionType === 'alert') {
+    // alert_{ack|assign|resolve}: botones de la alerta en el canal PMO
+    await alerts.handleAlertAction(parts[1], JSON.parse(value), userId);
+  } else if (actionType === 'channelpulse') {
+    // channelpulse_{on|off}: destino del pulse de un proyecto vinculado (value = gid)
+    if (!await canManageProjectChannel(user, userId, value)) {
+      const current = await dynamoService.getProjectChannel(value);
+      await slackService.respondToUrl(payload.response_url, i18n.t(lang, 'roles.notYourProjects', { pmoIds: current?.projectPmoId || value }));
+      return;
+    }
+    const link = await projectChannels.setChannelPulse(value, parts[1] === 'on', userId);
+    if (!link) {
+      await slackService.respondToUrl(payload.response_url, i18n.t(i18n.getChannelLanguage(), 'channel.notLinked'));
+    }
+  } else if (actionType === 'advances') {
+    // advances_expand: texto completo de un update resumido (solo lo ve quien lo pide)
+    const { projectGid, sk } = JSON.parse(value);
+    const update = await dynamoService.getUpdate(projectGid, sk);
+    // En canales (alertas) el idioma del canal; en DM, el del usuario
+    const replyLang = payload.channel?.id?.startsWith('D') ? lang : i18n.getChannelLanguage();
+    const text = update
+      ? i18n.t(replyLang, 'summary.fullText', {
+        project: update.projectName,
+        date: i18n.formatDate(update.timestamp, replyLang),
+        advances: update.advances || i18n.t(replyLang, 'alert.noAdvances')
+      })
+      : i18n.t(replyLang, 'summary.notFound');
+    await slackService.respondToUrl(payload.response_url, text.slice(0, 3000));
+  } else if (actionType === 'updateform') {
+    // updateform_{projectGid}: abrir el formulario de update
+    const projectGid = parts[1];
+    const state = await conversationState.getConversationState(userId);
+    const pending = (state?.pendingProjects || []).find(p => p.gid === projectGid);
+
+    // El pulse de un canal vinculado lo ven todos sus miembros: solo reporta quien puede hacerlo por el proyecto
+    if (!pending && !await canReportForProject(user, userId, projectGid, state)) {
+      const text = i18n.t(lang, 'roles.notYourProjects', { pmoIds: value || projectGid });
+      if (payload.response_url) {
+        await slackService.respondToUrl(payload.response_url, text);
+      } else {
+        await slackService.sendMessage(userId, text);
+      }
+      return;
+    }
+
+    const openBlockers = await dynamoService.getOpenBlockers(projectGid);
+
+    await slackService.openModal(payload.trigger_id, messages.getUpdateModalView({
+      gid: projectGid,
+      name: pending?.name || value,
+      pmoId: pending?.pmoId || null
+    }, openBlockers, lang));
+  } else if (actionType === 'updatepick') {
+    // updatepick_select: cambio en el selector, se lee al presionar el botón
+    // updatepick_submit / updatepick_all: iniciar update a demanda
+    if (parts[1] === 'select') {
+      return;
+    }
+
+    if (!user?.asanaName) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'common.needName'));
+      return;
+    }
+
+    const own = await dynamoService.getProjectsByResponsableName(user.asanaName);
+    const active = updateFlow.sortByPmoId(
+      own.filter(p => (p.status || '').toLowerCase() !== 'completed')
+    );
+
+    let projects = active;
+    if (parts[1] === 'submit') {
+      const selectedGids = getSelectedProjectGids(payload.state?.values);
+      projects = active.filter(p => selectedGids.includes(p.gid));
+      if (projects.length === 0) {
+        await slackService.sendMessage(userId, i18n.t(lang, 'update.selectAtLeastOne'));
+        return;
+      }
+    }
+
+    const result = await updateFlow.startUpdateFlow(userId, projects, { merge: true, language: lang });
+    if (!result.started) {
+      await slackService.sendMessage(userId, getUpdateFlowResultText(result, lang));
+    }
   } else if (actionType === 'timezone') {
-    // timezone_{value}
-    await dynamoService.updateUser(userId, {
-      timezone: value,
-      onboarded: true
-    });
-    await slackService.sendMessage(userId, null, messages.getOnboardingCompleteBlocks(value));
+    // timezone_{value}: completa el onboarding con el horario por defecto
+    const schedule = user?.schedule || {
+      ...pulseSchedule.DEFAULT_SCHEDULE,
+      days: [...pulseSchedule.DEFAULT_SCHEDULE.days]
+    };
+    const updates = { timezone: value, schedule, onboarded: true };
+    // Rol inicial: pm si es responsable de algún proyecto, viewer si no (un admin lo cambia después)
+    if (!roles.normalizeRole(user?.role)) {
+      updates.role = roles.getInitialRole(await dynamoService.getProjectsByResponsableName(user?.asanaName));
+    }
+    await dynamoService.updateUser(userId, updates);
+    await slackService.sendMessage(userId, null, messages.getOnboardingCompleteBlocks(value, schedule, lang));
+    if (roles.getRole({ ...user, ...updates }, userId) === 'viewer') {
+      await slackService.sendMessage(userId, i18n.t(lang, 'roles.viewerWelcome'));
+    }
+  } else if (actionType === 'responsable') {
+    // responsable_pick_{n} / responsable_keep: responsable elegido en el onboarding
+    if (!user || user.onboarded || !value) return;
+    await linkResponsable(userId, value, lang);
+  } else if (actionType === 'schedule') {
+    // schedule_open: abrir el formulario de horario
+    await slackService.openModal(payload.trigger_id, messages.getScheduleModalView(user?.schedule, lang));
+  } else if (actionType === 'absence') {
+    // absence_open / absence_cancel: control de ausencia en la Home
+    if (parts[1] === 'open') {
+      await slackService.openModal(
+        payload.trigger_id,
+        messages.getAbsenceModalView(pulseSchedule.getLocalDate(user), lang)
+      );
+    } else if (parts[1] === 'cancel') {
+      await cancelAbsence(userId, lang);
+    }
+  } else if (actionType === 'home') {
+    // home_{update|snooze|history|asana}_{projectGid}: botones de la Home
+    await handleHomeAction(userId, parts[1], parts[2], lang);
+  } else if (actionType === 'language') {
+    // language_{es|en|pt}: selector de idioma (onboarding o comando "idioma")
+    if (!user) return;
+    const language = i18n.normalizeLanguage(parts[1]);
+    if (user.onboarded) {
+      await changeUserLanguage(userId, language);
+      return;
+    }
+    // Durante el onboarding se repite la pregunta pendiente en el idioma elegido
+    await dynamoService.updateUser(userId, { language });
+    const blocks = user.asanaName
+      ? messages.getOnboardingTimezoneBlocks(language)
+      : messages.getOnboardingNameBlocks(language);
+    await slackService.sendMessage(userId, null, blocks);
+  }
+}
+
+/**
+ * Permiso que requiere un botón (null: cualquier usuario)
+ * @param {string} actionType
+ * @param {string} subaction - Segunda parte del action_id
+ * @returns {string|null}
+ */
+function getActionPermission(actionType, subaction) {
+  if (actionType === 'home') {
+    return ['update', 'snooze'].includes(subaction) ? 'reportUpdates' : null;
+  }
+  return ACTION_PERMISSIONS[actionType] || null;
+}
+
+/**
+ * Maneja el envío de los modales (callback_id update_form, schedule_form o absence_form)
+ * @returns {Object|null} Respuesta para Slack (errores de validación) o null para cerrar el modal
+ */
+async function handleViewSubmission(payload) {
+  const view = payload.view || {};
+  if (view.callback_id === 'schedule_form') {
+    return handleScheduleSubmission(payload);
+  }
+  if (view.callback_id === 'absence_form') {
+    return handleAbsenceSubmission(payload);
+  }
+  if (view.callback_id !== 'update_form') {
+    return null;
+  }
+
+  const values = messages.parseUpdateModalValues(view.state?.values);
+  const user = await dynamoService.getUser(payload.user.id);
+  const lang = i18n.getUserLanguage(user);
+
+  // El formulario también se abre desde el pulse de un canal vinculado: validar el rol de quien lo envía
+  if (!roles.can(user, 'reportUpdates', payload.user.id)) {
+    return { response_action: 'errors', errors: { status: getForbiddenText(user, payload.user.id, lang) } };
+  }
+
+  const errors = getUpdateFormErrors(values, lang);
+  if (Object.keys(errors).length > 0) {
+    return { response_action: 'errors', errors };
+  }
+
+  // Guardar, publicar en Asana y alertar toma más de 3 segundos: va al worker
+  await eventQueue.enqueue({ type: 'update_form', payload }, processJob);
+  return null;
+}
+
+/**
+ * Completa el update enviado en el formulario (ya validado)
+ * @param {Object} payload - Payload de view_submission
+ */
+async function submitUpdateForm(payload) {
+  const userId = payload.user.id;
+  const view = payload.view;
+  const metadata = JSON.parse(view.private_metadata || '{}');
+  const values = messages.parseUpdateModalValues(view.state?.values);
+
+  const user = await dynamoService.getUser(userId);
+  const lang = i18n.getUserLanguage(user);
+
+  if (!roles.can(user, 'reportUpdates', userId)) {
+    console.warn(`Formulario de update de ${userId} rechazado: rol ${roles.getRole(user, userId)}`);
+    await slackService.sendMessage(userId, getForbiddenText(user, userId, lang));
+    return;
+  }
+
+  const state = await conversationState.getConversationState(userId);
+  if (!await canReportForProject(user, userId, metadata.projectGid, state)) {
+    console.warn(`Formulario de update de ${userId} rechazado: no reporta el proyecto ${metadata.projectGid}`);
+    await slackService.sendMessage(userId, i18n.t(lang, 'roles.notYourProjects', {
+      pmoIds: metadata.projectName || metadata.projectGid
+    }));
+    return;
+  }
+
+  console.log(`Formulario de update de ${userId} para proyecto ${metadata.projectGid}`);
+
+  // Bloqueos mostrados en el modal que el PM desmarcó: resueltos
+  const stillOpenIds = values.stillOpenBlockerIds || [];
+  const resolveIds = (metadata.blockerIds || []).filter(id => !stillOpenIds.includes(id));
+
+  await completeUpdate(userId, state, {
+    projectGid: metadata.projectGid,
+    projectName: metadata.projectName,
+    status: values.status,
+    advances: values.advances,
+    hasBlockers: values.hasBlockers || stillOpenIds.length > 0,
+    blockerDescription: values.hasBlockers ? values.blockerDescription : null,
+    blockerCategory: values.hasBlockers ? values.blockerCategory : null,
+    nextSteps: values.nextSteps,
+    newDueDate: values.newDueDate
+  }, { resolveIds }, lang);
+}
+
+/**
+ * Valida el formulario de horario (callback_id schedule_form); el guardado va al worker
+ * @returns {Object|null} Errores de validación o null para cerrar el modal
+ */
+async function handleScheduleSubmission(payload) {
+  const values = messages.parseScheduleModalValues(payload.view.state?.values);
+
+  if (values.days.length === 0) {
+    const user = await dynamoService.getUser(payload.user.id);
+    const lang = i18n.getUserLanguage(user);
+    return { response_action: 'errors', errors: { schedule_days: i18n.t(lang, 'schedule.errorNoDays') } };
+  }
+
+  await eventQueue.enqueue({ type: 'schedule_form', payload }, processJob);
+  return null;
+}
+
+/**
+ * Guarda el horario de updates del formulario (ya validado)
+ * @param {Object} payload - Payload de view_submission
+ */
+async function submitScheduleForm(payload) {
+  const userId = payload.user.id;
+  const values = messages.parseScheduleModalValues(payload.view.state?.values);
+
+  const user = await dynamoService.getUser(userId);
+  const lang = i18n.getUserLanguage(user);
+
+  // startDate ancla la frecuencia cada 2 semanas a la semana en que se configuró
+  const schedule = {
+    ...pulseSchedule.normalizeSchedule(values),
+    startDate: pulseSchedule.getLocalDate(user)
+  };
+  console.log(`Horario de ${userId} actualizado:`, schedule);
+
+  await dynamoService.updateUser(userId, { schedule });
+  await slackService.sendMessage(userId, i18n.t(lang, 'schedule.saved', {
+    summary: messages.getScheduleSummary(schedule, lang)
+  }));
+  await appHome.refreshHome(userId);
+}
+
+/**
+ * Valida el formulario de ausencia de la Home (callback_id absence_form); el guardado
+ * y los avisos van al worker
+ * @returns {Object|null} Errores de validación o null para cerrar el modal
+ */
+async function handleAbsenceSubmission(payload) {
+  const userId = payload.user.id;
+  const values = messages.parseAbsenceModalValues(payload.view.state?.values);
+
+  const user = await dynamoService.getUser(userId);
+  const lang = i18n.getUserLanguage(user);
+
+  if (!absence.isValidAbsenceRange(values.from, values.to, pulseSchedule.getLocalDate(user))) {
+    return { response_action: 'errors', errors: { absence_to: i18n.t(lang, 'absence.invalid') } };
+  }
+  if (values.delegateSlackId === userId) {
+    return { response_action: 'errors', errors: { absence_delegate: i18n.t(lang, 'absence.selfDelegate') } };
+  }
+
+  await eventQueue.enqueue({ type: 'absence_form', payload }, processJob);
+  return null;
+}
+
+/**
+ * Guarda la ausencia del formulario (ya validado) y avisa al backup
+ * @param {Object} payload - Payload de view_submission
+ */
+async function submitAbsenceForm(payload) {
+  const userId = payload.user.id;
+  const values = messages.parseAbsenceModalValues(payload.view.state?.values);
+
+  const user = await dynamoService.getUser(userId);
+  await saveAbsence(userId, user, values, i18n.getUserLanguage(user));
+}
+
+/**
+ * Botones de los proyectos en la Home
+ * @param {string} userId
+ * @param {string} action - update | snooze | history | asana
+ * @param {string} projectGid
+ * @param {string} lang
+ */
+async function handleHomeAction(userId, action, projectGid, lang) {
+  if (action === 'asana') {
+    // Botón con url: Slack abre Asana, no hay nada que hacer
+    return;
+  }
+
+  if (action === 'snooze') {
+    const state = await conversationState.getConversationState(userId);
+    if (!state || !conversationState.isInUpdateFlow(state)) {
+      await slackService.sendMessage(userId, i18n.t(lang, 'slash.noPendingUpdates'));
+      return;
+    }
+    const snoozeUntil = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await conversationState.setConversationState(userId, { ...state, snoozeUntil });
+    await slackService.sendMessage(userId, i18n.t(lang, 'update.snoozedOneHour'));
+    return;
+  }
+
+  const project = await dynamoService.getCachedProject(projectGid);
+  if (!project) {
+    await slackService.sendMessage(userId, i18n.t(lang, 'project.notFound', { pmoId: projectGid }));
+    return;
+  }
+
+  if (action === 'history') {
+    const state = await conversationState.getConversationState(userId);
+    await startProjectHistory(userId, project, state, lang);
+  } else if (action === 'update') {
+    const result = await updateFlow.startUpdateFlow(userId, [project], { merge: true, language: lang });
+    if (!result.started) {
+      await slackService.sendMessage(userId, getUpdateFlowResultText(result, lang));
+    }
+  }
+}
+
+/**
+ * Valida el formulario de update. Retorna errores por block_id.
+ */
+function getUpdateFormErrors(values, lang = i18n.DEFAULT_LANGUAGE) {
+  const errors = {};
+  if (values.hasBlockers && !values.blockerDescription) {
+    errors.blocker_description = i18n.t(lang, 'modal.errorBlockerDescription');
+  }
+  if (values.newDueDate && values.newDueDate < new Date().toISOString().split('T')[0]) {
+    errors.due_date = i18n.t(lang, 'modal.errorDueDatePast');
+  }
+  return errors;
+}
+
+/**
+ * Obtiene los gids elegidos en el selector updatepick_select del mensaje
+ */
+function getSelectedProjectGids(stateValues) {
+  for (const block of Object.values(stateValues || {})) {
+    const select = block.updatepick_select;
+    if (select) {
+      return (select.selected_options || []).map(o => o.value);
+    }
   }
+  return [];
 }
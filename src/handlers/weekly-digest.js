@@ -0,0 +1,102 @@
+/**
+ * Weekly Digest Handler
+ *
+ * Disparado por EventBridge una vez por semana (Viernes).
+ * Analiza todos los proyectos del cache global y publica en el canal PMO
+ * un resumen del portafolio, con el detalle por responsable en el hilo.
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('../lib/messages');
+const riskDetector = require('../lib/risk-detector');
+const { buildPortfolioDigest } = require('../lib/portfolio-digest');
+const i18n = require('../lib/i18n');
+
+// Analisis en paralelo moderado para no saturar DynamoDB
+const ANALYSIS_BATCH_SIZE = 25;
+
+/**
+ * Handler principal de Lambda
+ */
+exports.handler = async (event) => {
+  console.log('Weekly Digest iniciado:', new Date().toISOString());
+
+  const channel = process.env.SLACK_CHANNEL_PMO;
+  if (!channel) {
+    console.error('SLACK_CHANNEL_PMO no configurado');
+    return { statusCode: 500, body: JSON.stringify({ error: 'SLACK_CHANNEL_PMO no configurado' }) };
+  }
+
+  const stats = {
+    projectsAnalyzed: 0,
+    responsables: 0,
+    threadRepliesSent: 0,
+    errors: []
+  };
+
+  try {
+    // 1. Proyectos del cache global
+    const projects = await dynamoService.getAllCachedProjects();
+    console.log(`Proyectos en cache: ${projects.length}`);
+
+    // 2. Analizar riesgo de cada proyecto
+    const analysesByGid = new Map();
+    for (let i = 0; i < projects.length; i += ANALYSIS_BATCH_SIZE) {
+      const batch = projects.slice(i, i + ANALYSIS_BATCH_SIZE);
+      const results = await Promise.all(
+        batch.map(project => riskDetector.analyzeProjectRisk(project.gid, dynamoService, project))
+      );
+      batch.forEach((project, index) => analysesByGid.set(project.gid, results[index]));
+    }
+    stats.projectsAnalyzed = analysesByGid.size;
+
+    // 3. Armar y publicar el digest
+    const digest = buildPortfolioDigest(projects, analysesByGid);
+    stats.responsables = digest.byResponsable.length;
+
+    const lang = i18n.getChannelLanguage();
+    const response = await slackService.sendMessage(
+      channel,
+      i18n.t(lang, 'digest.text', { count: digest.total }),
+      messages.getWeeklyDigestBlocks(digest, lang)
+    );
+    const threadTs = response?.ts;
+
+    // 4. Detalle por responsable en el hilo
+    for (const group of digest.byResponsable) {
+      try {
+        await slackService.sendMessage(
+          channel,
+          i18n.t(lang, 'digest.responsableText', { responsable: group.responsable }),
+          messages.getResponsableDigestBlocks(group, lang),
+          { thread_ts: threadTs }
+        );
+        stats.threadRepliesSent++;
+        await sleep(1000); // Slack: ~1 mensaje por segundo por canal
+      } catch (replyError) {
+        stats.errors.push({ responsable: group.responsable, error: replyError.message });
+      }
+    }
+
+    console.log('Weekly Digest completado:', stats);
+    return {
+      statusCode: 200,
+      body: JSON.stringify(stats)
+    };
+
+  } catch (error) {
+    console.error('Error en Weekly Digest:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+/**
+ * Función auxiliar para esperar
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,184 @@
+/**
+ * Absence
+ *
+ * Ausencias de los PMs (vacaciones, licencias) guardadas en user.absence:
+ *   { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', delegateSlackId, createdAt, gapNotifiedAt }
+ *
+ * Durante la ausencia no se envían solicitudes de update ni recordatorios.
+ * Si hay backup (delegateSlackId), las solicitudes de sus proyectos le llegan
+ * a él. Al comenzar la ausencia se avisa al canal PMO si el PM deja
+ * proyectos Off Track (brecha de cobertura).
+ */
+
+const { DateTime } = require('luxon');
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('./messages');
+const i18n = require('./i18n');
+const pulseSchedule = require('./pulse-schedule');
+const { normalizeText, parseCommandDate } = require('./text');
+const { normalizeProjectStatus } = require('./portfolio-digest');
+
+const COMMAND_PATTERN = /^(vacaciones|ausencia|vacation|out of office|ferias)\b(.*)$/;
+const CANCEL_WORDS = ['cancelar', 'cancel', 'fin', 'terminar', 'end', 'off'];
+const MENTION_PATTERN = /<@([A-Z0-9]+)(?:\|[^>]*)?>/;
+
+/**
+ * Valida un rango de ausencia: término no anterior al inicio ni a hoy
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD local del PM
+ * @returns {boolean}
+ */
+function isValidAbsenceRange(from, to, today) {
+  return Boolean(from && to) && to >= from && to >= today;
+}
+
+/**
+ * Interpreta el comando de ausencia:
+ *   "vacaciones desde 20/12 hasta 05/01 @backup", "vacaciones hasta 05/01",
+ *   "vacation from 2024-12-20 to 2025-01-05", "ferias de 20/12 ate 05/01",
+ *   "vacaciones cancelar", "vacaciones"
+ * @param {string} text - Texto original (las menciones de Slack conservan mayúsculas)
+ * @param {string} today - YYYY-MM-DD local del PM
+ * @returns {Object|null} { action: 'status' | 'cancel' | 'set' | 'invalid', from, to, delegateSlackId }
+ */
+function parseAbsenceCommand(text, today) {
+  const mention = text.match(MENTION_PATTERN);
+  const withoutMention = text.replace(MENTION_PATTERN, ' ');
+
+  const match = normalizeText(withoutMention.trim()).match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  // Lo que sigue a "delegar a" / "backup" es solo el backup
+  const args = match[2]
+    .replace(/\b(delegar|delegate|delegando|backup|respaldo)\b.*$/, '')
+    .trim();
+
+  if (!args && !mention) {
+    return { action: 'status' };
+  }
+  if (CANCEL_WORDS.includes(args)) {
+    return { action: 'cancel' };
+  }
+
+  const range = args.match(/^(?:(?:desde|from|de)\s+(\S+)\s+)?(?:hasta|to|until|ate|al|a)\s+(\S+)$/);
+  if (!range) {
+    return { action: 'invalid' };
+  }
+
+  const from = range[1] ? parseCommandDate(range[1], today) : today;
+  const to = parseCommandDate(range[2], today);
+  if (!isValidAbsenceRange(from, to, today)) {
+    return { action: 'invalid' };
+  }
+
+  return {
+    action: 'set',
+    from,
+    to,
+    delegateSlackId: mention ? mention[1] : null
+  };
+}
+
+/**
+ * Ausencia del usuario que cubre la fecha local actual (o null)
+ * @param {Object} user
+ * @param {DateTime} now
+ * @returns {Object|null}
+ */
+function getActiveAbsence(user, now = DateTime.utc()) {
+  const absence = user?.absence;
+  if (!absence?.from || !absence?.to) return null;
+
+  const today = pulseSchedule.getLocalDate(user, now);
+  return absence.from <= today && today <= absence.to ? absence : null;
+}
+
+/**
+ * Indica si el usuario está ausente hoy (en su timezone)
+ * @param {Object} user
+ * @param {DateTime} now
+ * @returns {boolean}
+ */
+function isAbsent(user, now = DateTime.utc()) {
+  return getActiveAbsence(user, now) !== null;
+}
+
+/**
+ * Ausencia registrada que todavía no termina (activa o futura)
+ * @param {Object} user
+ * @param {DateTime} now
+ * @returns {Object|null}
+ */
+function getUpcomingAbsence(user, now = DateTime.utc()) {
+  const absence = user?.absence;
+  if (!absence?.to) return null;
+  return absence.to >= pulseSchedule.getLocalDate(user, now) ? absence : null;
+}
+
+/**
+ * Proyectos activos del PM cuyo último estado reportado es Off Track
+ * @param {Object} user
+ * @returns {Array}
+ */
+async function getOffTrackProjects(user) {
+  if (!user?.asanaName) return [];
+
+  const projects = await dynamoService.getProjectsByResponsableName(user.asanaName);
+  const offTrack = [];
+  for (const project of projects) {
+    if ((project.status || '').toLowerCase() === 'completed') continue;
+
+    const [lastUpdate] = await dynamoService.getLastUpdates(project.gid, 1);
+    const status = lastUpdate?.status || normalizeProjectStatus(project.status);
+    if (status === 'off_track') {
+      offTrack.push(project);
+    }
+  }
+  return offTrack;
+}
+
+/**
+ * Avisa al canal PMO de la brecha de cobertura si el PM ausente deja
+ * proyectos Off Track. Marca la ausencia como notificada en ambos casos.
+ * @param {Object} user - Usuario con absence activa
+ * @returns {{notified: boolean, offTrack: number}}
+ */
+async function notifyCoverageGap(user) {
+  const absence = user.absence;
+  const offTrack = await getOffTrackProjects(user);
+  const channel = process.env.SLACK_CHANNEL_PMO;
+
+  if (offTrack.length > 0 && channel) {
+    const lang = i18n.getChannelLanguage();
+    const params = {
+      pm: user.slackUserId,
+      from: i18n.formatDate(absence.from, lang),
+      to: i18n.formatDate(absence.to, lang)
+    };
+    await slackService.sendMessage(
+      channel,
+      i18n.t(lang, 'absence.gapText', params),
+      messages.getCoverageGapBlocks(params, absence.delegateSlackId, offTrack, lang)
+    );
+  } else if (offTrack.length > 0) {
+    console.error('SLACK_CHANNEL_PMO no configurado');
+  }
+
+  await dynamoService.updateUser(user.slackUserId, {
+    absence: { ...absence, gapNotifiedAt: new Date().toISOString() }
+  });
+
+  return { notified: offTrack.length > 0 && Boolean(channel), offTrack: offTrack.length };
+}
+
+module.exports = {
+  parseAbsenceCommand,
+  isValidAbsenceRange,
+  getActiveAbsence,
+  getUpcomingAbsence,
+  isAbsent,
+  getOffTrackProjects,
+  notifyCoverageGap
+};
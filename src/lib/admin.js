@@ -0,0 +1,292 @@
+/**
+ * Admin
+ *
+ * Comandos por DM para los usuarios con rol admin (lib/roles):
+ *   "admin usuarios"                       -> usuarios con su rol
+ *   "admin rol @ana pmo"                   -> cambia el rol de un usuario
+ *   "admin pulse @ana" / "admin pulse todos" -> ejecuta ahora el pulse (ignora el horario)
+ *   "admin refrescar cache [completo]"     -> refresca el cache de proyectos
+ *   "admin recordar"                       -> envía ahora los recordatorios pendientes
+ *   "admin reasignar PMO-911 PMO-912 @ana" -> reasigna proyectos (sin modificar Asana)
+ *   "admin pendientes @ana"                -> updates pendientes de un usuario
+ *   "admin reset @ana"                     -> reinicia el perfil de un usuario
+ *
+ * El permiso se valida en el handler antes de ejecutar el comando. pulse, cache
+ * y recordar ejecutan el mismo código que los crons y responden sus estadísticas.
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const conversationState = require('./conversation-state');
+const roles = require('./roles');
+const i18n = require('./i18n');
+const { normalizeText } = require('./text');
+const scheduledPulse = require('../handlers/scheduled-pulse');
+const cacheRefresh = require('../handlers/cache-refresh');
+const reminder = require('../handlers/reminder');
+
+const COMMAND_PATTERN = /^admin\b(?:\s+(\S+))?(.*)$/;
+const MENTION_PATTERN = /<@([A-Z0-9]+)(?:\|[^>]*)?>/g;
+const ACTIONS = {
+  usuarios: 'users',
+  users: 'users',
+  rol: 'role',
+  role: 'role',
+  papel: 'role',
+  pulse: 'pulse',
+  reasignar: 'reassign',
+  reassign: 'reassign',
+  reatribuir: 'reassign',
+  pendientes: 'pending',
+  pending: 'pending',
+  pendentes: 'pending',
+  reset: 'reset',
+  reiniciar: 'reset',
+  refrescar: 'cache',
+  refresh: 'cache',
+  atualizar: 'cache',
+  recordar: 'remind',
+  remind: 'remind',
+  lembrar: 'remind'
+};
+const ALL_WORDS = ['todos', 'all', 'tudo'];
+const FULL_WORDS = ['completo', 'full'];
+
+function normalizeName(text) {
+  return normalizeText(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Interpreta un comando "admin ..."
+ * @param {string} text - Texto original (las menciones de Slack conservan mayúsculas)
+ * @returns {{action: string, userIds: Array<string>, pmoIds: Array<string>, role: string|null, all: boolean, full: boolean}|null}
+ *   null si no es un comando admin; action 'help' si el subcomando no se reconoce
+ */
+function parseAdminCommand(text) {
+  const original = String(text || '');
+  // Sin las menciones: un Slack ID no debe leerse como PMO-ID ni como rol
+  const match = normalizeText(original.replace(MENTION_PATTERN, ' ').trim()).match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const args = match[2] || '';
+  const words = args.split(/\s+/);
+  return {
+    action: ACTIONS[match[1]] || 'help',
+    userIds: [...original.matchAll(MENTION_PATTERN)].map(m => m[1]),
+    pmoIds: [...new Set((args.match(/pmo-?\d+/g) || []).map(id => id.toUpperCase().replace(/^PMO-?/, 'PMO-')))],
+    role: words.map(roles.normalizeRole).find(Boolean) || null,
+    all: words.some(word => ALL_WORDS.includes(word)),
+    full: words.some(word => FULL_WORDS.includes(word))
+  };
+}
+
+/**
+ * Ejecuta un comando admin (quien lo pide ya fue validado como admin)
+ * @param {string} adminId - Slack ID del admin
+ * @param {Object} command - Resultado de parseAdminCommand
+ * @param {string} lang - Idioma del admin
+ * @returns {string} Respuesta para el admin
+ */
+async function executeAdminCommand(adminId, command, lang = i18n.DEFAULT_LANGUAGE) {
+  if (command.action === 'users') {
+    return listUsers(lang);
+  }
+  if (command.action === 'help') {
+    return i18n.t(lang, 'admin.help');
+  }
+  if (command.action === 'cache') {
+    return runJob(adminId, 'admin.cacheRefreshDone', () => cacheRefresh.runCacheRefresh({ fullRefresh: command.full }), lang);
+  }
+  if (command.action === 'remind') {
+    return runJob(adminId, 'admin.remindersDone', () => reminder.runReminders(), lang);
+  }
+  if (command.action === 'pulse' && command.all) {
+    return runJob(adminId, 'admin.pulseAllDone', () => scheduledPulse.runPulse({ force: true }), lang);
+  }
+
+  const targetId = command.userIds[0];
+  if (!targetId) {
+    return i18n.t(lang, 'admin.needUser');
+  }
+  const target = await dynamoService.getUser(targetId);
+  if (!target) {
+    return i18n.t(lang, 'admin.userNotFound', { user: targetId });
+  }
+
+  switch (command.action) {
+    case 'role':
+      return changeRole(adminId, target, command.role, lang);
+    case 'pulse':
+      return forcePulse(adminId, target, lang);
+    case 'reassign':
+      return reassignProjects(adminId, target, command.pmoIds, lang);
+    case 'pending':
+      return getPendingUpdates(target, lang);
+    case 'reset':
+      await dynamoService.deleteUser(target.slackUserId);
+      console.log(`Perfil de ${target.slackUserId} reiniciado por ${adminId}`);
+      return i18n.t(lang, 'admin.resetDone', { user: target.slackUserId });
+    default:
+      return i18n.t(lang, 'admin.help');
+  }
+}
+
+/**
+ * Listado de usuarios agrupados por rol
+ */
+async function listUsers(lang) {
+  const users = await dynamoService.getAllUsers();
+  if (users.length === 0) {
+    return i18n.t(lang, 'admin.noUsers');
+  }
+
+  const lines = users
+    .map(user => ({ user, role: roles.getRole(user) }))
+    .sort((a, b) => roles.ROLES.indexOf(a.role) - roles.ROLES.indexOf(b.role) ||
+      (a.user.asanaName || '').localeCompare(b.user.asanaName || ''))
+    .map(({ user, role }) => {
+      const details = [
+        i18n.t(lang, `roles.names.${role}`),
+        user.asanaName,
+        roles.isBootstrapAdmin(user.slackUserId) ? 'ADMIN_SLACK_IDS' : null,
+        user.onboarded ? null : i18n.t(lang, 'admin.onboardingPending')
+      ].filter(Boolean);
+      return `• <@${user.slackUserId}> · ${details.join(' · ')}`;
+    });
+
+  return i18n.t(lang, 'admin.users', { count: users.length, lines: lines.join('\n') });
+}
+
+async function changeRole(adminId, target, role, lang) {
+  if (!role) {
+    return i18n.t(lang, 'admin.invalidRole');
+  }
+  if (roles.isBootstrapAdmin(target.slackUserId) && role !== 'admin') {
+    return i18n.t(lang, 'admin.bootstrapRole', { user: target.slackUserId });
+  }
+
+  await dynamoService.updateUser(target.slackUserId, { role, roleUpdatedBy: adminId });
+  console.log(`Rol de ${target.slackUserId} cambiado a ${role} por ${adminId}`);
+
+  await notify(target, 'roles.changed', {
+    role: i18n.t(i18n.getUserLanguage(target), `roles.names.${role}`),
+    admin: adminId
+  });
+  return i18n.t(lang, 'admin.roleChanged', { user: target.slackUserId, role: i18n.t(lang, `roles.names.${role}`) });
+}
+
+/**
+ * Pulse forzado de un usuario: sus proyectos activos se suman a su cola de updates
+ */
+async function forcePulse(adminId, target, lang) {
+  const user = target.slackUserId;
+  if (!target.onboarded || !target.asanaName) {
+    return i18n.t(lang, 'admin.noProfile', { user });
+  }
+  return runJob(adminId, 'admin.pulseUserDone', () => scheduledPulse.runPulse({ userIds: [user], force: true }), lang, { user });
+}
+
+/**
+ * Ejecuta el núcleo de un cron y responde sus estadísticas (o el error)
+ */
+async function runJob(adminId, key, job, lang, params = {}) {
+  try {
+    const stats = await job();
+    console.log(`${key} ejecutado por ${adminId}:`, JSON.stringify(stats));
+    return i18n.t(lang, key, { ...params, stats: `\`\`\`${JSON.stringify(stats, null, 2)}\`\`\`` });
+  } catch (error) {
+    console.error(`Error ejecutando ${key} (pedido por ${adminId}):`, error);
+    return i18n.t(lang, 'admin.jobFailed', { error: error.message });
+  }
+}
+
+/**
+ * Reasigna proyectos al usuario. Si el usuario es el responsable en Asana
+ * se elimina la reasignación (el proyecto vuelve a su responsable).
+ */
+async function reassignProjects(adminId, target, pmoIds, lang) {
+  const user = target.slackUserId;
+  if (pmoIds.length === 0) {
+    return i18n.t(lang, 'admin.reassignUsage');
+  }
+  if (!target.asanaName) {
+    return i18n.t(lang, 'admin.noProfile', { user });
+  }
+  if (!roles.can(target, 'reportUpdates')) {
+    return i18n.t(lang, 'admin.reassignViewer', { user });
+  }
+
+  const assigned = [];
+  const notFound = [];
+  for (const pmoId of pmoIds) {
+    const project = await dynamoService.getProjectByPmoIdCached(pmoId);
+    if (!project) {
+      notFound.push(pmoId);
+      continue;
+    }
+    const isAsanaResponsable = normalizeName(project.responsable) === normalizeName(target.asanaName);
+    await dynamoService.setProjectAssignment(project.gid, isAsanaResponsable ? null : {
+      asanaName: target.asanaName,
+      slackUserId: user,
+      assignedBy: adminId
+    });
+    assigned.push(pmoId);
+  }
+  console.log(`Proyectos ${assigned.join(', ')} reasignados a ${user} por ${adminId}`);
+
+  const lines = [];
+  if (assigned.length > 0) {
+    const params = { count: assigned.length, pmoIds: assigned.join(', ') };
+    lines.push(i18n.t(lang, 'admin.reassigned', { ...params, user, name: target.asanaName }));
+    await notify(target, 'admin.reassignedNotice', { ...params, admin: adminId });
+  }
+  if (notFound.length > 0) {
+    lines.push(i18n.t(lang, 'project.notFoundIds', { pmoIds: notFound.join(', ') }));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Proyectos que le quedan por reportar al usuario en su cola de updates
+ */
+async function getPendingUpdates(target, lang) {
+  const user = target.slackUserId;
+  const state = await conversationState.getConversationState(user);
+  if (!state || !conversationState.isInUpdateFlow(state)) {
+    return i18n.t(lang, 'admin.pendingNone', { user });
+  }
+
+  const currentIndex = typeof state.currentIndex === 'number' ? state.currentIndex : 0;
+  const pending = (state.pendingProjects || []).slice(currentIndex);
+  if (pending.length === 0) {
+    return i18n.t(lang, 'admin.pendingNone', { user });
+  }
+
+  const lines = pending.map((project) => {
+    const label = project.pmoId ? `${project.pmoId} · ${project.name}` : project.name;
+    const current = project.gid === state.currentProjectGid ? ` (${i18n.t(lang, 'admin.pendingCurrent')})` : '';
+    return `• ${label}${current}`;
+  });
+  const lastPrompt = state.lastPromptAt
+    ? `\n${i18n.t(lang, 'admin.pendingSince', { date: i18n.formatDate(state.lastPromptAt, lang) })}`
+    : '';
+  return `${i18n.t(lang, 'admin.pending', { user, count: pending.length, lines: lines.join('\n') })}${lastPrompt}`;
+}
+
+/**
+ * Avisa por DM al usuario afectado (un error no interrumpe el comando)
+ */
+async function notify(target, key, params) {
+  try {
+    await slackService.sendMessage(target.slackUserId, i18n.t(i18n.getUserLanguage(target), key, params));
+  } catch (error) {
+    console.error(`Error avisando a ${target.slackUserId}:`, error.message);
+  }
+}
+
+module.exports = {
+  parseAdminCommand,
+  executeAdminCommand
+};
@@ -0,0 +1,344 @@
+/**
+ * Alerts
+ *
+ * Ciclo de vida de las alertas de riesgo publicadas en Slack (pmo-bot-alerts):
+ * - Una alerta abierta por proyecto y canal: los updates siguientes que
+ *   vuelven a disparar reglas se publican como respuesta en su hilo
+ * - Botones Acknowledge / Asignar a mí / Resolver (handleAlertAction)
+ * - Escalamiento al líder PMO si sigue sin reconocer (escalateStaleAlerts)
+ * - Alertas de proyectos que dejaron de reportar (checkQuietProjects)
+ * - Cierre automático cuando el proyecto vuelve a On Track
+ *
+ * Los textos usan el idioma del canal (PMO_LANGUAGE).
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('./messages');
+const riskRules = require('./risk-rules');
+const i18n = require('./i18n');
+const { normalizeText } = require('./text');
+const { normalizeProjectStatus } = require('./portfolio-digest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Publica o da seguimiento a las alertas de un update ya guardado
+ * @param {Object} params
+ * @param {Object} params.update - Item retornado por dynamoService.saveUpdate
+ * @param {Array} params.firedRules - Reglas que se cumplen (risk-rules.evaluateRules)
+ * @param {Array} params.blockers - Bloqueos abiertos del proyecto
+ * @param {boolean} params.closeOnTrack - Cerrar las alertas si el update es On Track
+ *   (false cuando se re-evalúa un update ya procesado, ej. checkQuietProjects)
+ * @returns {{opened: number, followUps: number, closed: number}}
+ */
+async function processRiskAlerts({ update, firedRules = [], blockers = [], closeOnTrack = true }) {
+  const result = { opened: 0, followUps: 0, closed: 0 };
+  const defaultChannel = process.env.SLACK_CHANNEL_PMO;
+  const lang = i18n.getChannelLanguage();
+
+  const rulesByChannel = new Map();
+  for (const rule of firedRules) {
+    const channel = rule.channel || defaultChannel;
+    if (!channel) {
+      console.error('SLACK_CHANNEL_PMO no configurado');
+      continue;
+    }
+    if (!rulesByChannel.has(channel)) {
+      rulesByChannel.set(channel, []);
+    }
+    rulesByChannel.get(channel).push(rule);
+  }
+
+  const openAlerts = await dynamoService.getOpenAlerts(update.projectGid);
+  const openByChannel = new Map(openAlerts.map(a => [a.channel, a]));
+
+  const snapshot = {
+    projectName: update.projectName,
+    pmSlackId: update.pmSlackId,
+    status: update.status,
+    advances: update.advances,
+    hasBlockers: update.hasBlockers,
+    summary: update.summary || null,
+    updateSk: update.sk,
+    blockers: blockers.map(b => ({ description: b.description, category: b.category, openedAt: b.openedAt }))
+  };
+
+  for (const [channel, rules] of rulesByChannel) {
+    const firedSnapshot = rules.map(r => ({ id: r.id, severity: r.severity, reason: r.reason }));
+    const existing = openByChannel.get(channel);
+
+    if (existing) {
+      // Seguimiento en el hilo de la alerta original
+      await slackService.sendMessage(
+        channel,
+        i18n.t(lang, 'alert.followUpText', { project: update.projectName }),
+        messages.getAlertBlocks(
+          update.projectName, update.pmSlackId, update.status, update.advances,
+          update.hasBlockers, blockers, firedSnapshot, lang,
+          { summary: update.summary, updateKey: { projectGid: update.projectGid, sk: update.sk } }
+        ),
+        { thread_ts: existing.ts }
+      );
+      await dynamoService.updateAlert(update.projectGid, existing.sk, {
+        lastAlertAt: new Date().toISOString(),
+        severity: rules[0].severity,
+        firedRules: firedSnapshot
+      });
+      result.followUps++;
+      continue;
+    }
+
+    const alert = await dynamoService.createAlert({
+      ...snapshot,
+      projectGid: update.projectGid,
+      channel,
+      severity: rules[0].severity,
+      firedRules: firedSnapshot
+    });
+    const response = await slackService.sendMessage(
+      channel,
+      i18n.t(lang, 'alert.text', { project: update.projectName }),
+      messages.getAlertMessageBlocks(alert, lang)
+    );
+    await dynamoService.updateAlert(update.projectGid, alert.sk, { ts: response?.ts || null });
+    result.opened++;
+  }
+
+  // Proyecto de vuelta en On Track: cerrar alertas que ya no tienen reglas activas
+  if (closeOnTrack && update.status === 'on_track') {
+    for (const alert of openAlerts) {
+      if (rulesByChannel.has(alert.channel)) continue;
+
+      const closed = await dynamoService.updateAlert(update.projectGid, alert.sk, {
+        alertStatus: 'resolved',
+        resolvedAt: new Date().toISOString(),
+        resolvedReason: 'on_track'
+      });
+      await refreshAlertMessage(closed);
+      await slackService.sendMessage(
+        alert.channel,
+        i18n.t(lang, 'alert.backOnTrack', { project: update.projectName }),
+        null,
+        { thread_ts: alert.ts }
+      );
+      result.closed++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Aplica un botón de la alerta (ack, assign, resolve)
+ * @param {string} action - ack | assign | resolve
+ * @param {{projectGid: string, sk: string}} alertKey - value del botón
+ * @param {string} userId - Usuario de Slack que presionó el botón
+ * @returns {Object|null} Alerta actualizada
+ */
+async function handleAlertAction(action, alertKey, userId) {
+  const alert = await dynamoService.getAlert(alertKey.projectGid, alertKey.sk);
+  if (!alert || alert.alertStatus === 'resolved') {
+    return alert;
+  }
+
+  const now = new Date().toISOString();
+  const lang = i18n.getChannelLanguage();
+  let fields;
+  let replyText;
+
+  if (action === 'ack') {
+    if (alert.alertStatus !== 'open') return alert;
+    fields = { alertStatus: 'acknowledged', acknowledgedBy: userId, acknowledgedAt: now };
+    replyText = i18n.t(lang, 'alert.ackReply', { user: userId });
+  } else if (action === 'assign') {
+    fields = { assignedTo: userId, assignedAt: now };
+    if (alert.alertStatus === 'open') {
+      Object.assign(fields, { alertStatus: 'acknowledged', acknowledgedBy: userId, acknowledgedAt: now });
+    }
+    replyText = i18n.t(lang, 'alert.assignReply', { user: userId });
+  } else if (action === 'resolve') {
+    fields = { alertStatus: 'resolved', resolvedBy: userId, resolvedAt: now, resolvedReason: 'manual' };
+    replyText = i18n.t(lang, 'alert.resolveReply', { user: userId });
+  } else {
+    console.warn(`Acción de alerta desconocida: ${action}`);
+    return alert;
+  }
+
+  const updated = await dynamoService.updateAlert(alert.projectGid, alert.sk, fields);
+  await refreshAlertMessage(updated);
+  await slackService.sendMessage(alert.channel, replyText, null, { thread_ts: alert.ts });
+  return updated;
+}
+
+/**
+ * Re-publica en el hilo (con reply_broadcast, visible en el canal) las alertas
+ * sin reconocer por más de ALERT_ESCALATION_DAYS días, mencionando al líder PMO
+ * @param {Date} now
+ * @returns {{checked: number, escalated: number, errors: Array}}
+ */
+async function escalateStaleAlerts(now = new Date()) {
+  const escalationDays = Number(process.env.ALERT_ESCALATION_DAYS || 3);
+  const leadId = process.env.PMO_LEAD_SLACK_ID;
+  const lang = i18n.getChannelLanguage();
+  if (!leadId) {
+    console.warn('PMO_LEAD_SLACK_ID no configurado: las alertas se re-publican sin mención');
+  }
+
+  const alerts = await dynamoService.getUnacknowledgedAlerts();
+  const stats = { checked: alerts.length, escalated: 0, errors: [] };
+
+  for (const alert of alerts) {
+    const since = new Date(alert.escalatedAt || alert.openedAt).getTime();
+    if (now.getTime() - since < escalationDays * DAY_MS) continue;
+
+    try {
+      const days = Math.floor((now.getTime() - new Date(alert.openedAt).getTime()) / DAY_MS);
+      const mention = leadId ? `<@${leadId}> ` : '';
+      const updated = await dynamoService.updateAlert(alert.projectGid, alert.sk, {
+        escalatedAt: now.toISOString(),
+        escalationCount: (alert.escalationCount || 0) + 1
+      });
+
+      const params = { mention, project: alert.projectName, days };
+      await slackService.sendMessage(
+        alert.channel,
+        i18n.t(lang, 'alert.escalationText', params),
+        [
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: i18n.t(lang, 'alert.escalationBody', params)
+            }
+          },
+          ...messages.getAlertMessageBlocks(updated, lang)
+        ],
+        { thread_ts: alert.ts, reply_broadcast: true }
+      );
+      await refreshAlertMessage(updated);
+      stats.escalated++;
+    } catch (error) {
+      console.error(`Error escalando alerta de ${alert.projectGid}:`, error);
+      stats.errors.push({ projectGid: alert.projectGid, error: error.message });
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Evalúa las reglas que no necesitan un update nuevo (risk-rules.getQuietRules,
+ * ej. stale_update) sobre el último update de cada proyecto activo del cache.
+ * Los proyectos que nunca reportaron por el bot se miden desde su último status
+ * de Asana o, sin él, desde su última modificación.
+ * No repite una regla que ya está en una alerta abierta del mismo canal.
+ * @param {Date} now
+ * @param {Array} rules - Reglas de riesgo (default: src/config/risk-rules.json)
+ * @returns {{checked: number, alerted: number, errors: Array}}
+ */
+async function checkQuietProjects(now = new Date(), rules = riskRules.loadRiskRules()) {
+  const quietRules = riskRules.getQuietRules(rules);
+  const stats = { checked: 0, alerted: 0, errors: [] };
+  if (quietRules.length === 0) {
+    return stats;
+  }
+
+  const projects = await dynamoService.getAllCachedProjects();
+  let pmsByName = null;
+  for (const project of projects) {
+    if ((project.status || '').toLowerCase() === 'completed') continue;
+
+    try {
+      const history = await dynamoService.getLastUpdates(project.gid, riskRules.HISTORY_SIZE);
+      let latest = history[0];
+      if (!latest) {
+        pmsByName = pmsByName || await getPmsByName();
+        latest = getProjectSnapshot(project, pmsByName);
+        if (!latest.timestamp) continue;
+      }
+      stats.checked++;
+
+      // Sin update nuevo: los facts se calculan "al día de hoy" sobre el último reporte
+      const facts = riskRules.buildRiskFacts(
+        { status: latest.status, hasBlockers: latest.hasBlockers, pendingTasks: project.pendingTasks ?? null },
+        history,
+        { ...project, lastUpdateAt: project.lastUpdateAt || latest.timestamp },
+        now
+      );
+
+      const openAlerts = await dynamoService.getOpenAlerts(project.gid);
+      const alreadyOpen = new Set(openAlerts.flatMap(alert =>
+        (alert.firedRules || []).map(rule => `${alert.channel}#${rule.id}`)
+      ));
+      const firedRules = riskRules.evaluateRules(quietRules, facts).filter(rule =>
+        !alreadyOpen.has(`${rule.channel || process.env.SLACK_CHANNEL_PMO}#${rule.id}`)
+      );
+      if (firedRules.length === 0) continue;
+
+      const blockers = await dynamoService.getOpenBlockers(project.gid);
+      await processRiskAlerts({ update: latest, firedRules, blockers, closeOnTrack: false });
+      stats.alerted++;
+    } catch (error) {
+      console.error(`Error revisando proyecto sin updates ${project.gid}:`, error);
+      stats.errors.push({ projectGid: project.gid, error: error.message });
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Slack ID de los PMs por nombre de responsable normalizado
+ * @returns {Map<string, string>}
+ */
+async function getPmsByName() {
+  const users = await dynamoService.getAllOnboardedUsers();
+  return new Map(users.filter(u => u.asanaName).map(u => [normalizeText(u.asanaName).trim(), u.slackUserId]));
+}
+
+/**
+ * Datos de alerta de un proyecto que nunca reportó por el bot: estado y texto
+ * del último status de Asana, fechado en ese status o en la última modificación
+ * @param {Object} project - Proyecto del cache global
+ * @param {Map<string, string>} pmsByName - Ver getPmsByName
+ * @returns {Object} Con la forma de un update (sin sk)
+ */
+function getProjectSnapshot(project, pmsByName) {
+  return {
+    projectGid: project.gid,
+    projectName: project.name,
+    pmSlackId: pmsByName.get(normalizeText(project.responsable).trim()) || null,
+    status: normalizeProjectStatus(project.status),
+    advances: project.lastUpdateText || null,
+    hasBlockers: false,
+    sk: null,
+    timestamp: project.lastUpdateAt || project.modifiedAt || null
+  };
+}
+
+/**
+ * Actualiza el mensaje original de la alerta con su estado actual
+ */
+async function refreshAlertMessage(alert) {
+  if (!alert?.ts) return;
+  const lang = i18n.getChannelLanguage();
+  try {
+    await slackService.updateMessage(
+      alert.channel,
+      alert.ts,
+      i18n.t(lang, 'alert.text', { project: alert.projectName }),
+      messages.getAlertMessageBlocks(alert, lang)
+    );
+  } catch (error) {
+    // El estado ya quedó guardado; el mensaje se corrige en la siguiente acción
+    console.error(`Error actualizando mensaje de alerta ${alert.sk}:`, error.message);
+  }
+}
+
+module.exports = {
+  processRiskAlerts,
+  handleAlertAction,
+  escalateStaleAlerts,
+  checkQuietProjects
+};
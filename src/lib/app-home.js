@@ -0,0 +1,89 @@
+/**
+ * App Home
+ *
+ * Tablero del PM en la pestaña Home de Slack (views.publish): horario,
+ * ausencia y sus proyectos activos del cache global con el último estado
+ * reportado y los días desde el último pulse.
+ *
+ * Se publica en app_home_opened y se refresca después de cada update guardado.
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('./messages');
+const i18n = require('./i18n');
+const absence = require('./absence');
+const updateFlow = require('./update-flow');
+const { normalizeProjectStatus } = require('./portfolio-digest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Arma las entradas de la Home: estado (último update o Status de Asana)
+ * y días desde el último pulse de cada proyecto activo
+ * @param {Array} projects - Proyectos del cache global
+ * @param {Date} now
+ * @returns {Array<{project: Object, status: string|null, daysSincePulse: number|null}>}
+ */
+async function buildHomeEntries(projects, now = new Date()) {
+  const active = updateFlow.sortByPmoId(
+    projects.filter(p => (p.status || '').toLowerCase() !== 'completed')
+  );
+
+  return Promise.all(active.map(async (project) => {
+    const [lastUpdate] = await dynamoService.getLastUpdates(project.gid, 1);
+    const daysSincePulse = lastUpdate?.timestamp
+      ? Math.floor((now.getTime() - new Date(lastUpdate.timestamp).getTime()) / DAY_MS)
+      : null;
+
+    return {
+      project,
+      status: lastUpdate?.status || normalizeProjectStatus(project.status),
+      daysSincePulse
+    };
+  }));
+}
+
+/**
+ * Publica la Home del usuario
+ * @param {string} userId
+ * @param {Object} user - Usuario ya obtenido (opcional)
+ */
+async function publishHome(userId, user = undefined) {
+  const current = user === undefined ? await dynamoService.getUser(userId) : user;
+  const lang = i18n.getUserLanguage(current);
+
+  let entries = [];
+  if (current?.onboarded && current.asanaName) {
+    const projects = await dynamoService.getProjectsByResponsableName(current.asanaName);
+    entries = await buildHomeEntries(projects);
+  }
+
+  const view = messages.getHomeView({
+    user: current,
+    entries,
+    absence: absence.getUpcomingAbsence(current)
+  }, lang);
+
+  await slackService.publishHomeView(userId, view);
+}
+
+/**
+ * Refresca la Home sin interrumpir el flujo que la llama (update guardado,
+ * cambio de horario o ausencia)
+ * @param {string} userId
+ */
+async function refreshHome(userId) {
+  try {
+    await publishHome(userId);
+  } catch (error) {
+    // La Home se vuelve a publicar la próxima vez que el PM la abra
+    console.error(`Error refrescando Home de ${userId}:`, error.message);
+  }
+}
+
+module.exports = {
+  buildHomeEntries,
+  publishHome,
+  refreshHome
+};
@@ -0,0 +1,75 @@
+/**
+ * Asana Sync
+ *
+ * Publica los updates reportados por los PMs en Slack como status
+ * nativos del proyecto en Asana, para que solo tengan que reportar una vez.
+ *
+ * Si Asana responde 429 despues de los reintentos (o pide esperar mas de lo
+ * que admite el servicio de Asana) o falla con un 5xx, el update queda
+ * encolado (asanaSyncStatus = 'pending') y se reintenta en el siguiente
+ * cache-refresh, antes de leer los status desde Asana. Otros errores
+ * (p.ej. 4xx) lo marcan como 'failed' con el detalle en asanaSyncError.
+ */
+
+const asanaService = require('../services/asana');
+const dynamoService = require('../services/dynamo');
+
+/**
+ * Publica un update guardado en DynamoDB como status del proyecto en Asana
+ * Nunca lanza error: el resultado queda registrado en el item del update.
+ *
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ * @returns {{synced: boolean, queued: boolean, asanaStatusGid?: string}}
+ */
+async function syncUpdateToAsana(update) {
+  try {
+    const status = await asanaService.createProjectStatusUpdate(update.projectGid, update);
+    await dynamoService.setUpdateAsanaSync(update.projectGid, update.sk, {
+      asanaSyncStatus: 'synced',
+      asanaStatusGid: status.gid
+    });
+    console.log(`[AsanaSync] Update de ${update.projectGid} publicado en Asana (${status.gid})`);
+    return { synced: true, queued: false, asanaStatusGid: status.gid };
+  } catch (error) {
+    const queued = asanaService.isRetryableError(error);
+    console.error(`[AsanaSync] Error publicando update de ${update.projectGid}:`, error.message);
+
+    try {
+      await dynamoService.setUpdateAsanaSync(update.projectGid, update.sk, {
+        asanaSyncStatus: queued ? 'pending' : 'failed',
+        asanaSyncError: error.message
+      });
+    } catch (dynamoError) {
+      // Ya se registro en el log de dynamo
+    }
+
+    return { synced: false, queued };
+  }
+}
+
+/**
+ * Reintenta los updates encolados por rate limit
+ * @returns {{pending: number, synced: number, failed: number}}
+ */
+async function retryPendingSyncs() {
+  const pending = await dynamoService.getPendingAsanaSyncUpdates();
+  const result = { pending: pending.length, synced: 0, failed: 0 };
+
+  for (const update of pending) {
+    const { synced, queued } = await syncUpdateToAsana(update);
+    if (synced) {
+      result.synced++;
+    } else {
+      result.failed++;
+      // Si Asana sigue limitando, dejar el resto para la siguiente corrida
+      if (queued) break;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  syncUpdateToAsana,
+  retryPendingSyncs
+};
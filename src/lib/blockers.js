@@ -0,0 +1,152 @@
+/**
+ * Blockers
+ *
+ * Bloqueos reportados en los updates como entidades propias
+ * (pmo-bot-blockers): categoría, responsable, fecha de apertura y de
+ * resolución. Cada update confirma los que siguen vigentes y resuelve
+ * el resto automáticamente.
+ */
+
+const i18n = require('./i18n');
+const { normalizeText } = require('./text');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claves de categoría (los textos por idioma están en locales: blockers.categories)
+const BLOCKER_CATEGORIES = {
+  tecnico: 'Técnico',
+  cliente: 'Cliente',
+  proveedor: 'Proveedor',
+  recursos: 'Recursos',
+  otro: 'Otro'
+};
+
+// Palabras clave para categorizar bloqueos reportados por texto libre
+const CATEGORY_KEYWORDS = {
+  cliente: ['cliente', 'aprobacion', 'validacion', 'feedback', 'respuesta del', 'firma'],
+  // recursos antes que proveedor: "licencia medica" no es una licencia de software
+  recursos: ['recurso', 'persona', 'vacaciones', 'licencia medica', 'dotacion', 'presupuesto'],
+  proveedor: ['proveedor', 'tercero', 'licencia', 'vendor', 'partner'],
+  tecnico: ['servidor', 'ambiente', 'acceso', 'error', 'bug', 'api', 'deploy', 'integracion', 'base de datos']
+};
+
+/**
+ * Infiere la categoría de un bloqueo desde su descripción
+ * @param {string} description
+ * @returns {string} Clave de BLOCKER_CATEGORIES
+ */
+function categorizeBlocker(description) {
+  const text = normalizeText(description);
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (keywords.some(k => text.includes(k))) {
+      return category;
+    }
+  }
+  return 'otro';
+}
+
+/**
+ * Días que lleva abierto un bloqueo
+ * @param {Object} blocker
+ * @param {Date} now
+ * @returns {number}
+ */
+function getBlockerAgeDays(blocker, now = new Date()) {
+  const end = blocker.resolvedAt ? new Date(blocker.resolvedAt) : now;
+  return Math.max(0, Math.floor((end.getTime() - new Date(blocker.openedAt).getTime()) / DAY_MS));
+}
+
+/**
+ * Nombre de la categoría en el idioma indicado
+ * @param {string} category - Clave de BLOCKER_CATEGORIES
+ * @param {string} lang
+ * @returns {string}
+ */
+function getBlockerCategoryLabel(category, lang = i18n.DEFAULT_LANGUAGE) {
+  const key = BLOCKER_CATEGORIES[category] ? category : 'otro';
+  return i18n.t(lang, `blockers.categories.${key}`);
+}
+
+/**
+ * "hoy", "hace 1 día", "hace N días"
+ */
+function formatBlockerAge(days, lang = i18n.DEFAULT_LANGUAGE) {
+  if (days === 0) return i18n.t(lang, 'blockers.today');
+  return i18n.t(lang, 'blockers.daysAgo', { count: days });
+}
+
+/**
+ * Línea de un bloqueo con categoría y antigüedad
+ * @param {Object} blocker
+ * @param {Date} now
+ * @param {string} lang
+ * @returns {string}
+ */
+function formatBlockerLine(blocker, now = new Date(), lang = i18n.DEFAULT_LANGUAGE) {
+  return i18n.t(lang, 'blockers.line', {
+    description: blocker.description,
+    category: getBlockerCategoryLabel(blocker.category, lang),
+    age: formatBlockerAge(getBlockerAgeDays(blocker, now), lang)
+  });
+}
+
+/**
+ * Actualiza los bloqueos de un proyecto a partir de un update guardado:
+ * resuelve los que ya no siguen vigentes, confirma el resto y registra
+ * el bloqueo nuevo (si no duplica uno abierto).
+ *
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ *   (+ blockerCategory opcional)
+ * @param {Object} dynamoService - Servicio de DynamoDB (inyectado)
+ * @param {Object} options
+ * @param {Array<string>} options.resolveIds - sk de bloqueos a resolver
+ * @param {boolean} options.resolveAll - Resolver todos los abiertos (update sin bloqueos)
+ * @returns {{open: Array, resolved: Array, created: Object|null}}
+ */
+async function reconcileBlockers(update, dynamoService, options = {}) {
+  const { resolveIds = [], resolveAll = false } = options;
+  const openBlockers = await dynamoService.getOpenBlockers(update.projectGid);
+
+  const open = [];
+  const resolved = [];
+  for (const blocker of openBlockers) {
+    if (resolveAll || resolveIds.includes(blocker.sk)) {
+      await dynamoService.resolveBlocker(update.projectGid, blocker.sk, update.sk || null);
+      resolved.push(blocker);
+    } else {
+      await dynamoService.confirmBlocker(update.projectGid, blocker.sk);
+      open.push(blocker);
+    }
+  }
+
+  let created = null;
+  const description = (update.blockerDescription || '').trim();
+  const duplicated = open.some(b => normalizeText(b.description).trim() === normalizeText(description).trim());
+  if (update.hasBlockers && description && !duplicated) {
+    created = await dynamoService.createBlocker({
+      projectGid: update.projectGid,
+      projectName: update.projectName,
+      description,
+      category: update.blockerCategory || categorizeBlocker(description),
+      ownerSlackId: update.pmSlackId,
+      openedInUpdate: update.sk || null
+    });
+    open.push(created);
+  }
+
+  if (resolved.length > 0 || created) {
+    console.log(`[Blockers] ${update.projectGid}: ${resolved.length} resueltos, ${created ? 1 : 0} nuevo, ${open.length} abiertos`);
+  }
+
+  return { open, resolved, created };
+}
+
+module.exports = {
+  BLOCKER_CATEGORIES,
+  getBlockerCategoryLabel,
+  categorizeBlocker,
+  getBlockerAgeDays,
+  formatBlockerAge,
+  formatBlockerLine,
+  reconcileBlockers
+};
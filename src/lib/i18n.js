@@ -0,0 +1,125 @@
+/**
+ * i18n
+ *
+ * Resuelve los textos del bot desde los catálogos de src/locales
+ * (es, en, pt). El idioma de cada PM se guarda en user.language; los
+ * mensajes de canal (alertas, digest) usan PMO_LANGUAGE.
+ *
+ *   t('en', 'update.saved', { emoji: '🟢', project: 'Portal' })
+ *   t('es', 'blockers.daysAgo', { count: 3 })   // { one, other } según count
+ *
+ * Una clave que no existe en el idioma pedido se resuelve en Español.
+ */
+
+const catalogs = {
+  es: require('../locales/es'),
+  en: require('../locales/en'),
+  pt: require('../locales/pt')
+};
+
+const DEFAULT_LANGUAGE = 'es';
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+
+// Locale usado para formatear fechas en cada idioma
+const DATE_LOCALES = {
+  es: 'es-CL',
+  en: 'en-US',
+  pt: 'pt-BR'
+};
+
+/**
+ * Convierte un locale de Slack ("en-US", "pt-BR") o un código ("EN") a un
+ * idioma soportado. Retorna el idioma por defecto si no se reconoce.
+ * @param {string} locale
+ * @returns {string}
+ */
+function normalizeLanguage(locale) {
+  const code = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(code) ? code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Idioma de un usuario guardado (user.language)
+ * @param {Object|null} user
+ * @returns {string}
+ */
+function getUserLanguage(user) {
+  return normalizeLanguage(user?.language);
+}
+
+/**
+ * Idioma de los mensajes publicados en canales (PMO_LANGUAGE)
+ * @returns {string}
+ */
+function getChannelLanguage() {
+  return normalizeLanguage(process.env.PMO_LANGUAGE);
+}
+
+function lookup(lang, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogs[lang]);
+}
+
+/**
+ * true si la clave existe en el catálogo del idioma (sin fallback)
+ * @param {string} lang
+ * @param {string} key
+ * @returns {boolean}
+ */
+function has(lang, key) {
+  return lookup(normalizeLanguage(lang), key) !== undefined;
+}
+
+/**
+ * Texto traducido con parámetros {nombre}
+ * @param {string} lang
+ * @param {string} key - Clave con puntos (ej: 'alert.header')
+ * @param {Object} params - Valores a interpolar; count elige entre one/other
+ * @returns {string}
+ */
+function t(lang, key, params = {}) {
+  let value = lookup(normalizeLanguage(lang), key);
+  if (value === undefined) {
+    value = lookup(DEFAULT_LANGUAGE, key);
+  }
+  if (value === undefined) {
+    console.warn(`[i18n] Clave sin traducción: ${key}`);
+    return key;
+  }
+
+  if (value && typeof value === 'object' && 'other' in value) {
+    value = params.count === 1 ? value.one : value.other;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  return value.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] === undefined || params[name] === null ? match : String(params[name])
+  ));
+}
+
+/**
+ * Formatea una fecha según el idioma (reemplaza toLocaleDateString('es-CL')).
+ * Las fechas sin hora (YYYY-MM-DD) se toman a mediodía para que la zona
+ * horaria no cambie el día.
+ * @param {Date|string|number} value
+ * @param {string} lang
+ * @returns {string}
+ */
+function formatDate(value, lang = DEFAULT_LANGUAGE) {
+  const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T12:00:00`)
+    : new Date(value);
+  return date.toLocaleDateString(DATE_LOCALES[normalizeLanguage(lang)]);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  getUserLanguage,
+  getChannelLanguage,
+  has,
+  t,
+  formatDate
+};
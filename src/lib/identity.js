@@ -0,0 +1,152 @@
+/**
+ * Identity
+ *
+ * Vincula al PM con su nombre canónico en "Responsable Proyecto" durante el
+ * onboarding. Los proyectos del PM se buscan por ese texto exacto (normalizado),
+ * así que en lugar de guardar lo que escribe se ofrecen los responsables más
+ * parecidos del cache global (errores de tipeo, segundo apellido faltante).
+ *
+ * Opcionalmente se resuelve el usuario de Asana por el email de Slack
+ * (asana.getUserByEmail) y se sugiere el responsable que coincide con su nombre.
+ */
+
+const dynamoService = require('../services/dynamo');
+const asanaService = require('../services/asana');
+
+const MAX_MATCHES = 3;
+const MIN_MATCH_SCORE = 0.5;
+// Sugerencia por email solo si el nombre de Asana coincide casi exacto
+const EMAIL_MATCH_SCORE = 0.85;
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similitud entre dos palabras: 1 iguales, 0.8 con un error de tipeo
+ * (palabras de 4+ letras) o abreviada ("gomez" / "gom"), 0 distintas
+ */
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) >= 4 && levenshtein(a, b) <= 1) return 0.8;
+  if (Math.min(a.length, b.length) >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.8;
+  return 0;
+}
+
+/**
+ * Similitud (0 a 1) entre el nombre escrito y un responsable.
+ * Pesa más que cada palabra escrita aparezca en el responsable (cobertura del
+ * texto escrito) que lo contrario, para tolerar apellidos omitidos.
+ * @param {string} input
+ * @param {string} candidate
+ * @returns {number}
+ */
+function scoreNameMatch(input, candidate) {
+  const inputTokens = dynamoService.getSearchTokens(input);
+  const candidateTokens = dynamoService.getSearchTokens(candidate);
+  if (inputTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  const coverage = (from, to) => from
+    .map(token => Math.max(...to.map(other => tokenSimilarity(token, other))))
+    .reduce((sum, value) => sum + value, 0) / from.length;
+  const tokenScore = 0.7 * coverage(inputTokens, candidateTokens) +
+    0.3 * coverage(candidateTokens, inputTokens);
+
+  const a = inputTokens.join(' ');
+  const b = candidateTokens.join(' ');
+  const editScore = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+
+  return Math.round(Math.max(tokenScore, editScore) * 100) / 100;
+}
+
+/**
+ * Responsables distintos del cache (mismo texto normalizado = mismo responsable)
+ * @param {Array} projects - Proyectos del cache global
+ * @returns {Array<{name: string, projectCount: number}>}
+ */
+function getDistinctResponsables(projects) {
+  const byKey = new Map();
+  for (const project of projects) {
+    if (!project.responsable || (project.status || '').toLowerCase() === 'completed') continue;
+
+    const key = project.responsableKey || dynamoService.getSearchTokens(project.responsable).join(' ');
+    const current = byKey.get(key) || { name: project.responsable, projectCount: 0 };
+    current.projectCount++;
+    byKey.set(key, current);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Responsables del cache más parecidos al nombre escrito
+ * @param {string} name
+ * @param {Object} options - { limit, minScore }
+ * @returns {Array<{name: string, projectCount: number, score: number}>}
+ */
+async function findResponsableMatches(name, options = {}) {
+  const limit = options.limit || MAX_MATCHES;
+  const minScore = options.minScore ?? MIN_MATCH_SCORE;
+
+  const projects = await dynamoService.getAllCachedProjects();
+  return getDistinctResponsables(projects)
+    .map(responsable => ({ ...responsable, score: scoreNameMatch(name, responsable.name) }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score || b.projectCount - a.projectCount)
+    .slice(0, limit);
+}
+
+/**
+ * true si el match es el mismo nombre (ignorando tildes, mayúsculas y separadores)
+ * @param {string} name
+ * @param {Object} match
+ * @returns {boolean}
+ */
+function isExactMatch(name, match) {
+  return dynamoService.getSearchTokens(name).join(' ') ===
+    dynamoService.getSearchTokens(match.name).join(' ');
+}
+
+/**
+ * Usuario de Asana del email de Slack y el responsable que le corresponde
+ * (no interrumpe el onboarding si Asana falla o el email no existe)
+ * @param {string} email
+ * @returns {{asanaUser: Object, match: Object|null}|null}
+ */
+async function resolveIdentityByEmail(email) {
+  if (!email) return null;
+
+  try {
+    const asanaUser = await asanaService.getUserByEmail(email);
+    if (!asanaUser) return null;
+
+    const [match] = await findResponsableMatches(asanaUser.name, { limit: 1, minScore: EMAIL_MATCH_SCORE });
+    return { asanaUser, match: match || null };
+  } catch (error) {
+    console.error(`Error resolviendo usuario de Asana para ${email}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  levenshtein,
+  scoreNameMatch,
+  getDistinctResponsables,
+  findResponsableMatches,
+  isExactMatch,
+  resolveIdentityByEmail
+};
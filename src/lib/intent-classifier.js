@@ -0,0 +1,87 @@
+/**
+ * Intent Classifier
+ *
+ * Clasificador de intenciones por reglas (determinístico, sin red). Es el
+ * respaldo del agente cuando no hay proveedor de LLM configurado o el
+ * proveedor falla: traduce el mensaje a una de las herramientas del agente
+ * que muestran su resultado directamente al usuario.
+ */
+
+const { normalizeText } = require('./text');
+
+const PMO_ID_PATTERN = /\bpmo-?\s?(\d+)\b/gi;
+
+// Palabras clave por intención (texto normalizado, sin tildes). El orden de
+// RULES define la prioridad cuando el mensaje calza con varias.
+const HISTORY_WORDS = ['historial', 'historico', 'historia', 'history', 'evolucion', 'updates anteriores'];
+const UPDATE_WORDS = ['actualizar', 'actualiza', 'reportar', 'reporte', 'update', 'atualizar', 'atualiza'];
+const MY_PROJECTS_WORDS = ['mis proyectos', 'my projects', 'meus projetos', 'mis proyecto', 'proyectos mios', 'mis pmo'];
+const HELP_WORDS = ['ayuda', 'help', 'ajuda', 'como funciona', 'que puedes hacer', 'what can you do', 'o que voce faz', 'comandos', 'commands'];
+const GREETING_WORDS = ['hola', 'buenas', 'buenos dias', 'hello', 'hi', 'hey', 'ola', 'oi', 'bom dia'];
+
+function containsAny(text, words) {
+  return words.some(word => new RegExp(`(^|[^a-z0-9])${word}($|[^a-z0-9])`).test(text));
+}
+
+/**
+ * PMO IDs mencionados en el mensaje ("pmo911", "PMO 12" -> PMO-911, PMO-12)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractPmoIds(text) {
+  const ids = [...String(text || '').matchAll(PMO_ID_PATTERN)].map(match => `PMO-${match[1]}`);
+  return [...new Set(ids)];
+}
+
+const RULES = [
+  {
+    tool: 'ver_historial',
+    match: (text, pmoIds) => pmoIds.length > 0 && containsAny(text, HISTORY_WORDS),
+    params: pmoIds => ({ pmo_id: pmoIds[0] })
+  },
+  {
+    tool: 'iniciar_update',
+    match: text => containsAny(text, UPDATE_WORDS),
+    params: pmoIds => ({ pmo_ids: pmoIds })
+  },
+  {
+    tool: 'buscar_proyecto',
+    match: (text, pmoIds) => pmoIds.length > 0,
+    params: pmoIds => ({ pmo_id: pmoIds[0] })
+  },
+  {
+    tool: 'mis_proyectos',
+    match: text => containsAny(text, MY_PROJECTS_WORDS),
+    params: () => ({})
+  },
+  {
+    tool: 'mostrar_ayuda',
+    match: text => containsAny(text, HELP_WORDS),
+    params: () => ({})
+  },
+  {
+    tool: 'saludo',
+    match: text => containsAny(text, GREETING_WORDS),
+    params: () => ({})
+  }
+];
+
+/**
+ * Clasifica un mensaje en una intención
+ *   "quiero ver el historial del pmo 911" -> { tool: 'ver_historial', params: { pmo_id: 'PMO-911' } }
+ * @param {string} message
+ * @returns {{tool: string, params: Object}|null} null si ninguna regla calza
+ */
+function classifyIntent(message) {
+  const text = normalizeText(message).trim();
+  if (!text) return null;
+
+  const pmoIds = extractPmoIds(text);
+  const rule = RULES.find(r => r.match(text, pmoIds));
+  return rule ? { tool: rule.tool, params: rule.params(pmoIds) } : null;
+}
+
+module.exports = {
+  extractPmoIds,
+  classifyIntent
+};
@@ -2,24 +2,37 @@
  * Messages Templates
  *
  * Templates de mensajes en Slack Block Kit format.
- * Todos los mensajes están en español.
+ * Los textos salen de los catálogos de src/locales (ver lib/i18n.js);
+ * cada template recibe el idioma como último parámetro (default: es).
  *
  * @see Project_Pulse_Bot_MVP_Implementacion.md - Paso 1.6
  */
 
+const {
+  BLOCKER_CATEGORIES,
+  getBlockerCategoryLabel,
+  formatBlockerLine,
+  formatBlockerAge,
+  getBlockerAgeDays
+} = require('./blockers');
+const i18n = require('./i18n');
+const pulseSchedule = require('./pulse-schedule');
+const { t, formatDate, DEFAULT_LANGUAGE } = i18n;
+
 /**
  * Bloques para solicitud de update
  * @param {string} projectName
  * @param {string} projectGid
+ * @param {string} lang
  * @returns {Array}
  */
-function getUpdateRequestBlocks(projectName, projectGid) {
+function getUpdateRequestBlocks(projectName, projectGid, lang = DEFAULT_LANGUAGE) {
   return [
     {
       type: 'header',
       text: {
         type: 'plain_text',
-        text: `Update: ${projectName}`,
+        text: t(lang, 'update.requestHeader', { project: projectName }),
         emoji: true
       }
     },
@@ -27,83 +40,348 @@ function getUpdateRequestBlocks(projectName, projectGid) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `¡Hola! Es momento del update para *${projectName}*.`
+        text: t(lang, 'update.requestBody', { project: projectName })
       }
     },
     {
-      type: 'divider'
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'update.button'), emoji: true },
+          // El nombre viaja en el value para armar el modal sin consultar el cache
+          value: String(projectName).slice(0, 2000),
+          action_id: `updateform_${projectGid}`,
+          style: 'primary'
+        }
+      ]
+    }
+  ];
+}
+
+/**
+ * Modal (views.open) con el formulario de update de un proyecto.
+ * Los valores se leen en el view_submission con parseUpdateModalValues.
+ * @param {Object} project - { gid, name, pmoId }
+ * @param {Array} openBlockers - Bloqueos abiertos del proyecto (se pregunta si siguen vigentes)
+ * @param {string} lang
+ * @returns {Object} View de Slack
+ */
+function getUpdateModalView(project, openBlockers = [], lang = DEFAULT_LANGUAGE) {
+  const statusOptions = [
+    { value: 'on_track', text: '🟢 On Track' },
+    { value: 'at_risk', text: '🟡 At Risk' },
+    { value: 'off_track', text: '🔴 Off Track' }
+  ].map(o => ({ text: { type: 'plain_text', text: o.text, emoji: true }, value: o.value }));
+
+  const title = project.pmoId ? `${project.pmoId} | ${project.name}` : project.name;
+
+  // Slack admite hasta 10 opciones por grupo de checkboxes
+  const shownBlockers = openBlockers.slice(0, 10);
+  const blockerOptions = shownBlockers.map(b => ({
+    text: { type: 'plain_text', text: String(b.description).slice(0, 75) },
+    description: {
+      type: 'plain_text',
+      text: t(lang, 'modal.openBlockerDescription', {
+        category: getBlockerCategoryLabel(b.category, lang),
+        age: formatBlockerAge(getBlockerAgeDays(b), lang)
+      })
     },
+    value: b.sk
+  }));
+  const openBlockersBlocks = blockerOptions.length === 0 ? [] : [
+    {
+      type: 'input',
+      block_id: 'open_blockers',
+      optional: true,
+      label: { type: 'plain_text', text: t(lang, 'modal.openBlockersLabel') },
+      hint: { type: 'plain_text', text: t(lang, 'modal.openBlockersHint') },
+      element: {
+        type: 'checkboxes',
+        action_id: 'value',
+        options: blockerOptions,
+        initial_options: blockerOptions
+      }
+    }
+  ];
+
+  const categoryOptions = Object.keys(BLOCKER_CATEGORIES).map(value => ({
+    text: { type: 'plain_text', text: getBlockerCategoryLabel(value, lang) },
+    value
+  }));
+
+  return {
+    type: 'modal',
+    callback_id: 'update_form',
+    private_metadata: JSON.stringify({
+      projectGid: project.gid,
+      projectName: project.name,
+      pmoId: project.pmoId || null,
+      blockerIds: shownBlockers.map(b => b.sk)
+    }),
+    title: { type: 'plain_text', text: t(lang, 'modal.title') },
+    submit: { type: 'plain_text', text: t(lang, 'modal.submit') },
+    close: { type: 'plain_text', text: t(lang, 'modal.close') },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${title}*`.slice(0, 3000) }
+      },
+      {
+        type: 'input',
+        block_id: 'status',
+        label: { type: 'plain_text', text: t(lang, 'modal.statusLabel') },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: t(lang, 'modal.statusPlaceholder') },
+          options: statusOptions
+        }
+      },
+      ...openBlockersBlocks,
+      {
+        type: 'input',
+        block_id: 'has_blockers',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'modal.newBlockerLabel') },
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          options: [
+            { text: { type: 'plain_text', text: t(lang, 'modal.newBlockerOption') }, value: 'yes' }
+          ]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'blocker_description',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'modal.blockerDescriptionLabel') },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          max_length: 2000
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'blocker_category',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'modal.blockerCategoryLabel') },
+        hint: { type: 'plain_text', text: t(lang, 'modal.blockerCategoryHint') },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: t(lang, 'modal.blockerCategoryPlaceholder') },
+          options: categoryOptions
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'advances',
+        label: { type: 'plain_text', text: t(lang, 'modal.advancesLabel') },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          max_length: 3000
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'next_steps',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'modal.nextStepsLabel') },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          max_length: 2000
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'due_date',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'modal.dueDateLabel') },
+        hint: { type: 'plain_text', text: t(lang, 'modal.dueDateHint') },
+        element: {
+          type: 'datepicker',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: t(lang, 'modal.dueDatePlaceholder') }
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Extrae los valores del formulario de update (view.state.values)
+ * @param {Object} stateValues
+ * @returns {{status: string|null, hasBlockers: boolean, blockerDescription: string|null,
+ *   blockerCategory: string|null, stillOpenBlockerIds: Array<string>|null,
+ *   advances: string, nextSteps: string|null, newDueDate: string|null}}
+ */
+function parseUpdateModalValues(stateValues) {
+  const values = stateValues || {};
+  const text = (blockId) => (values[blockId]?.value?.value || '').trim() || null;
+
+  return {
+    status: values.status?.value?.selected_option?.value || null,
+    hasBlockers: (values.has_blockers?.value?.selected_options || []).some(o => o.value === 'yes'),
+    blockerDescription: text('blocker_description'),
+    blockerCategory: values.blocker_category?.value?.selected_option?.value || null,
+    // null si el modal no mostró bloqueos abiertos
+    stillOpenBlockerIds: values.open_blockers
+      ? (values.open_blockers.value?.selected_options || []).map(o => o.value)
+      : null,
+    advances: text('advances') || '',
+    nextSteps: text('next_steps'),
+    newDueDate: values.due_date?.value?.selected_date || null
+  };
+}
+
+/**
+ * Botones para elegir idioma (action_id language_{código})
+ * @returns {Object} Bloque actions
+ */
+function getLanguageActionsBlock() {
+  return {
+    type: 'actions',
+    block_id: 'language_picker',
+    elements: i18n.SUPPORTED_LANGUAGES.map(code => ({
+      type: 'button',
+      text: { type: 'plain_text', text: t(code, 'language.name'), emoji: true },
+      value: code,
+      action_id: `language_${code}`
+    }))
+  };
+}
+
+/**
+ * Selector de idioma (comando "idioma")
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getLanguageBlocks(lang = DEFAULT_LANGUAGE) {
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'language.pickerTitle') }
+    },
+    getLanguageActionsBlock()
+  ];
+}
+
+/**
+ * Bloques para pedir nombre (onboarding), con selector de idioma
+ * @param {string} lang - Idioma inicial (locale de Slack del usuario)
+ * @param {Object} suggestion - Responsable sugerido por el email de Slack { asanaName, name } (opcional)
+ * @returns {Array}
+ */
+function getOnboardingNameBlocks(lang = DEFAULT_LANGUAGE, suggestion = null) {
+  const suggestionBlocks = suggestion ? [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'onboarding.emailMatch', suggestion) }
+    },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'onboarding.confirmMatch'), emoji: true },
+        style: 'primary',
+        value: suggestion.name,
+        action_id: 'responsable_pick_0'
+      }]
+    }
+  ] : [];
+
+  return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '*¿Cuál es el estado actual del proyecto?*'
+        text: t(lang, 'onboarding.welcome')
       }
     },
     {
-      type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🟢 On Track', emoji: true },
-          value: 'on_track',
-          action_id: `status_${projectGid}_on_track`,
-          style: 'primary'
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🟡 At Risk', emoji: true },
-          value: 'at_risk',
-          action_id: `status_${projectGid}_at_risk`
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🔴 Off Track', emoji: true },
-          value: 'off_track',
-          action_id: `status_${projectGid}_off_track`,
-          style: 'danger'
-        }
-      ]
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: t(lang, 'language.prompt') }]
+    },
+    getLanguageActionsBlock(),
+    {
+      type: 'divider'
+    },
+    ...suggestionBlocks,
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(lang, 'onboarding.askName')
+      }
+    }
+  ];
+}
+
+/**
+ * Responsables del cache parecidos al nombre escrito en el onboarding
+ * @param {string} typedName - Nombre escrito por el PM
+ * @param {Array} matches - identity.findResponsableMatches [{ name, projectCount }]
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getResponsableMatchBlocks(typedName, matches, lang = DEFAULT_LANGUAGE) {
+  const buttons = matches.map((match, i) => ({
+    type: 'button',
+    text: {
+      type: 'plain_text',
+      text: t(lang, 'onboarding.matchOption', { name: match.name, count: match.projectCount }).slice(0, 75),
+      emoji: true
     },
+    value: match.name,
+    action_id: `responsable_pick_${i}`
+  }));
+  buttons.push({
+    type: 'button',
+    text: { type: 'plain_text', text: t(lang, 'onboarding.keepTyped', { name: typedName }).slice(0, 75), emoji: true },
+    value: String(typedName).slice(0, 2000),
+    action_id: 'responsable_keep'
+  });
+
+  return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '*¿Hay bloqueos activos?*'
+        text: t(lang, matches.length > 0 ? 'onboarding.matchesFound' : 'onboarding.noMatches', { name: typedName })
       }
     },
     {
       type: 'actions',
-      elements: [
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: 'Sí, hay bloqueos', emoji: true },
-          value: 'yes',
-          action_id: `blockers_${projectGid}_yes`,
-          style: 'danger'
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: 'No hay bloqueos', emoji: true },
-          value: 'no',
-          action_id: `blockers_${projectGid}_no`
-        }
-      ]
+      block_id: 'responsable_picker',
+      elements: buttons
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: t(lang, 'onboarding.retypeHint') }]
     }
   ];
 }
 
 /**
- * Bloques para pedir nombre (onboarding)
+ * Bloques para pedir email de Asana (onboarding) - deprecated, kept for reference
+ * @param {string} lang
  * @returns {Array}
  */
-function getOnboardingNameBlocks() {
+function getOnboardingEmailBlocks(lang = DEFAULT_LANGUAGE) {
   return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '¡Hola! 👋 Soy *Pulse Bot*.\n\nTe ayudaré a reportar el estado de tus proyectos de forma rápida y estructurada.'
+        text: t(lang, 'onboarding.welcome')
       }
     },
     {
@@ -113,23 +391,65 @@ function getOnboardingNameBlocks() {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: 'Para comenzar, necesito configurar tu perfil.\n\n*¿Cuál es tu nombre como aparece en el campo "Responsable Proyecto" en Asana?*\n\n_Responde con tu nombre exacto (ej: Harold Gómez)_'
+        text: t(lang, 'onboarding.askEmail')
       }
     }
   ];
 }
 
 /**
- * Bloques para pedir email de Asana (onboarding) - deprecated, kept for reference
+ * Bloques para selección de timezone (onboarding)
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getOnboardingTimezoneBlocks(lang = DEFAULT_LANGUAGE) {
+  const tzNames = t(lang, 'onboarding.timezones');
+  const flags = {
+    'America/Santiago': '🇨🇱',
+    'America/Lima': '🇵🇪',
+    'America/Bogota': '🇨🇴',
+    'America/Mexico_City': '🇲🇽'
+  };
+
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(lang, 'onboarding.askTimezone')
+      }
+    },
+    {
+      type: 'actions',
+      elements: Object.entries(flags).map(([timezone, flag]) => ({
+        type: 'button',
+        text: { type: 'plain_text', text: `${flag} ${tzNames[timezone]}`, emoji: true },
+        value: timezone,
+        action_id: `timezone_${timezone}`
+      }))
+    }
+  ];
+}
+
+/**
+ * Bloques de confirmación de onboarding completado
+ * @param {string} timezone
+ * @param {Object|null} schedule - Horario de updates (default: Lunes y Jueves 9:00)
+ * @param {string} lang
  * @returns {Array}
  */
-function getOnboardingEmailBlocks() {
+function getOnboardingCompleteBlocks(timezone, schedule = null, lang = DEFAULT_LANGUAGE) {
+  const tzDisplay = t(lang, 'onboarding.timezones')[timezone] || timezone;
+
   return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '¡Hola! 👋 Soy *Pulse Bot*.\n\nTe ayudaré a reportar el estado de tus proyectos de forma rápida y estructurada.'
+        text: t(lang, 'onboarding.complete', {
+          timezone: tzDisplay,
+          schedule: getScheduleSummary(schedule, lang)
+        })
       }
     },
     {
@@ -139,23 +459,45 @@ function getOnboardingEmailBlocks() {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: 'Para comenzar, necesito configurar tu perfil.\n\n*¿Cuál es tu email de Asana?*\n\n_Responde con tu email (ej: tu.nombre@empresa.com)_'
+        text: t(lang, 'onboarding.completeFooter')
       }
     }
   ];
 }
 
 /**
- * Bloques para selección de timezone (onboarding)
+ * Resumen del horario de updates (hora, días y frecuencia)
+ * @param {Object|null} schedule
+ * @param {string} lang
+ * @returns {string}
+ */
+function getScheduleSummary(schedule, lang = DEFAULT_LANGUAGE) {
+  const { days, hour, frequency } = pulseSchedule.normalizeSchedule(schedule);
+  const dayNames = days.map(d => t(lang, 'schedule.dayNames')[d]);
+  const daysText = dayNames.length > 1
+    ? `${dayNames.slice(0, -1).join(', ')}${t(lang, 'schedule.and')}${dayNames[dayNames.length - 1]}`
+    : dayNames[0];
+
+  return t(lang, 'schedule.summary', {
+    hour: pulseSchedule.formatHour(hour),
+    days: daysText,
+    frequency: t(lang, 'schedule.frequencies')[frequency]
+  });
+}
+
+/**
+ * Bloques con el horario actual y el botón para cambiarlo (schedule_open)
+ * @param {Object|null} schedule
+ * @param {string} lang
  * @returns {Array}
  */
-function getOnboardingTimezoneBlocks() {
+function getScheduleBlocks(schedule, lang = DEFAULT_LANGUAGE) {
   return [
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '¡Perfecto! ✅\n\n*¿En qué zona horaria te encuentras?*\n\nEsto nos ayuda a enviarte los updates a una hora conveniente.'
+        text: t(lang, 'schedule.current', { summary: getScheduleSummary(schedule, lang) })
       }
     },
     {
@@ -163,27 +505,9 @@ function getOnboardingTimezoneBlocks() {
       elements: [
         {
           type: 'button',
-          text: { type: 'plain_text', text: '🇨🇱 Chile (Santiago)', emoji: true },
-          value: 'America/Santiago',
-          action_id: 'timezone_America/Santiago'
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🇵🇪 Perú (Lima)', emoji: true },
-          value: 'America/Lima',
-          action_id: 'timezone_America/Lima'
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🇨🇴 Colombia (Bogotá)', emoji: true },
-          value: 'America/Bogota',
-          action_id: 'timezone_America/Bogota'
-        },
-        {
-          type: 'button',
-          text: { type: 'plain_text', text: '🇲🇽 México (CDMX)', emoji: true },
-          value: 'America/Mexico_City',
-          action_id: 'timezone_America/Mexico_City'
+          text: { type: 'plain_text', text: t(lang, 'schedule.button'), emoji: true },
+          value: 'open',
+          action_id: 'schedule_open'
         }
       ]
     }
@@ -191,36 +515,388 @@ function getOnboardingTimezoneBlocks() {
 }
 
 /**
- * Bloques de confirmación de onboarding completado
- * @param {string} timezone
- * @returns {Array}
+ * Modal (views.open) para configurar días, hora y frecuencia de los updates.
+ * Los valores se leen en el view_submission con parseScheduleModalValues.
+ * @param {Object|null} schedule - Horario actual
+ * @param {string} lang
+ * @returns {Object} View de Slack
  */
-function getOnboardingCompleteBlocks(timezone) {
-  const tzNames = {
-    'America/Santiago': 'Chile (Santiago)',
-    'America/Lima': 'Perú (Lima)',
-    'America/Bogota': 'Colombia (Bogotá)',
-    'America/Mexico_City': 'México (CDMX)'
+function getScheduleModalView(schedule, lang = DEFAULT_LANGUAGE) {
+  const current = pulseSchedule.normalizeSchedule(schedule);
+  const dayNames = t(lang, 'schedule.dayNames');
+  const frequencies = t(lang, 'schedule.frequencies');
+
+  const dayOptions = [1, 2, 3, 4, 5, 6, 7].map(d => ({
+    text: { type: 'plain_text', text: dayNames[d] },
+    value: String(d)
+  }));
+  const hourOptions = [];
+  for (let hour = pulseSchedule.MIN_HOUR; hour <= pulseSchedule.MAX_HOUR; hour++) {
+    hourOptions.push({
+      text: { type: 'plain_text', text: pulseSchedule.formatHour(hour) },
+      value: String(hour)
+    });
+  }
+  const frequencyOptions = pulseSchedule.FREQUENCIES.map(value => ({
+    text: { type: 'plain_text', text: frequencies[value] },
+    value
+  }));
+
+  const initialHour = hourOptions.find(o => o.value === String(current.hour));
+
+  return {
+    type: 'modal',
+    callback_id: 'schedule_form',
+    title: { type: 'plain_text', text: t(lang, 'schedule.modalTitle') },
+    submit: { type: 'plain_text', text: t(lang, 'schedule.modalSubmit') },
+    close: { type: 'plain_text', text: t(lang, 'modal.close') },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'schedule_days',
+        label: { type: 'plain_text', text: t(lang, 'schedule.daysLabel') },
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          options: dayOptions,
+          initial_options: dayOptions.filter(o => current.days.includes(Number(o.value)))
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'schedule_hour',
+        label: { type: 'plain_text', text: t(lang, 'schedule.hourLabel') },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: hourOptions,
+          ...(initialHour ? { initial_option: initialHour } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'schedule_frequency',
+        label: { type: 'plain_text', text: t(lang, 'schedule.frequencyLabel') },
+        element: {
+          type: 'radio_buttons',
+          action_id: 'value',
+          options: frequencyOptions,
+          initial_option: frequencyOptions.find(o => o.value === current.frequency)
+        }
+      }
+    ]
   };
+}
 
-  const tzDisplay = tzNames[timezone] || timezone;
+/**
+ * Extrae los valores del formulario de horario (view.state.values)
+ * @param {Object} stateValues
+ * @returns {{days: Array<number>, hour: number|null, frequency: string|null}}
+ */
+function parseScheduleModalValues(stateValues) {
+  const values = stateValues || {};
+  const hour = values.schedule_hour?.value?.selected_option?.value;
 
-  return [
+  return {
+    days: (values.schedule_days?.value?.selected_options || []).map(o => Number(o.value)),
+    hour: hour === undefined ? null : Number(hour),
+    frequency: values.schedule_frequency?.value?.selected_option?.value || null
+  };
+}
+
+// Proyectos mostrados en la Home (Slack admite hasta 100 bloques por view)
+const MAX_HOME_PROJECTS = 20;
+
+/**
+ * View de la pestaña Home (views.publish) con el tablero del PM
+ * @param {Object} params
+ * @param {Object|null} params.user - Usuario guardado (null o sin onboarding: invita a configurar)
+ * @param {Array} params.entries - [{ project, status, daysSincePulse }] ordenados para mostrar
+ * @param {Object|null} params.absence - Ausencia registrada que aún no termina
+ * @param {string} lang
+ * @returns {Object} View de tipo home
+ */
+function getHomeView({ user, entries = [], absence = null }, lang = DEFAULT_LANGUAGE) {
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: t(lang, 'home.header'), emoji: true }
+    }
+  ];
+
+  if (!user?.onboarded) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'home.notOnboarded') }
+    });
+    return { type: 'home', blocks };
+  }
+
+  const absenceText = absence
+    ? t(lang, absence.delegateSlackId ? 'absence.currentWithDelegate' : 'absence.current', {
+      from: formatDate(absence.from, lang),
+      to: formatDate(absence.to, lang),
+      delegate: absence.delegateSlackId
+    })
+    : t(lang, 'home.noAbsence');
+
+  blocks.push(
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `¡Listo! 🎉\n\nTu perfil está configurado:\n• *Timezone:* ${tzDisplay}\n• *Horario de updates:* 9:00 AM (hora local)\n• *Días:* Lunes y Jueves`
+        text: t(lang, 'schedule.current', { summary: getScheduleSummary(user.schedule, lang) })
+      },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'home.scheduleButton'), emoji: true },
+        value: 'open',
+        action_id: 'schedule_open'
       }
     },
     {
-      type: 'divider'
+      type: 'section',
+      text: { type: 'mrkdwn', text: absenceText },
+      accessory: absence
+        ? {
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'home.cancelAbsenceButton'), emoji: true },
+          value: 'cancel',
+          action_id: 'absence_cancel',
+          style: 'danger'
+        }
+        : {
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'home.absenceButton'), emoji: true },
+          value: 'open',
+          action_id: 'absence_open'
+        }
+    },
+    { type: 'divider' }
+  );
+
+  if (entries.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'project.noCachedProjects') }
+    });
+    return { type: 'home', blocks };
+  }
+
+  blocks.push({
+    type: 'section',
+    text: { type: 'mrkdwn', text: t(lang, 'home.projectsTitle', { count: entries.length }) }
+  });
+
+  const na = t(lang, 'common.notAvailable');
+  for (const { project, status, daysSincePulse } of entries.slice(0, MAX_HOME_PROJECTS)) {
+    const title = project.pmoId ? `${project.pmoId} | ${project.name}` : project.name;
+    const due = project.dueOn || project.dueAt;
+    let pulseText = t(lang, 'home.noPulse');
+    if (daysSincePulse === 0) {
+      pulseText = t(lang, 'home.lastPulseToday');
+    } else if (daysSincePulse !== null && daysSincePulse !== undefined) {
+      pulseText = t(lang, 'home.lastPulse', { count: daysSincePulse });
+    }
+
+    const buttons = [
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'home.updateButton'), emoji: true },
+        value: project.gid,
+        action_id: `home_update_${project.gid}`,
+        style: 'primary'
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'home.snoozeButton'), emoji: true },
+        value: project.gid,
+        action_id: `home_snooze_${project.gid}`
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'home.historyButton'), emoji: true },
+        value: project.gid,
+        action_id: `home_history_${project.gid}`
+      }
+    ];
+    if (project.permalinkUrl) {
+      buttons.push({
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'home.asanaButton'), emoji: true },
+        url: project.permalinkUrl,
+        action_id: `home_asana_${project.gid}`
+      });
+    }
+
+    blocks.push(
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${getStatusEmoji(status)} *${title}*`.slice(0, 3000) },
+        fields: [
+          t(lang, 'home.lastUpdate', { date: project.lastUpdateAt ? formatDate(project.lastUpdateAt, lang) : na }),
+          pulseText,
+          t(lang, 'home.dueDate', { date: due ? formatDate(due, lang) : na }),
+          t(lang, 'home.tasks', {
+            pending: project.pendingTasks ?? na,
+            total: project.totalTasks ?? na
+          })
+        ].map(text => ({ type: 'mrkdwn', text }))
+      },
+      { type: 'actions', elements: buttons },
+      { type: 'divider' }
+    );
+  }
+
+  if (entries.length > MAX_HOME_PROJECTS) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: t(lang, 'home.more', { count: entries.length - MAX_HOME_PROJECTS }) }]
+    });
+  }
+
+  return { type: 'home', blocks };
+}
+
+/**
+ * Página del historial de updates de un proyecto ("historial PMO-911")
+ * @param {string} projectLabel - Nombre del proyecto (con PMO ID si existe)
+ * @param {Object} history - Página de project-history.getHistoryPage
+ *   { entries, page, totalPages, total, sparkline }
+ * @param {string} lang
+ * @returns {string}
+ */
+function getProjectHistoryText(projectLabel, history, lang = DEFAULT_LANGUAGE) {
+  if (!history || history.total === 0) {
+    return t(lang, 'history.empty', { project: projectLabel });
+  }
+
+  const entries = history.entries.map((u) => {
+    const transition = u.previousStatus && u.previousStatus !== u.status
+      ? t(lang, 'history.transition', { from: getStatusText(u.previousStatus, lang), to: getStatusText(u.status, lang) })
+      : getStatusText(u.status, lang);
+    const reporter = u.pmSlackId ? ` · <@${u.pmSlackId}>` : '';
+    const lines = [`${getStatusEmoji(u.status)} *${formatDate(u.timestamp, lang)}*${reporter} · ${transition}`];
+
+    if (u.hasBlockers) {
+      lines.push(u.blockerDescription
+        ? t(lang, 'history.blocker', { description: truncateText(u.blockerDescription, 200) })
+        : t(lang, 'history.blockerNoDescription'));
+    }
+    lines.push(t(lang, 'history.advances', {
+      advances: u.advances ? truncateText(u.advances, 300) : t(lang, 'history.noAdvances')
+    }));
+    return lines.join('\n');
+  });
+
+  const footer = [t(lang, 'history.page', { page: history.page + 1, totalPages: history.totalPages })];
+  if (history.page + 1 < history.totalPages) {
+    footer.push(t(lang, 'history.nextHint'));
+  }
+
+  return [
+    `${t(lang, 'history.header', { project: projectLabel })} ${t(lang, 'history.count', { count: history.total })}`,
+    t(lang, 'history.trend', { sparkline: history.sparkline }),
+    '',
+    entries.join('\n\n'),
+    '',
+    `_${footer.join(' ')}_`
+  ].join('\n');
+}
+
+/**
+ * Texto en una sola línea, recortado a maxLength caracteres
+ */
+function truncateText(text, maxLength) {
+  const single = String(text).replace(/\s+/g, ' ').trim();
+  return single.length > maxLength ? `${single.slice(0, maxLength - 3)}...` : single;
+}
+
+/**
+ * Modal (views.open) para registrar una ausencia desde la Home
+ * @param {string} today - YYYY-MM-DD local del PM (fecha inicial)
+ * @param {string} lang
+ * @returns {Object} View de Slack
+ */
+function getAbsenceModalView(today, lang = DEFAULT_LANGUAGE) {
+  return {
+    type: 'modal',
+    callback_id: 'absence_form',
+    title: { type: 'plain_text', text: t(lang, 'absence.modalTitle') },
+    submit: { type: 'plain_text', text: t(lang, 'absence.modalSubmit') },
+    close: { type: 'plain_text', text: t(lang, 'modal.close') },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'absence_from',
+        label: { type: 'plain_text', text: t(lang, 'absence.fromLabel') },
+        element: { type: 'datepicker', action_id: 'value', initial_date: today }
+      },
+      {
+        type: 'input',
+        block_id: 'absence_to',
+        label: { type: 'plain_text', text: t(lang, 'absence.toLabel') },
+        element: { type: 'datepicker', action_id: 'value' }
+      },
+      {
+        type: 'input',
+        block_id: 'absence_delegate',
+        optional: true,
+        label: { type: 'plain_text', text: t(lang, 'absence.delegateLabel') },
+        hint: { type: 'plain_text', text: t(lang, 'absence.delegateHint') },
+        element: { type: 'users_select', action_id: 'value' }
+      }
+    ]
+  };
+}
+
+/**
+ * Extrae los valores del formulario de ausencia (view.state.values)
+ * @param {Object} stateValues
+ * @returns {{from: string|null, to: string|null, delegateSlackId: string|null}}
+ */
+function parseAbsenceModalValues(stateValues) {
+  const values = stateValues || {};
+  return {
+    from: values.absence_from?.value?.selected_date || null,
+    to: values.absence_to?.value?.selected_date || null,
+    delegateSlackId: values.absence_delegate?.value?.selected_user || null
+  };
+}
+
+/**
+ * Aviso al canal PMO de un PM ausente que deja proyectos Off Track
+ * @param {Object} params - { pm, from, to } (fechas ya formateadas)
+ * @param {string|null} delegateSlackId - Backup del PM
+ * @param {Array} projects - Proyectos Off Track
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getCoverageGapBlocks(params, delegateSlackId, projects, lang = DEFAULT_LANGUAGE) {
+  const lines = projects.slice(0, 15).map(p => `• ${p.pmoId ? `${p.pmoId} | ` : ''}${p.name}`);
+  if (projects.length > 15) {
+    lines.push(t(lang, 'digest.more', { count: projects.length - 15 }));
+  }
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'absence.gapHeader', params) }
     },
     {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: 'Recibirás solicitudes de update para tus proyectos. ¡Responderlas toma menos de 1 minuto!\n\nEscribe *ayuda* si necesitas información adicional.'
+        text: delegateSlackId
+          ? t(lang, 'absence.gapBackup', { delegate: delegateSlackId })
+          : t(lang, 'absence.gapNoBackup')
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${t(lang, 'absence.gapProjects', { count: projects.length })}\n${lines.join('\n')}`
       }
     }
   ];
@@ -233,22 +909,29 @@ function getOnboardingCompleteBlocks(timezone) {
  * @param {string} status
  * @param {string} advances
  * @param {boolean} hasBlockers
+ * @param {Array} blockers - Bloqueos abiertos (con antigüedad)
+ * @param {Array} firedRules - Reglas de riesgo que se cumplen (risk-rules.evaluateRules)
+ * @param {string} lang
+ * @param {Object} options - { summary, updateKey } resumen del update (reemplaza los avances)
+ *   y clave { projectGid, sk } para el botón que muestra el texto completo
  * @returns {Array}
  */
-function getAlertBlocks(projectName, pmSlackId, status, advances, hasBlockers) {
+function getAlertBlocks(projectName, pmSlackId, status, advances, hasBlockers, blockers = [], firedRules = [], lang = DEFAULT_LANGUAGE, options = {}) {
+  const severityEmoji = { high: '🔴', medium: '🟠', low: '🟡' };
+
   const statusEmoji = getStatusEmoji(status);
   const statusText = {
     'on_track': 'On Track',
     'at_risk': 'At Risk',
     'off_track': 'Off Track'
-  }[status] || status;
+  }[status] || status || 'N/A';
 
   return [
     {
       type: 'header',
       text: {
         type: 'plain_text',
-        text: `⚠️ Alerta: ${projectName}`,
+        text: t(lang, 'alert.header', { project: projectName }),
         emoji: true
       }
     },
@@ -257,22 +940,29 @@ function getAlertBlocks(projectName, pmSlackId, status, advances, hasBlockers) {
       fields: [
         {
           type: 'mrkdwn',
-          text: `*PM:*\n<@${pmSlackId}>`
+          text: `*${t(lang, 'alert.pm')}:*\n${pmSlackId ? `<@${pmSlackId}>` : 'N/A'}`
         },
         {
           type: 'mrkdwn',
-          text: `*Estado:*\n${statusEmoji} ${statusText}`
+          text: `*${t(lang, 'alert.status')}:*\n${statusEmoji} ${statusText}`
         },
         {
           type: 'mrkdwn',
-          text: `*Bloqueos:*\n${hasBlockers ? '🚫 Sí' : '✅ No'}`
+          text: `*${t(lang, 'alert.blockers')}:*\n${hasBlockers ? t(lang, 'alert.yes') : t(lang, 'alert.no')}`
         },
         {
           type: 'mrkdwn',
-          text: `*Fecha:*\n${new Date().toLocaleDateString('es-CL')}`
+          text: `*${t(lang, 'alert.date')}:*\n${formatDate(new Date(), lang)}`
         }
       ]
     },
+    ...(firedRules.length > 0 ? [{
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${t(lang, 'alert.reasons')}:*\n${firedRules.map(r => `${severityEmoji[r.severity] || '⚪'} ${getRuleReason(r, lang)}`).join('\n')}`
+      }
+    }] : []),
     {
       type: 'divider'
     },
@@ -280,12 +970,138 @@ function getAlertBlocks(projectName, pmSlackId, status, advances, hasBlockers) {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: `*Avances reportados:*\n>${advances || '_Sin avances reportados_'}`
+        text: options.summary?.headline
+          ? `*${t(lang, 'alert.advances')}:*\n${getUpdateSummaryLines(options.summary, lang).join('\n')}`.slice(0, 3000)
+          : `*${t(lang, 'alert.advances')}:*\n>${advances || t(lang, 'alert.noAdvances')}`
       }
-    }
+    },
+    ...(options.summary?.headline && options.updateKey ? [getExpandUpdateBlock(options.updateKey, lang)] : []),
+    ...(blockers.length > 0 ? [{
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${t(lang, 'alert.openBlockers')}:*\n${blockers.map(b => formatBlockerLine(b, new Date(), lang)).join('\n')}`.slice(0, 3000)
+      }
+    }] : [])
+  ];
+}
+
+/**
+ * Líneas del resumen de un update: titular y las listas que traen contenido
+ * @param {Object} summary - Resumen guardado en el update (agentService.summarizeUpdate)
+ * @param {string} lang
+ * @returns {Array<string>}
+ */
+function getUpdateSummaryLines(summary, lang = DEFAULT_LANGUAGE) {
+  if (!summary?.headline) {
+    return [];
+  }
+  return [
+    `*${summary.headline}*`,
+    ...['risks', 'decisions', 'nextSteps']
+      .filter(field => summary[field]?.length > 0)
+      .map(field => `${t(lang, `summary.${field}`)}: ${summary[field].join('; ')}`)
   ];
 }
 
+/**
+ * Botón para ver el texto completo de un update resumido
+ * @param {{projectGid: string, sk: string}} updateKey
+ * @param {string} lang
+ * @returns {Object}
+ */
+function getExpandUpdateBlock(updateKey, lang = DEFAULT_LANGUAGE) {
+  return {
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      text: { type: 'plain_text', text: t(lang, 'summary.expandButton'), emoji: true },
+      action_id: 'advances_expand',
+      value: JSON.stringify({ projectGid: updateKey.projectGid, sk: updateKey.sk })
+    }]
+  };
+}
+
+/**
+ * Motivo de una regla de riesgo: traducción del catálogo (riskRules.<id>)
+ * o el reason definido en src/config/risk-rules.json
+ */
+function getRuleReason(rule, lang) {
+  const key = `riskRules.${rule.id}`;
+  return i18n.has(lang, key) ? t(lang, key) : rule.reason;
+}
+
+/**
+ * Mensaje completo de una alerta registrada: detalle + estado + botones
+ * (Acknowledge / Asignar a mí / Resolver, sin botones si ya está resuelta)
+ * @param {Object} alert - Item de pmo-bot-alerts
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getAlertMessageBlocks(alert, lang = DEFAULT_LANGUAGE) {
+  const blocks = getAlertBlocks(
+    alert.projectName,
+    alert.pmSlackId,
+    alert.status,
+    alert.advances,
+    alert.hasBlockers,
+    alert.blockers || [],
+    alert.firedRules || [],
+    lang,
+    {
+      summary: alert.summary,
+      updateKey: alert.updateSk ? { projectGid: alert.projectGid, sk: alert.updateSk } : null
+    }
+  );
+
+  const statusParts = [t(lang, 'alert.openedOn', { date: formatDate(alert.openedAt, lang) })];
+  if (alert.acknowledgedBy) statusParts.push(t(lang, 'alert.acknowledgedBy', { user: alert.acknowledgedBy }));
+  if (alert.assignedTo) statusParts.push(t(lang, 'alert.assignedTo', { user: alert.assignedTo }));
+  if (alert.escalationCount > 0) statusParts.push(t(lang, 'alert.escalated', { count: alert.escalationCount }));
+  if (alert.alertStatus === 'resolved') {
+    statusParts.push(alert.resolvedReason === 'on_track'
+      ? t(lang, 'alert.closedOnTrack')
+      : t(lang, 'alert.resolvedBy', { user: alert.resolvedBy }));
+  }
+
+  blocks.push({
+    type: 'context',
+    block_id: 'alert_status',
+    elements: [{ type: 'mrkdwn', text: statusParts.join(' · ') }]
+  });
+
+  if (alert.alertStatus !== 'resolved') {
+    const value = JSON.stringify({ projectGid: alert.projectGid, sk: alert.sk });
+    blocks.push({
+      type: 'actions',
+      block_id: 'alert_actions',
+      elements: [
+        ...(alert.alertStatus === 'open' ? [{
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'alert.ackButton'), emoji: true },
+          action_id: 'alert_ack',
+          value
+        }] : []),
+        ...(!alert.assignedTo ? [{
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'alert.assignButton'), emoji: true },
+          action_id: 'alert_assign',
+          value
+        }] : []),
+        {
+          type: 'button',
+          text: { type: 'plain_text', text: t(lang, 'alert.resolveButton'), emoji: true },
+          action_id: 'alert_resolve',
+          style: 'primary',
+          value
+        }
+      ]
+    });
+  }
+
+  return blocks;
+}
+
 /**
  * Retorna emoji según status
  * @param {string} status
@@ -300,17 +1116,33 @@ function getStatusEmoji(status) {
   return emojis[status] || '⚪';
 }
 
+/**
+ * Estado con emoji y nombre (on_track -> "🟢 On Track")
+ * @param {string} status
+ * @param {string} lang
+ * @returns {string}
+ */
+function getStatusText(status, lang = DEFAULT_LANGUAGE) {
+  const labels = {
+    'on_track': 'On Track',
+    'at_risk': 'At Risk',
+    'off_track': 'Off Track'
+  };
+  return `${getStatusEmoji(status)} ${labels[status] || t(lang, 'common.noStatus')}`;
+}
+
 /**
  * Mensaje de ayuda
+ * @param {string} lang
  * @returns {Array}
  */
-function getHelpBlocks() {
+function getHelpBlocks(lang = DEFAULT_LANGUAGE) {
   return [
     {
       type: 'header',
       text: {
         type: 'plain_text',
-        text: '📚 Ayuda - Project Pulse Bot',
+        text: t(lang, 'help.header'),
         emoji: true
       }
     },
@@ -318,7 +1150,7 @@ function getHelpBlocks() {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '*¿Qué es Project Pulse Bot?*\nSoy un asistente que te ayuda a reportar el estado de tus proyectos de forma rápida y estructurada.'
+        text: t(lang, 'help.about')
       }
     },
     {
@@ -328,8 +1160,428 @@ function getHelpBlocks() {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '*¿Cómo funciona?*\n1. Recibirás un mensaje los Lunes y Jueves\n2. Selecciona el estado del proyecto (On Track, At Risk, Off Track)\n3. Indica si hay bloqueos\n4. Describe brevemente los avances\n\n¡Toma menos de 1 minuto!'
+        text: t(lang, 'help.howItWorks')
+      }
+    },
+    {
+      type: 'divider'
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(lang, 'help.commands')
+      }
+    }
+  ];
+}
+
+/**
+ * Ayuda del slash command /pulse
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getSlashCommandHelpBlocks(lang = DEFAULT_LANGUAGE) {
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: t(lang, 'help.slashCommands')
+      }
+    }
+  ];
+}
+
+/**
+ * Texto con el detalle de un proyecto del cache global
+ * @param {Object} project - Proyecto del cache
+ * @param {string} fallbackPmoId - PMO ID buscado, si el proyecto no lo tiene
+ * @param {Array} openBlockers - Bloqueos abiertos del proyecto
+ * @param {string} lang
+ * @param {Object|null} lastUpdate - Último update del PM (con resumen, si lo tiene)
+ * @returns {string}
+ */
+function getProjectDetailText(project, fallbackPmoId = 'PMO-N/A', openBlockers = [], lang = DEFAULT_LANGUAGE, lastUpdate = null) {
+  const na = t(lang, 'common.notAvailable');
+  const statusText = project.status || t(lang, 'common.noStatus');
+  const updateText = project.lastUpdateText || t(lang, 'project.noUpdate');
+  const updateDate = project.lastUpdateAt
+    ? formatDate(project.lastUpdateAt, lang)
+    : na;
+  const progress = project.progressPercent || na;
+  const due = project.dueOn || project.dueAt || na;
+  const pending = (project.pendingTasks !== null && project.pendingTasks !== undefined)
+    ? project.pendingTasks
+    : na;
+  const total = (project.totalTasks !== null && project.totalTasks !== undefined)
+    ? project.totalTasks
+    : na;
+
+  return [
+    `*${project.name}*`,
+    `- ${t(lang, 'project.pmoId')}: ${project.pmoId || fallbackPmoId}`,
+    `- ${t(lang, 'project.responsable')}: ${project.responsable || t(lang, 'project.notAssigned')}`,
+    `- ${t(lang, 'project.status')}: ${statusText}`,
+    `- ${t(lang, 'project.lastUpdate', { date: updateDate })}: ${updateText}`,
+    ...(lastUpdate?.summary?.headline
+      ? getUpdateSummaryLines(lastUpdate.summary, lang).map((line, i) => i === 0
+        ? `- ${t(lang, 'summary.latest', { date: formatDate(lastUpdate.timestamp, lang) })}: ${line}`
+        : `  ${line}`)
+      : []),
+    `- ${t(lang, 'project.progress')}: ${progress}`,
+    `- ${t(lang, 'project.dueDate')}: ${due}`,
+    `- ${t(lang, 'project.pendingTasks')}: ${pending} / ${total}`,
+    ...(openBlockers.length > 0
+      ? [
+        `- ${t(lang, 'project.openBlockers', { count: openBlockers.length })}:`,
+        ...openBlockers.map(b => `  ${formatBlockerLine(b, new Date(), lang)}`)
+      ]
+      : [])
+  ].join('\n');
+}
+
+/**
+ * Bloques del detalle de un proyecto: el texto y el botón para ver el texto
+ * completo del último update resumido (null si no hay resumen: basta el texto)
+ * @param {string} text - Resultado de getProjectDetailText
+ * @param {Object|null} lastUpdate
+ * @param {string} lang
+ * @returns {Array|null}
+ */
+function getProjectDetailBlocks(text, lastUpdate, lang = DEFAULT_LANGUAGE) {
+  if (!lastUpdate?.summary?.headline) {
+    return null;
+  }
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: text.slice(0, 3000) } },
+    getExpandUpdateBlock({ projectGid: lastUpdate.projectGid, sk: lastUpdate.sk }, lang)
+  ];
+}
+
+/**
+ * Confirmación de un canal vinculado a un proyecto, con el botón para
+ * recibir el pulse en el canal
+ * @param {Object} link - Vínculo guardado (dynamoService.saveProjectChannel)
+ * @param {string} userId - Quien vinculó el canal
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getChannelLinkedBlocks(link, userId, lang = DEFAULT_LANGUAGE) {
+  const project = link.projectPmoId ? `${link.projectPmoId} | ${link.projectName}` : link.projectName;
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: t(lang, 'channel.linked', { project, user: userId }) }
+    },
+    {
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: t(lang, link.pulseInChannel ? 'channel.pulseInChannelHint' : 'channel.pulseInDmHint')
+      }]
+    },
+    getChannelPulseButtonBlock(link, lang)
+  ];
+}
+
+/**
+ * Aviso de cambio del destino del pulse, con el botón para revertirlo
+ * @param {Object} link - Vínculo actualizado
+ * @param {string} text - Aviso (channel.pulseOn / channel.pulseOff)
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getChannelPulseToggleBlocks(link, text, lang = DEFAULT_LANGUAGE) {
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text } },
+    getChannelPulseButtonBlock(link, lang)
+  ];
+}
+
+/**
+ * Botón channelpulse_{on|off} (value = gid del proyecto)
+ */
+function getChannelPulseButtonBlock(link, lang = DEFAULT_LANGUAGE) {
+  const enable = !link.pulseInChannel;
+  return {
+    type: 'actions',
+    elements: [{
+      type: 'button',
+      text: {
+        type: 'plain_text',
+        text: t(lang, enable ? 'channel.pulseOnButton' : 'channel.pulseOffButton'),
+        emoji: true
+      },
+      action_id: enable ? 'channelpulse_on' : 'channelpulse_off',
+      value: link.projectGid
+    }]
+  };
+}
+
+/**
+ * Update guardado publicado en el canal vinculado al proyecto
+ * (resumen si lo tiene, con el botón para ver el texto completo)
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getChannelUpdateBlocks(update, lang = DEFAULT_LANGUAGE) {
+  const header = t(lang, 'channel.updateHeader', {
+    emoji: getStatusEmoji(update.status),
+    project: update.projectName,
+    pm: update.pmSlackId
+  });
+  const lines = update.summary?.headline
+    ? getUpdateSummaryLines(update.summary, lang)
+    : [`>${update.advances || t(lang, 'alert.noAdvances')}`];
+  if (update.hasBlockers && update.blockerDescription) {
+    lines.push(t(lang, 'channel.blocker', { description: update.blockerDescription }));
+  }
+
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${header}\n${lines.join('\n')}`.slice(0, 3000) }
+    },
+    ...(update.summary?.headline && update.sk
+      ? [getExpandUpdateBlock({ projectGid: update.projectGid, sk: update.sk }, lang)]
+      : []),
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: formatDate(update.timestamp || new Date(), lang) }]
+    }
+  ];
+}
+
+/**
+ * Solicitud de update de un proyecto enviada a su canal (cualquier miembro responde)
+ * @param {Object} project - Proyecto del cache global
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getChannelPulseBlocks(project, lang = DEFAULT_LANGUAGE) {
+  return [
+    ...getUpdateRequestBlocks(project.name, project.gid, lang),
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: t(lang, 'channel.pulseHint') }]
+    }
+  ];
+}
+
+/**
+ * DM compacto de un update para los suscriptores del proyecto o de su cliente
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ * @param {Object} options - { pmoId, previousStatus, blockers, subscription }
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getSubscriptionUpdateBlocks(update, options = {}, lang = DEFAULT_LANGUAGE) {
+  const { pmoId = null, previousStatus = null, blockers = [], subscription = {} } = options;
+  const project = pmoId ? `${pmoId} | ${update.projectName}` : update.projectName;
+  const transition = previousStatus && previousStatus !== update.status
+    ? t(lang, 'history.transition', { from: getStatusText(previousStatus, lang), to: getStatusText(update.status, lang) })
+    : getStatusText(update.status, lang);
+
+  const lines = [
+    `*${project}* · ${transition}`,
+    update.summary?.headline || truncateText(update.advances || t(lang, 'alert.noAdvances'), 300)
+  ];
+  if (blockers.length > 0) {
+    lines.push(t(lang, 'subscription.blockers', {
+      blockers: blockers.map(b => truncateText(b.description, 100)).join('; ')
+    }));
+  }
+
+  const filter = t(lang, `subscription.filters.${subscription.filter || 'all'}`);
+  const reason = subscription.targetType === 'client'
+    ? t(lang, 'subscription.reasonClient', { client: subscription.client, filter })
+    : t(lang, 'subscription.reasonProject', { pmoId: subscription.pmoId || pmoId || update.projectName, filter });
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: reason }] }
+  ];
+}
+
+/**
+ * Texto con las suscripciones de un usuario ("siguiendo")
+ * @param {Array} subscriptions - Items de pmo-bot-subscriptions
+ * @param {string} lang
+ * @returns {string}
+ */
+function getSubscriptionListText(subscriptions, lang = DEFAULT_LANGUAGE) {
+  const lines = subscriptions.map((s) => {
+    const target = s.targetType === 'client'
+      ? t(lang, 'subscription.clientLabel', { client: s.client })
+      : `${s.pmoId} | ${s.projectName}`;
+    return `• ${target} — ${t(lang, `subscription.filters.${s.filter || 'all'}`)}`;
+  });
+  return [
+    t(lang, 'subscription.list', { count: subscriptions.length }),
+    ...lines,
+    '',
+    t(lang, 'subscription.unfollowHint')
+  ].join('\n');
+}
+
+/**
+ * Texto con la lista de proyectos de un PM (una línea por proyecto)
+ * @param {Array} projects - Proyectos del cache global
+ * @param {string} lang
+ * @returns {string}
+ */
+function getProjectListText(projects, lang = DEFAULT_LANGUAGE) {
+  const na = t(lang, 'common.notAvailable');
+  return projects.map((p) => {
+    const statusText = p.status || t(lang, 'common.noStatus');
+    const progress = p.progressPercent || na;
+    const due = p.dueOn || p.dueAt || na;
+    const pmoId = p.pmoId || 'PMO-N/A';
+    return `- ${pmoId} | ${p.name} | ${statusText} | ${progress} | ${due}`;
+  }).join('\n');
+}
+
+/**
+ * Bloques de "mis proyectos" con selector para iniciar updates a demanda
+ * @param {Array} projects - Proyectos del cache global
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getMyProjectsBlocks(projects, lang = DEFAULT_LANGUAGE) {
+  const active = projects.filter(p => (p.status || '').toLowerCase() !== 'completed');
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*${t(lang, 'project.myProjects', { count: projects.length })}:*\n${getProjectListText(projects, lang)}`.slice(0, 3000)
       }
+    }
+  ];
+
+  if (active.length === 0) {
+    return blocks;
+  }
+
+  // Slack admite hasta 100 opciones por selector
+  const options = active.slice(0, 100).map(p => ({
+    text: {
+      type: 'plain_text',
+      text: `${p.pmoId || 'PMO-N/A'} | ${p.name}`.slice(0, 75),
+      emoji: true
+    },
+    value: p.gid
+  }));
+
+  blocks.push({
+    type: 'actions',
+    elements: [
+      {
+        type: 'multi_static_select',
+        action_id: 'updatepick_select',
+        placeholder: { type: 'plain_text', text: t(lang, 'project.pickPlaceholder') },
+        options
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'project.updateSelected'), emoji: true },
+        action_id: 'updatepick_submit',
+        style: 'primary'
+      },
+      {
+        type: 'button',
+        text: { type: 'plain_text', text: t(lang, 'project.updateAll'), emoji: true },
+        action_id: 'updatepick_all'
+      }
+    ]
+  });
+
+  return blocks;
+}
+
+/**
+ * Línea compacta de un proyecto para el digest semanal
+ * @param {Object} entry - Proyecto del digest (ver portfolio-digest.js)
+ * @param {string} lang
+ * @returns {string}
+ */
+function formatDigestProjectLine(entry, lang = DEFAULT_LANGUAGE) {
+  const pmoId = entry.pmoId || 'PMO-N/A';
+  const name = entry.permalinkUrl ? `<${entry.permalinkUrl}|${entry.name}>` : entry.name;
+  const lastUpdate = entry.lastUpdateAt
+    ? formatDate(entry.lastUpdateAt, lang)
+    : t(lang, 'digest.noUpdates');
+  const blockers = entry.hasBlockers ? ' 🚫' : '';
+  const trend = entry.trend === 'worsening' ? ' 📉' : '';
+  const headline = entry.headline ? ` — _${entry.headline}_` : '';
+  return `${getStatusEmoji(entry.status)} ${pmoId} | ${name} | ${lastUpdate}${blockers}${trend}${headline}`;
+}
+
+/**
+ * Lista de proyectos truncada para no superar el límite de texto de Slack
+ * @param {Array} entries
+ * @param {number} max
+ * @param {string} lang
+ * @returns {string}
+ */
+function formatDigestProjectList(entries, max = 10, lang = DEFAULT_LANGUAGE) {
+  if (entries.length === 0) {
+    return t(lang, 'digest.none');
+  }
+  const lines = entries.slice(0, max).map(entry => formatDigestProjectLine(entry, lang));
+  if (entries.length > max) {
+    lines.push(t(lang, 'digest.more', { count: entries.length - max }));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Bloques del digest semanal del portafolio (canal PMO)
+ * @param {Object} digest - Resultado de buildPortfolioDigest
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getWeeklyDigestBlocks(digest, lang = DEFAULT_LANGUAGE) {
+  const from = formatDate(digest.weekStart, lang);
+  const to = formatDate(digest.weekEnd, lang);
+  const { byStatus, byRiskLevel } = digest;
+
+  return [
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: t(lang, 'digest.header', { from, to }),
+        emoji: true
+      }
+    },
+    {
+      type: 'section',
+      fields: [
+        {
+          type: 'mrkdwn',
+          text: t(lang, 'digest.byStatus', byStatus)
+        },
+        {
+          type: 'mrkdwn',
+          text: t(lang, 'digest.byRiskLevel', byRiskLevel)
+        }
+      ]
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(lang, 'digest.summary', {
+            total: digest.total,
+            withBlockers: digest.withBlockers.length,
+            withoutUpdate: digest.withoutUpdate.length
+          })
+        }
+      ]
     },
     {
       type: 'divider'
@@ -338,19 +1590,112 @@ function getHelpBlocks() {
       type: 'section',
       text: {
         type: 'mrkdwn',
-        text: '*Comandos disponibles:*\n• `ayuda` - Muestra este mensaje\n• `mis proyectos` - Lista tus proyectos asignados\n• `PMO-XXX` - Busca un proyecto por su ID\n• `reset` - Reinicia tu perfil'
+        text: `${t(lang, 'digest.worsening')}\n${formatDigestProjectList(digest.worsening, 10, lang)}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${t(lang, 'digest.withBlockers', { count: digest.withBlockers.length })}\n${formatDigestProjectList(digest.withBlockers, 10, lang)}`
+      }
+    },
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${t(lang, 'digest.withoutUpdate', { count: digest.withoutUpdate.length })}\n${formatDigestProjectList(digest.withoutUpdate, 10, lang)}`
       }
+    },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: t(lang, 'digest.threadHint')
+        }
+      ]
     }
   ];
 }
 
+/**
+ * Bloques con el detalle de un responsable (respuesta en hilo del digest)
+ * @param {{responsable: string, projects: Array}} group
+ * @param {string} lang
+ * @returns {Array}
+ */
+function getResponsableDigestBlocks(group, lang = DEFAULT_LANGUAGE) {
+  const counts = group.projects.reduce((acc, p) => {
+    acc[p.status || 'no_status'] = (acc[p.status || 'no_status'] || 0) + 1;
+    return acc;
+  }, {});
+
+  const summary = ['on_track', 'at_risk', 'off_track']
+    .filter(status => counts[status])
+    .map(status => `${getStatusEmoji(status)} ${counts[status]}`)
+    .join('  ');
+
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${t(lang, 'digest.responsable', { responsable: group.responsable, count: group.projects.length })}${summary ? `  ${summary}` : ''}`
+      }
+    }
+  ];
+
+  // Secciones de 10 proyectos para respetar el límite de 3000 caracteres
+  for (let i = 0; i < group.projects.length; i += 10) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: group.projects.slice(i, i + 10).map(entry => formatDigestProjectLine(entry, lang)).join('\n')
+      }
+    });
+  }
+
+  return blocks;
+}
+
 module.exports = {
   getUpdateRequestBlocks,
+  getUpdateModalView,
+  parseUpdateModalValues,
+  getLanguageBlocks,
   getOnboardingNameBlocks,
+  getResponsableMatchBlocks,
   getOnboardingEmailBlocks,
   getOnboardingTimezoneBlocks,
   getOnboardingCompleteBlocks,
+  getScheduleSummary,
+  getScheduleBlocks,
+  getScheduleModalView,
+  parseScheduleModalValues,
+  getCoverageGapBlocks,
+  getHomeView,
+  getProjectHistoryText,
+  getAbsenceModalView,
+  parseAbsenceModalValues,
   getAlertBlocks,
+  getAlertMessageBlocks,
+  getUpdateSummaryLines,
   getStatusEmoji,
-  getHelpBlocks
+  getStatusText,
+  getHelpBlocks,
+  getSlashCommandHelpBlocks,
+  getProjectDetailText,
+  getProjectDetailBlocks,
+  getChannelLinkedBlocks,
+  getChannelPulseToggleBlocks,
+  getChannelUpdateBlocks,
+  getChannelPulseBlocks,
+  getSubscriptionUpdateBlocks,
+  getSubscriptionListText,
+  getProjectListText,
+  getMyProjectsBlocks,
+  getWeeklyDigestBlocks,
+  getResponsableDigestBlocks
 };
@@ -0,0 +1,107 @@
+/**
+ * Portfolio Digest
+ *
+ * Arma el resumen semanal del portafolio a partir del cache global de
+ * proyectos y el análisis de riesgo (risk-detector) de cada uno.
+ * Las plantillas Block Kit del digest están en messages.js.
+ */
+
+const { generateRiskSummary, getRiskScore } = require('./risk-detector');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_WORSENING = 5;
+
+/**
+ * Convierte el Status del cache (campo custom de Asana) al formato de los updates
+ * @param {string} status - Ej: "On track", "At risk", "Off track"
+ * @returns {string|null}
+ */
+function normalizeProjectStatus(status) {
+  const value = (status || '').toLowerCase().replace(/[\s-]+/g, '_');
+  if (['on_track', 'at_risk', 'off_track'].includes(value)) {
+    return value;
+  }
+  return null;
+}
+
+/**
+ * Construye el digest semanal
+ * @param {Array} projects - Proyectos del cache global
+ * @param {Map<string, Object>} analysesByGid - Resultado de analyzeProjectRisk por projectGid
+ * @param {Date} now
+ * @returns {Object}
+ */
+function buildPortfolioDigest(projects, analysesByGid, now = new Date()) {
+  const weekStart = new Date(now.getTime() - 7 * DAY_MS);
+
+  const entries = projects.map((project) => {
+    const analysis = analysesByGid.get(project.gid) || { riskLevel: 'unknown', alerts: [] };
+    const lastUpdateAt = analysis.lastUpdateAt || null;
+
+    return {
+      gid: project.gid,
+      name: project.name,
+      pmoId: project.pmoId || null,
+      responsable: project.responsable || 'Sin responsable',
+      permalinkUrl: project.permalinkUrl || null,
+      status: analysis.latestStatus || normalizeProjectStatus(project.status),
+      riskLevel: analysis.riskLevel || 'unknown',
+      hasBlockers: analysis.hasBlockers === true,
+      trend: analysis.trend || 'stable',
+      trendDelta: analysis.trendDelta || 0,
+      lastUpdateAt,
+      // Titular del resumen del último update (agentService.summarizeUpdate)
+      headline: analysis.headline || null,
+      updatedThisWeek: lastUpdateAt ? new Date(lastUpdateAt) >= weekStart : false
+    };
+  });
+
+  const riskSummary = generateRiskSummary(entries.map(e => ({
+    projectGid: e.gid,
+    riskLevel: e.riskLevel,
+    latestStatus: e.status,
+    hasBlockers: e.hasBlockers
+  })));
+
+  const byStatus = {
+    ...riskSummary.byStatus,
+    no_status: entries.filter(e => !e.status).length
+  };
+
+  const worsening = entries
+    .filter(e => e.trend === 'worsening')
+    .sort((a, b) => (b.trendDelta - a.trendDelta) || (getRiskScore(b.status) - getRiskScore(a.status)))
+    .slice(0, TOP_WORSENING);
+
+  const groups = new Map();
+  for (const entry of entries) {
+    if (!groups.has(entry.responsable)) {
+      groups.set(entry.responsable, []);
+    }
+    groups.get(entry.responsable).push(entry);
+  }
+
+  const byResponsable = Array.from(groups.entries())
+    .map(([responsable, items]) => ({
+      responsable,
+      projects: items.sort((a, b) => getRiskScore(b.status) - getRiskScore(a.status))
+    }))
+    .sort((a, b) => a.responsable.localeCompare(b.responsable));
+
+  return {
+    weekStart: weekStart.toISOString(),
+    weekEnd: now.toISOString(),
+    total: entries.length,
+    byStatus,
+    byRiskLevel: riskSummary.byRiskLevel,
+    withBlockers: entries.filter(e => e.hasBlockers),
+    withoutUpdate: entries.filter(e => !e.updatedThisWeek),
+    worsening,
+    byResponsable
+  };
+}
+
+module.exports = {
+  buildPortfolioDigest,
+  normalizeProjectStatus
+};
@@ -0,0 +1,259 @@
+/**
+ * Portfolio Export
+ *
+ * Exporta a CSV o XLSX (subido al DM con files.uploadV2):
+ * - Portafolio: proyectos del cache global con su último update
+ *     "exportar", "exportar cliente:acme estado:rojo xlsx"
+ * - Historial: todos los updates de un rango de fechas (por defecto, los últimos 30 días)
+ *     "exportar updates desde 01/09 hasta 30/09 responsable:"ana perez""
+ *
+ * Los filtros son los de la búsqueda de proyectos (cliente:, responsable:, estado:).
+ * En el historial, estado: filtra por el estado reportado en cada update.
+ */
+
+const { DateTime } = require('luxon');
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const i18n = require('./i18n');
+const projectSearch = require('./project-search');
+const spreadsheet = require('./spreadsheet');
+const { normalizeText, parseCommandDate } = require('./text');
+
+const COMMAND_PATTERN = /^(?:exportar|export)(?:\s+(.*))?$/;
+const UPDATES_WORDS = ['updates', 'historial', 'history', 'historico'];
+const PORTFOLIO_WORDS = ['portafolio', 'portfolio', 'cartera', 'proyectos', 'projects', 'projetos'];
+const FORMAT_WORDS = { csv: 'csv', xlsx: 'xlsx', excel: 'xlsx' };
+const FROM_WORDS = ['desde', 'from', 'de'];
+const TO_WORDS = ['hasta', 'to', 'until', 'ate', 'a'];
+const DEFAULT_RANGE_DAYS = 30;
+
+const STATUS_LABELS = { on_track: 'On Track', at_risk: 'At Risk', off_track: 'Off Track' };
+
+const PORTFOLIO_COLUMNS = ['pmoId', 'project', 'client', 'responsable', 'asanaStatus', 'progress', 'dueDate',
+  'lastUpdateAt', 'reportedStatus', 'headline', 'blockers', 'nextSteps', 'pm'];
+const UPDATES_COLUMNS = ['date', 'pmoId', 'project', 'client', 'responsable', 'reportedStatus', 'advances',
+  'headline', 'blockers', 'nextSteps', 'newDueDate', 'pm'];
+
+/**
+ * Interpreta el comando de export
+ *   "exportar xlsx cliente:acme" -> { type: 'portfolio', format: 'xlsx', filters: { cliente: 'acme' } }
+ *   "exportar updates desde 01/09" -> { type: 'updates', format: 'csv', from: '2026-09-01', to: <hoy> }
+ * Un rango de fechas implica el historial de updates.
+ * @param {string} text
+ * @param {string} today - YYYY-MM-DD local del usuario
+ * @returns {Object|null} null si no es un comando de export; { invalid: true } si no se entiende
+ */
+function parseExportCommand(text, today) {
+  const { filters, rest } = projectSearch.splitSearchFilters(text);
+  const match = normalizeText(rest).trim().replace(/\s+/g, ' ').match(COMMAND_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const command = { type: 'portfolio', format: 'csv', from: null, to: null, filters };
+  const words = (match[1] || '').split(' ').filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (FROM_WORDS.includes(word) || TO_WORDS.includes(word)) {
+      const date = parseCommandDate(words[i + 1], today, 'past');
+      if (!date) {
+        return { invalid: true };
+      }
+      command[FROM_WORDS.includes(word) ? 'from' : 'to'] = date;
+      command.type = 'updates';
+      i++;
+    } else if (UPDATES_WORDS.includes(word)) {
+      command.type = 'updates';
+    } else if (PORTFOLIO_WORDS.includes(word)) {
+      command.type = 'portfolio';
+    } else if (FORMAT_WORDS[word]) {
+      command.format = FORMAT_WORDS[word];
+    } else {
+      return { invalid: true };
+    }
+  }
+
+  if (command.type === 'updates') {
+    command.to = command.to || today;
+    command.from = command.from || DateTime.fromISO(command.to).minus({ days: DEFAULT_RANGE_DAYS }).toISODate();
+    if (command.from > command.to) {
+      return { invalid: true };
+    }
+  }
+  return command;
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? timestamp.slice(0, 16).replace('T', ' ') : '';
+}
+
+function getBlockerText(update) {
+  return update?.hasBlockers ? (update.blockerDescription || '') : '';
+}
+
+function getPmName(pmSlackId, pmNames) {
+  return pmSlackId ? (pmNames.get(pmSlackId) || pmSlackId) : '';
+}
+
+/**
+ * Nombre en Asana de los usuarios, por Slack ID (columna PM)
+ * @returns {Map<string, string>}
+ */
+async function getPmNames() {
+  const users = await dynamoService.getAllOnboardedUsers();
+  return new Map(users.filter(u => u.asanaName).map(u => [u.slackUserId, u.asanaName]));
+}
+
+/**
+ * Filas del portafolio: un proyecto por fila con su último update
+ * @param {Array} projects - Proyectos del cache global
+ * @param {Array} updates - Updates (del más antiguo al más reciente)
+ * @param {Map<string, string>} pmNames
+ * @returns {Array<Object>}
+ */
+function buildPortfolioRows(projects, updates, pmNames) {
+  const latestByGid = new Map(updates.map(update => [update.projectGid, update]));
+
+  return [...projects]
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .map((project) => {
+      const update = latestByGid.get(project.gid);
+      return {
+        pmoId: project.pmoId || '',
+        project: project.name,
+        client: project.clienteNuevo || '',
+        responsable: project.responsable || '',
+        asanaStatus: project.status || '',
+        progress: project.progressPercent ?? '',
+        dueDate: project.dueOn || project.dueAt || '',
+        lastUpdateAt: formatTimestamp(update?.timestamp),
+        reportedStatus: STATUS_LABELS[update?.status] || '',
+        headline: update ? (update.summary?.headline || update.advances || '') : '',
+        blockers: getBlockerText(update),
+        nextSteps: update?.nextSteps || '',
+        pm: getPmName(update?.pmSlackId, pmNames)
+      };
+    });
+}
+
+/**
+ * Filas del historial: un update por fila, con los datos del proyecto en cache
+ * @param {Array} updates
+ * @param {Map<string, Object>} projectsByGid
+ * @param {Map<string, string>} pmNames
+ * @returns {Array<Object>}
+ */
+function buildUpdateRows(updates, projectsByGid, pmNames) {
+  return updates.map((update) => {
+    const project = projectsByGid.get(update.projectGid);
+    return {
+      date: formatTimestamp(update.timestamp),
+      pmoId: project?.pmoId || '',
+      project: update.projectName || project?.name || '',
+      client: project?.clienteNuevo || '',
+      responsable: project?.responsable || '',
+      reportedStatus: STATUS_LABELS[update.status] || '',
+      advances: update.advances || '',
+      headline: update.summary?.headline || '',
+      blockers: getBlockerText(update),
+      nextSteps: update.nextSteps || '',
+      newDueDate: update.newDueDate || '',
+      pm: getPmName(update.pmSlackId, pmNames)
+    };
+  });
+}
+
+/**
+ * Indica si un proyecto cumple los filtros (los de la búsqueda de proyectos)
+ */
+function matchesProjectFilters(project, filters) {
+  return projectSearch.scoreProject(project, { terms: [], filters }) !== null;
+}
+
+/**
+ * Genera las filas del export
+ * @param {Object} command - Resultado de parseExportCommand
+ * @returns {{columns: Array<string>, rows: Array<Object>}}
+ */
+async function buildExportRows(command) {
+  const { filters } = command;
+  const [projects, pmNames] = await Promise.all([dynamoService.getAllCachedProjects(), getPmNames()]);
+
+  if (command.type === 'portfolio') {
+    const updates = await dynamoService.getUpdatesBetween();
+    const filtered = projects.filter(project => matchesProjectFilters(project, filters));
+    return { columns: PORTFOLIO_COLUMNS, rows: buildPortfolioRows(filtered, updates, pmNames) };
+  }
+
+  const updates = await dynamoService.getUpdatesBetween(command.from, command.to);
+  const projectsByGid = new Map(projects.map(project => [project.gid, project]));
+  const { estado, ...projectFilters } = filters;
+  const status = estado ? projectSearch.normalizeStatusFilter(estado) : null;
+
+  const filtered = updates.filter((update) => {
+    if (status && update.status !== status) return false;
+    if (Object.keys(projectFilters).length === 0) return true;
+    const project = projectsByGid.get(update.projectGid);
+    return Boolean(project) && matchesProjectFilters(project, projectFilters);
+  });
+  return { columns: UPDATES_COLUMNS, rows: buildUpdateRows(filtered, projectsByGid, pmNames) };
+}
+
+/**
+ * Genera el archivo del export
+ * @param {Object} command - Resultado de parseExportCommand
+ * @param {string} lang - Idioma de los encabezados
+ * @returns {{filename: string, content: Buffer, count: number}}
+ */
+async function buildExport(command, lang = i18n.DEFAULT_LANGUAGE) {
+  const { columns, rows } = await buildExportRows(command);
+  const labeledColumns = columns.map(key => ({ key, label: i18n.t(lang, `export.columns.${key}`) }));
+
+  const isPortfolio = command.type === 'portfolio';
+  const baseName = isPortfolio
+    ? `portfolio-${DateTime.utc().toISODate()}`
+    : `updates-${command.from}_${command.to}`;
+  const content = command.format === 'xlsx'
+    ? spreadsheet.toXlsx(labeledColumns, rows, i18n.t(lang, isPortfolio ? 'export.sheetPortfolio' : 'export.sheetUpdates'))
+    : spreadsheet.toCsv(labeledColumns, rows);
+
+  return { filename: `${baseName}.${command.format}`, content, count: rows.length };
+}
+
+/**
+ * Genera el export y lo sube al DM del usuario
+ * @param {string} userId
+ * @param {Object} command - Resultado de parseExportCommand
+ * @param {string} lang
+ * @returns {{count: number, filename?: string}} count 0: no hay filas (no se sube nada)
+ */
+async function sendExport(userId, command, lang = i18n.DEFAULT_LANGUAGE) {
+  const file = await buildExport(command, lang);
+  if (file.count === 0) {
+    return { count: 0 };
+  }
+
+  const filters = Object.entries(command.filters || {}).map(([key, value]) => `${key}:${value}`).join(', ');
+  const comment = [
+    command.type === 'portfolio'
+      ? i18n.t(lang, 'export.readyPortfolio', { count: file.count })
+      : i18n.t(lang, 'export.readyUpdates', { count: file.count, from: command.from, to: command.to }),
+    filters ? i18n.t(lang, 'export.filters', { filters }) : null
+  ].filter(Boolean).join('\n');
+
+  await slackService.uploadFile(userId, {
+    filename: file.filename,
+    content: file.content,
+    initialComment: comment
+  });
+  console.log(`Export ${file.filename} (${file.count} filas) enviado a ${userId}`);
+  return { count: file.count, filename: file.filename };
+}
+
+module.exports = {
+  parseExportCommand,
+  buildPortfolioRows,
+  buildUpdateRows,
+  buildExport,
+  sendExport
+};
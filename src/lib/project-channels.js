@@ -0,0 +1,190 @@
+/**
+ * Project Channels
+ *
+ * Canales de Slack vinculados a un proyecto ("vincular PMO-911" dentro del canal):
+ * - Los updates guardados del proyecto se publican también en el canal
+ * - Las menciones (@Pulse status) responden con el detalle del proyecto
+ * - Opcionalmente el canal recibe el pulse del proyecto en lugar del DM del PM
+ *   (lo completan el PM del proyecto, su backup o la PMO)
+ *
+ * Vincular, desvincular y cambiar el destino del pulse lo hacen el PM del
+ * proyecto o la PMO (se valida en slack-events).
+ *
+ * Un canal se vincula a un solo proyecto y un proyecto a un solo canal.
+ * Los textos usan el idioma del canal (PMO_LANGUAGE).
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('./messages');
+const i18n = require('./i18n');
+
+// Errores de chat.postMessage cuando el bot no puede publicar en el canal
+const NOT_IN_CHANNEL_ERRORS = ['not_in_channel', 'channel_not_found', 'is_archived'];
+
+/**
+ * Vincula un canal a un proyecto (reemplaza el vínculo anterior del canal y
+ * del proyecto) y publica la confirmación en el canal
+ * @param {string} channelId
+ * @param {Object} project - Proyecto del cache global
+ * @param {string} userId - Quien vinculó el canal
+ * @returns {{linked: boolean, link?: Object, reason?: string}}
+ */
+async function linkChannel(channelId, project, userId) {
+  const previous = await getChannelProject(channelId);
+  if (previous && previous.projectGid !== project.gid) {
+    await dynamoService.deleteProjectChannel(previous.projectGid, channelId);
+  }
+  const current = await dynamoService.getProjectChannel(project.gid);
+  if (current && current.channelId !== channelId) {
+    await dynamoService.deleteProjectChannel(project.gid, current.channelId);
+  }
+
+  const link = await dynamoService.saveProjectChannel({
+    projectGid: project.gid,
+    projectName: project.name,
+    pmoId: project.pmoId,
+    channelId,
+    linkedBy: userId,
+    // Re-vincular el mismo canal conserva el destino del pulse
+    pulseInChannel: current?.channelId === channelId && current.pulseInChannel
+  });
+
+  const lang = i18n.getChannelLanguage();
+  try {
+    await slackService.sendMessage(
+      channelId,
+      i18n.t(lang, 'channel.linkedText', { project: project.name }),
+      messages.getChannelLinkedBlocks(link, userId, lang)
+    );
+  } catch (error) {
+    // Sin acceso al canal el vínculo no sirve: se deshace
+    if (NOT_IN_CHANNEL_ERRORS.includes(error.data?.error)) {
+      await dynamoService.deleteProjectChannel(project.gid, channelId);
+      return { linked: false, reason: 'not_in_channel' };
+    }
+    throw error;
+  }
+
+  console.log(`Canal ${channelId} vinculado a proyecto ${project.gid} por ${userId}`);
+  return { linked: true, link };
+}
+
+/**
+ * Desvincula el proyecto de un canal y lo avisa en el canal
+ * @param {string} channelId
+ * @param {string} userId
+ * @returns {Object|null} Vínculo eliminado (null si el canal no estaba vinculado)
+ */
+async function unlinkChannel(channelId, userId) {
+  const link = await getChannelProject(channelId);
+  if (!link) {
+    return null;
+  }
+
+  await dynamoService.deleteProjectChannel(link.projectGid, channelId);
+  const lang = i18n.getChannelLanguage();
+  await slackService.sendMessage(channelId, i18n.t(lang, 'channel.unlinked', {
+    project: link.projectName,
+    user: userId
+  }));
+  console.log(`Canal ${channelId} desvinculado de proyecto ${link.projectGid} por ${userId}`);
+  return link;
+}
+
+/**
+ * Vínculo del proyecto de un canal (null si el canal no está vinculado o si
+ * el proyecto ya se vinculó a otro canal)
+ * @param {string} channelId
+ * @returns {Object|null}
+ */
+async function getChannelProject(channelId) {
+  const reverse = await dynamoService.getChannelLink(channelId);
+  if (!reverse) {
+    return null;
+  }
+  const link = await dynamoService.getProjectChannel(reverse.projectGid);
+  return link?.channelId === channelId ? link : null;
+}
+
+/**
+ * Cambia el destino del pulse del proyecto (canal o DM del PM) y lo avisa en el canal
+ * @param {string} projectGid
+ * @param {boolean} enabled - true: el pulse llega al canal
+ * @param {string} userId - Quien hizo el cambio
+ * @returns {Object|null} Vínculo actualizado (null si el proyecto ya no tiene canal)
+ */
+async function setChannelPulse(projectGid, enabled, userId) {
+  const link = await dynamoService.setProjectChannelPulse(projectGid, enabled);
+  if (!link) {
+    return null;
+  }
+
+  const lang = i18n.getChannelLanguage();
+  const text = i18n.t(lang, enabled ? 'channel.pulseOn' : 'channel.pulseOff', {
+    project: link.projectName,
+    user: userId
+  });
+  await slackService.sendMessage(link.channelId, text, messages.getChannelPulseToggleBlocks(link, text, lang));
+  return link;
+}
+
+/**
+ * Publica un update ya guardado en el canal vinculado al proyecto (si lo tiene).
+ * Un error al publicar no interrumpe el guardado del update.
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ * @returns {boolean} true si se publicó
+ */
+async function crossPostUpdate(update) {
+  try {
+    const link = await dynamoService.getProjectChannel(update.projectGid);
+    if (!link) {
+      return false;
+    }
+
+    const lang = i18n.getChannelLanguage();
+    await slackService.sendMessage(
+      link.channelId,
+      i18n.t(lang, 'channel.updateText', { project: update.projectName }),
+      messages.getChannelUpdateBlocks(update, lang)
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error publicando update de ${update.projectGid} en su canal:`, error);
+    return false;
+  }
+}
+
+/**
+ * Vínculos cuyo canal recibe el pulse, por gid de proyecto
+ * @returns {Map<string, Object>}
+ */
+async function getPulseChannels() {
+  const links = await dynamoService.getPulseChannelLinks();
+  return new Map(links.map(link => [link.projectGid, link]));
+}
+
+/**
+ * Envía la solicitud de update de un proyecto a su canal
+ * @param {Object} project - Proyecto del cache global
+ * @param {Object} link - Vínculo del proyecto
+ */
+async function sendChannelPulse(project, link) {
+  const lang = i18n.getChannelLanguage();
+  await slackService.sendMessage(
+    link.channelId,
+    i18n.t(lang, 'update.requestText', { project: project.name }),
+    messages.getChannelPulseBlocks(project, lang)
+  );
+  console.log(`Solicitud de update de ${project.gid} enviada al canal ${link.channelId}`);
+}
+
+module.exports = {
+  linkChannel,
+  unlinkChannel,
+  getChannelProject,
+  setChannelPulse,
+  crossPostUpdate,
+  getPulseChannels,
+  sendChannelPulse
+};
@@ -0,0 +1,97 @@
+/**
+ * Project History
+ *
+ * Historial de updates de un proyecto ("historial PMO-911"): todos los updates
+ * de la tabla, del más reciente al más antiguo, con la transición de estado de
+ * cada uno y un sparkline de estados (🟢🟢🟡🔴) del más antiguo al más reciente.
+ *
+ * Se pagina igual que la búsqueda (5 por página, "siguiente"). El estado de
+ * conversación guarda solo el proyecto y la página; cada página vuelve a
+ * consultar la tabla de updates.
+ */
+
+const dynamoService = require('../services/dynamo');
+const { getStatusEmoji } = require('./messages');
+const { normalizeText } = require('./text');
+
+const PAGE_SIZE = 5;
+const SPARKLINE_LENGTH = 12;
+
+const COMMAND_PATTERN = /^(historial|historico|history)(?:\s+(pmo-?\d+))?$/;
+
+/**
+ * Detecta el comando de historial ("historial PMO-911", "history pmo911")
+ * @param {string} text
+ * @returns {Object|null} { pmoId } con el PMO ID normalizado (null si falta) o null si no es el comando
+ */
+function parseHistoryCommand(text) {
+  const match = normalizeText(String(text || '').trim()).match(COMMAND_PATTERN);
+  if (!match) return null;
+  return { pmoId: match[2] ? match[2].toUpperCase().replace(/^PMO-?/, 'PMO-') : null };
+}
+
+/**
+ * Sparkline con los últimos estados reportados (más antiguo a la izquierda)
+ * @param {Array} updates - Updates del más antiguo al más reciente
+ * @param {number} length - Cantidad máxima de estados
+ * @returns {string}
+ */
+function getStatusSparkline(updates, length = SPARKLINE_LENGTH) {
+  return updates.slice(-length).map(u => getStatusEmoji(u.status)).join('');
+}
+
+/**
+ * Línea de tiempo del más reciente al más antiguo, con el estado anterior de cada update
+ * @param {Array} updates - Updates del más antiguo al más reciente
+ * @returns {Array} Updates con previousStatus
+ */
+function buildTimeline(updates) {
+  return updates
+    .map((update, i) => ({
+      ...update,
+      previousStatus: i > 0 ? updates[i - 1].status || null : null
+    }))
+    .reverse();
+}
+
+/**
+ * Arma una página del historial
+ * @param {Array} updates - Updates del más antiguo al más reciente
+ * @param {number} page - Página (desde 0)
+ * @returns {Object|null} { entries, page, totalPages, total, sparkline } o null si la página no existe
+ */
+function getHistoryPage(updates, page = 0) {
+  const timeline = buildTimeline(updates);
+  const totalPages = Math.max(1, Math.ceil(timeline.length / PAGE_SIZE));
+  if (page < 0 || page >= totalPages) {
+    return null;
+  }
+
+  return {
+    entries: timeline.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE),
+    page,
+    totalPages,
+    total: timeline.length,
+    sparkline: getStatusSparkline(updates)
+  };
+}
+
+/**
+ * Consulta todos los updates del proyecto y arma la página pedida
+ * @param {string} projectGid
+ * @param {number} page
+ * @returns {Object|null}
+ */
+async function loadHistoryPage(projectGid, page = 0) {
+  const updates = await dynamoService.getProjectUpdates(projectGid);
+  return getHistoryPage(updates, page);
+}
+
+module.exports = {
+  PAGE_SIZE,
+  parseHistoryCommand,
+  getStatusSparkline,
+  buildTimeline,
+  getHistoryPage,
+  loadHistoryPage
+};
@@ -0,0 +1,223 @@
+/**
+ * Project Search
+ *
+ * Búsqueda de proyectos del cache global sobre el índice de tokens que escribe
+ * dynamo.upsertProjectCache (items SEARCH#<3 letras>, un token por item).
+ *
+ * - Sin tildes ni mayúsculas (misma normalización que el cache: normalizeName)
+ * - Varias palabras = AND; cada palabra matchea el inicio de algún token
+ *   del nombre, cliente, responsable o PMO ID ("migra banc")
+ * - Filtros: cliente:, estado:, responsable: (valores con espacios entre comillas)
+ * - Ranking: calidad del match (exacto > prefijo; nombre/PMO ID > cliente > responsable)
+ *   y luego estado (Off Track, At Risk, On Track, resto)
+ */
+
+const dynamoService = require('../services/dynamo');
+
+// Las palabras más cortas no usan el índice, solo filtran los candidatos
+const MIN_INDEXED_LENGTH = 3;
+
+const FILTER_PATTERN = /\b(cliente|client|estado|status|responsable|owner|pm):(?:"([^"]+)"|(\S+))/gi;
+const FILTER_FIELDS = {
+  cliente: 'cliente',
+  client: 'cliente',
+  estado: 'estado',
+  status: 'estado',
+  responsable: 'responsable',
+  owner: 'responsable',
+  pm: 'responsable'
+};
+
+// Alias de estado (sin separadores) -> estado del cache
+const STATUS_ALIASES = {
+  ontrack: 'on_track',
+  verde: 'on_track',
+  green: 'on_track',
+  atrisk: 'at_risk',
+  riesgo: 'at_risk',
+  enriesgo: 'at_risk',
+  amarillo: 'at_risk',
+  yellow: 'at_risk',
+  offtrack: 'off_track',
+  rojo: 'off_track',
+  red: 'off_track',
+  atrasado: 'off_track'
+};
+
+const STATUS_PRIORITY = { off_track: 0, at_risk: 1, on_track: 2 };
+
+const FIELD_WEIGHTS = { name: 3, pmoId: 3, cliente: 2, responsable: 1 };
+
+/**
+ * Extrae los filtros (cliente:, estado:, responsable:) de un texto
+ *   'exportar cliente:acme csv' -> { filters: { cliente: 'acme' }, rest: 'exportar   csv' }
+ * @param {string} text
+ * @returns {{filters: Object, rest: string}} rest: el texto sin los filtros
+ */
+function splitSearchFilters(text) {
+  const filters = {};
+  const rest = String(text || '').replace(FILTER_PATTERN, (match, key, quoted, word) => {
+    filters[FILTER_FIELDS[key.toLowerCase()]] = (quoted || word).trim();
+    return ' ';
+  });
+  return { filters, rest };
+}
+
+/**
+ * Separa filtros y palabras de la consulta
+ *   'migracion cliente:"banco estado" estado:riesgo'
+ *   -> { terms: ['migracion'], filters: { cliente: 'banco estado', estado: 'riesgo' } }
+ * @param {string} query
+ * @returns {{terms: Array<string>, filters: Object}}
+ */
+function parseSearchQuery(query) {
+  const { filters, rest } = splitSearchFilters(query);
+  return { terms: dynamoService.getSearchTokens(rest), filters };
+}
+
+/**
+ * Indica si el texto trae filtros de búsqueda (cliente:, estado:, responsable:)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasSearchFilters(text) {
+  return new RegExp(FILTER_PATTERN.source, 'i').test(String(text || ''));
+}
+
+/**
+ * Estado del cache para un valor de filtro ("at risk", "riesgo", "rojo" -> at_risk/off_track)
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeStatusFilter(value) {
+  const tokens = dynamoService.getSearchTokens(value);
+  return STATUS_ALIASES[tokens.join('')] || tokens.join('_');
+}
+
+/**
+ * Estado del cache sin separadores variables ("On Track" -> on_track)
+ */
+function getStatusKey(status) {
+  return dynamoService.getSearchTokens(status).join('_');
+}
+
+/**
+ * Calidad del match de una palabra contra los tokens de un campo
+ * @returns {number} 1 exacto, 0.5 prefijo, 0 sin match
+ */
+function matchQuality(term, tokens) {
+  if (tokens.includes(term)) return 1;
+  return tokens.some(token => token.startsWith(term)) ? 0.5 : 0;
+}
+
+/**
+ * Puntaje de un proyecto para la consulta (null si no cumple alguna palabra o filtro)
+ * @param {Object} project - Item del cache global
+ * @param {{terms: Array<string>, filters: Object}} parsed
+ * @returns {number|null}
+ */
+function scoreProject(project, { terms, filters }) {
+  const fields = {
+    name: dynamoService.getSearchTokens(project.name),
+    pmoId: dynamoService.getSearchTokens(project.pmoId),
+    cliente: dynamoService.getSearchTokens(project.clienteNuevo),
+    responsable: dynamoService.getSearchTokens(project.responsable)
+  };
+
+  for (const field of ['cliente', 'responsable']) {
+    if (filters[field]) {
+      const filterTerms = dynamoService.getSearchTokens(filters[field]);
+      if (filterTerms.length === 0 || filterTerms.some(term => matchQuality(term, fields[field]) === 0)) {
+        return null;
+      }
+    }
+  }
+
+  if (filters.estado) {
+    if (getStatusKey(project.status) !== normalizeStatusFilter(filters.estado)) {
+      return null;
+    }
+  }
+
+  let score = 0;
+  for (const term of terms) {
+    const best = Math.max(...Object.entries(FIELD_WEIGHTS)
+      .map(([field, weight]) => weight * matchQuality(term, fields[field])));
+    if (best === 0) return null;
+    score += best;
+  }
+  return score;
+}
+
+/**
+ * Ordena por puntaje, luego por estado y nombre
+ */
+function compareResults(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+
+  const others = Object.keys(STATUS_PRIORITY).length;
+  const statusA = STATUS_PRIORITY[getStatusKey(a.project.status)] ?? others;
+  const statusB = STATUS_PRIORITY[getStatusKey(b.project.status)] ?? others;
+  if (statusA !== statusB) return statusA - statusB;
+
+  return (a.project.name || '').localeCompare(b.project.name || '');
+}
+
+/**
+ * Proyectos candidatos: intersección de las consultas al índice de cada palabra
+ * (incluye las de los filtros de cliente y responsable). Sin palabras indexables
+ * (ej: solo estado:) se recorre el cache completo.
+ */
+async function getCandidates({ terms, filters }) {
+  const indexTerms = [
+    ...terms,
+    ...dynamoService.getSearchTokens(filters.cliente),
+    ...dynamoService.getSearchTokens(filters.responsable)
+  ].filter(term => term.length >= MIN_INDEXED_LENGTH);
+
+  if (indexTerms.length === 0) {
+    return dynamoService.getAllCachedProjects();
+  }
+
+  const gidSets = await Promise.all([...new Set(indexTerms)].map(term => dynamoService.searchProjectIndex(term)));
+  const [first, ...others] = gidSets;
+  const gids = first.filter(gid => others.every(set => set.includes(gid)));
+
+  return gids.length > 0 ? dynamoService.getCachedProjectsByGids(gids) : [];
+}
+
+/**
+ * Busca proyectos del cache global
+ * @param {string} query - Texto con palabras y filtros (cliente:, estado:, responsable:)
+ * @param {number} limit
+ * @returns {Array} Proyectos ordenados por relevancia
+ */
+async function searchProjects(query, limit = 50) {
+  const parsed = parseSearchQuery(query);
+  if (parsed.terms.length === 0 && Object.keys(parsed.filters).length === 0) {
+    return [];
+  }
+
+  try {
+    const candidates = await getCandidates(parsed);
+
+    return candidates
+      .map(project => ({ project, score: scoreProject(project, parsed) }))
+      .filter(result => result.score !== null)
+      .sort(compareResults)
+      .slice(0, limit)
+      .map(result => result.project);
+  } catch (error) {
+    console.error('Error buscando proyectos:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  splitSearchFilters,
+  parseSearchQuery,
+  hasSearchFilters,
+  normalizeStatusFilter,
+  scoreProject,
+  searchProjects
+};
@@ -0,0 +1,127 @@
+/**
+ * Pulse Schedule
+ *
+ * Horario de solicitudes de update de cada PM (user.schedule):
+ *   { days: [1, 4], hour: 9, frequency: 'weekly' | 'biweekly', startDate: 'YYYY-MM-DD' }
+ *
+ * days usa la numeración ISO de luxon (1 = Lunes ... 7 = Domingo) y hour es la
+ * hora local en la timezone del usuario. scheduled-pulse corre cada hora y envía
+ * solo a quienes les toca (isPulseDue).
+ */
+
+const { DateTime } = require('luxon');
+
+const DEFAULT_SCHEDULE = Object.freeze({
+  days: Object.freeze([1, 4]),
+  hour: 9,
+  frequency: 'weekly'
+});
+
+const FREQUENCIES = ['weekly', 'biweekly'];
+const DEFAULT_TIMEZONE = 'America/Santiago';
+
+// Horas ofrecidas en el formulario de horario
+const MIN_HOUR = 6;
+const MAX_HOUR = 20;
+
+/**
+ * Normaliza un horario (valores inválidos toman el default)
+ * @param {Object|null} schedule
+ * @returns {{days: Array<number>, hour: number, frequency: string, startDate: string|null}}
+ */
+function normalizeSchedule(schedule) {
+  const days = [...new Set((schedule?.days || []).map(Number))]
+    .filter(d => Number.isInteger(d) && d >= 1 && d <= 7)
+    .sort((a, b) => a - b);
+  const hour = Number(schedule?.hour);
+
+  return {
+    days: days.length > 0 ? days : [...DEFAULT_SCHEDULE.days],
+    hour: Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_SCHEDULE.hour,
+    frequency: FREQUENCIES.includes(schedule?.frequency) ? schedule.frequency : DEFAULT_SCHEDULE.frequency,
+    startDate: schedule?.startDate || null
+  };
+}
+
+/**
+ * Horario de un usuario guardado (default: Lunes y Jueves 9:00, semanal)
+ * @param {Object|null} user
+ */
+function getUserSchedule(user) {
+  return normalizeSchedule(user?.schedule);
+}
+
+/**
+ * Hora actual en la timezone del usuario (timezones inválidas usan Santiago)
+ */
+function getLocalTime(user, now) {
+  const local = now.setZone(user?.timezone || DEFAULT_TIMEZONE);
+  return local.isValid ? local : now.setZone(DEFAULT_TIMEZONE);
+}
+
+/**
+ * Indica si al usuario le toca la solicitud de update en esta hora
+ * @param {Object} user - { timezone, schedule, lastPulseAt }
+ * @param {DateTime} now
+ * @returns {boolean}
+ */
+function isPulseDue(user, now = DateTime.utc()) {
+  const schedule = getUserSchedule(user);
+  const local = getLocalTime(user, now);
+
+  if (!schedule.days.includes(local.weekday) || local.hour !== schedule.hour) {
+    return false;
+  }
+
+  if (schedule.frequency === 'biweekly') {
+    const start = schedule.startDate
+      ? DateTime.fromISO(schedule.startDate, { zone: local.zone })
+      : null;
+    const weeks = start?.isValid
+      ? Math.round(local.startOf('week').diff(start.startOf('week'), 'weeks').weeks)
+      : local.weekNumber;
+    if (weeks % 2 !== 0) {
+      return false;
+    }
+  }
+
+  // Una sola solicitud por día aunque EventBridge reintente la ejecución
+  if (user?.lastPulseAt) {
+    const last = DateTime.fromISO(user.lastPulseAt).setZone(local.zone);
+    if (last.isValid && last.hasSame(local, 'day')) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Fecha local de hoy (YYYY-MM-DD), ancla de la frecuencia cada 2 semanas
+ * @param {Object} user
+ * @param {DateTime} now
+ */
+function getLocalDate(user, now = DateTime.utc()) {
+  return getLocalTime(user, now).toISODate();
+}
+
+/**
+ * Hora en formato 12h (9 -> "9:00 AM")
+ * @param {number} hour
+ */
+function formatHour(hour) {
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h12}:00 ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  FREQUENCIES,
+  MIN_HOUR,
+  MAX_HOUR,
+  normalizeSchedule,
+  getUserSchedule,
+  isPulseDue,
+  getLocalDate,
+  formatHour
+};
@@ -3,7 +3,8 @@
  *
  * Lógica de detección automática de riesgos.
  *
- * Condiciones de alerta:
+ * Las condiciones de alerta son reglas declarativas (src/config/risk-rules.json,
+ * ver risk-rules.js). Por defecto, entre otras:
  * - Proyecto reportado como off_track
  * - Proyecto at_risk por 2 updates consecutivos
  * - Bloqueo reportado en proyecto con riesgo
@@ -11,48 +12,32 @@
  * @see Project_Pulse_Bot_MVP_Implementacion.md - Paso 1.7
  */
 
+const riskRules = require('./risk-rules');
+
+const DEFAULT_RULES = riskRules.loadRiskRules();
+
 /**
- * Determina si debe generarse una alerta
- * @param {Object} currentUpdate - { status, hasBlockers }
- * @param {Array} previousUpdates - Updates anteriores (máx 2)
- * @returns {Object} { shouldAlert: boolean, reason: string }
+ * Determina si debe generarse una alerta evaluando todas las reglas
+ * @param {Object} currentUpdate - { status, hasBlockers, pendingTasks? }
+ * @param {Array} previousUpdates - Updates anteriores (el más reciente primero)
+ * @param {Object} options - { project, rules, now }
+ * @returns {Object} { shouldAlert: boolean, reason: string, severity: string, firedRules: Array }
  */
-function shouldAlert(currentUpdate, previousUpdates = []) {
+function shouldAlert(currentUpdate, previousUpdates = [], options = {}) {
+  const { project = null, rules = DEFAULT_RULES, now = new Date() } = options;
   const { status, hasBlockers } = currentUpdate;
 
   console.log('Evaluando riesgo:', { status, hasBlockers, previousUpdates: previousUpdates.length });
 
-  // Condición A: off_track siempre genera alerta
-  if (status === 'off_track') {
-    return {
-      shouldAlert: true,
-      reason: 'Proyecto reportado como Off Track'
-    };
-  }
-
-  // Condición B: at_risk consecutivo
-  if (status === 'at_risk' && previousUpdates.length > 0) {
-    const lastUpdate = previousUpdates[0];
-    if (lastUpdate && lastUpdate.status === 'at_risk') {
-      return {
-        shouldAlert: true,
-        reason: 'Proyecto en riesgo por 2 reportes consecutivos'
-      };
-    }
-  }
-
-  // Condición C: bloqueo en proyecto con riesgo
-  if (hasBlockers && status !== 'on_track') {
-    return {
-      shouldAlert: true,
-      reason: 'Bloqueo reportado en proyecto con riesgo'
-    };
-  }
+  const facts = riskRules.buildRiskFacts(currentUpdate, previousUpdates, project, now);
+  const firedRules = riskRules.evaluateRules(rules, facts);
 
-  // No hay condiciones de alerta
+  // La regla más severa define el motivo principal
   return {
-    shouldAlert: false,
-    reason: null
+    shouldAlert: firedRules.length > 0,
+    reason: firedRules[0]?.reason || null,
+    severity: firedRules[0]?.severity || null,
+    firedRules
   };
 }
 
@@ -60,11 +45,13 @@ function shouldAlert(currentUpdate, previousUpdates = []) {
  * Analiza el riesgo de un proyecto basado en su historial
  * @param {string} projectGid
  * @param {Object} dynamoService - Servicio de DynamoDB
+ * @param {Object|null} project - Proyecto del cache (para reglas sobre fecha, avance y tareas)
  * @returns {Object}
  */
-async function analyzeProjectRisk(projectGid, dynamoService) {
+async function analyzeProjectRisk(projectGid, dynamoService, project = null) {
   try {
-    const updates = await dynamoService.getLastUpdates(projectGid, 3);
+    const history = await dynamoService.getLastUpdates(projectGid, riskRules.HISTORY_SIZE);
+    const updates = history.slice(0, 3);
 
     if (updates.length === 0) {
       return {
@@ -77,10 +64,7 @@ async function analyzeProjectRisk(projectGid, dynamoService) {
     const latestUpdate = updates[0];
     const previousUpdates = updates.slice(1);
 
-    const alertResult = shouldAlert(
-      { status: latestUpdate.status, hasBlockers: latestUpdate.hasBlockers },
-      previousUpdates
-    );
+    const alertResult = shouldAlert(latestUpdate, history.slice(1), { project });
 
     // Calcular nivel de riesgo
     let riskLevel = 'low';
@@ -99,14 +83,15 @@ async function analyzeProjectRisk(projectGid, dynamoService) {
       alerts.push('Tiene bloqueos activos');
     }
 
-    // Verificar tendencia negativa
+    // Verificar tendencia negativa (updates en orden descendente: el mas reciente primero)
+    const trend = getRiskTrend(updates);
     if (previousUpdates.length > 0) {
       const statuses = [latestUpdate.status, ...previousUpdates.map(u => u.status)];
       const riskProgression = statuses.every((s, i) =>
-        i === 0 || getRiskScore(s) >= getRiskScore(statuses[i-1])
+        i === 0 || getRiskScore(s) <= getRiskScore(statuses[i-1])
       );
 
-      if (riskProgression && getRiskScore(latestUpdate.status) > 0) {
+      if (riskProgression && trend.delta > 0) {
         alerts.push('Tendencia de riesgo creciente');
       }
     }
@@ -116,9 +101,13 @@ async function analyzeProjectRisk(projectGid, dynamoService) {
       reason: alertResult.reason,
       alerts,
       shouldAlert: alertResult.shouldAlert,
+      firedRules: alertResult.firedRules,
       latestStatus: latestUpdate.status,
       hasBlockers: latestUpdate.hasBlockers,
-      lastUpdateAt: latestUpdate.timestamp
+      lastUpdateAt: latestUpdate.timestamp,
+      trend: trend.direction,
+      trendDelta: trend.delta,
+      headline: latestUpdate.summary?.headline || null
     };
 
   } catch (error) {
@@ -145,6 +134,27 @@ function getRiskScore(status) {
   return scores[status] ?? 0;
 }
 
+/**
+ * Calcula la tendencia de riesgo entre el update más antiguo y el más reciente
+ * @param {Array} updates - Updates en orden descendente (el más reciente primero)
+ * @returns {{direction: string, delta: number}} direction: worsening | improving | stable
+ */
+function getRiskTrend(updates = []) {
+  if (updates.length < 2) {
+    return { direction: 'stable', delta: 0 };
+  }
+
+  const latestScore = getRiskScore(updates[0].status);
+  const oldestScore = getRiskScore(updates[updates.length - 1].status);
+  const delta = latestScore - oldestScore;
+
+  let direction = 'stable';
+  if (delta > 0) direction = 'worsening';
+  if (delta < 0) direction = 'improving';
+
+  return { direction, delta };
+}
+
 /**
  * Genera resumen de riesgo para múltiples proyectos
  * @param {Array} projects - Lista de análisis de proyectos
@@ -200,5 +210,6 @@ module.exports = {
   shouldAlert,
   analyzeProjectRisk,
   getRiskScore,
+  getRiskTrend,
   generateRiskSummary
 };
@@ -0,0 +1,230 @@
+/**
+ * Risk Rules
+ *
+ * Motor de reglas de riesgo declarativas (src/config/risk-rules.json).
+ * Cada regla define condiciones sobre "facts" calculados desde el historial
+ * de updates y los campos del proyecto en cache:
+ *
+ *   {
+ *     "id": "due_soon_low_progress",
+ *     "severity": "high",                  // high | medium | low
+ *     "reason": "Vence en menos de 14 días con avance menor a 80%",
+ *     "channel": "C0123456789",            // opcional, default SLACK_CHANNEL_PMO
+ *     "enabled": true,                     // opcional
+ *     "when": { "all": [ { "fact": "daysToDue", "op": "lt", "value": 14 }, ... ] }
+ *   }
+ *
+ * "when" acepta { all: [...] } o { any: [...] } (anidables).
+ * Operadores: eq, neq, gt, gte, lt, lte, in, exists.
+ * Una condición sobre un fact sin valor (null) no se cumple, salvo "exists".
+ *
+ * daysSinceLastUpdate se mide desde el update anterior (o el último status de
+ * Asana): al guardar un update indica cuánto tiempo estuvo el proyecto sin
+ * reportes. Los proyectos que dejan de reportar se revisan a diario en
+ * alert-escalation (alerts.checkQuietProjects) con las reglas de QUIET_FACTS.
+ */
+
+const defaultConfig = require('../config/risk-rules.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Updates de historial que se consultan para evaluar reglas
+const HISTORY_SIZE = 5;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const FACTS = [
+  'status',
+  'previousStatus',
+  'hasBlockers',
+  'consecutiveStatusCount',
+  'daysSinceLastUpdate',
+  'daysToDue',
+  'progressPercent',
+  'pendingTasks',
+  'pendingTasksIncreasingUpdates'
+];
+
+// Facts que cambian sin un update nuevo: sus reglas se evalúan también por cron
+const QUIET_FACTS = ['daysSinceLastUpdate'];
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  in: (a, b) => Array.isArray(b) && b.includes(a)
+};
+
+/**
+ * Valida una regla. Retorna la lista de errores (vacía si es válida).
+ * @param {Object} rule
+ * @returns {Array<string>}
+ */
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['La regla debe ser un objeto'];
+  if (!rule.id) errors.push('Falta id');
+  if (!(rule.severity in SEVERITY_ORDER)) errors.push(`Severidad invalida: ${rule.severity}`);
+  if (!rule.reason) errors.push('Falta reason');
+
+  const validateNode = (node) => {
+    if (!node || typeof node !== 'object') {
+      errors.push('Condicion invalida');
+      return;
+    }
+    const group = node.all || node.any;
+    if (group) {
+      if (!Array.isArray(group) || group.length === 0) errors.push('all/any debe ser una lista no vacia');
+      else group.forEach(validateNode);
+      return;
+    }
+    if (!FACTS.includes(node.fact)) errors.push(`Fact desconocido: ${node.fact}`);
+    if (node.op !== 'exists' && !OPERATORS[node.op]) errors.push(`Operador desconocido: ${node.op}`);
+  };
+  validateNode(rule.when);
+
+  return errors;
+}
+
+/**
+ * Carga las reglas habilitadas. Las reglas inválidas se descartan con log.
+ * @param {Object} config - { rules: [...] } (default: src/config/risk-rules.json)
+ * @returns {Array}
+ */
+function loadRiskRules(config = defaultConfig) {
+  return (config.rules || []).filter((rule) => {
+    if (rule.enabled === false) return false;
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      console.error(`[RiskRules] Regla ${rule?.id || '(sin id)'} descartada: ${errors.join(', ')}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Facts que usa una regla
+ * @param {Object} rule
+ * @returns {Array<string>}
+ */
+function getRuleFacts(rule) {
+  const collect = (node) => {
+    const group = node?.all || node?.any;
+    return group ? group.flatMap(collect) : [node?.fact];
+  };
+  return [...new Set(collect(rule.when))];
+}
+
+/**
+ * Reglas que dependen solo de QUIET_FACTS (ej. stale_update): se pueden
+ * evaluar sin un update nuevo
+ * @param {Array} rules
+ * @returns {Array}
+ */
+function getQuietRules(rules) {
+  return rules.filter(rule => getRuleFacts(rule).every(fact => QUIET_FACTS.includes(fact)));
+}
+
+/**
+ * Convierte el display_value del campo de avance ("75%") a número
+ */
+function parsePercent(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(',', '.'));
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Cantidad de aumentos seguidos (desde el más reciente) de las tareas
+ * pendientes entre un update y el anterior. Ej: [12, 10, 8, 9] → 2
+ */
+function countIncreasingRun(values) {
+  let increases = 0;
+  for (let i = 0; i < values.length - 1; i++) {
+    const current = values[i];
+    const previous = values[i + 1];
+    if (current === null || current === undefined || previous === null || previous === undefined) break;
+    if (current <= previous) break;
+    increases++;
+  }
+  return increases;
+}
+
+/**
+ * Calcula los facts que evalúan las reglas
+ * @param {Object} currentUpdate - { status, hasBlockers, pendingTasks? }
+ * @param {Array} previousUpdates - Updates anteriores (el más reciente primero)
+ * @param {Object|null} project - Proyecto del cache global
+ * @param {Date} now
+ * @returns {Object} daysSinceLastUpdate es null si el proyecto no tiene reportes anteriores
+ */
+function buildRiskFacts(currentUpdate, previousUpdates = [], project = null, now = new Date()) {
+  const statuses = [currentUpdate.status, ...previousUpdates.map(u => u.status)];
+  let consecutiveStatusCount = 1;
+  while (consecutiveStatusCount < statuses.length && statuses[consecutiveStatusCount] === statuses[0]) {
+    consecutiveStatusCount++;
+  }
+
+  // El update actual se guarda en este momento: la antigüedad es la del reporte anterior
+  const lastUpdateAt = previousUpdates[0]?.timestamp || project?.lastUpdateAt || null;
+  const dueDate = project?.dueOn || project?.dueAt || null;
+  const currentPending = currentUpdate.pendingTasks ?? project?.pendingTasks ?? null;
+  const pendingSeries = [currentPending, ...previousUpdates.map(u => u.pendingTasks ?? null)];
+
+  return {
+    status: currentUpdate.status || null,
+    previousStatus: previousUpdates[0]?.status || null,
+    hasBlockers: currentUpdate.hasBlockers === true,
+    consecutiveStatusCount,
+    daysSinceLastUpdate: lastUpdateAt ? Math.floor((now.getTime() - new Date(lastUpdateAt).getTime()) / DAY_MS) : null,
+    daysToDue: dueDate ? Math.floor((new Date(dueDate).getTime() - now.getTime()) / DAY_MS) : null,
+    progressPercent: parsePercent(project?.progressPercent),
+    pendingTasks: currentPending,
+    pendingTasksIncreasingUpdates: countIncreasingRun(pendingSeries)
+  };
+}
+
+function evaluateCondition(node, facts) {
+  if (node.all) return node.all.every(child => evaluateCondition(child, facts));
+  if (node.any) return node.any.some(child => evaluateCondition(child, facts));
+
+  const value = facts[node.fact];
+  if (node.op === 'exists') {
+    return (value !== null && value !== undefined) === (node.value !== false);
+  }
+  if (value === null || value === undefined) return false;
+  return OPERATORS[node.op](value, node.value);
+}
+
+/**
+ * Evalúa todas las reglas y retorna las que se cumplen (más severas primero)
+ * @param {Array} rules
+ * @param {Object} facts - Resultado de buildRiskFacts
+ * @returns {Array<{id: string, severity: string, reason: string, channel: string|null}>}
+ */
+function evaluateRules(rules, facts) {
+  return rules
+    .filter(rule => evaluateCondition(rule.when, facts))
+    .map(rule => ({
+      id: rule.id,
+      severity: rule.severity,
+      reason: rule.reason,
+      channel: rule.channel || null
+    }))
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+module.exports = {
+  HISTORY_SIZE,
+  FACTS,
+  QUIET_FACTS,
+  validateRule,
+  loadRiskRules,
+  getQuietRules,
+  buildRiskFacts,
+  evaluateRules
+};
@@ -0,0 +1,107 @@
+/**
+ * Roles
+ *
+ * Rol de cada usuario guardado en user.role:
+ * - admin: todo lo de pmo + comandos "admin" (usuarios, roles, reasignaciones, reset)
+ * - pmo: consulta y exporta todo el portafolio, actualiza cualquier proyecto y gestiona alertas
+ * - pm: consulta proyectos y reporta; solo actualiza sus proyectos
+ * - viewer: solo sigue proyectos o clientes (suscripciones)
+ *
+ * Los Slack IDs de ADMIN_SLACK_IDS son siempre admin (bootstrap). Los usuarios
+ * onboarded sin rol guardado (anteriores a los roles) se tratan como pm.
+ */
+
+const ROLES = ['admin', 'pmo', 'pm', 'viewer'];
+
+// Roles que tienen cada permiso
+const PERMISSIONS = {
+  viewProjects: ['admin', 'pmo', 'pm'],
+  reportUpdates: ['admin', 'pmo', 'pm'],
+  updateAnyProject: ['admin', 'pmo'],
+  exportData: ['admin', 'pmo'],
+  manageAlerts: ['admin', 'pmo'],
+  admin: ['admin']
+};
+
+/**
+ * Slack IDs de los admins iniciales (ADMIN_SLACK_IDS, separados por coma o espacio)
+ * @returns {Array<string>}
+ */
+function getAdminIds() {
+  return (process.env.ADMIN_SLACK_IDS || '')
+    .split(/[\s,]+/)
+    .map(id => id.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * true si el usuario es admin por ADMIN_SLACK_IDS (no se le puede cambiar el rol)
+ * @param {string} slackUserId
+ * @returns {boolean}
+ */
+function isBootstrapAdmin(slackUserId) {
+  return Boolean(slackUserId) && getAdminIds().includes(slackUserId.toUpperCase());
+}
+
+/**
+ * Normaliza el nombre de un rol escrito por un admin
+ * @param {string} role
+ * @returns {string|null} null si no es un rol válido
+ */
+function normalizeRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  return ROLES.includes(value) ? value : null;
+}
+
+/**
+ * Rol efectivo de un usuario
+ * @param {Object|null} user - Registro de la tabla de usuarios
+ * @param {string} slackUserId - Para los usuarios sin registro
+ * @returns {string}
+ */
+function getRole(user, slackUserId = user?.slackUserId) {
+  if (isBootstrapAdmin(slackUserId)) {
+    return 'admin';
+  }
+  const role = normalizeRole(user?.role);
+  if (role) {
+    return role;
+  }
+  return user?.onboarded ? 'pm' : 'viewer';
+}
+
+/**
+ * Rol inicial al completar el onboarding: pm si es responsable de algún
+ * proyecto en el cache, viewer si no
+ * @param {Array} projects - Proyectos del responsable elegido
+ * @returns {string}
+ */
+function getInitialRole(projects) {
+  return projects && projects.length > 0 ? 'pm' : 'viewer';
+}
+
+/**
+ * Indica si el usuario tiene un permiso
+ * @param {Object|null} user
+ * @param {string} permission - Clave de PERMISSIONS
+ * @param {string} slackUserId - Para los usuarios sin registro
+ * @returns {boolean}
+ */
+function can(user, permission, slackUserId = user?.slackUserId) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Permiso desconocido: ${permission}`);
+  }
+  return allowed.includes(getRole(user, slackUserId));
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  getAdminIds,
+  isBootstrapAdmin,
+  normalizeRole,
+  getRole,
+  getInitialRole,
+  can
+};
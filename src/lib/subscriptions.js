@@ -0,0 +1,193 @@
+/**
+ * Subscriptions
+ *
+ * Suscripciones de stakeholders (sponsors, account managers) a proyectos y
+ * clientes (pmo-bot-subscriptions), por DM:
+ *   "seguir PMO-911", "seguir cliente Acme solo cambios", "dejar de seguir PMO-911",
+ *   "dejar de seguir todo", "siguiendo"
+ *
+ * Cada update guardado se envía por DM (resumen compacto) a los suscriptores del
+ * proyecto y de su cliente, un mensaje por usuario, según el filtro de la suscripción:
+ * - all: todos los updates
+ * - status_change: solo cuando cambia el estado respecto del update anterior
+ * - off_track: solo updates Off Track
+ */
+
+const dynamoService = require('../services/dynamo');
+const slackService = require('../services/slack');
+const messages = require('./messages');
+const i18n = require('./i18n');
+const projectSearch = require('./project-search');
+const { extractPmoIds } = require('./intent-classifier');
+const { normalizeText } = require('./text');
+
+// Comandos sin tildes ni mayúsculas (es / en / pt)
+const LIST_COMMANDS = ['siguiendo', 'mis suscripciones', 'following', 'my subscriptions', 'seguindo', 'minhas assinaturas'];
+const FOLLOW_PATTERN = /^(?:seguir|follow)(?:\s+(.*))?$/;
+const UNFOLLOW_PATTERN = /^(?:dejar de seguir|unfollow|deixar de seguir)(?:\s+(.*))?$/;
+const CLIENT_PATTERN = /^(?:cliente|client)\s+(.+)$/;
+const PMO_ID_PATTERN = /^pmo[\s-]?\d+$/;
+const ALL_TARGETS = ['todo', 'todos', 'all', 'everything', 'tudo'];
+
+const FILTER_PATTERNS = {
+  status_change: /\b(?:solo|only|so|somente|apenas)\s+(?:cambios?|changes?|mudancas?)(?:\s+(?:de|of)\s+(?:estado|status))?\b/,
+  off_track: /\b(?:solo|only|so|somente|apenas)\s+(?:off[\s_-]?track|rojos?|red)\b/
+};
+
+/**
+ * Interpreta un comando de suscripción
+ *   "seguir PMO-911 solo cambios" -> { action: 'follow', target: { type: 'project', pmoId: 'PMO-911' }, filter: 'status_change' }
+ *   "dejar de seguir cliente acme" -> { action: 'unfollow', target: { type: 'client', name: 'acme' }, filter: 'all' }
+ * "seguir" o "dejar de seguir" sin destino retornan target null (uso del comando).
+ * @param {string} text
+ * @returns {{action: 'follow'|'unfollow'|'list', target: Object|null, filter: string}|null}
+ *   null si el texto no es un comando de suscripción
+ */
+function parseFollowCommand(text) {
+  const normalized = normalizeText(text).trim().replace(/\s+/g, ' ');
+  if (LIST_COMMANDS.includes(normalized)) {
+    return { action: 'list', target: null, filter: 'all' };
+  }
+
+  const unfollow = normalized.match(UNFOLLOW_PATTERN);
+  const follow = unfollow ? null : normalized.match(FOLLOW_PATTERN);
+  if (!unfollow && !follow) {
+    return null;
+  }
+
+  let rest = ((unfollow || follow)[1] || '').trim();
+  let filter = 'all';
+  for (const [name, pattern] of Object.entries(FILTER_PATTERNS)) {
+    if (pattern.test(rest)) {
+      filter = name;
+      rest = rest.replace(pattern, ' ').trim();
+    }
+  }
+
+  const action = unfollow ? 'unfollow' : 'follow';
+  if (!rest) {
+    return { action, target: null, filter };
+  }
+
+  const client = rest.match(CLIENT_PATTERN);
+  if (client) {
+    return { action, target: { type: 'client', name: client[1].replace(/["“”]/g, '').trim() }, filter };
+  }
+  // Solo el PMO ID ("follow up on PMO-911" no es un comando)
+  if (PMO_ID_PATTERN.test(rest)) {
+    return { action, target: { type: 'project', pmoId: extractPmoIds(rest)[0] }, filter };
+  }
+  if (unfollow && ALL_TARGETS.includes(rest)) {
+    return { action, target: { type: 'all' }, filter };
+  }
+
+  // "seguir con el update", etc.: no es un comando de suscripción
+  return null;
+}
+
+/**
+ * Clave de suscripción de un proyecto
+ * @param {string} projectGid
+ */
+function getProjectTargetKey(projectGid) {
+  return `PROJECT#${projectGid}`;
+}
+
+/**
+ * Clave de suscripción de un cliente (sin tildes, mayúsculas ni separadores)
+ * @param {string} client
+ */
+function getClientTargetKey(client) {
+  return `CLIENT#${dynamoService.getSearchTokens(client).join(' ')}`;
+}
+
+/**
+ * Nombre del cliente tal como está en el cache ("banco estado" -> "Banco Estado"):
+ * el que calza exacto o el de mejor ranking en la búsqueda por cliente
+ * @param {string} name
+ * @returns {string|null} null si ningún proyecto tiene ese cliente
+ */
+async function resolveClient(name) {
+  const results = await projectSearch.searchProjects(`cliente:"${name}"`, 50);
+  const clients = results.map(p => p.clienteNuevo).filter(Boolean);
+  const key = getClientTargetKey(name);
+  return clients.find(client => getClientTargetKey(client) === key) || clients[0] || null;
+}
+
+/**
+ * Indica si un update cumple el filtro de una suscripción
+ * @param {string} filter - all | status_change | off_track
+ * @param {Object} update - Update guardado
+ * @param {string|null} previousStatus - Estado del update anterior del proyecto
+ * @returns {boolean}
+ */
+function matchesFilter(filter, update, previousStatus) {
+  if (filter === 'off_track') {
+    return update.status === 'off_track';
+  }
+  if (filter === 'status_change') {
+    return Boolean(previousStatus) && previousStatus !== update.status;
+  }
+  return true;
+}
+
+/**
+ * Envía un update ya guardado a los suscriptores del proyecto y de su cliente
+ * (sin repetir usuarios ni avisar al PM que lo reportó). Un error al notificar
+ * no interrumpe el guardado del update.
+ * @param {Object} update - Item retornado por dynamoService.saveUpdate
+ * @param {Object} options - { project, previousStatus, blockers }
+ * @returns {number} DMs enviados
+ */
+async function notifySubscribers(update, { project = null, previousStatus = null, blockers = [] } = {}) {
+  let subscriptions;
+  try {
+    const targetKeys = [getProjectTargetKey(update.projectGid)];
+    if (project?.clienteNuevo) {
+      targetKeys.push(getClientTargetKey(project.clienteNuevo));
+    }
+    subscriptions = (await Promise.all(targetKeys.map(key => dynamoService.getSubscriptionsByTarget(key)))).flat();
+  } catch (error) {
+    console.error(`Error obteniendo suscriptores de ${update.projectGid}:`, error);
+    return 0;
+  }
+
+  // La suscripción al proyecto tiene prioridad sobre la del cliente
+  const bySubscriber = new Map();
+  for (const subscription of subscriptions) {
+    if (subscription.slackUserId === update.pmSlackId || bySubscriber.has(subscription.slackUserId)) continue;
+    if (!matchesFilter(subscription.filter, update, previousStatus)) continue;
+    bySubscriber.set(subscription.slackUserId, subscription);
+  }
+
+  let sent = 0;
+  for (const subscription of bySubscriber.values()) {
+    try {
+      const user = await dynamoService.getUser(subscription.slackUserId);
+      const lang = user ? i18n.getUserLanguage(user) : i18n.normalizeLanguage(subscription.language);
+      await slackService.sendMessage(
+        subscription.slackUserId,
+        i18n.t(lang, 'subscription.updateText', { project: update.projectName }),
+        messages.getSubscriptionUpdateBlocks(update, {
+          pmoId: project?.pmoId,
+          previousStatus,
+          blockers,
+          subscription
+        }, lang)
+      );
+      sent++;
+    } catch (error) {
+      console.error(`Error notificando update de ${update.projectGid} a ${subscription.slackUserId}:`, error);
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  parseFollowCommand,
+  getProjectTargetKey,
+  getClientTargetKey,
+  resolveClient,
+  matchesFilter,
+  notifySubscribers
+};
@@ -0,0 +1,60 @@
+/**
+ * Text
+ *
+ * Utilidades para interpretar lo que escriben los usuarios en los comandos:
+ * normalización (minúsculas, sin tildes) y fechas (YYYY-MM-DD, DD/MM/YYYY o DD/MM).
+ */
+
+const { DateTime } = require('luxon');
+
+/**
+ * Minúsculas y sin tildes, para comparar comandos y nombres
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Interpreta una fecha de un comando (YYYY-MM-DD, DD/MM/YYYY o DD/MM).
+ * Sin año se usa el próximo DD/MM desde hoy, o el último si direction es 'past'.
+ * @param {string} value
+ * @param {string} today - YYYY-MM-DD local del usuario
+ * @param {'next'|'past'} direction - Para las fechas sin año
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseCommandDate(value, today, direction = 'next') {
+  const text = String(value || '').trim();
+  const todayDate = DateTime.fromISO(today);
+
+  let date;
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const dmy = text.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?$/);
+  if (iso) {
+    date = DateTime.fromObject({ year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) });
+  } else if (dmy) {
+    const day = Number(dmy[1]);
+    const month = Number(dmy[2]);
+    if (dmy[3]) {
+      const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+      date = DateTime.fromObject({ year, month, day });
+    } else {
+      date = DateTime.fromObject({ year: todayDate.year, month, day });
+      if (date.isValid && direction === 'past' && date > todayDate) {
+        date = date.minus({ years: 1 });
+      } else if (date.isValid && direction !== 'past' && date < todayDate) {
+        date = date.plus({ years: 1 });
+      }
+    }
+  } else {
+    return null;
+  }
+
+  return date.isValid ? date.toISODate() : null;
+}
+
+module.exports = {
+  normalizeText,
+  parseCommandDate
+};
@@ -0,0 +1,164 @@
+/**
+ * Update Flow
+ *
+ * Cola secuencial de solicitudes de update (awaiting_status →
+ * awaiting_blockers → awaiting_advances) para uno o varios proyectos.
+ * La usan scheduled-pulse, reminder y los comandos de Slack.
+ * El idioma del PM se guarda en el estado (language) para las solicitudes siguientes.
+ */
+
+const slackService = require('../services/slack');
+const conversationState = require('./conversation-state');
+const i18n = require('./i18n');
+
+/**
+ * Convierte un proyecto del cache al formato guardado en pendingProjects
+ * @param {Object} project
+ * @returns {{gid: string, name: string, pmoId: string|null, status: string|null}}
+ */
+function toPendingProject(project) {
+  return {
+    gid: project.gid,
+    name: project.name,
+    pmoId: project.pmoId || null,
+    status: project.status || null
+  };
+}
+
+/**
+ * Ordena proyectos por número de PMO-ID (sin PMO-ID al final)
+ * @param {Array} projects
+ * @returns {Array}
+ */
+function sortByPmoId(projects) {
+  return [...projects].sort((a, b) => parsePmoIdNumber(a.pmoId) - parsePmoIdNumber(b.pmoId));
+}
+
+function parsePmoIdNumber(pmoId) {
+  if (!pmoId) return Number.POSITIVE_INFINITY;
+  const match = String(pmoId).match(/\d+/);
+  if (!match) return Number.POSITIVE_INFINITY;
+  return Number(match[0]);
+}
+
+/**
+ * Inicia el flujo de update para una lista de proyectos y envía la
+ * solicitud del primero. Nunca pisa un flujo que ya está en curso:
+ * sin `merge` lo rechaza; con `merge` agrega a la cola los proyectos
+ * que aún no estaban pendientes.
+ *
+ * @param {string} slackUserId
+ * @param {Array} projects - Proyectos del cache global
+ * @param {Object} options - { merge: boolean, language: string }
+ * @returns {{started: boolean, merged?: boolean, reason?: string, count?: number, added?: number}}
+ */
+async function startUpdateFlow(slackUserId, projects, options = {}) {
+  if (!projects || projects.length === 0) {
+    return { started: false, reason: 'no_projects' };
+  }
+
+  const state = await conversationState.getConversationState(slackUserId);
+  if (state && conversationState.isInUpdateFlow(state)) {
+    if (!options.merge) {
+      return { started: false, reason: 'in_progress' };
+    }
+    return mergeIntoQueue(slackUserId, state, projects);
+  }
+
+  const pendingProjects = projects.map(toPendingProject);
+  const firstProject = pendingProjects[0];
+  const language = i18n.normalizeLanguage(options.language);
+
+  await conversationState.setConversationState(slackUserId, {
+    step: conversationState.CONVERSATION_STEPS.AWAITING_STATUS,
+    pendingProjects,
+    currentIndex: 0,
+    currentProjectGid: firstProject.gid,
+    currentProjectName: firstProject.name,
+    currentProjectPmoId: firstProject.pmoId,
+    status: null,
+    hasBlockers: null,
+    blockerDescription: null,
+    language,
+    lastPromptAt: new Date().toISOString(),
+    snoozeUntil: null
+  });
+
+  await slackService.sendUpdateRequest(slackUserId, firstProject.name, firstProject.gid, language);
+  return { started: true, count: pendingProjects.length };
+}
+
+/**
+ * Agrega proyectos al final de la cola en curso (sin duplicar los que
+ * todavía están pendientes ni el proyecto actual)
+ */
+async function mergeIntoQueue(slackUserId, state, projects) {
+  const pending = Array.isArray(state.pendingProjects) ? state.pendingProjects : [];
+  const currentIndex = typeof state.currentIndex === 'number' ? state.currentIndex : 0;
+  const remaining = pending.slice(currentIndex);
+  const queuedGids = new Set(remaining.map(p => p.gid));
+  if (state.currentProjectGid) {
+    queuedGids.add(state.currentProjectGid);
+  }
+
+  const toAdd = projects
+    .filter(p => !queuedGids.has(p.gid))
+    .map(toPendingProject);
+
+  if (toAdd.length === 0) {
+    return { started: false, reason: 'already_queued', count: remaining.length };
+  }
+
+  await conversationState.setConversationState(slackUserId, {
+    ...state,
+    pendingProjects: [...pending, ...toAdd]
+  });
+
+  return {
+    started: false,
+    merged: true,
+    added: toAdd.length,
+    count: pending.length - currentIndex + toAdd.length
+  };
+}
+
+/**
+ * Avanza al siguiente proyecto de la cola y envía su solicitud de update
+ * @param {string} slackUserId
+ * @param {Object} state - Estado de conversación actual
+ * @returns {boolean} false si no quedan proyectos pendientes
+ */
+async function advanceToNextProject(slackUserId, state) {
+  const pending = Array.isArray(state.pendingProjects) ? state.pendingProjects : [];
+  const currentIndex = typeof state.currentIndex === 'number' ? state.currentIndex : 0;
+  const nextIndex = currentIndex + 1;
+
+  if (nextIndex >= pending.length) {
+    return false;
+  }
+
+  const next = pending[nextIndex];
+  await conversationState.setConversationState(slackUserId, {
+    ...state,
+    step: conversationState.CONVERSATION_STEPS.AWAITING_STATUS,
+    currentIndex: nextIndex,
+    currentProjectGid: next.gid,
+    currentProjectName: next.name,
+    currentProjectPmoId: next.pmoId || null,
+    status: null,
+    hasBlockers: null,
+    blockerDescription: null,
+    lastPromptAt: new Date().toISOString(),
+    snoozeUntil: null
+  });
+
+  await slackService.sendUpdateRequest(slackUserId, next.name, next.gid, i18n.normalizeLanguage(state.language));
+  return true;
+}
+
+module.exports = {
+  toPendingProject,
+  sortByPmoId,
+  startUpdateFlow,
+  advanceToNextProject
+};
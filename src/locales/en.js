@@ -0,0 +1,491 @@
+/**
+ * Catálogo de mensajes: English
+ *
+ * Mismas claves que es.js. Las claves faltantes se resuelven en Español.
+ */
+
+module.exports = {
+  language: {
+    name: 'English',
+    prompt: '🌐 *Language:* you can change it anytime by typing `language`.',
+    pickerTitle: '🌐 *Choose your language*',
+    changed: 'Done, I will talk to you in English.'
+  },
+
+  common: {
+    noStatus: 'No status',
+    notAvailable: 'N/A',
+    theProject: 'the project',
+    project: 'Project',
+    genericError: 'There was an error processing your message. Please try again.',
+    notUnderstood: 'I did not understand your message. Type "help" to see what I can do.',
+    needName: 'Your name is not configured. Ask a PMO admin to reset your profile.',
+    needProfile: 'Set up your profile first: send me any message by DM.'
+  },
+
+  update: {
+    requestText: 'It is time for the {project} update',
+    requestHeader: 'Update: {project}',
+    requestBody: 'Hi! It is time for the *{project}* update.\nPress *Update* to fill in the form.',
+    button: 'Update',
+    saved: '{emoji} Update saved for *{project}*. Thanks!',
+    askBlocker: 'What is the *blocker*? Describe it briefly (what is missing and who it depends on):',
+    askAdvances: 'Please briefly describe the *progress* since your last update:',
+    askAdvancesAfterBlocker: 'Thanks. Now briefly describe the *progress* since your last update:',
+    snoozed: 'Sure, I will remind you in {duration}.',
+    snoozedOneHour: 'Sure, I will remind you in 1 hour.',
+    flowStarted: {
+      one: 'I sent you the update request by DM ({count} project).',
+      other: 'I sent you the update request by DM ({count} projects).'
+    },
+    flowMerged: {
+      one: 'I added {count} project to your update queue ({pending} pending). Finish the current update and we will continue with it.',
+      other: 'I added {count} projects to your update queue ({pending} pending). Finish the current update and we will continue with them.'
+    },
+    alreadyQueued: 'Those projects are already in your update queue.',
+    noActiveProjects: 'I could not find active projects to update.',
+    selectAtLeastOne: 'Select at least one project from the list.'
+  },
+
+  modal: {
+    title: 'Project update',
+    submit: 'Save',
+    close: 'Cancel',
+    statusLabel: 'Project status',
+    statusPlaceholder: 'Choose status',
+    openBlockersLabel: 'Are these blockers still open?',
+    openBlockersHint: 'Uncheck the ones already resolved',
+    openBlockerDescription: '{category}, opened {age}',
+    newBlockerLabel: 'New blocker',
+    newBlockerOption: 'There is a new blocker',
+    blockerDescriptionLabel: 'Blocker description',
+    blockerCategoryLabel: 'Blocker category',
+    blockerCategoryHint: 'If you do not choose one, it is inferred from the description',
+    blockerCategoryPlaceholder: 'Choose category',
+    advancesLabel: 'Progress since the last update',
+    nextStepsLabel: 'Next steps',
+    dueDateLabel: 'New end date',
+    dueDateHint: 'Only if the committed date changed',
+    dueDatePlaceholder: 'Choose date',
+    errorBlockerDescription: 'Describe the active blocker',
+    errorDueDatePast: 'The new date cannot be in the past'
+  },
+
+  blockers: {
+    categories: {
+      tecnico: 'Technical',
+      cliente: 'Client',
+      proveedor: 'Vendor',
+      recursos: 'Resources',
+      otro: 'Other'
+    },
+    today: 'today',
+    daysAgo: {
+      one: '{count} day ago',
+      other: '{count} days ago'
+    },
+    line: '• {description} ({category}, opened {age})'
+  },
+
+  onboarding: {
+    welcome: 'Hi! 👋 I am *Pulse Bot*.\n\nI will help you report the status of your projects in a quick and structured way.',
+    askName: 'To get started, I need to set up your profile.\n\n*What is your name as it appears in the "Responsable Proyecto" field in Asana?*\n\n_Reply with your name (e.g. Harold Gómez); I will show you the closest owners_',
+    askEmail: 'To get started, I need to set up your profile.\n\n*What is your Asana email?*\n\n_Reply with your email (e.g. your.name@company.com)_',
+    nameTooShort: 'Please enter your full name.',
+    matchesText: 'Owners similar to {name}',
+    matchesFound: 'I found these owners similar to *{name}* in the Asana projects. *Which one are you?*',
+    noMatches: 'I could not find owners similar to *{name}* in the active Asana projects.',
+    matchOption: { one: '{name} ({count} project)', other: '{name} ({count} projects)' },
+    keepTyped: 'None, use "{name}"',
+    retypeHint: '_If you are not listed, check how you appear in "Responsable Proyecto" and type your name again._',
+    emailMatch: 'I found your Asana user from your Slack email (*{asanaName}*). Are you the owner *{name}*?',
+    confirmMatch: 'Yes, that is me',
+    linked: 'Profile linked to the owner *{name}* ✅',
+    askTimezone: 'Great! ✅\n\n*Which time zone are you in?*\n\nThis helps us send you update requests at a convenient time.',
+    timezones: {
+      'America/Santiago': 'Chile (Santiago)',
+      'America/Lima': 'Peru (Lima)',
+      'America/Bogota': 'Colombia (Bogotá)',
+      'America/Mexico_City': 'Mexico (Mexico City)'
+    },
+    complete: 'All set! 🎉\n\nYour profile is configured:\n• *Timezone:* {timezone}\n{schedule}\n\nYou can change the schedule anytime with *schedule*.',
+    completeFooter: 'You will receive update requests for your projects. Answering takes less than 1 minute!\n\nType *help* if you need more information.',
+    reset: 'Profile reset. Type anything to start again.'
+  },
+
+  alert: {
+    text: 'Alert: {project}',
+    header: '⚠️ Alert: {project}',
+    pm: 'PM',
+    status: 'Status',
+    blockers: 'Blockers',
+    date: 'Date',
+    yes: '🚫 Yes',
+    no: '✅ No',
+    reasons: 'Reasons',
+    advances: 'Reported progress',
+    noAdvances: '_No progress reported_',
+    openBlockers: 'Open blockers',
+    openedOn: 'Opened on {date}',
+    acknowledgedBy: '👀 Acknowledged by <@{user}>',
+    assignedTo: '🙋 Assigned to <@{user}>',
+    escalated: {
+      one: '🚨 Escalated {count} time',
+      other: '🚨 Escalated {count} times'
+    },
+    closedOnTrack: '✅ Closed: the project is back On Track',
+    resolvedBy: '✅ Resolved by <@{user}>',
+    ackButton: 'Acknowledge',
+    assignButton: 'Assign to me',
+    resolveButton: 'Resolve',
+    followUpText: 'New update for {project}',
+    backOnTrack: '✅ {project} is back On Track. Alert closed.',
+    ackReply: '👀 <@{user}> acknowledged the alert.',
+    assignReply: '🙋 <@{user}> took the alert.',
+    resolveReply: '✅ <@{user}> marked the alert as resolved.',
+    escalationText: '🚨 {mention}The {project} alert has been unattended for {days} days',
+    escalationBody: '🚨 {mention}The *{project}* alert has gone *{days} days* without anyone acknowledging it.'
+  },
+
+  summary: {
+    risks: '⚠️ Risks',
+    decisions: '🧭 Decisions',
+    nextSteps: '➡️ Next steps',
+    latest: 'Summary of the latest update ({date})',
+    expandButton: 'Show full text',
+    fullText: '*Full text of the {project} update* ({date}):\n{advances}',
+    notFound: 'I could not find that update. It may have been deleted.'
+  },
+
+  channel: {
+    linkedText: 'Channel linked to {project}',
+    linked: '🔗 This channel is now linked to *{project}* (by <@{user}>).\nIts updates will be posted here and you can ask me with `@Pulse status`.',
+    pulseInDmHint: 'The update request goes to the project PM by DM.',
+    pulseInChannelHint: 'The update request goes to this channel.',
+    pulseOnButton: 'Get the pulse in this channel',
+    pulseOffButton: 'Send the pulse to the PM by DM',
+    pulseOn: '🔔 The update request for *{project}* now goes to this channel (changed by <@{user}>).',
+    pulseOff: '🔕 The update request for *{project}* goes back to the PM by DM (changed by <@{user}>).',
+    pulseHint: 'The project PM, their backup or someone from the PMO can fill in the update.',
+    unlinked: 'This channel is no longer linked to *{project}* (by <@{user}>).',
+    notLinked: 'This channel is not linked to any project. Link it with `@Pulse link PMO-XXX`.',
+    linkUsage: 'Usage: `link PMO-XXX` inside the project channel.',
+    onlyInChannel: 'This command is used inside the project channel, not by DM.',
+    notInChannel: 'I am not a member of this channel: invite me with `/invite @Pulse` and try again.',
+    mentionHelp: 'In this channel I can:\n• `@Pulse status` - Details of the linked project (or `@Pulse status PMO-XXX`)\n• `@Pulse link PMO-XXX` - Links the channel to a project\n• `@Pulse unlink` - Removes the link',
+    updateText: 'New update for {project}',
+    updateHeader: '{emoji} *{project} update* by <@{pm}>',
+    blocker: '🚧 Blocker: {description}'
+  },
+
+  subscription: {
+    usage: 'Usage: `follow PMO-XXX` or `follow client <name>`, optionally with `only changes` (status changes only) or `only off track`.',
+    followingProject: '🔔 You now follow *{project}* ({filter}). I will send you its updates by DM.',
+    followingClient: '🔔 You now follow the projects of client *{client}* ({filter}). I will send you their updates by DM.',
+    clientNotFound: 'I could not find projects for client "{client}".',
+    unfollowed: '🔕 You no longer follow *{target}*.',
+    unfollowedAll: {
+      one: '🔕 I removed your subscription.',
+      other: '🔕 I removed your {count} subscriptions.'
+    },
+    notFollowing: 'You do not follow "{target}". Type `following` to see your subscriptions.',
+    none: 'You do not follow any project or client. Use `follow PMO-XXX` or `follow client <name>`.',
+    list: {
+      one: '*You follow 1 project or client:*',
+      other: '*You follow {count} projects or clients:*'
+    },
+    unfollowHint: 'To unfollow: `unfollow PMO-XXX`, `unfollow client <name>` or `unfollow all`.',
+    clientLabel: 'Client {client}',
+    filters: {
+      all: 'all updates',
+      status_change: 'status changes only',
+      off_track: 'Off Track only'
+    },
+    updateText: 'New update for {project}',
+    blockers: '🚧 Blockers: {blockers}',
+    reasonProject: 'You follow this project ({filter}) · `unfollow {pmoId}`',
+    reasonClient: 'You follow client {client} ({filter}) · `unfollow client {client}`'
+  },
+
+  export: {
+    usage: 'Usage: `export [xlsx]` (portfolio with the latest update of each project) or `export updates [from DD/MM] [to DD/MM] [xlsx]` (history; by default, the last 30 days). Filters: `client:acme`, `owner:"ana perez"`, `status:red`.',
+    generating: '⏳ Generating the export...',
+    sentToDm: '📎 I sent you the file by DM.',
+    empty: 'There is no data to export with those criteria.',
+    error: 'There was a problem generating the export. Try again in a few minutes.',
+    readyPortfolio: {
+      one: '📊 Portfolio: 1 project with its latest update',
+      other: '📊 Portfolio: {count} projects with their latest update'
+    },
+    readyUpdates: {
+      one: '📊 1 update between {from} and {to}',
+      other: '📊 {count} updates between {from} and {to}'
+    },
+    filters: 'Filters: {filters}',
+    sheetPortfolio: 'Portfolio',
+    sheetUpdates: 'Updates',
+    columns: {
+      date: 'Date (UTC)',
+      pmoId: 'PMO ID',
+      project: 'Project',
+      client: 'Client',
+      responsable: 'Owner',
+      asanaStatus: 'Asana status',
+      progress: 'Progress',
+      dueDate: 'Due date',
+      lastUpdateAt: 'Latest update (UTC)',
+      reportedStatus: 'Reported status',
+      advances: 'Progress notes',
+      headline: 'Summary',
+      blockers: 'Blockers',
+      nextSteps: 'Next steps',
+      newDueDate: 'New due date',
+      pm: 'PM'
+    }
+  },
+
+  roles: {
+    names: {
+      admin: 'admin',
+      pmo: 'PMO',
+      pm: 'PM',
+      viewer: 'viewer'
+    },
+    forbidden: '🔒 Your role (*{role}*) does not allow this action. If you need it, ask a PMO admin.',
+    resetForbidden: '🔒 Only an admin can reset profiles. Ask a PMO admin (`admin reset @user`).',
+    notYourProjects: '🔒 You can only update your own projects: {pmoIds} not assigned to you.',
+    viewerWelcome: 'Since you are not the owner of any project, your role is *viewer*: you can follow projects or clients (`follow PMO-XXX`). If you need more access, ask a PMO admin.',
+    changed: 'Your Pulse role is now *{role}* (changed by <@{admin}>).'
+  },
+
+  admin: {
+    help: '*Admin commands:*\n• `admin users` - Lists the users and their role\n• `admin role @user <admin|pmo|pm|viewer>` - Changes the role of a user\n• `admin pulse @user` / `admin pulse all` - Runs the pulse now (ignoring the schedule) and shows its stats\n• `admin refresh cache [full]` - Refreshes the Asana projects cache now\n• `admin remind` - Sends the reminders for unanswered updates now\n• `admin reassign PMO-XXX [PMO-YYY] @user` - Reassigns projects to another PM (without changing Asana)\n• `admin pending @user` - Shows the pending updates of a user\n• `admin reset @user` - Resets the profile of a user',
+    needUser: 'Mention the user (@user). Type `admin help` to see the commands.',
+    userNotFound: '<@{user}> is not registered in Pulse.',
+    noUsers: 'There are no registered users.',
+    users: {
+      one: '*1 user:*\n{lines}',
+      other: '*{count} users:*\n{lines}'
+    },
+    onboardingPending: 'onboarding pending',
+    invalidRole: 'Invalid role. Use `admin role @user <admin|pmo|pm|viewer>`.',
+    bootstrapRole: '<@{user}> is an admin through ADMIN_SLACK_IDS: their role cannot be changed from Slack.',
+    roleChanged: '✅ <@{user}> is now *{role}*.',
+    noProfile: '<@{user}> has not completed their profile (Asana name and time zone).',
+    pulseUserDone: '✅ Pulse for <@{user}> done:\n{stats}',
+    pulseAllDone: '✅ Pulse done for all users:\n{stats}',
+    cacheRefreshDone: '✅ Projects cache refreshed:\n{stats}',
+    remindersDone: '✅ Reminders done:\n{stats}',
+    jobFailed: '❌ I could not complete the run: {error}',
+    reassignUsage: 'Usage: `admin reassign PMO-XXX [PMO-YYY] @user`',
+    reassignViewer: '<@{user}> is a *viewer* and cannot report updates. Change their role first (`admin role @user pm`).',
+    reassigned: {
+      one: '✅ I reassigned 1 project to <@{user}> ({name}): {pmoIds}',
+      other: '✅ I reassigned {count} projects to <@{user}> ({name}): {pmoIds}'
+    },
+    reassignedNotice: {
+      one: '<@{admin}> assigned you 1 project: {pmoIds}. I will include it in your update requests.',
+      other: '<@{admin}> assigned you {count} projects: {pmoIds}. I will include them in your update requests.'
+    },
+    pending: {
+      one: '*<@{user}> has 1 pending update:*\n{lines}',
+      other: '*<@{user}> has {count} pending updates:*\n{lines}'
+    },
+    pendingCurrent: 'in progress',
+    pendingSince: 'Last request: {date}',
+    pendingNone: '<@{user}> has no pending updates.',
+    resetDone: '✅ I reset the profile of <@{user}>. The next time they write, the onboarding will start.'
+  },
+
+  help: {
+    header: '📚 Help - Project Pulse Bot',
+    about: '*What is Project Pulse Bot?*\nI am an assistant that helps you report the status of your projects in a quick and structured way.',
+    howItWorks: '*How does it work?*\n1. You will get a message on your schedule (Mondays and Thursdays at 9:00 AM by default)\n2. Select the project status (On Track, At Risk, Off Track)\n3. Tell me if there are blockers\n4. Briefly describe the progress\n\nIt takes less than 1 minute!',
+    commands: '*Available commands:*\n• `help` - Shows this message\n• `my projects` - Lists your assigned projects\n• `PMO-XXX` - Looks up a project by its ID\n• `history PMO-XXX` - Shows the updates reported for a project\n• `update PMO-XXX [PMO-YYY]` - Starts the update of one or more projects\n• `update all` - Starts the update of all your projects\n• `schedule` - Changes the days, time and frequency of your updates\n• `vacation from DD/MM to DD/MM [@backup]` - Pauses your updates (and delegates them to the backup)\n• `follow PMO-XXX` / `follow client <name>` - Get the updates of a project or client by DM (`only changes`, `only off track`)\n• `following` / `unfollow` - Lists or removes your subscriptions\n• `export [updates] [xlsx]` - Exports the portfolio or the updates history (filters `client:`, `owner:`, `status:`; PMO only)\n• `language` - Changes the bot language\n• `reset` - Resets your profile (admins only)\n• `admin help` - Admin commands (admins only)\n• `/pulse help` - Commands available from any channel',
+    slashTitle: '/pulse commands',
+    slashCommands: '*/pulse commands* (they work from any channel, only you see the reply):\n' +
+      '• `/pulse update [PMO-XXX]` - Starts the update of one project or all your projects (by DM)\n' +
+      '• `/pulse status PMO-XXX` - Shows the details of a project\n' +
+      '• `/pulse mine` - Lists your projects\n' +
+      '• `/pulse search <text>` - Searches projects by name, client, owner or PMO ID (filters: `client:`, `status:`, `owner:`)\n' +
+      '• `/pulse snooze <duration>` - Postpones the pending update (e.g. `30m`, `2h`, `1d`)\n' +
+      '• `/pulse link PMO-XXX` - Links the current channel to a project (its updates are posted there)\n' +
+      '• `/pulse unlink` - Removes the link of the current channel\n' +
+      '• `/pulse export [updates] [xlsx]` - Sends you by DM the export of the portfolio or the updates history (PMO only)\n' +
+      '• `/pulse schedule` - Sets the days, time and frequency of your updates\n' +
+      '• `/pulse help` - Shows this message'
+  },
+
+  project: {
+    pmoId: 'PMO ID',
+    responsable: 'Owner',
+    notAssigned: 'Not assigned',
+    status: 'Status',
+    lastUpdate: 'Last update ({date})',
+    noUpdate: 'No update',
+    progress: 'Progress',
+    dueDate: 'End date',
+    pendingTasks: 'Pending tasks',
+    openBlockers: 'Open blockers ({count})',
+    myProjects: 'Your projects ({count})',
+    noCachedProjects: 'I do not have cached projects for your profile yet. The global cache is refreshed every 6 hours.',
+    noCachedProjectsFor: 'I do not have cached projects for your profile yet.\nYour name in Asana: *{name}*.\nThe global cache is refreshed every 6 hours.',
+    pickPlaceholder: 'Choose projects to update',
+    updateSelected: 'Update selected',
+    updateAll: 'Update all',
+    searching: 'Looking up project {pmoId}...',
+    notFound: 'I could not find any project with ID {pmoId}',
+    notFoundIds: 'I could not find projects with ID {pmoIds}',
+    searchError: 'There was a problem looking up project {pmoId}. Please try again in a few minutes.'
+  },
+
+  search: {
+    noResults: 'I could not find projects matching that criteria.',
+    noMore: 'There are no more projects to show.',
+    invalidSelection: 'Invalid selection.',
+    results: 'These are the projects I found:\n{lines}\n\nReply with the number to see details or type "next" for more.',
+    found: '*Projects found ({count}):*',
+    more: '_...and {count} more. Refine your search._'
+  },
+
+  slash: {
+    statusUsage: 'Usage: `/pulse status PMO-XXX`',
+    searchUsage: 'Usage: `/pulse search <text>` (at least 3 characters). Filters: `client:acme`, `status:at_risk`, `owner:"ana perez"`',
+    snoozeUsage: 'Usage: `/pulse snooze <duration>` (e.g. `30m`, `2h`, `1d`)',
+    noPendingUpdates: 'You have no pending updates.',
+    unknownSubcommand: 'I do not know the subcommand "{subcommand}".',
+    error: 'There was an error processing the command. Please try again.'
+  },
+
+  schedule: {
+    dayNames: {
+      1: 'Monday',
+      2: 'Tuesday',
+      3: 'Wednesday',
+      4: 'Thursday',
+      5: 'Friday',
+      6: 'Saturday',
+      7: 'Sunday'
+    },
+    and: ' and ',
+    frequencies: {
+      weekly: 'Weekly',
+      biweekly: 'Every 2 weeks'
+    },
+    summary: '• *Update time:* {hour} (local time)\n• *Days:* {days}\n• *Frequency:* {frequency}',
+    current: '🗓️ *Your update schedule*\n{summary}',
+    button: 'Set schedule',
+    modalTitle: 'Update schedule',
+    modalSubmit: 'Save',
+    daysLabel: 'Days',
+    hourLabel: 'Time (local time)',
+    frequencyLabel: 'Frequency',
+    errorNoDays: 'Choose at least one day',
+    saved: '✅ Schedule updated:\n{summary}'
+  },
+
+  absence: {
+    usage: 'Usage: `vacation from 20/12 to 05/01 [@backup]` or `vacation cancel` (dates as DD/MM or YYYY-MM-DD)',
+    invalid: 'I could not understand the dates. The end date cannot be in the past or before the start.',
+    selfDelegate: 'The backup must be someone else.',
+    saved: '🏖️ Absence saved from {from} to {to}. I will not send you update requests or reminders during that period.',
+    savedWithDelegate: '🏖️ Absence saved from {from} to {to}. The update requests for your projects will go to <@{delegate}>.',
+    current: '🏖️ You have an absence saved from {from} to {to}.',
+    currentWithDelegate: '🏖️ You have an absence saved from {from} to {to}, with <@{delegate}> as backup.',
+    none: 'You have no absences saved.',
+    cancelled: 'Absence cancelled. I will send you update requests on your schedule again.',
+    delegateNotice: '🤝 <@{pm}> named you as backup from {from} to {to}: you will get the update requests for their projects during that period.',
+    delegatedRequest: '🤝 You are covering for <@{pm}> (out until {to}). Here are the update requests for their projects.',
+    gapText: 'Coverage: <@{pm}> out from {from} to {to}',
+    gapHeader: '🏖️ *<@{pm}> will be out from {from} to {to}* with projects Off Track',
+    gapBackup: '*Backup:* <@{delegate}>',
+    modalTitle: 'Add absence',
+    modalSubmit: 'Save',
+    fromLabel: 'From',
+    toLabel: 'To',
+    delegateLabel: 'Backup (optional)',
+    delegateHint: 'They will get the update requests for your projects during the absence',
+    gapNoBackup: '⚠️ *No backup assigned*',
+    gapProjects: '*Off Track projects ({count}):*'
+  },
+
+  home: {
+    header: '📋 Project Pulse',
+    notOnboarded: '👋 Send me a DM to set up your profile and see your projects here.',
+    projectsTitle: '*Your active projects ({count})*',
+    lastUpdate: '*Last update:* {date}',
+    lastPulse: {
+      one: '*Last pulse:* {count} day ago',
+      other: '*Last pulse:* {count} days ago'
+    },
+    lastPulseToday: '*Last pulse:* today',
+    noPulse: '*Last pulse:* never',
+    dueDate: '*End date:* {date}',
+    tasks: '*Pending tasks:* {pending}/{total}',
+    updateButton: 'Update',
+    snoozeButton: 'Snooze',
+    historyButton: 'History',
+    asanaButton: 'Open in Asana',
+    scheduleButton: 'Change schedule',
+    noAbsence: '🏖️ No absences saved.',
+    absenceButton: 'Add absence',
+    cancelAbsenceButton: 'Cancel absence',
+    more: '_...and {count} more projects. Send "my projects" by DM to see them all._'
+  },
+
+  history: {
+    header: '*History of {project}*',
+    count: { one: '({count} update)', other: '({count} updates)' },
+    trend: 'Trend: {sparkline}',
+    transition: '{from} → {to}',
+    blocker: '🚫 Blocker: {description}',
+    blockerNoDescription: '🚫 With blockers',
+    advances: 'Progress: {advances}',
+    page: 'Page {page} of {totalPages}.',
+    nextHint: 'Type "next" to see older updates.',
+    noMore: 'There are no more updates in the history.',
+    usage: 'Usage: `history PMO-XXX`',
+    empty: 'There are no updates saved for *{project}* yet.',
+    noAdvances: 'No progress'
+  },
+
+  reminder: {
+    blockers: 'Remember to tell me if there are blockers for *{project}*. If you need more time, type "later".',
+    blockerDescription: 'Remember to describe the blocker for *{project}* (what is missing and who it depends on). If you need more time, type "later".',
+    advances: 'Remember to send the progress for *{project}*. If you need more time, type "later".'
+  },
+
+  digest: {
+    text: 'Weekly portfolio summary: {count} projects',
+    header: '📊 Weekly portfolio summary ({from} - {to})',
+    byStatus: '*By status:*\n🟢 On Track: {on_track}\n🟡 At Risk: {at_risk}\n🔴 Off Track: {off_track}\n⚪ No status: {no_status}',
+    byRiskLevel: '*By risk level:*\nHigh: {high}\nMedium: {medium}\nLow: {low}\nNo history: {unknown}',
+    summary: '{total} active projects | {withBlockers} with blockers | {withoutUpdate} without an update this week',
+    worsening: '*📉 Worsening trends:*',
+    withBlockers: '*🚫 Projects with blockers ({count}):*',
+    withoutUpdate: '*⏰ No update this week ({count}):*',
+    threadHint: '_Details by owner are in the thread_ 🧵',
+    none: '_None_ ✅',
+    more: '_...and {count} more_',
+    noUpdates: 'no updates',
+    responsable: '*{responsable}* ({count} projects)',
+    responsableText: 'Details for {responsable}'
+  },
+
+  riskRules: {
+    off_track: 'Project reported as Off Track',
+    at_risk_consecutive: 'Project at risk for 2 consecutive reports',
+    blocker_not_green: 'Blocker reported on a project at risk',
+    green_to_red: 'The project went from On Track to Off Track',
+    due_soon_low_progress: 'Due in less than 14 days with progress below 80%',
+    stale_update: 'No updates for 10 days or more',
+    pending_tasks_growing: 'Pending tasks growing for 3 updates in a row'
+  },
+
+  agent: {
+    notConfigured: 'The agent is not configured. Use direct commands such as "help" or "my projects".',
+    unavailable: 'The assistant is not available right now. Use direct commands such as "help", "my projects" or a PMO ID.',
+    greeting: 'Hi! I am Pulse Bot. Type a PMO ID, "my projects" or "help".',
+    replyLanguage: 'English'
+  }
+};
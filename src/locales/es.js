@@ -0,0 +1,482 @@
+/**
+ * Catálogo de mensajes: Español (idioma por defecto)
+ *
+ * Claves anidadas por módulo. Los textos aceptan parámetros {nombre};
+ * los que dependen de una cantidad usan { one, other } con el parámetro count.
+ */
+
+module.exports = {
+  language: {
+    name: 'Español',
+    prompt: '🌐 *Idioma:* puedes cambiarlo cuando quieras escribiendo `idioma`.',
+    pickerTitle: '🌐 *Elige tu idioma*',
+    changed: 'Listo, te hablaré en Español.'
+  },
+
+  common: {
+    noStatus: 'Sin estado',
+    notAvailable: 'N/A',
+    theProject: 'el proyecto',
+    project: 'Proyecto',
+    genericError: 'Hubo un error procesando tu mensaje. Intenta de nuevo.',
+    notUnderstood: 'No entendí tu mensaje. Escribe "ayuda" para ver qué puedo hacer.',
+    needName: 'No tienes configurado tu nombre. Pídele a un admin del PMO que reinicie tu perfil.',
+    needProfile: 'Primero configura tu perfil: escríbeme cualquier mensaje por DM.'
+  },
+
+  update: {
+    requestText: 'Es momento del update para {project}',
+    requestHeader: 'Update: {project}',
+    requestBody: '¡Hola! Es momento del update para *{project}*.\nPresiona *Actualizar* para completar el formulario.',
+    button: 'Actualizar',
+    saved: '{emoji} Update registrado para *{project}*. ¡Gracias!',
+    askBlocker: '¿Cuál es el *bloqueo*? Descríbelo brevemente (qué falta y de quién depende):',
+    askAdvances: 'Por favor describe brevemente los *avances* desde tu último update:',
+    askAdvancesAfterBlocker: 'Gracias. Ahora describe brevemente los *avances* desde tu último update:',
+    snoozed: 'Perfecto, te vuelvo a avisar en {duration}.',
+    snoozedOneHour: 'Perfecto, te vuelvo a avisar en 1 hora.',
+    flowStarted: {
+      one: 'Te envié por DM la solicitud de update ({count} proyecto).',
+      other: 'Te envié por DM la solicitud de update ({count} proyectos).'
+    },
+    flowMerged: {
+      one: 'Agregué {count} proyecto a tu cola de updates ({pending} pendientes). Termina el update en curso y seguimos con ese.',
+      other: 'Agregué {count} proyectos a tu cola de updates ({pending} pendientes). Termina el update en curso y seguimos con esos.'
+    },
+    alreadyQueued: 'Esos proyectos ya están en tu cola de updates.',
+    noActiveProjects: 'No encontré proyectos activos para actualizar.',
+    selectAtLeastOne: 'Selecciona al menos un proyecto en la lista.'
+  },
+
+  modal: {
+    title: 'Update de proyecto',
+    submit: 'Guardar',
+    close: 'Cancelar',
+    statusLabel: 'Estado del proyecto',
+    statusPlaceholder: 'Elegir estado',
+    openBlockersLabel: '¿Siguen vigentes estos bloqueos?',
+    openBlockersHint: 'Desmarca los que ya se resolvieron',
+    openBlockerDescription: '{category}, abierto {age}',
+    newBlockerLabel: 'Bloqueo nuevo',
+    newBlockerOption: 'Hay un bloqueo nuevo',
+    blockerDescriptionLabel: 'Descripción del bloqueo',
+    blockerCategoryLabel: 'Categoría del bloqueo',
+    blockerCategoryHint: 'Si no eliges una, se infiere de la descripción',
+    blockerCategoryPlaceholder: 'Elegir categoría',
+    advancesLabel: 'Avances desde el último update',
+    nextStepsLabel: 'Próximos pasos',
+    dueDateLabel: 'Nueva fecha de término',
+    dueDateHint: 'Solo si cambió la fecha comprometida',
+    dueDatePlaceholder: 'Elegir fecha',
+    errorBlockerDescription: 'Describe el bloqueo activo',
+    errorDueDatePast: 'La nueva fecha no puede estar en el pasado'
+  },
+
+  blockers: {
+    categories: {
+      tecnico: 'Técnico',
+      cliente: 'Cliente',
+      proveedor: 'Proveedor',
+      recursos: 'Recursos',
+      otro: 'Otro'
+    },
+    today: 'hoy',
+    daysAgo: {
+      one: 'hace {count} día',
+      other: 'hace {count} días'
+    },
+    line: '• {description} ({category}, abierto {age})'
+  },
+
+  onboarding: {
+    welcome: '¡Hola! 👋 Soy *Pulse Bot*.\n\nTe ayudaré a reportar el estado de tus proyectos de forma rápida y estructurada.',
+    askName: 'Para comenzar, necesito configurar tu perfil.\n\n*¿Cuál es tu nombre como aparece en el campo "Responsable Proyecto" en Asana?*\n\n_Responde con tu nombre (ej: Harold Gómez); te mostraré los responsables más parecidos_',
+    askEmail: 'Para comenzar, necesito configurar tu perfil.\n\n*¿Cuál es tu email de Asana?*\n\n_Responde con tu email (ej: tu.nombre@empresa.com)_',
+    nameTooShort: 'Por favor ingresa tu nombre completo.',
+    matchesText: 'Responsables parecidos a {name}',
+    matchesFound: 'Encontré estos responsables parecidos a *{name}* en los proyectos de Asana. *¿Cuál eres tú?*',
+    noMatches: 'No encontré responsables parecidos a *{name}* en los proyectos activos de Asana.',
+    matchOption: { one: '{name} ({count} proyecto)', other: '{name} ({count} proyectos)' },
+    keepTyped: 'Ninguno, usar "{name}"',
+    retypeHint: '_Si no apareces, revisa cómo figuras en "Responsable Proyecto" y escribe tu nombre de nuevo._',
+    emailMatch: 'Por tu email de Slack encontré tu usuario de Asana (*{asanaName}*). ¿Eres el responsable *{name}*?',
+    confirmMatch: 'Sí, soy yo',
+    linked: 'Perfil vinculado al responsable *{name}* ✅',
+    askTimezone: '¡Perfecto! ✅\n\n*¿En qué zona horaria te encuentras?*\n\nEsto nos ayuda a enviarte los updates a una hora conveniente.',
+    timezones: {
+      'America/Santiago': 'Chile (Santiago)',
+      'America/Lima': 'Perú (Lima)',
+      'America/Bogota': 'Colombia (Bogotá)',
+      'America/Mexico_City': 'México (CDMX)'
+    },
+    complete: '¡Listo! 🎉\n\nTu perfil está configurado:\n• *Timezone:* {timezone}\n{schedule}\n\nPuedes cambiar el horario cuando quieras con *configurar horario*.',
+    completeFooter: 'Recibirás solicitudes de update para tus proyectos. ¡Responderlas toma menos de 1 minuto!\n\nEscribe *ayuda* si necesitas información adicional.',
+    reset: 'Perfil reiniciado. Escribe cualquier cosa para comenzar de nuevo.'
+  },
+
+  alert: {
+    text: 'Alerta: {project}',
+    header: '⚠️ Alerta: {project}',
+    pm: 'PM',
+    status: 'Estado',
+    blockers: 'Bloqueos',
+    date: 'Fecha',
+    yes: '🚫 Sí',
+    no: '✅ No',
+    reasons: 'Motivos',
+    advances: 'Avances reportados',
+    noAdvances: '_Sin avances reportados_',
+    openBlockers: 'Bloqueos abiertos',
+    openedOn: 'Abierta el {date}',
+    acknowledgedBy: '👀 Reconocida por <@{user}>',
+    assignedTo: '🙋 Asignada a <@{user}>',
+    escalated: {
+      one: '🚨 Escalada {count} vez',
+      other: '🚨 Escalada {count} veces'
+    },
+    closedOnTrack: '✅ Cerrada: el proyecto volvió a On Track',
+    resolvedBy: '✅ Resuelta por <@{user}>',
+    ackButton: 'Acknowledge',
+    assignButton: 'Asignar a mí',
+    resolveButton: 'Resolver',
+    followUpText: 'Nuevo update de {project}',
+    backOnTrack: '✅ {project} volvió a On Track. Alerta cerrada.',
+    ackReply: '👀 <@{user}> tomó conocimiento de la alerta.',
+    assignReply: '🙋 <@{user}> se asignó la alerta.',
+    resolveReply: '✅ <@{user}> marcó la alerta como resuelta.',
+    escalationText: '🚨 {mention}La alerta de {project} lleva {days} días sin atender',
+    escalationBody: '🚨 {mention}La alerta de *{project}* lleva *{days} días* sin que nadie la reconozca.'
+  },
+
+  summary: {
+    risks: '⚠️ Riesgos',
+    decisions: '🧭 Decisiones',
+    nextSteps: '➡️ Próximos pasos',
+    latest: 'Resumen del último update ({date})',
+    expandButton: 'Ver texto completo',
+    fullText: '*Texto completo del update de {project}* ({date}):\n{advances}',
+    notFound: 'No encontré ese update. Puede que haya sido eliminado.'
+  },
+
+  channel: {
+    linkedText: 'Canal vinculado a {project}',
+    linked: '🔗 Este canal quedó vinculado a *{project}* (por <@{user}>).\nAquí se publicarán sus updates y pueden consultarme con `@Pulse status`.',
+    pulseInDmHint: 'La solicitud de update llega por DM al PM del proyecto.',
+    pulseInChannelHint: 'La solicitud de update llega a este canal.',
+    pulseOnButton: 'Recibir el pulse en este canal',
+    pulseOffButton: 'Enviar el pulse por DM al PM',
+    pulseOn: '🔔 La solicitud de update de *{project}* ahora llega a este canal (cambiado por <@{user}>).',
+    pulseOff: '🔕 La solicitud de update de *{project}* vuelve a llegar por DM al PM (cambiado por <@{user}>).',
+    pulseHint: 'Lo completa el PM del proyecto, su backup o alguien del PMO.',
+    unlinked: 'Este canal ya no está vinculado a *{project}* (por <@{user}>).',
+    notLinked: 'Este canal no está vinculado a ningún proyecto. Vincúlalo con `@Pulse vincular PMO-XXX`.',
+    linkUsage: 'Uso: `vincular PMO-XXX` dentro del canal del proyecto.',
+    onlyInChannel: 'Este comando se usa dentro del canal del proyecto, no por DM.',
+    notInChannel: 'No soy miembro de este canal: invítame con `/invite @Pulse` y vuelve a intentarlo.',
+    mentionHelp: 'En este canal puedo:\n• `@Pulse status` - Detalle del proyecto vinculado (o `@Pulse status PMO-XXX`)\n• `@Pulse vincular PMO-XXX` - Vincula el canal a un proyecto\n• `@Pulse desvincular` - Quita el vínculo',
+    updateText: 'Nuevo update de {project}',
+    updateHeader: '{emoji} *Update de {project}* por <@{pm}>',
+    blocker: '🚧 Bloqueo: {description}'
+  },
+
+  subscription: {
+    usage: 'Uso: `seguir PMO-XXX` o `seguir cliente <nombre>`, opcionalmente con `solo cambios` (solo cambios de estado) o `solo off track`.',
+    followingProject: '🔔 Ahora sigues *{project}* ({filter}). Te enviaré sus updates por DM.',
+    followingClient: '🔔 Ahora sigues los proyectos del cliente *{client}* ({filter}). Te enviaré sus updates por DM.',
+    clientNotFound: 'No encontré proyectos del cliente "{client}".',
+    unfollowed: '🔕 Dejaste de seguir *{target}*.',
+    unfollowedAll: {
+      one: '🔕 Eliminé tu suscripción.',
+      other: '🔕 Eliminé tus {count} suscripciones.'
+    },
+    notFollowing: 'No sigues "{target}". Escribe `siguiendo` para ver tus suscripciones.',
+    none: 'No sigues ningún proyecto ni cliente. Usa `seguir PMO-XXX` o `seguir cliente <nombre>`.',
+    list: {
+      one: '*Sigues 1 proyecto o cliente:*',
+      other: '*Sigues {count} proyectos o clientes:*'
+    },
+    unfollowHint: 'Para dejar de seguir: `dejar de seguir PMO-XXX`, `dejar de seguir cliente <nombre>` o `dejar de seguir todo`.',
+    clientLabel: 'Cliente {client}',
+    filters: {
+      all: 'todos los updates',
+      status_change: 'solo cambios de estado',
+      off_track: 'solo Off Track'
+    },
+    updateText: 'Nuevo update de {project}',
+    blockers: '🚧 Bloqueos: {blockers}',
+    reasonProject: 'Sigues este proyecto ({filter}) · `dejar de seguir {pmoId}`',
+    reasonClient: 'Sigues al cliente {client} ({filter}) · `dejar de seguir cliente {client}`'
+  },
+
+  export: {
+    usage: 'Uso: `exportar [xlsx]` (portafolio con el último update de cada proyecto) o `exportar updates [desde DD/MM] [hasta DD/MM] [xlsx]` (historial; por defecto, los últimos 30 días). Filtros: `cliente:acme`, `responsable:"ana perez"`, `estado:rojo`.',
+    generating: '⏳ Generando el export...',
+    sentToDm: '📎 Te envié el archivo por DM.',
+    empty: 'No hay datos para exportar con ese criterio.',
+    error: 'Hubo un problema generando el export. Intenta de nuevo en unos minutos.',
+    readyPortfolio: {
+      one: '📊 Portafolio: 1 proyecto con su último update',
+      other: '📊 Portafolio: {count} proyectos con su último update'
+    },
+    readyUpdates: {
+      one: '📊 1 update entre {from} y {to}',
+      other: '📊 {count} updates entre {from} y {to}'
+    },
+    filters: 'Filtros: {filters}',
+    sheetPortfolio: 'Portafolio',
+    sheetUpdates: 'Updates',
+    columns: {
+      date: 'Fecha (UTC)',
+      pmoId: 'PMO ID',
+      project: 'Proyecto',
+      client: 'Cliente',
+      responsable: 'Responsable',
+      asanaStatus: 'Estado Asana',
+      progress: 'Avance',
+      dueDate: 'Fecha fin',
+      lastUpdateAt: 'Último update (UTC)',
+      reportedStatus: 'Estado reportado',
+      advances: 'Avances',
+      headline: 'Resumen',
+      blockers: 'Bloqueos',
+      nextSteps: 'Próximos pasos',
+      newDueDate: 'Nueva fecha fin',
+      pm: 'PM'
+    }
+  },
+
+  roles: {
+    names: {
+      admin: 'admin',
+      pmo: 'PMO',
+      pm: 'PM',
+      viewer: 'viewer'
+    },
+    forbidden: '🔒 Tu rol (*{role}*) no permite esta acción. Si la necesitas, pídesela a un admin del PMO.',
+    resetForbidden: '🔒 Solo un admin puede reiniciar perfiles. Pídeselo a un admin del PMO (`admin reset @usuario`).',
+    notYourProjects: '🔒 Solo puedes actualizar tus proyectos: {pmoIds} no está(n) asignado(s) a ti.',
+    viewerWelcome: 'Como no eres responsable de ningún proyecto, tu rol es *viewer*: puedes seguir proyectos o clientes (`seguir PMO-XXX`). Si necesitas más acceso, pídeselo a un admin del PMO.',
+    changed: 'Tu rol en Pulse ahora es *{role}* (cambiado por <@{admin}>).'
+  },
+
+  admin: {
+    help: '*Comandos de administración:*\n• `admin usuarios` - Lista los usuarios con su rol\n• `admin rol @usuario <admin|pmo|pm|viewer>` - Cambia el rol de un usuario\n• `admin pulse @usuario` / `admin pulse todos` - Ejecuta ahora el pulse (ignora el horario) y muestra sus estadísticas\n• `admin refrescar cache [completo]` - Refresca ahora el cache de proyectos de Asana\n• `admin recordar` - Envía ahora los recordatorios de updates sin respuesta\n• `admin reasignar PMO-XXX [PMO-YYY] @usuario` - Reasigna proyectos a otro PM (sin modificar Asana)\n• `admin pendientes @usuario` - Muestra los updates pendientes de un usuario\n• `admin reset @usuario` - Reinicia el perfil de un usuario',
+    needUser: 'Indica el usuario con una mención (@usuario). Escribe `admin ayuda` para ver los comandos.',
+    userNotFound: '<@{user}> no está registrado en Pulse.',
+    noUsers: 'No hay usuarios registrados.',
+    users: {
+      one: '*1 usuario:*\n{lines}',
+      other: '*{count} usuarios:*\n{lines}'
+    },
+    onboardingPending: 'onboarding pendiente',
+    invalidRole: 'Rol no válido. Usa `admin rol @usuario <admin|pmo|pm|viewer>`.',
+    bootstrapRole: '<@{user}> es admin por ADMIN_SLACK_IDS: su rol no se puede cambiar desde Slack.',
+    roleChanged: '✅ <@{user}> ahora es *{role}*.',
+    noProfile: '<@{user}> no ha completado su perfil (nombre en Asana y zona horaria).',
+    pulseUserDone: '✅ Pulse de <@{user}> ejecutado:\n{stats}',
+    pulseAllDone: '✅ Pulse ejecutado para todos los usuarios:\n{stats}',
+    cacheRefreshDone: '✅ Cache de proyectos refrescado:\n{stats}',
+    remindersDone: '✅ Recordatorios ejecutados:\n{stats}',
+    jobFailed: '❌ No pude completar la ejecución: {error}',
+    reassignUsage: 'Uso: `admin reasignar PMO-XXX [PMO-YYY] @usuario`',
+    reassignViewer: '<@{user}> es *viewer* y no puede reportar updates. Cámbiale el rol primero (`admin rol @usuario pm`).',
+    reassigned: {
+      one: '✅ Reasigné 1 proyecto a <@{user}> ({name}): {pmoIds}',
+      other: '✅ Reasigné {count} proyectos a <@{user}> ({name}): {pmoIds}'
+    },
+    reassignedNotice: {
+      one: '<@{admin}> te asignó 1 proyecto: {pmoIds}. Lo incluiré en tus solicitudes de update.',
+      other: '<@{admin}> te asignó {count} proyectos: {pmoIds}. Los incluiré en tus solicitudes de update.'
+    },
+    pending: {
+      one: '*<@{user}> tiene 1 update pendiente:*\n{lines}',
+      other: '*<@{user}> tiene {count} updates pendientes:*\n{lines}'
+    },
+    pendingCurrent: 'en curso',
+    pendingSince: 'Última solicitud: {date}',
+    pendingNone: '<@{user}> no tiene updates pendientes.',
+    resetDone: '✅ Reinicié el perfil de <@{user}>. La próxima vez que escriba comenzará el onboarding.'
+  },
+
+  help: {
+    header: '📚 Ayuda - Project Pulse Bot',
+    about: '*¿Qué es Project Pulse Bot?*\nSoy un asistente que te ayuda a reportar el estado de tus proyectos de forma rápida y estructurada.',
+    howItWorks: '*¿Cómo funciona?*\n1. Recibirás un mensaje según tu horario (por defecto Lunes y Jueves, 9:00 AM)\n2. Selecciona el estado del proyecto (On Track, At Risk, Off Track)\n3. Indica si hay bloqueos\n4. Describe brevemente los avances\n\n¡Toma menos de 1 minuto!',
+    commands: '*Comandos disponibles:*\n• `ayuda` - Muestra este mensaje\n• `mis proyectos` - Lista tus proyectos asignados\n• `PMO-XXX` - Busca un proyecto por su ID\n• `historial PMO-XXX` - Muestra los updates reportados de un proyecto\n• `actualizar PMO-XXX [PMO-YYY]` - Inicia el update de uno o varios proyectos\n• `actualizar todos` - Inicia el update de todos tus proyectos\n• `configurar horario` - Cambia los días, la hora y la frecuencia de tus updates\n• `vacaciones desde DD/MM hasta DD/MM [@backup]` - Pausa tus updates (y los delega al backup)\n• `seguir PMO-XXX` / `seguir cliente <nombre>` - Recibe por DM los updates de un proyecto o cliente (`solo cambios`, `solo off track`)\n• `siguiendo` / `dejar de seguir` - Lista o elimina tus suscripciones\n• `exportar [updates] [xlsx]` - Exporta el portafolio o el historial de updates (filtros `cliente:`, `responsable:`, `estado:`; solo PMO)\n• `idioma` - Cambia el idioma del bot\n• `reset` - Reinicia tu perfil (solo admins)\n• `admin ayuda` - Comandos de administración (solo admins)\n• `/pulse help` - Comandos disponibles desde cualquier canal',
+    slashTitle: 'Comandos de /pulse',
+    slashCommands: '*Comandos de /pulse* (funcionan desde cualquier canal, solo tú ves la respuesta):\n' +
+      '• `/pulse update [PMO-XXX]` - Inicia el update de un proyecto o de todos tus proyectos (por DM)\n' +
+      '• `/pulse status PMO-XXX` - Muestra el detalle de un proyecto\n' +
+      '• `/pulse mine` - Lista tus proyectos\n' +
+      '• `/pulse search <texto>` - Busca proyectos por nombre, cliente, responsable o PMO ID (filtros: `cliente:`, `estado:`, `responsable:`)\n' +
+      '• `/pulse snooze <duración>` - Posterga el update pendiente (ej: `30m`, `2h`, `1d`)\n' +
+      '• `/pulse vincular PMO-XXX` - Vincula el canal actual a un proyecto (sus updates se publican ahí)\n' +
+      '• `/pulse desvincular` - Quita el vínculo del canal actual\n' +
+      '• `/pulse exportar [updates] [xlsx]` - Te envía por DM el export del portafolio o del historial de updates (solo PMO)\n' +
+      '• `/pulse horario` - Configura los días, la hora y la frecuencia de tus updates\n' +
+      '• `/pulse help` - Muestra este mensaje'
+  },
+
+  project: {
+    pmoId: 'PMO ID',
+    responsable: 'Responsable',
+    notAssigned: 'No asignado',
+    status: 'Estado',
+    lastUpdate: 'Ultima actualizacion ({date})',
+    noUpdate: 'Sin actualizacion',
+    progress: 'Avance',
+    dueDate: 'Fecha fin',
+    pendingTasks: 'Tareas pendientes',
+    openBlockers: 'Bloqueos abiertos ({count})',
+    myProjects: 'Tus proyectos ({count})',
+    noCachedProjects: 'Aun no tengo proyectos cacheados para tu perfil. El cache global se actualiza cada 6 horas.',
+    noCachedProjectsFor: 'Aun no tengo proyectos cacheados para tu perfil.\nTu nombre en Asana: *{name}*.\nEl cache global se actualiza cada 6 horas.',
+    pickPlaceholder: 'Elegir proyectos a actualizar',
+    updateSelected: 'Actualizar seleccionados',
+    updateAll: 'Actualizar todos',
+    searching: 'Buscando proyecto {pmoId}...',
+    notFound: 'No encontre ningun proyecto con ID {pmoId}',
+    notFoundIds: 'No encontre proyectos con ID {pmoIds}',
+    searchError: 'Hubo un problema buscando el proyecto {pmoId}. Intenta de nuevo en unos minutos.'
+  },
+
+  search: {
+    noResults: 'No encontre proyectos con ese criterio.',
+    noMore: 'No hay mas proyectos para mostrar.',
+    invalidSelection: 'Seleccion no valida.',
+    results: 'Estos son los proyectos que encontre:\n{lines}\n\nResponde con el numero para ver detalles o escribe "siguiente" para mas.',
+    found: '*Proyectos encontrados ({count}):*',
+    more: '_...y {count} más. Refina la búsqueda._'
+  },
+
+  slash: {
+    statusUsage: 'Uso: `/pulse status PMO-XXX`',
+    searchUsage: 'Uso: `/pulse search <texto>` (mínimo 3 caracteres). Filtros: `cliente:acme`, `estado:riesgo`, `responsable:"ana perez"`',
+    snoozeUsage: 'Uso: `/pulse snooze <duración>` (ej: `30m`, `2h`, `1d`)',
+    noPendingUpdates: 'No tienes updates pendientes.',
+    unknownSubcommand: 'No conozco el subcomando "{subcommand}".',
+    error: 'Hubo un error procesando el comando. Intenta de nuevo.'
+  },
+
+  schedule: {
+    dayNames: {
+      1: 'Lunes',
+      2: 'Martes',
+      3: 'Miércoles',
+      4: 'Jueves',
+      5: 'Viernes',
+      6: 'Sábado',
+      7: 'Domingo'
+    },
+    and: ' y ',
+    frequencies: {
+      weekly: 'Semanal',
+      biweekly: 'Cada 2 semanas'
+    },
+    summary: '• *Horario de updates:* {hour} (hora local)\n• *Días:* {days}\n• *Frecuencia:* {frequency}',
+    current: '🗓️ *Tu horario de updates*\n{summary}',
+    button: 'Configurar horario',
+    modalTitle: 'Horario de updates',
+    modalSubmit: 'Guardar',
+    daysLabel: 'Días',
+    hourLabel: 'Hora (hora local)',
+    frequencyLabel: 'Frecuencia',
+    errorNoDays: 'Elige al menos un día',
+    saved: '✅ Horario actualizado:\n{summary}'
+  },
+
+  absence: {
+    usage: 'Uso: `vacaciones desde 20/12 hasta 05/01 [@backup]` o `vacaciones cancelar`',
+    invalid: 'No entendí las fechas. La fecha de término no puede estar en el pasado ni antes del inicio.',
+    selfDelegate: 'El backup debe ser otra persona.',
+    saved: '🏖️ Ausencia registrada del {from} al {to}. No te enviaré solicitudes de update ni recordatorios en ese período.',
+    savedWithDelegate: '🏖️ Ausencia registrada del {from} al {to}. Las solicitudes de update de tus proyectos le llegarán a <@{delegate}>.',
+    current: '🏖️ Tienes una ausencia registrada del {from} al {to}.',
+    currentWithDelegate: '🏖️ Tienes una ausencia registrada del {from} al {to}, con <@{delegate}> de backup.',
+    none: 'No tienes ausencias registradas.',
+    cancelled: 'Ausencia cancelada. Vuelvo a enviarte las solicitudes de update según tu horario.',
+    delegateNotice: '🤝 <@{pm}> te dejó de backup del {from} al {to}: recibirás las solicitudes de update de sus proyectos en ese período.',
+    delegatedRequest: '🤝 Cubres a <@{pm}> (fuera hasta el {to}). Te envío las solicitudes de update de sus proyectos.',
+    gapText: 'Cobertura: <@{pm}> fuera del {from} al {to}',
+    gapHeader: '🏖️ *<@{pm}> estará fuera del {from} al {to}* y deja proyectos Off Track',
+    gapBackup: '*Backup:* <@{delegate}>',
+    modalTitle: 'Registrar ausencia',
+    modalSubmit: 'Guardar',
+    fromLabel: 'Desde',
+    toLabel: 'Hasta',
+    delegateLabel: 'Backup (opcional)',
+    delegateHint: 'Recibirá las solicitudes de update de tus proyectos durante la ausencia',
+    gapNoBackup: '⚠️ *Sin backup asignado*',
+    gapProjects: '*Proyectos Off Track ({count}):*'
+  },
+
+  home: {
+    header: '📋 Project Pulse',
+    notOnboarded: '👋 Escríbeme por DM para configurar tu perfil y ver aquí tus proyectos.',
+    projectsTitle: '*Tus proyectos activos ({count})*',
+    lastUpdate: '*Último update:* {date}',
+    lastPulse: {
+      one: '*Último pulse:* hace {count} día',
+      other: '*Último pulse:* hace {count} días'
+    },
+    lastPulseToday: '*Último pulse:* hoy',
+    noPulse: '*Último pulse:* nunca',
+    dueDate: '*Término:* {date}',
+    tasks: '*Tareas pendientes:* {pending}/{total}',
+    updateButton: 'Actualizar',
+    snoozeButton: 'Posponer',
+    historyButton: 'Historial',
+    asanaButton: 'Abrir en Asana',
+    scheduleButton: 'Cambiar horario',
+    noAbsence: '🏖️ Sin ausencias registradas.',
+    absenceButton: 'Registrar ausencia',
+    cancelAbsenceButton: 'Cancelar ausencia',
+    more: '_...y {count} proyectos más. Escribe "mis proyectos" por DM para verlos todos._'
+  },
+
+  history: {
+    header: '*Historial de {project}*',
+    count: { one: '({count} update)', other: '({count} updates)' },
+    trend: 'Tendencia: {sparkline}',
+    transition: '{from} → {to}',
+    blocker: '🚫 Bloqueo: {description}',
+    blockerNoDescription: '🚫 Con bloqueos',
+    advances: 'Avances: {advances}',
+    page: 'Página {page} de {totalPages}.',
+    nextHint: 'Escribe "siguiente" para ver updates anteriores.',
+    noMore: 'No hay más updates en el historial.',
+    usage: 'Uso: `historial PMO-XXX`',
+    empty: 'Aún no hay updates registrados para *{project}*.',
+    noAdvances: 'Sin avances'
+  },
+
+  reminder: {
+    blockers: 'Recuerda indicar si hay bloqueos para *{project}*. Si necesitas mas tiempo, escribe "mas tarde".',
+    blockerDescription: 'Recuerda describir el bloqueo de *{project}* (qué falta y de quién depende). Si necesitas mas tiempo, escribe "mas tarde".',
+    advances: 'Recuerda enviar los avances para *{project}*. Si necesitas mas tiempo, escribe "mas tarde".'
+  },
+
+  digest: {
+    text: 'Resumen semanal del portafolio: {count} proyectos',
+    header: '📊 Resumen semanal del portafolio ({from} - {to})',
+    byStatus: '*Por estado:*\n🟢 On Track: {on_track}\n🟡 At Risk: {at_risk}\n🔴 Off Track: {off_track}\n⚪ Sin estado: {no_status}',
+    byRiskLevel: '*Por nivel de riesgo:*\nAlto: {high}\nMedio: {medium}\nBajo: {low}\nSin historial: {unknown}',
+    summary: '{total} proyectos activos | {withBlockers} con bloqueos | {withoutUpdate} sin update esta semana',
+    worsening: '*📉 Tendencias que empeoran:*',
+    withBlockers: '*🚫 Proyectos con bloqueos ({count}):*',
+    withoutUpdate: '*⏰ Sin update esta semana ({count}):*',
+    threadHint: '_El detalle por responsable está en el hilo_ 🧵',
+    none: '_Ninguno_ ✅',
+    more: '_...y {count} más_',
+    noUpdates: 'sin updates',
+    responsable: '*{responsable}* ({count} proyectos)',
+    responsableText: 'Detalle de {responsable}'
+  },
+
+  agent: {
+    notConfigured: 'El agente no está configurado. Usa comandos directos como "ayuda" o "mis proyectos".',
+    unavailable: 'El asistente no está disponible en este momento. Usa comandos directos como "ayuda", "mis proyectos" o un PMO ID.',
+    greeting: '¡Hola! Soy Pulse Bot. Escribe un PMO ID, "mis proyectos" o "ayuda".',
+    replyLanguage: 'español'
+  }
+};
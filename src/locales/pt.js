@@ -0,0 +1,491 @@
+/**
+ * Catálogo de mensajes: Português
+ *
+ * Mismas claves que es.js. Las claves faltantes se resuelven en Español.
+ */
+
+module.exports = {
+  language: {
+    name: 'Português',
+    prompt: '🌐 *Idioma:* você pode mudar quando quiser digitando `idioma`.',
+    pickerTitle: '🌐 *Escolha seu idioma*',
+    changed: 'Pronto, vou falar com você em Português.'
+  },
+
+  common: {
+    noStatus: 'Sem status',
+    notAvailable: 'N/A',
+    theProject: 'o projeto',
+    project: 'Projeto',
+    genericError: 'Houve um erro ao processar sua mensagem. Tente novamente.',
+    notUnderstood: 'Não entendi sua mensagem. Digite "ajuda" para ver o que posso fazer.',
+    needName: 'Você não configurou seu nome. Peça a um admin do PMO para reiniciar seu perfil.',
+    needProfile: 'Primeiro configure seu perfil: me envie qualquer mensagem por DM.'
+  },
+
+  update: {
+    requestText: 'Chegou a hora do update de {project}',
+    requestHeader: 'Update: {project}',
+    requestBody: 'Olá! Chegou a hora do update de *{project}*.\nClique em *Atualizar* para preencher o formulário.',
+    button: 'Atualizar',
+    saved: '{emoji} Update registrado para *{project}*. Obrigado!',
+    askBlocker: 'Qual é o *bloqueio*? Descreva brevemente (o que falta e de quem depende):',
+    askAdvances: 'Por favor descreva brevemente os *avanços* desde o seu último update:',
+    askAdvancesAfterBlocker: 'Obrigado. Agora descreva brevemente os *avanços* desde o seu último update:',
+    snoozed: 'Perfeito, volto a te avisar em {duration}.',
+    snoozedOneHour: 'Perfeito, volto a te avisar em 1 hora.',
+    flowStarted: {
+      one: 'Enviei por DM a solicitação de update ({count} projeto).',
+      other: 'Enviei por DM a solicitação de update ({count} projetos).'
+    },
+    flowMerged: {
+      one: 'Adicionei {count} projeto à sua fila de updates ({pending} pendentes). Termine o update em andamento e seguimos com ele.',
+      other: 'Adicionei {count} projetos à sua fila de updates ({pending} pendentes). Termine o update em andamento e seguimos com eles.'
+    },
+    alreadyQueued: 'Esses projetos já estão na sua fila de updates.',
+    noActiveProjects: 'Não encontrei projetos ativos para atualizar.',
+    selectAtLeastOne: 'Selecione pelo menos um projeto da lista.'
+  },
+
+  modal: {
+    title: 'Update do projeto',
+    submit: 'Salvar',
+    close: 'Cancelar',
+    statusLabel: 'Status do projeto',
+    statusPlaceholder: 'Escolher status',
+    openBlockersLabel: 'Estes bloqueios continuam ativos?',
+    openBlockersHint: 'Desmarque os que já foram resolvidos',
+    openBlockerDescription: '{category}, aberto {age}',
+    newBlockerLabel: 'Novo bloqueio',
+    newBlockerOption: 'Há um novo bloqueio',
+    blockerDescriptionLabel: 'Descrição do bloqueio',
+    blockerCategoryLabel: 'Categoria do bloqueio',
+    blockerCategoryHint: 'Se você não escolher, ela é inferida da descrição',
+    blockerCategoryPlaceholder: 'Escolher categoria',
+    advancesLabel: 'Avanços desde o último update',
+    nextStepsLabel: 'Próximos passos',
+    dueDateLabel: 'Nova data de término',
+    dueDateHint: 'Somente se a data comprometida mudou',
+    dueDatePlaceholder: 'Escolher data',
+    errorBlockerDescription: 'Descreva o bloqueio ativo',
+    errorDueDatePast: 'A nova data não pode estar no passado'
+  },
+
+  blockers: {
+    categories: {
+      tecnico: 'Técnico',
+      cliente: 'Cliente',
+      proveedor: 'Fornecedor',
+      recursos: 'Recursos',
+      otro: 'Outro'
+    },
+    today: 'hoje',
+    daysAgo: {
+      one: 'há {count} dia',
+      other: 'há {count} dias'
+    },
+    line: '• {description} ({category}, aberto {age})'
+  },
+
+  onboarding: {
+    welcome: 'Olá! 👋 Eu sou o *Pulse Bot*.\n\nVou te ajudar a reportar o status dos seus projetos de forma rápida e estruturada.',
+    askName: 'Para começar, preciso configurar seu perfil.\n\n*Qual é o seu nome como aparece no campo "Responsable Proyecto" no Asana?*\n\n_Responda com seu nome (ex: Harold Gómez); vou mostrar os responsáveis mais parecidos_',
+    askEmail: 'Para começar, preciso configurar seu perfil.\n\n*Qual é o seu email do Asana?*\n\n_Responda com seu email (ex: seu.nome@empresa.com)_',
+    nameTooShort: 'Por favor informe seu nome completo.',
+    matchesText: 'Responsáveis parecidos com {name}',
+    matchesFound: 'Encontrei estes responsáveis parecidos com *{name}* nos projetos do Asana. *Qual é você?*',
+    noMatches: 'Não encontrei responsáveis parecidos com *{name}* nos projetos ativos do Asana.',
+    matchOption: { one: '{name} ({count} projeto)', other: '{name} ({count} projetos)' },
+    keepTyped: 'Nenhum, usar "{name}"',
+    retypeHint: '_Se você não aparece, confira como está em "Responsable Proyecto" e escreva seu nome de novo._',
+    emailMatch: 'Pelo seu email do Slack encontrei seu usuário do Asana (*{asanaName}*). Você é o responsável *{name}*?',
+    confirmMatch: 'Sim, sou eu',
+    linked: 'Perfil vinculado ao responsável *{name}* ✅',
+    askTimezone: 'Perfeito! ✅\n\n*Em qual fuso horário você está?*\n\nIsso nos ajuda a enviar os updates em um horário conveniente.',
+    timezones: {
+      'America/Santiago': 'Chile (Santiago)',
+      'America/Lima': 'Peru (Lima)',
+      'America/Bogota': 'Colômbia (Bogotá)',
+      'America/Mexico_City': 'México (Cidade do México)'
+    },
+    complete: 'Pronto! 🎉\n\nSeu perfil está configurado:\n• *Fuso horário:* {timezone}\n{schedule}\n\nVocê pode mudar o horário quando quiser com *configurar horario*.',
+    completeFooter: 'Você receberá solicitações de update dos seus projetos. Responder leva menos de 1 minuto!\n\nDigite *ajuda* se precisar de mais informações.',
+    reset: 'Perfil reiniciado. Digite qualquer coisa para começar de novo.'
+  },
+
+  alert: {
+    text: 'Alerta: {project}',
+    header: '⚠️ Alerta: {project}',
+    pm: 'PM',
+    status: 'Status',
+    blockers: 'Bloqueios',
+    date: 'Data',
+    yes: '🚫 Sim',
+    no: '✅ Não',
+    reasons: 'Motivos',
+    advances: 'Avanços reportados',
+    noAdvances: '_Sem avanços reportados_',
+    openBlockers: 'Bloqueios abertos',
+    openedOn: 'Aberto em {date}',
+    acknowledgedBy: '👀 Reconhecido por <@{user}>',
+    assignedTo: '🙋 Atribuído a <@{user}>',
+    escalated: {
+      one: '🚨 Escalado {count} vez',
+      other: '🚨 Escalado {count} vezes'
+    },
+    closedOnTrack: '✅ Fechado: o projeto voltou a On Track',
+    resolvedBy: '✅ Resolvido por <@{user}>',
+    ackButton: 'Acknowledge',
+    assignButton: 'Atribuir a mim',
+    resolveButton: 'Resolver',
+    followUpText: 'Novo update de {project}',
+    backOnTrack: '✅ {project} voltou a On Track. Alerta fechado.',
+    ackReply: '👀 <@{user}> tomou conhecimento do alerta.',
+    assignReply: '🙋 <@{user}> assumiu o alerta.',
+    resolveReply: '✅ <@{user}> marcou o alerta como resolvido.',
+    escalationText: '🚨 {mention}O alerta de {project} está há {days} dias sem atenção',
+    escalationBody: '🚨 {mention}O alerta de *{project}* está há *{days} dias* sem que ninguém o reconheça.'
+  },
+
+  summary: {
+    risks: '⚠️ Riscos',
+    decisions: '🧭 Decisões',
+    nextSteps: '➡️ Próximos passos',
+    latest: 'Resumo do último update ({date})',
+    expandButton: 'Ver texto completo',
+    fullText: '*Texto completo do update de {project}* ({date}):\n{advances}',
+    notFound: 'Não encontrei esse update. Ele pode ter sido excluído.'
+  },
+
+  channel: {
+    linkedText: 'Canal vinculado a {project}',
+    linked: '🔗 Este canal foi vinculado a *{project}* (por <@{user}>).\nOs updates serão publicados aqui e vocês podem me consultar com `@Pulse status`.',
+    pulseInDmHint: 'A solicitação de update chega por DM ao PM do projeto.',
+    pulseInChannelHint: 'A solicitação de update chega a este canal.',
+    pulseOnButton: 'Receber o pulse neste canal',
+    pulseOffButton: 'Enviar o pulse por DM ao PM',
+    pulseOn: '🔔 A solicitação de update de *{project}* agora chega a este canal (alterado por <@{user}>).',
+    pulseOff: '🔕 A solicitação de update de *{project}* volta a chegar por DM ao PM (alterado por <@{user}>).',
+    pulseHint: 'O PM do projeto, seu backup ou alguém do PMO pode preencher o update.',
+    unlinked: 'Este canal não está mais vinculado a *{project}* (por <@{user}>).',
+    notLinked: 'Este canal não está vinculado a nenhum projeto. Vincule com `@Pulse vincular PMO-XXX`.',
+    linkUsage: 'Uso: `vincular PMO-XXX` dentro do canal do projeto.',
+    onlyInChannel: 'Este comando é usado dentro do canal do projeto, não por DM.',
+    notInChannel: 'Não sou membro deste canal: me convide com `/invite @Pulse` e tente novamente.',
+    mentionHelp: 'Neste canal posso:\n• `@Pulse status` - Detalhe do projeto vinculado (ou `@Pulse status PMO-XXX`)\n• `@Pulse vincular PMO-XXX` - Vincula o canal a um projeto\n• `@Pulse desvincular` - Remove o vínculo',
+    updateText: 'Novo update de {project}',
+    updateHeader: '{emoji} *Update de {project}* por <@{pm}>',
+    blocker: '🚧 Bloqueio: {description}'
+  },
+
+  subscription: {
+    usage: 'Uso: `seguir PMO-XXX` ou `seguir cliente <nome>`, opcionalmente com `só mudanças` (só mudanças de status) ou `só off track`.',
+    followingProject: '🔔 Agora você segue *{project}* ({filter}). Vou enviar os updates por DM.',
+    followingClient: '🔔 Agora você segue os projetos do cliente *{client}* ({filter}). Vou enviar os updates por DM.',
+    clientNotFound: 'Não encontrei projetos do cliente "{client}".',
+    unfollowed: '🔕 Você deixou de seguir *{target}*.',
+    unfollowedAll: {
+      one: '🔕 Removi sua assinatura.',
+      other: '🔕 Removi suas {count} assinaturas.'
+    },
+    notFollowing: 'Você não segue "{target}". Escreva `seguindo` para ver suas assinaturas.',
+    none: 'Você não segue nenhum projeto nem cliente. Use `seguir PMO-XXX` ou `seguir cliente <nome>`.',
+    list: {
+      one: '*Você segue 1 projeto ou cliente:*',
+      other: '*Você segue {count} projetos ou clientes:*'
+    },
+    unfollowHint: 'Para deixar de seguir: `deixar de seguir PMO-XXX`, `deixar de seguir cliente <nome>` ou `deixar de seguir tudo`.',
+    clientLabel: 'Cliente {client}',
+    filters: {
+      all: 'todos os updates',
+      status_change: 'só mudanças de status',
+      off_track: 'só Off Track'
+    },
+    updateText: 'Novo update de {project}',
+    blockers: '🚧 Bloqueios: {blockers}',
+    reasonProject: 'Você segue este projeto ({filter}) · `deixar de seguir {pmoId}`',
+    reasonClient: 'Você segue o cliente {client} ({filter}) · `deixar de seguir cliente {client}`'
+  },
+
+  export: {
+    usage: 'Uso: `exportar [xlsx]` (portfólio com o último update de cada projeto) ou `exportar updates [de DD/MM] [ate DD/MM] [xlsx]` (histórico; por padrão, os últimos 30 dias). Filtros: `cliente:acme`, `responsable:"ana perez"`, `estado:rojo`.',
+    generating: '⏳ Gerando o export...',
+    sentToDm: '📎 Enviei o arquivo por DM.',
+    empty: 'Não há dados para exportar com esse critério.',
+    error: 'Houve um problema ao gerar o export. Tente novamente em alguns minutos.',
+    readyPortfolio: {
+      one: '📊 Portfólio: 1 projeto com seu último update',
+      other: '📊 Portfólio: {count} projetos com seu último update'
+    },
+    readyUpdates: {
+      one: '📊 1 update entre {from} e {to}',
+      other: '📊 {count} updates entre {from} e {to}'
+    },
+    filters: 'Filtros: {filters}',
+    sheetPortfolio: 'Portfolio',
+    sheetUpdates: 'Updates',
+    columns: {
+      date: 'Data (UTC)',
+      pmoId: 'PMO ID',
+      project: 'Projeto',
+      client: 'Cliente',
+      responsable: 'Responsável',
+      asanaStatus: 'Status Asana',
+      progress: 'Progresso',
+      dueDate: 'Data fim',
+      lastUpdateAt: 'Último update (UTC)',
+      reportedStatus: 'Status reportado',
+      advances: 'Avanços',
+      headline: 'Resumo',
+      blockers: 'Bloqueios',
+      nextSteps: 'Próximos passos',
+      newDueDate: 'Nova data fim',
+      pm: 'PM'
+    }
+  },
+
+  roles: {
+    names: {
+      admin: 'admin',
+      pmo: 'PMO',
+      pm: 'PM',
+      viewer: 'viewer'
+    },
+    forbidden: '🔒 Seu papel (*{role}*) não permite esta ação. Se precisar, peça a um admin do PMO.',
+    resetForbidden: '🔒 Só um admin pode reiniciar perfis. Peça a um admin do PMO (`admin reset @usuario`).',
+    notYourProjects: '🔒 Você só pode atualizar seus projetos: {pmoIds} não está(ão) atribuído(s) a você.',
+    viewerWelcome: 'Como você não é responsável por nenhum projeto, seu papel é *viewer*: você pode seguir projetos ou clientes (`seguir PMO-XXX`). Se precisar de mais acesso, peça a um admin do PMO.',
+    changed: 'Seu papel no Pulse agora é *{role}* (alterado por <@{admin}>).'
+  },
+
+  admin: {
+    help: '*Comandos de administração:*\n• `admin usuarios` - Lista os usuários com seu papel\n• `admin papel @usuario <admin|pmo|pm|viewer>` - Muda o papel de um usuário\n• `admin pulse @usuario` / `admin pulse todos` - Executa agora o pulse (ignora o horário) e mostra suas estatísticas\n• `admin atualizar cache [completo]` - Atualiza agora o cache de projetos do Asana\n• `admin lembrar` - Envia agora os lembretes de updates sem resposta\n• `admin reatribuir PMO-XXX [PMO-YYY] @usuario` - Reatribui projetos a outro PM (sem modificar o Asana)\n• `admin pendentes @usuario` - Mostra os updates pendentes de um usuário\n• `admin reset @usuario` - Reinicia o perfil de um usuário',
+    needUser: 'Indique o usuário com uma menção (@usuario). Digite `admin ajuda` para ver os comandos.',
+    userNotFound: '<@{user}> não está registrado no Pulse.',
+    noUsers: 'Não há usuários registrados.',
+    users: {
+      one: '*1 usuário:*\n{lines}',
+      other: '*{count} usuários:*\n{lines}'
+    },
+    onboardingPending: 'onboarding pendente',
+    invalidRole: 'Papel inválido. Use `admin papel @usuario <admin|pmo|pm|viewer>`.',
+    bootstrapRole: '<@{user}> é admin por ADMIN_SLACK_IDS: o papel não pode ser alterado pelo Slack.',
+    roleChanged: '✅ <@{user}> agora é *{role}*.',
+    noProfile: '<@{user}> não completou o perfil (nome no Asana e fuso horário).',
+    pulseUserDone: '✅ Pulse de <@{user}> executado:\n{stats}',
+    pulseAllDone: '✅ Pulse executado para todos os usuários:\n{stats}',
+    cacheRefreshDone: '✅ Cache de projetos atualizado:\n{stats}',
+    remindersDone: '✅ Lembretes executados:\n{stats}',
+    jobFailed: '❌ Não consegui completar a execução: {error}',
+    reassignUsage: 'Uso: `admin reatribuir PMO-XXX [PMO-YYY] @usuario`',
+    reassignViewer: '<@{user}> é *viewer* e não pode reportar updates. Mude o papel primeiro (`admin papel @usuario pm`).',
+    reassigned: {
+      one: '✅ Reatribuí 1 projeto a <@{user}> ({name}): {pmoIds}',
+      other: '✅ Reatribuí {count} projetos a <@{user}> ({name}): {pmoIds}'
+    },
+    reassignedNotice: {
+      one: '<@{admin}> atribuiu 1 projeto a você: {pmoIds}. Vou incluí-lo nas suas solicitações de update.',
+      other: '<@{admin}> atribuiu {count} projetos a você: {pmoIds}. Vou incluí-los nas suas solicitações de update.'
+    },
+    pending: {
+      one: '*<@{user}> tem 1 update pendente:*\n{lines}',
+      other: '*<@{user}> tem {count} updates pendentes:*\n{lines}'
+    },
+    pendingCurrent: 'em andamento',
+    pendingSince: 'Última solicitação: {date}',
+    pendingNone: '<@{user}> não tem updates pendentes.',
+    resetDone: '✅ Reiniciei o perfil de <@{user}>. Na próxima vez que escrever, começará o onboarding.'
+  },
+
+  help: {
+    header: '📚 Ajuda - Project Pulse Bot',
+    about: '*O que é o Project Pulse Bot?*\nSou um assistente que te ajuda a reportar o status dos seus projetos de forma rápida e estruturada.',
+    howItWorks: '*Como funciona?*\n1. Você receberá uma mensagem conforme seu horário (por padrão Segundas e Quintas, 9:00 AM)\n2. Selecione o status do projeto (On Track, At Risk, Off Track)\n3. Indique se há bloqueios\n4. Descreva brevemente os avanços\n\nLeva menos de 1 minuto!',
+    commands: '*Comandos disponíveis:*\n• `ajuda` - Mostra esta mensagem\n• `meus projetos` - Lista seus projetos atribuídos\n• `PMO-XXX` - Busca um projeto pelo ID\n• `historico PMO-XXX` - Mostra os updates reportados de um projeto\n• `atualizar PMO-XXX [PMO-YYY]` - Inicia o update de um ou vários projetos\n• `atualizar todos` - Inicia o update de todos os seus projetos\n• `configurar horario` - Muda os dias, a hora e a frequência dos seus updates\n• `ferias de DD/MM ate DD/MM [@backup]` - Pausa seus updates (e os delega ao backup)\n• `seguir PMO-XXX` / `seguir cliente <nome>` - Receba por DM os updates de um projeto ou cliente (`só mudanças`, `só off track`)\n• `seguindo` / `deixar de seguir` - Lista ou remove suas assinaturas\n• `exportar [updates] [xlsx]` - Exporta o portfólio ou o histórico de updates (filtros `cliente:`, `responsable:`, `estado:`; só PMO)\n• `idioma` - Muda o idioma do bot\n• `reset` - Reinicia seu perfil (só admins)\n• `admin ajuda` - Comandos de administração (só admins)\n• `/pulse help` - Comandos disponíveis em qualquer canal',
+    slashTitle: 'Comandos do /pulse',
+    slashCommands: '*Comandos do /pulse* (funcionam em qualquer canal, só você vê a resposta):\n' +
+      '• `/pulse update [PMO-XXX]` - Inicia o update de um projeto ou de todos os seus projetos (por DM)\n' +
+      '• `/pulse status PMO-XXX` - Mostra o detalhe de um projeto\n' +
+      '• `/pulse mine` - Lista seus projetos\n' +
+      '• `/pulse search <texto>` - Busca projetos por nome, cliente, responsável ou PMO ID (filtros: `cliente:`, `estado:`, `responsable:`)\n' +
+      '• `/pulse snooze <duração>` - Adia o update pendente (ex: `30m`, `2h`, `1d`)\n' +
+      '• `/pulse vincular PMO-XXX` - Vincula o canal atual a um projeto (os updates são publicados lá)\n' +
+      '• `/pulse desvincular` - Remove o vínculo do canal atual\n' +
+      '• `/pulse exportar [updates] [xlsx]` - Envia por DM o export do portfólio ou do histórico de updates (só PMO)\n' +
+      '• `/pulse horario` - Configura os dias, a hora e a frequência dos seus updates\n' +
+      '• `/pulse help` - Mostra esta mensagem'
+  },
+
+  project: {
+    pmoId: 'PMO ID',
+    responsable: 'Responsável',
+    notAssigned: 'Não atribuído',
+    status: 'Status',
+    lastUpdate: 'Última atualização ({date})',
+    noUpdate: 'Sem atualização',
+    progress: 'Avanço',
+    dueDate: 'Data de término',
+    pendingTasks: 'Tarefas pendentes',
+    openBlockers: 'Bloqueios abertos ({count})',
+    myProjects: 'Seus projetos ({count})',
+    noCachedProjects: 'Ainda não tenho projetos em cache para o seu perfil. O cache global é atualizado a cada 6 horas.',
+    noCachedProjectsFor: 'Ainda não tenho projetos em cache para o seu perfil.\nSeu nome no Asana: *{name}*.\nO cache global é atualizado a cada 6 horas.',
+    pickPlaceholder: 'Escolher projetos para atualizar',
+    updateSelected: 'Atualizar selecionados',
+    updateAll: 'Atualizar todos',
+    searching: 'Buscando projeto {pmoId}...',
+    notFound: 'Não encontrei nenhum projeto com ID {pmoId}',
+    notFoundIds: 'Não encontrei projetos com ID {pmoIds}',
+    searchError: 'Houve um problema ao buscar o projeto {pmoId}. Tente novamente em alguns minutos.'
+  },
+
+  search: {
+    noResults: 'Não encontrei projetos com esse critério.',
+    noMore: 'Não há mais projetos para mostrar.',
+    invalidSelection: 'Seleção inválida.',
+    results: 'Estes são os projetos que encontrei:\n{lines}\n\nResponda com o número para ver detalhes ou digite "próximo" para mais.',
+    found: '*Projetos encontrados ({count}):*',
+    more: '_...e mais {count}. Refine a busca._'
+  },
+
+  slash: {
+    statusUsage: 'Uso: `/pulse status PMO-XXX`',
+    searchUsage: 'Uso: `/pulse search <texto>` (mínimo 3 caracteres). Filtros: `cliente:acme`, `estado:at_risk`, `responsable:"ana perez"`',
+    snoozeUsage: 'Uso: `/pulse snooze <duração>` (ex: `30m`, `2h`, `1d`)',
+    noPendingUpdates: 'Você não tem updates pendentes.',
+    unknownSubcommand: 'Não conheço o subcomando "{subcommand}".',
+    error: 'Houve um erro ao processar o comando. Tente novamente.'
+  },
+
+  schedule: {
+    dayNames: {
+      1: 'Segunda',
+      2: 'Terça',
+      3: 'Quarta',
+      4: 'Quinta',
+      5: 'Sexta',
+      6: 'Sábado',
+      7: 'Domingo'
+    },
+    and: ' e ',
+    frequencies: {
+      weekly: 'Semanal',
+      biweekly: 'A cada 2 semanas'
+    },
+    summary: '• *Horário dos updates:* {hour} (hora local)\n• *Dias:* {days}\n• *Frequência:* {frequency}',
+    current: '🗓️ *Seu horário de updates*\n{summary}',
+    button: 'Configurar horário',
+    modalTitle: 'Horário de updates',
+    modalSubmit: 'Salvar',
+    daysLabel: 'Dias',
+    hourLabel: 'Hora (hora local)',
+    frequencyLabel: 'Frequência',
+    errorNoDays: 'Escolha pelo menos um dia',
+    saved: '✅ Horário atualizado:\n{summary}'
+  },
+
+  absence: {
+    usage: 'Uso: `ferias de 20/12 ate 05/01 [@backup]` ou `ferias cancelar`',
+    invalid: 'Não entendi as datas. A data de término não pode estar no passado nem antes do início.',
+    selfDelegate: 'O backup deve ser outra pessoa.',
+    saved: '🏖️ Ausência registrada de {from} a {to}. Não vou te enviar solicitações de update nem lembretes nesse período.',
+    savedWithDelegate: '🏖️ Ausência registrada de {from} a {to}. As solicitações de update dos seus projetos irão para <@{delegate}>.',
+    current: '🏖️ Você tem uma ausência registrada de {from} a {to}.',
+    currentWithDelegate: '🏖️ Você tem uma ausência registrada de {from} a {to}, com <@{delegate}> de backup.',
+    none: 'Você não tem ausências registradas.',
+    cancelled: 'Ausência cancelada. Volto a te enviar as solicitações de update conforme seu horário.',
+    delegateNotice: '🤝 <@{pm}> te deixou de backup de {from} a {to}: você receberá as solicitações de update dos projetos dele nesse período.',
+    delegatedRequest: '🤝 Você está cobrindo <@{pm}> (fora até {to}). Envio as solicitações de update dos projetos dele.',
+    gapText: 'Cobertura: <@{pm}> fora de {from} a {to}',
+    gapHeader: '🏖️ *<@{pm}> estará fora de {from} a {to}* e deixa projetos Off Track',
+    gapBackup: '*Backup:* <@{delegate}>',
+    modalTitle: 'Registrar ausência',
+    modalSubmit: 'Salvar',
+    fromLabel: 'De',
+    toLabel: 'Até',
+    delegateLabel: 'Backup (opcional)',
+    delegateHint: 'Receberá as solicitações de update dos seus projetos durante a ausência',
+    gapNoBackup: '⚠️ *Sem backup atribuído*',
+    gapProjects: '*Projetos Off Track ({count}):*'
+  },
+
+  home: {
+    header: '📋 Project Pulse',
+    notOnboarded: '👋 Me mande uma DM para configurar seu perfil e ver seus projetos aqui.',
+    projectsTitle: '*Seus projetos ativos ({count})*',
+    lastUpdate: '*Último update:* {date}',
+    lastPulse: {
+      one: '*Último pulse:* há {count} dia',
+      other: '*Último pulse:* há {count} dias'
+    },
+    lastPulseToday: '*Último pulse:* hoje',
+    noPulse: '*Último pulse:* nunca',
+    dueDate: '*Término:* {date}',
+    tasks: '*Tarefas pendentes:* {pending}/{total}',
+    updateButton: 'Atualizar',
+    snoozeButton: 'Adiar',
+    historyButton: 'Histórico',
+    asanaButton: 'Abrir no Asana',
+    scheduleButton: 'Mudar horário',
+    noAbsence: '🏖️ Sem ausências registradas.',
+    absenceButton: 'Registrar ausência',
+    cancelAbsenceButton: 'Cancelar ausência',
+    more: '_...e mais {count} projetos. Envie "meus projetos" por DM para ver todos._'
+  },
+
+  history: {
+    header: '*Histórico de {project}*',
+    count: { one: '({count} update)', other: '({count} updates)' },
+    trend: 'Tendência: {sparkline}',
+    transition: '{from} → {to}',
+    blocker: '🚫 Bloqueio: {description}',
+    blockerNoDescription: '🚫 Com bloqueios',
+    advances: 'Avanços: {advances}',
+    page: 'Página {page} de {totalPages}.',
+    nextHint: 'Escreva "próximo" para ver updates anteriores.',
+    noMore: 'Não há mais updates no histórico.',
+    usage: 'Uso: `historial PMO-XXX`',
+    empty: 'Ainda não há updates registrados para *{project}*.',
+    noAdvances: 'Sem avanços'
+  },
+
+  reminder: {
+    blockers: 'Lembre-se de indicar se há bloqueios em *{project}*. Se precisar de mais tempo, digite "depois".',
+    blockerDescription: 'Lembre-se de descrever o bloqueio de *{project}* (o que falta e de quem depende). Se precisar de mais tempo, digite "depois".',
+    advances: 'Lembre-se de enviar os avanços de *{project}*. Se precisar de mais tempo, digite "depois".'
+  },
+
+  digest: {
+    text: 'Resumo semanal do portfólio: {count} projetos',
+    header: '📊 Resumo semanal do portfólio ({from} - {to})',
+    byStatus: '*Por status:*\n🟢 On Track: {on_track}\n🟡 At Risk: {at_risk}\n🔴 Off Track: {off_track}\n⚪ Sem status: {no_status}',
+    byRiskLevel: '*Por nível de risco:*\nAlto: {high}\nMédio: {medium}\nBaixo: {low}\nSem histórico: {unknown}',
+    summary: '{total} projetos ativos | {withBlockers} com bloqueios | {withoutUpdate} sem update nesta semana',
+    worsening: '*📉 Tendências piorando:*',
+    withBlockers: '*🚫 Projetos com bloqueios ({count}):*',
+    withoutUpdate: '*⏰ Sem update nesta semana ({count}):*',
+    threadHint: '_O detalhe por responsável está na thread_ 🧵',
+    none: '_Nenhum_ ✅',
+    more: '_...e mais {count}_',
+    noUpdates: 'sem updates',
+    responsable: '*{responsable}* ({count} projetos)',
+    responsableText: 'Detalhe de {responsable}'
+  },
+
+  riskRules: {
+    off_track: 'Projeto reportado como Off Track',
+    at_risk_consecutive: 'Projeto em risco por 2 reports consecutivos',
+    blocker_not_green: 'Bloqueio reportado em projeto com risco',
+    green_to_red: 'O projeto passou de On Track para Off Track',
+    due_soon_low_progress: 'Vence em menos de 14 dias com avanço abaixo de 80%',
+    stale_update: 'Sem updates há 10 dias ou mais',
+    pending_tasks_growing: 'Tarefas pendentes aumentando por 3 updates seguidos'
+  },
+
+  agent: {
+    notConfigured: 'O agente não está configurado. Use comandos diretos como "ajuda" ou "meus projetos".',
+    unavailable: 'O assistente não está disponível no momento. Use comandos diretos como "ajuda", "meus projetos" ou um PMO ID.',
+    greeting: 'Olá! Sou o Pulse Bot. Digite um PMO ID, "meus projetos" ou "ajuda".',
+    replyLanguage: 'português'
+  }
+};
@@ -1,156 +1,378 @@
 /**
- * Agent Service - Llama 3 via Groq
+ * Agent Service
  *
  * Procesa lenguaje natural para comandos del bot.
- * Usa Groq (gratis) con Llama 3.
+ * Usa el proveedor de LLM configurado (services/llm: Groq, Bedrock o un
+ * endpoint compatible con OpenAI), con memoria de los últimos turnos y
+ * herramientas que se ejecutan en un loop hasta la respuesta final.
+ * Sin proveedor, o si el proveedor falla, usa el clasificador de
+ * intenciones por reglas (lib/intent-classifier).
  */
 
-const GROQ_API_URL = 'https://api.groq.com/openai/v1/chat/completions';
-const MODEL_ID = 'llama-3.1-8b-instant';
+const llmService = require('./llm');
+const i18n = require('../lib/i18n');
+const intentClassifier = require('../lib/intent-classifier');
 
-const TOOLS = [
-  {
-    type: 'function',
-    function: {
-      name: 'buscar_proyecto',
-      description: 'Busca un proyecto por su PMO ID (ej: PMO-911)',
-      parameters: {
-        type: 'object',
-        properties: {
-          pmo_id: { type: 'string', description: 'El PMO ID del proyecto (ej: PMO-911)' }
-        },
-        required: ['pmo_id']
-      }
-    }
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'mis_proyectos',
-      description: 'Lista los proyectos donde el usuario es responsable',
-      parameters: {
-        type: 'object',
-        properties: {},
-        required: []
-      }
-    }
-  },
-  {
-    type: 'function',
-    function: {
-      name: 'mostrar_ayuda',
-      description: 'Muestra información de ayuda sobre el bot',
-      parameters: {
-        type: 'object',
-        properties: {},
-        required: []
-      }
-    }
-  },
-  {
+// Vueltas máximas de herramientas antes de la respuesta final
+const MAX_TOOL_STEPS = 4;
+// Memoria: últimos 5 turnos (mensaje del usuario + respuesta)
+const MAX_HISTORY_MESSAGES = 10;
+const MAX_HISTORY_CONTENT = 500;
+
+const PMO_ID_PARAM = { type: 'string', description: 'El PMO ID del proyecto (ej: PMO-911)' };
+
+function tool(name, description, properties = {}, required = []) {
+  return {
     type: 'function',
     function: {
-      name: 'respuesta_directa',
-      description: 'Responde directamente al usuario sin ejecutar ninguna acción. Usar para saludos, preguntas generales, o cuando no se requiere acción.',
-      parameters: {
-        type: 'object',
-        properties: {
-          mensaje: { type: 'string', description: 'El mensaje a enviar al usuario' }
-        },
-        required: ['mensaje']
-      }
+      name,
+      description,
+      parameters: { type: 'object', properties, required }
     }
-  }
+  };
+}
+
+const TOOLS = [
+  tool('buscar_proyecto', 'Muestra el detalle de un proyecto por su PMO ID (ej: PMO-911)',
+    { pmo_id: PMO_ID_PARAM }, ['pmo_id']),
+  tool('buscar_proyectos', 'Busca proyectos por nombre y/o filtros de cliente, estado o responsable. Retorna los datos para que respondas',
+    {
+      texto: { type: 'string', description: 'Palabras del nombre del proyecto (opcional)' },
+      cliente: { type: 'string', description: 'Nombre del cliente (opcional)' },
+      estado: { type: 'string', enum: ['on_track', 'at_risk', 'off_track'], description: 'Estado del proyecto (opcional)' },
+      responsable: { type: 'string', description: 'Nombre del responsable (opcional)' }
+    }),
+  tool('ver_historial', 'Muestra el historial de updates de un proyecto por su PMO ID (ej: PMO-911)',
+    { pmo_id: PMO_ID_PARAM }, ['pmo_id']),
+  tool('analizar_riesgo', 'Analiza el riesgo de un proyecto (estado, tendencia, bloqueos y reglas de riesgo). Retorna los datos para que respondas',
+    { pmo_id: PMO_ID_PARAM }, ['pmo_id']),
+  tool('proyectos_en_riesgo', 'Lista los proyectos At Risk u Off Track. Retorna los datos para que respondas',
+    { alcance: { type: 'string', enum: ['mios', 'todos'], description: 'mios (default): proyectos del usuario; todos: portafolio completo' } }),
+  tool('iniciar_update', 'Inicia el flujo de update de uno o varios proyectos (sin PMO IDs: todos los proyectos del usuario)',
+    { pmo_ids: { type: 'array', items: { type: 'string' }, description: 'PMO IDs a actualizar (opcional)' } }),
+  tool('mis_proyectos', 'Lista los proyectos donde el usuario es responsable'),
+  tool('mostrar_ayuda', 'Muestra información de ayuda sobre el bot'),
+  tool('respuesta_directa', 'Responde directamente al usuario sin ejecutar ninguna acción. Usar para saludos, preguntas generales, o cuando no se requiere acción.',
+    { mensaje: { type: 'string', description: 'El mensaje a enviar al usuario' } }, ['mensaje'])
 ];
 
-const SYSTEM_PROMPT = `Eres Pulse Bot, un asistente de PMO (Project Management Office) para proyectos de migración cloud AWS.
+const SYSTEM_PROMPT_TEMPLATE = `Eres Pulse Bot, un asistente de PMO (Project Management Office) para proyectos de migración cloud AWS.
 
 Tu trabajo es ayudar a los Project Managers a:
 - Consultar información de sus proyectos
-- Buscar proyectos por PMO ID
+- Buscar proyectos por PMO ID, nombre, cliente, estado o responsable
+- Revisar el historial de updates y el riesgo de un proyecto
+- Iniciar el update de sus proyectos
 - Responder preguntas sobre el uso del bot
 
 Reglas:
 - Sé conciso y directo
-- Responde en español
+- Responde en {language}
 - Si el mensaje contiene un patr?n PMO-XXXX (ej: PMO-1329), usa buscar_proyecto con ese PMO ID
+- Si pide el historial, la evolución o los updates anteriores de un proyecto, usa ver_historial con su PMO ID
+- Si pregunta por el riesgo o la salud de un proyecto, usa analizar_riesgo
+- Si pide proyectos de un cliente, con un estado o de otro responsable, usa buscar_proyectos
+- Si pregunta qué proyectos están en riesgo o atrasados, usa proyectos_en_riesgo
+- Si quiere reportar o actualizar sus proyectos, usa iniciar_update
 - Si el usuario saluda, usa respuesta_directa con un saludo breve
-- Si pide información de un proyecto específico, usa buscar_proyecto
 - Si pregunta por sus proyectos, usa mis_proyectos
 - Si pregunta cómo usar el bot, usa mostrar_ayuda
-- Si no entiendes qué quiere, usa respuesta_directa pidiendo clarificación
-- SIEMPRE usa una de las funciones disponibles, nunca respondas directamente`;
+- Si la pregunta se refiere a algo anterior ("ese proyecto", "¿y cuándo termina?"), usa el contexto de la conversación
+- Si ya tienes los datos para responder, responde con un texto breve sin llamar más funciones
+- Si no entiendes qué quiere, usa respuesta_directa pidiendo clarificación`;
+
+const SUMMARY_PROMPT_TEMPLATE = `Resumes updates de proyectos para la PMO (Project Management Office).
+Responde en {language} y solo con un objeto JSON, sin texto adicional:
+{"headline": "...", "risks": ["..."], "decisions": ["..."], "nextSteps": ["..."]}
+
+- headline: lo más importante del update en una línea (máximo 120 caracteres)
+- risks: riesgos o bloqueos mencionados
+- decisions: decisiones tomadas o pendientes de tomar
+- nextSteps: próximos pasos
+Usa frases cortas; deja la lista vacía si el texto no menciona nada. No inventes información.`;
+
+// Límites del resumen guardado en el update
+const SUMMARY_HEADLINE_LENGTH = 120;
+const SUMMARY_LIST_SIZE = 5;
+const SUMMARY_ITEM_LENGTH = 200;
+
+/**
+ * System prompt con el idioma de respuesta del usuario
+ * @param {string} lang
+ * @returns {string}
+ */
+function getSystemPrompt(lang = i18n.DEFAULT_LANGUAGE) {
+  return SYSTEM_PROMPT_TEMPLATE.replace('{language}', i18n.t(lang, 'agent.replyLanguage'));
+}
+
+/**
+ * Contexto de la conversación para el agente: último proyecto consultado,
+ * última búsqueda, historial abierto y update en curso
+ * @param {Object|null} state - Estado de conversación
+ * @returns {string|null}
+ */
+function getStateContext(state) {
+  if (!state) return null;
+
+  const lines = [];
+  if (state.lastProjectName) {
+    const pmoId = state.lastProjectPmoId ? `${state.lastProjectPmoId} · ` : '';
+    const due = state.lastProjectDueOn || state.lastProjectDueAt;
+    lines.push(`- Último proyecto consultado: ${pmoId}${state.lastProjectName}` +
+      (due ? ` (fecha de término: ${due})` : ' (sin fecha de término)'));
+  }
+  if (state.searchResults?.length > 0) {
+    const results = state.searchResults.slice(0, 5)
+      .map(p => `${p.pmoId || 'PMO-N/A'} ${p.name} (${p.status || 'sin estado'})`)
+      .join('; ');
+    lines.push(`- Última búsqueda "${state.searchQuery || ''}" (${state.searchResults.length} resultados): ${results}`);
+  }
+  if (state.historyProjectLabel && state.historyProjectGid) {
+    lines.push(`- Historial abierto: ${state.historyProjectLabel}`);
+  }
+  if (state.currentProjectName) {
+    lines.push(`- Update en curso: ${state.currentProjectName}`);
+  }
+
+  return lines.length > 0 ? `Contexto de la conversación:\n${lines.join('\n')}` : null;
+}
+
+/**
+ * Agrega el turno actual a la memoria del agente (últimos MAX_HISTORY_MESSAGES mensajes)
+ * @param {Array} history - Memoria guardada en el estado de conversación
+ * @param {string} userMessage
+ * @param {Object} result - Resultado de processMessage
+ * @returns {Array<{role: string, content: string}>}
+ */
+function appendHistory(history, userMessage, result) {
+  const reply = result?.response ||
+    (result?.toolsUsed?.length > 0 ? `[${result.toolsUsed.join(', ')}]` : '');
+
+  return [
+    ...(history || []),
+    { role: 'user', content: String(userMessage).slice(0, MAX_HISTORY_CONTENT) },
+    { role: 'assistant', content: String(reply).slice(0, MAX_HISTORY_CONTENT) }
+  ].slice(-MAX_HISTORY_MESSAGES);
+}
+
+function parseToolArguments(raw) {
+  try {
+    return JSON.parse(raw || '{}') || {};
+  } catch (error) {
+    return {};
+  }
+}
 
 /**
- * Procesa un mensaje con el agente
+ * Procesa un mensaje con el agente: envía la memoria y el contexto de la
+ * conversación, ejecuta las herramientas que pida el modelo y le devuelve sus
+ * resultados hasta obtener una respuesta final.
+ *
+ * Las herramientas que ya mostraron su resultado al usuario ({ shown: true },
+ * ej: detalle de proyecto, historial) terminan el turno sin respuesta de texto.
+ *
  * @param {string} userMessage - Mensaje del usuario
- * @param {Object} context - Contexto adicional (email, etc)
- * @returns {Object} { tool: string, params: Object } o { response: string }
+ * @param {Object} context - { language, history, state, executeTool(name, params) -> { shown, data } }
+ * @returns {Object} { response: string|null, toolsUsed: Array<string>, fallback?: true }
+ *   fallback: respondió el clasificador por reglas
  */
 async function processMessage(userMessage, context = {}) {
-  const apiKey = process.env.GROQ_API_KEY;
+  const lang = i18n.normalizeLanguage(context.language);
+  const toolsUsed = [];
 
-  if (!apiKey) {
-    console.error('GROQ_API_KEY no configurada');
-    return { response: 'El agente no está configurado. Usa comandos directos como "ayuda" o "mis proyectos".' };
+  if (!llmService.isConfigured()) {
+    return processWithRules(userMessage, context, lang, 'agent.notConfigured');
   }
 
+  const stateContext = getStateContext(context.state);
+  const messages = [
+    { role: 'system', content: getSystemPrompt(lang) },
+    ...(stateContext ? [{ role: 'system', content: stateContext }] : []),
+    ...(context.history || []),
+    { role: 'user', content: userMessage }
+  ];
+
   try {
-    const response = await fetch(GROQ_API_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: MODEL_ID,
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: userMessage }
-        ],
-        tools: TOOLS,
-        tool_choice: 'auto',
-        max_tokens: 256,
-        temperature: 0
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('Error de Groq:', error);
-      return { response: 'Hubo un error procesando tu mensaje. Intenta de nuevo.' };
-    }
+    for (let step = 0; step < MAX_TOOL_STEPS; step++) {
+      let reply;
+      try {
+        reply = await llmService.chat({ messages, tools: TOOLS });
+      } catch (error) {
+        // Sin respuesta del proveedor: mismo turno con reglas (si ya se
+        // ejecutaron herramientas, no repetirlas)
+        if (toolsUsed.length > 0) {
+          return { response: i18n.t(lang, 'common.genericError'), toolsUsed };
+        }
+        return processWithRules(userMessage, context, lang, 'agent.unavailable');
+      }
 
-    const data = await response.json();
-    const choice = data.choices?.[0];
+      if (reply.toolCalls.length === 0) {
+        return { response: reply.content || i18n.t(lang, 'common.notUnderstood'), toolsUsed };
+      }
 
-    if (!choice) {
-      return { response: 'No entendí tu mensaje. Escribe "ayuda" para ver qué puedo hacer.' };
-    }
+      messages.push({
+        role: 'assistant',
+        content: reply.content,
+        tool_calls: reply.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: { name: toolCall.name, arguments: toolCall.arguments }
+        }))
+      });
 
-    // Si hay tool call
-    if (choice.message?.tool_calls?.length > 0) {
-      const toolCall = choice.message.tool_calls[0];
-      const args = JSON.parse(toolCall.function.arguments || '{}');
-      return {
-        tool: toolCall.function.name,
-        params: args
-      };
-    }
+      let allShown = true;
+      for (const toolCall of reply.toolCalls) {
+        const name = toolCall.name;
+        const params = parseToolArguments(toolCall.arguments);
+
+        if (name === 'respuesta_directa') {
+          return { response: params.mensaje || i18n.t(lang, 'common.notUnderstood'), toolsUsed };
+        }
+
+        toolsUsed.push(name);
+        const result = context.executeTool
+          ? await context.executeTool(name, params)
+          : { shown: false, data: { error: 'herramienta no disponible' } };
+        allShown = allShown && Boolean(result?.shown);
+        messages.push({
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(result?.data ?? {})
+        });
+      }
 
-    // Si hay respuesta directa
-    if (choice.message?.content) {
-      return { response: choice.message.content };
+      if (allShown) {
+        return { response: null, toolsUsed };
+      }
     }
 
-    return { response: 'No entendí tu mensaje. Escribe "ayuda" para ver qué puedo hacer.' };
+    return { response: i18n.t(lang, 'common.notUnderstood'), toolsUsed };
 
   } catch (error) {
     console.error('Error en agente:', error);
-    return { response: 'Hubo un error procesando tu mensaje. Intenta de nuevo.' };
+    return { response: i18n.t(lang, 'common.genericError'), toolsUsed };
+  }
+}
+
+/**
+ * Respaldo sin LLM: clasifica el mensaje por reglas y ejecuta la herramienta
+ * que corresponde (todas muestran su resultado directamente)
+ * @param {string} unmatchedKey - Texto cuando ninguna regla calza
+ * @returns {Object} { response: string|null, toolsUsed: Array<string>, fallback: true }
+ */
+async function processWithRules(userMessage, context, lang, unmatchedKey) {
+  const intent = intentClassifier.classifyIntent(userMessage);
+  if (!intent) {
+    return { response: i18n.t(lang, unmatchedKey), toolsUsed: [], fallback: true };
+  }
+  if (intent.tool === 'saludo') {
+    return { response: i18n.t(lang, 'agent.greeting'), toolsUsed: [], fallback: true };
+  }
+
+  try {
+    const result = context.executeTool
+      ? await context.executeTool(intent.tool, intent.params)
+      : { shown: false, data: {} };
+
+    if (result?.shown) {
+      return { response: null, toolsUsed: [intent.tool], fallback: true };
+    }
+    const response = result?.data?.pmoId
+      ? i18n.t(lang, 'project.notFound', { pmoId: result.data.pmoId })
+      : i18n.t(lang, unmatchedKey);
+    return { response, toolsUsed: [intent.tool], fallback: true };
+  } catch (error) {
+    console.error('Error en respaldo por reglas del agente:', error);
+    return { response: i18n.t(lang, 'common.genericError'), toolsUsed: [intent.tool], fallback: true };
+  }
+}
+
+function truncate(text, length) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+}
+
+function normalizeSummaryList(list) {
+  return (Array.isArray(list) ? list : [])
+    .map(item => truncate(item, SUMMARY_ITEM_LENGTH))
+    .filter(Boolean)
+    .slice(0, SUMMARY_LIST_SIZE);
+}
+
+/**
+ * Resumen por reglas: primera oración de los avances, bloqueo y próximos pasos del formulario
+ */
+function getRulesSummary(update) {
+  const [firstSentence] = String(update.advances || '').trim().split(/(?<=[.!?])\s+|\n+/);
+  const nextSteps = String(update.nextSteps || '')
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*[-•*]\s*/, ''));
+
+  return {
+    headline: truncate(firstSentence, SUMMARY_HEADLINE_LENGTH),
+    risks: normalizeSummaryList(update.blockerDescription ? [update.blockerDescription] : []),
+    decisions: [],
+    nextSteps: normalizeSummaryList(nextSteps),
+    source: 'rules'
+  };
+}
+
+/**
+ * Resume un update para la PMO: titular de una línea y riesgos, decisiones y
+ * próximos pasos extraídos del texto. Usa el proveedor de LLM en el idioma de
+ * los canales (PMO_LANGUAGE); sin proveedor o si falla, resume por reglas.
+ * @param {Object} update - { status, advances, hasBlockers, blockerDescription, nextSteps }
+ * @returns {Object|null} { headline, risks, decisions, nextSteps, source: 'llm'|'rules' }
+ *   o null si el update no trae texto
+ */
+async function summarizeUpdate(update) {
+  if (!String(update.advances || '').trim()) {
+    return null;
+  }
+
+  if (llmService.isConfigured()) {
+    const lang = i18n.getChannelLanguage();
+    const details = [
+      `Estado: ${update.status || 'sin estado'}`,
+      `Avances: ${update.advances}`,
+      ...(update.blockerDescription ? [`Bloqueo: ${update.blockerDescription}`] : []),
+      ...(update.nextSteps ? [`Próximos pasos: ${update.nextSteps}`] : [])
+    ].join('\n');
+
+    try {
+      const reply = await llmService.chat({
+        messages: [
+          { role: 'system', content: SUMMARY_PROMPT_TEMPLATE.replace('{language}', i18n.t(lang, 'agent.replyLanguage')) },
+          { role: 'user', content: details }
+        ],
+        maxTokens: 400
+      });
+      const json = (reply.content || '').match(/\{[\s\S]*\}/);
+      const parsed = json ? JSON.parse(json[0]) : null;
+
+      if (parsed?.headline) {
+        return {
+          headline: truncate(parsed.headline, SUMMARY_HEADLINE_LENGTH),
+          risks: normalizeSummaryList(parsed.risks),
+          decisions: normalizeSummaryList(parsed.decisions),
+          nextSteps: normalizeSummaryList(parsed.nextSteps),
+          source: 'llm'
+        };
+      }
+      console.warn('Resumen del LLM sin titular, se usa el resumen por reglas');
+    } catch (error) {
+      console.error('Error resumiendo update con el LLM:', error.message);
+    }
   }
+
+  return getRulesSummary(update);
 }
 
 module.exports = {
-  processMessage
+  TOOLS,
+  getSystemPrompt,
+  getStateContext,
+  appendHistory,
+  processMessage,
+  summarizeUpdate
 };
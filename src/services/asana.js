@@ -8,12 +8,15 @@
  */
 
 const Asana = require('asana');
+const crypto = require('crypto');
 
 // APIs de Asana (v3.x usa clases separadas)
 let usersApi = null;
 let workspacesApi = null;
 let projectsApi = null;
 let tasksApi = null;
+let projectStatusesApi = null;
+let webhooksApi = null;
 let initialized = false;
 
 /**
@@ -36,6 +39,8 @@ function initClient() {
     workspacesApi = new Asana.WorkspacesApi();
     projectsApi = new Asana.ProjectsApi();
     tasksApi = new Asana.TasksApi();
+    projectStatusesApi = new Asana.ProjectStatusesApi();
+    webhooksApi = new Asana.WebhooksApi();
 
     initialized = true;
   }
@@ -367,124 +372,178 @@ async function getProjectByPmoId(pmoId) {
  */
 async function getAllActiveProjectsWithResponsable() {
   try {
-    initClient();
     console.log('[Asana] Iniciando busqueda paralela de proyectos no archivados...');
 
-    const workspacesResponse = await workspacesApi.getWorkspaces({});
-    const workspacesList = workspacesResponse.data || [];
+    const projectList = await listAllProjects();
+    const activeProjects = projectList.filter(p => !p.archived);
+    console.log(`[Asana] Total proyectos no archivados: ${activeProjects.length}`);
 
-    const allProjects = [];
-
-    for (const workspace of workspacesList) {
-      // Paso 1: Obtener lista de todos los proyectos (solo metadata basica)
-      const projectList = [];
-      let offset = null;
-      let pageCount = 0;
+    const allProjects = await getProjectsWithDetail(activeProjects);
 
-      do {
-        const params = { limit: 100, opt_fields: 'name,archived' };
-        if (offset) params.offset = offset;
+    console.log(`[Asana] Busqueda completada: ${allProjects.length} proyectos no archivados`);
+    return allProjects;
 
-        const response = await getProjectsPageWithRetry(workspace.gid, params, 3);
-        const projects = response.data || [];
-        pageCount++;
+  } catch (error) {
+    console.error('[Asana] Error en busqueda paralela:', error);
+    throw error;
+  }
+}
 
-        // Filtrar archivados inmediatamente
-        const activeProjects = projects.filter(p => !p.archived);
-        projectList.push(...activeProjects);
+/**
+ * Lista todos los proyectos de todos los workspaces (solo metadata basica)
+ * Incluye archivados y modified_at para que cache-refresh decida que re-obtener.
+ *
+ * @returns {Array<{gid: string, name: string, archived: boolean, modifiedAt: string|null}>}
+ */
+async function listAllProjects() {
+  initClient();
 
-        console.log(`[Asana] Pagina ${pageCount}: ${projects.length} proyectos (${activeProjects.length} activos)`);
+  const workspacesResponse = await workspacesApi.getWorkspaces({});
+  const workspacesList = workspacesResponse.data || [];
 
-        offset = response._response?.next_page?.offset || null;
-        await sleep(50);
-      } while (offset);
+  const projectList = [];
 
-      console.log(`[Asana] Total proyectos no archivados: ${projectList.length}`);
+  for (const workspace of workspacesList) {
+    let offset = null;
+    let pageCount = 0;
 
-      // Paso 2: Obtener custom_fields en paralelo (batches moderados para evitar rate limit)
-      const BATCH_SIZE = 10;
-      let processed = 0;
+    do {
+      const params = { limit: 100, opt_fields: 'name,archived,modified_at' };
+      if (offset) params.offset = offset;
 
-      for (let i = 0; i < projectList.length; i += BATCH_SIZE) {
-        const batch = projectList.slice(i, i + BATCH_SIZE);
+      const response = await getProjectsPageWithRetry(workspace.gid, params, 3);
+      const projects = response.data || [];
+      pageCount++;
 
-        const results = await Promise.all(
-          batch.map(async (project) => {
-            try {
-              const detail = await getProjectDetailWithRetry(project.gid, 3);
+      projectList.push(...projects.map(p => ({
+        gid: p.gid,
+        name: p.name,
+        archived: p.archived === true,
+        modifiedAt: p.modified_at || null
+      })));
 
-              const customFields = detail.data?.custom_fields || [];
+      console.log(`[Asana] Pagina ${pageCount}: ${projects.length} proyectos`);
 
-              const statusField = customFields.find(
-                cf => cf.name && cf.name.toLowerCase() === 'status'
-              );
-              const status = statusField?.display_value || null;
-
-              const progressField = customFields.find(cf => {
-                const name = (cf.name || '').toLowerCase();
-                return name.includes('avance') || name.includes('progress') || name.includes('%');
-              });
-              const progressPercent = progressField?.display_value || null;
+      offset = response._response?.next_page?.offset || null;
+      await sleep(50);
+    } while (offset);
+  }
 
-              const responsableField = customFields.find(
-                cf => cf.name === 'Responsable Proyecto'
-              );
-              const responsable = responsableField?.display_value || null;
+  return projectList;
+}
 
-              const pmoIdField = customFields.find(
-                cf => cf.name && cf.name.toLowerCase().includes('pmo id')
-              );
-              const pmoId = pmoIdField?.display_value || null;
+/**
+ * Obtiene el detalle (custom_fields, status, tareas) de una lista de proyectos
+ * en paralelo, en batches moderados para evitar rate limit.
+ *
+ * @param {Array<{gid: string, name: string}>} projectList
+ * @returns {Array} Proyectos en formato del cache global (omite los que fallan)
+ */
+async function getProjectsWithDetail(projectList) {
+  initClient();
+
+  const BATCH_SIZE = 10;
+  const allProjects = [];
+  let processed = 0;
+
+  for (let i = 0; i < projectList.length; i += BATCH_SIZE) {
+    const batch = projectList.slice(i, i + BATCH_SIZE);
+
+    const results = await Promise.all(
+      batch.map(async (project) => {
+        try {
+          const detail = await getProjectDetailWithRetry(project.gid, 3);
+          return mapProjectDetail(project, detail.data || {});
+        } catch (err) {
+          // Ignorar errores individuales (403, etc.)
+          return null;
+        }
+      })
+    );
 
-              const clienteField = customFields.find(
-                cf => cf.name && cf.name.toLowerCase() == 'cliente_nuevo'
-              );
-              const clienteNuevo = clienteField?.display_value || null;
-
-              const currentStatus = detail.data?.current_status || null;
-
-              return {
-                gid: project.gid,
-                name: project.name,
-                responsable,
-                status,
-                pmoId,
-                clienteNuevo,
-                lastUpdateText: currentStatus?.text || null,
-                lastUpdateAt: currentStatus?.created_at || null,
-                progressPercent,
-                dueOn: detail.data?.due_on || null,
-                dueAt: detail.data?.due_at || null,
-                pendingTasks: detail.data?.num_tasks_incomplete ?? null,
-                totalTasks: detail.data?.num_tasks ?? null,
-                permalinkUrl: detail.data?.permalink_url || null
-              };
-            } catch (err) {
-              // Ignorar errores individuales (403, etc.)
-              return null;
-            }
-          })
-        );
+    // Agregar resultados validos
+    const validResults = results.filter(r => r !== null);
+    allProjects.push(...validResults);
 
-        // Agregar resultados validos
-        const validResults = results.filter(r => r !== null);
-        allProjects.push(...validResults);
+    processed += batch.length;
+    console.log(`[Asana] Procesados: ${processed}/${projectList.length} (${validResults.length} con detalle en este batch)`);
 
-        processed += batch.length;
-        console.log(`[Asana] Procesados: ${processed}/${projectList.length} (${validResults.length} con detalle en este batch)`);
+    // Pausa entre batches para no saturar Asana
+    await sleep(500);
+  }
 
-        // Pausa entre batches para no saturar Asana
-        await sleep(500);
-      }
-    }
+  return allProjects;
+}
 
-    console.log(`[Asana] Busqueda completada: ${allProjects.length} proyectos no archivados`);
-    return allProjects;
+/**
+ * Convierte el detalle de un proyecto de Asana al formato del cache global
+ * @param {Object} project - { gid, name }
+ * @param {Object} data - Detalle retornado por getProjectDetailWithRetry
+ * @returns {Object}
+ */
+function mapProjectDetail(project, data) {
+  const customFields = data.custom_fields || [];
+
+  const statusField = customFields.find(
+    cf => cf.name && cf.name.toLowerCase() === 'status'
+  );
+  const status = statusField?.display_value || null;
+
+  const progressField = customFields.find(cf => {
+    const name = (cf.name || '').toLowerCase();
+    return name.includes('avance') || name.includes('progress') || name.includes('%');
+  });
+  const progressPercent = progressField?.display_value || null;
+
+  const responsableField = customFields.find(
+    cf => cf.name === 'Responsable Proyecto'
+  );
+  const responsable = responsableField?.display_value || null;
+
+  const pmoIdField = customFields.find(
+    cf => cf.name && cf.name.toLowerCase().includes('pmo id')
+  );
+  const pmoId = pmoIdField?.display_value || null;
+
+  const clienteField = customFields.find(
+    cf => cf.name && cf.name.toLowerCase() == 'cliente_nuevo'
+  );
+  const clienteNuevo = clienteField?.display_value || null;
+
+  const currentStatus = data.current_status || null;
+
+  return {
+    gid: project.gid,
+    name: project.name,
+    responsable,
+    status,
+    pmoId,
+    clienteNuevo,
+    lastUpdateText: currentStatus?.text || null,
+    lastUpdateAt: currentStatus?.created_at || null,
+    progressPercent,
+    dueOn: data.due_on || null,
+    dueAt: data.due_at || null,
+    pendingTasks: data.num_tasks_incomplete ?? null,
+    totalTasks: data.num_tasks ?? null,
+    permalinkUrl: data.permalink_url || null,
+    modifiedAt: data.modified_at || project.modifiedAt || null
+  };
+}
 
-  } catch (error) {
-    console.error('[Asana] Error en busqueda paralela:', error);
-    throw error;
-  }
+/**
+ * Obtiene un proyecto en el formato del cache global (usado por webhooks)
+ * @param {string} projectGid
+ * @returns {Object} Proyecto mapeado, con flag archived
+ */
+async function getProjectForCache(projectGid) {
+  initClient();
+  const detail = await getProjectDetailWithRetry(projectGid, 3);
+  const data = detail.data || {};
+  return {
+    ...mapProjectDetail({ gid: projectGid, name: data.name }, data),
+    archived: data.archived === true
+  };
 }
 
 async function getProjectDetailWithRetry(projectGid, retries = 3) {
@@ -493,6 +552,8 @@ async function getProjectDetailWithRetry(projectGid, retries = 3) {
     try {
       return await projectsApi.getProject(projectGid, {
         opt_fields: [
+          'name',
+          'archived',
           'custom_fields',
           'custom_fields.name',
           'custom_fields.display_value',
@@ -544,6 +605,194 @@ async function getProjectsPageWithRetry(workspaceGid, params, retries = 3) {
   }
 }
 
+/**
+ * Colores de status de proyecto en Asana segun el estado reportado en Slack
+ */
+const STATUS_COLORS = {
+  on_track: 'green',
+  at_risk: 'yellow',
+  off_track: 'red'
+};
+
+/**
+ * Publica un update de PM como status nativo del proyecto en Asana
+ * @param {string} projectGid
+ * @param {Object} update - { status, advances, hasBlockers, blockerDescription, timestamp }
+ * @returns {{gid: string}}
+ */
+async function createProjectStatusUpdate(projectGid, update) {
+  initClient();
+
+  const color = STATUS_COLORS[update.status];
+  if (!color) {
+    throw new Error(`Status no soportado para Asana: ${update.status}`);
+  }
+
+  const date = (update.timestamp || new Date().toISOString()).split('T')[0];
+  const sections = [
+    `Avances:\n${update.advances || 'Sin avances reportados'}`,
+    `Bloqueos:\n${update.hasBlockers ? (update.blockerDescription || 'Si, sin descripcion') : 'No hay bloqueos'}`
+  ];
+  if (update.nextSteps) {
+    sections.push(`Proximos pasos:\n${update.nextSteps}`);
+  }
+  if (update.newDueDate) {
+    sections.push(`Nueva fecha de termino: ${update.newDueDate}`);
+  }
+
+  const body = {
+    data: {
+      color,
+      title: `Pulse Bot - ${date}`,
+      text: sections.join('\n\n')
+    }
+  };
+
+  const response = await createProjectStatusWithRetry(projectGid, body, 3);
+  return { gid: response.data?.gid || null };
+}
+
+/**
+ * Espera maxima acumulada por rate limit al publicar un status. Si Asana pide
+ * esperar mas, se lanza el 429 y asana-sync deja el update encolado para el
+ * siguiente cache-refresh en vez de bloquear al worker.
+ */
+const STATUS_RATE_LIMIT_MAX_WAIT_MS = 10 * 1000;
+
+async function createProjectStatusWithRetry(projectGid, body, retries = 3) {
+  let attempt = 0;
+  let waitedMs = 0;
+  while (true) {
+    try {
+      return await projectStatusesApi.createProjectStatusForProject(body, projectGid, {
+        opt_fields: 'gid,color,created_at'
+      });
+    } catch (error) {
+      const status = error?.status || error?.response?.status;
+      const retryAfter = Number(error?.response?.headers?.['retry-after'] || 0);
+      const delayMs = retryAfter > 0 ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+      if (status === 429 && attempt < retries && waitedMs + delayMs <= STATUS_RATE_LIMIT_MAX_WAIT_MS) {
+        await sleep(delayMs);
+        waitedMs += delayMs;
+        attempt += 1;
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Indica si un error de Asana corresponde a rate limit (429)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  const status = error?.status || error?.response?.status;
+  return status === 429;
+}
+
+/**
+ * Indica si un error de Asana es temporal (429 o 5xx) y conviene reintentarlo
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  const status = error?.status || error?.response?.status;
+  return status === 429 || (typeof status === 'number' && status >= 500);
+}
+
+/**
+ * Lista los workspaces accesibles con el PAT
+ * @returns {Array<{gid: string, name: string}>}
+ */
+async function getWorkspaces() {
+  initClient();
+  const response = await workspacesApi.getWorkspaces({ opt_fields: 'gid,name' });
+  return response.data || [];
+}
+
+/**
+ * Registra un webhook de Asana sobre un recurso (workspace o proyecto).
+ * Asana hace el handshake (X-Hook-Secret) contra el target antes de responder.
+ *
+ * @param {string} resourceGid
+ * @param {string} target - URL publica del receptor
+ * @param {Array<Object>} filters - Ej: [{ resource_type: 'project', action: 'changed' }]
+ * @returns {Object} Webhook creado
+ */
+async function createWebhook(resourceGid, target, filters = []) {
+  initClient();
+  const response = await webhooksApi.createWebhook({
+    data: {
+      resource: resourceGid,
+      target,
+      filters
+    }
+  }, { opt_fields: 'gid,active,resource,resource.name,target' });
+  return response.data;
+}
+
+/**
+ * Lista los webhooks registrados en un workspace
+ * @param {string} workspaceGid
+ * @returns {Array}
+ */
+async function getWebhooks(workspaceGid) {
+  initClient();
+  const webhooks = [];
+  let offset = null;
+
+  do {
+    const params = {
+      limit: 100,
+      opt_fields: 'gid,active,resource,resource.name,target,last_success_at,last_failure_at,last_failure_content'
+    };
+    if (offset) params.offset = offset;
+
+    const response = await webhooksApi.getWebhooks(workspaceGid, params);
+    webhooks.push(...(response.data || []));
+    offset = response._response?.next_page?.offset || null;
+  } while (offset);
+
+  return webhooks;
+}
+
+/**
+ * Elimina un webhook de Asana
+ * @param {string} webhookGid
+ */
+async function deleteWebhook(webhookGid) {
+  initClient();
+  await webhooksApi.deleteWebhook(webhookGid);
+}
+
+/**
+ * Verifica la firma X-Hook-Signature de un evento de webhook de Asana
+ * @param {string} secret - Secreto recibido en el handshake (X-Hook-Secret)
+ * @param {string} body - Body raw del request
+ * @param {string} signature - Header X-Hook-Signature
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, body, signature) {
+  if (!secret || !signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(body || '')
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
 function groupProjectsByResponsable(projects) {
   const grouped = new Map();
 
@@ -571,5 +820,16 @@ module.exports = {
   verifyAccess,
   getProjectMilestones,
   getAllActiveProjectsWithResponsable,
-  groupProjectsByResponsable
+  listAllProjects,
+  getProjectsWithDetail,
+  groupProjectsByResponsable,
+  getProjectForCache,
+  createProjectStatusUpdate,
+  isRateLimitError,
+  isRetryableError,
+  getWorkspaces,
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  verifyWebhookSignature
 };
@@ -7,6 +7,12 @@
  * - pmo-bot-users: Usuarios (PMs)
  * - pmo-bot-updates: Updates de proyectos
  * - pmo-bot-conversations: Estado de conversaciones (opcional)
+ * - pmo-bot-projects: Cache global de proyectos de Asana (META + índice de búsqueda SEARCH#)
+ *   y canales de Slack vinculados (CHANNEL / CHANNEL#)
+ * - pmo-bot-webhooks: Estado de webhooks de Asana (secretos del handshake)
+ * - pmo-bot-blockers: Bloqueos reportados por proyecto (abiertos y resueltos)
+ * - pmo-bot-alerts: Alertas de riesgo publicadas en Slack (dedup, seguimiento y escalamiento)
+ * - pmo-bot-subscriptions: Suscripciones de stakeholders a proyectos y clientes
  *
  * @see Project_Pulse_Bot_MVP_Implementacion.md - Paso 1.3
  */
@@ -19,7 +25,9 @@ const {
   UpdateCommand,
   DeleteCommand,
   QueryCommand,
-  ScanCommand
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
 
 // Configuración del cliente
@@ -34,12 +42,48 @@ const USERS_TABLE = process.env.USERS_TABLE || 'pmo-bot-users';
 const UPDATES_TABLE = process.env.UPDATES_TABLE || 'pmo-bot-updates';
 const CONVERSATIONS_TABLE = process.env.CONVERSATIONS_TABLE || 'pmo-bot-conversations';
 const PROJECTS_TABLE = process.env.PROJECTS_TABLE || 'pmo-bot-projects';
+const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE || 'pmo-bot-webhooks';
+const BLOCKERS_TABLE = process.env.BLOCKERS_TABLE || 'pmo-bot-blockers';
+const ALERTS_TABLE = process.env.ALERTS_TABLE || 'pmo-bot-alerts';
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE || 'pmo-bot-subscriptions';
+
+// Índice de búsqueda: un item por token y proyecto, agrupados por sus primeros caracteres
+const SEARCH_PREFIX_LENGTH = 3;
+const BATCH_WRITE_SIZE = 25;
+const BATCH_GET_SIZE = 100;
+const BATCH_MAX_ATTEMPTS = 3;
 
 function normalizeName(text) {
   if (!text) return '';
   return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
 }
 
+/**
+ * Tokens de búsqueda de un texto: minúsculas, sin tildes, solo letras y números
+ * ("Migración Banco-Estado" -> ['migracion', 'banco', 'estado'])
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function getSearchTokens(text) {
+  return [...new Set(normalizeName(text).split(/[^a-z0-9]+/).filter(Boolean))];
+}
+
+/**
+ * Tokens indexados de un proyecto (nombre, cliente, responsable y PMO ID)
+ * @param {Object} project
+ * @returns {Array<string>}
+ */
+function getProjectSearchTokens(project) {
+  const tokens = [project.name, project.clienteNuevo, project.responsable, project.pmoId]
+    .flatMap(getSearchTokens)
+    .filter(token => token.length >= SEARCH_PREFIX_LENGTH);
+  return [...new Set(tokens)];
+}
+
+function getSearchIndexKey(token, gid) {
+  return { pk: `SEARCH#${token.slice(0, SEARCH_PREFIX_LENGTH)}`, sk: `${token}#${gid}` };
+}
+
 /**
  * Obtiene un usuario por su Slack User ID
  * @param {string} slackUserId
@@ -60,14 +104,16 @@ async function getUser(slackUserId) {
 
 /**
  * Guarda un nuevo usuario
- * @param {Object} userData - { slackUserId, asanaEmail, timezone, onboarded }
+ * @param {Object} userData - { slackUserId, asanaEmail, asanaUserGid, timezone, language, onboarded }
  */
 async function saveUser(userData) {
   const item = {
     pk: `USER#${userData.slackUserId}`,
     slackUserId: userData.slackUserId,
     asanaEmail: userData.asanaEmail || null,
+    asanaUserGid: userData.asanaUserGid || null,
     timezone: userData.timezone || null,
+    language: userData.language || null,
     onboarded: userData.onboarded || false,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString()
@@ -138,6 +184,31 @@ async function getAllOnboardedUsers() {
   }
 }
 
+/**
+ * Obtiene todos los usuarios (scan paginado), incluidos los que no terminaron el onboarding
+ * @returns {Array}
+ */
+async function getAllUsers() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: USERS_TABLE,
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo usuarios:', error);
+    throw error;
+  }
+}
+
 /**
  * Guarda un update de proyecto
  * @param {Object} updateData
@@ -154,6 +225,16 @@ async function saveUpdate(updateData) {
     advances: updateData.advances,
     hasBlockers: updateData.hasBlockers,
     blockerDescription: updateData.blockerDescription || null,
+    nextSteps: updateData.nextSteps || null,
+    // Snapshot del cache al momento del update (reglas de riesgo)
+    pendingTasks: updateData.pendingTasks ?? null,
+    newDueDate: updateData.newDueDate || null,
+    // Resumen para PMO (agentService.summarizeUpdate): headline, risks, decisions, nextSteps
+    summary: updateData.summary || null,
+    // Pendiente hasta que el update se publique como status en Asana
+    // (asanaSyncPending solo existe mientras está pendiente: índice AsanaSyncPendingIndex)
+    asanaSyncStatus: 'pending',
+    asanaSyncPending: 'pending',
     timestamp
   };
 
@@ -169,6 +250,90 @@ async function saveUpdate(updateData) {
   }
 }
 
+/**
+ * Obtiene un update por su clave
+ * @param {string} projectGid
+ * @param {string} sk - Sort key del update (UPDATE#timestamp)
+ * @returns {Object|null}
+ */
+async function getUpdate(projectGid, sk) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: UPDATES_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo update:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra el resultado de publicar un update en Asana. Solo los pendientes
+ * quedan en el índice AsanaSyncPendingIndex.
+ * @param {string} projectGid
+ * @param {string} sk - Sort key del update (UPDATE#timestamp)
+ * @param {Object} fields - { asanaSyncStatus, asanaStatusGid, asanaSyncError }
+ */
+async function setUpdateAsanaSync(projectGid, sk, fields) {
+  const pending = fields.asanaSyncStatus === 'pending';
+  const expressionAttributeValues = {
+    ':syncStatus': fields.asanaSyncStatus,
+    ':statusGid': fields.asanaStatusGid || null,
+    ':syncError': fields.asanaSyncError || null,
+    ':syncedAt': new Date().toISOString()
+  };
+  if (pending) {
+    expressionAttributeValues[':pending'] = 'pending';
+  }
+
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: UPDATES_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk },
+      UpdateExpression: 'SET asanaSyncStatus = :syncStatus, asanaStatusGid = :statusGid, ' +
+        'asanaSyncError = :syncError, asanaSyncedAt = :syncedAt' +
+        (pending ? ', asanaSyncPending = :pending' : ' REMOVE asanaSyncPending'),
+      ExpressionAttributeValues: expressionAttributeValues
+    }));
+  } catch (error) {
+    console.error('Error registrando sync con Asana:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene updates que aun no se publicaron en Asana (encolados por rate limit
+ * o error temporal), del mas antiguo al mas reciente. Consulta el indice
+ * disperso AsanaSyncPendingIndex: no recorre la tabla de updates.
+ * @returns {Array}
+ */
+async function getPendingAsanaSyncUpdates() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: UPDATES_TABLE,
+        IndexName: 'AsanaSyncPendingIndex',
+        KeyConditionExpression: 'asanaSyncPending = :pending',
+        ExpressionAttributeValues: { ':pending': 'pending' },
+        ScanIndexForward: true,
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo updates pendientes de sync:', error);
+    throw error;
+  }
+}
+
 /**
  * Obtiene los últimos N updates de un proyecto
  * @param {string} projectGid
@@ -191,6 +356,35 @@ async function getLastUpdates(projectGid, limit = 2) {
   }
 }
 
+/**
+ * Obtiene todos los updates de un proyecto, del más antiguo al más reciente
+ * @param {string} projectGid
+ * @returns {Array}
+ */
+async function getProjectUpdates(projectGid) {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: UPDATES_TABLE,
+        KeyConditionExpression: 'pk = :pk',
+        ExpressionAttributeValues: { ':pk': `PROJECT#${projectGid}` },
+        ScanIndexForward: true, // Orden ascendente
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo historial de updates:', error);
+    throw error;
+  }
+}
+
 /**
  * Obtiene lista de projectGid que ya tienen update hoy
  * @returns {Array<string>}
@@ -216,6 +410,41 @@ async function getProjectsUpdatedToday() {
   }
 }
 
+/**
+ * Obtiene los updates de todos los proyectos en un rango de fechas (scan paginado),
+ * del más antiguo al más reciente
+ * @param {string|null} fromDate - YYYY-MM-DD (inclusive); null: sin límite
+ * @param {string|null} toDate - YYYY-MM-DD (inclusive); null: sin límite
+ * @returns {Array}
+ */
+async function getUpdatesBetween(fromDate = null, toDate = null) {
+  const items = [];
+  let lastKey;
+
+  // sk = UPDATE#<ISO timestamp>: "~" ordena después de cualquier hora del día
+  const from = `UPDATE#${fromDate || ''}`;
+  const to = `UPDATE#${toDate ? `${toDate}~` : '~'}`;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: UPDATES_TABLE,
+        FilterExpression: 'sk BETWEEN :from AND :to',
+        ExpressionAttributeValues: { ':from': from, ':to': to },
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    items.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo updates por rango de fechas:', error);
+    throw error;
+  }
+}
+
 // Funciones para estado de conversación
 async function getConversationState(slackUserId) {
   try {
@@ -231,12 +460,15 @@ async function getConversationState(slackUserId) {
 }
 
 async function setConversationState(slackUserId, state) {
+  // TTL de 1 hora (o 1 hora despues del snooze, si es mas largo)
+  const snoozeUntilMs = state.snoozeUntil ? new Date(state.snoozeUntil).getTime() : 0;
+  const expiresAtMs = Math.max(Date.now(), snoozeUntilMs || 0) + 3600 * 1000;
+
   const item = {
     pk: `CONV#${slackUserId}`,
     ...state,
     updatedAt: new Date().toISOString(),
-    // TTL de 1 hora
-    expiresAt: Math.floor(Date.now() / 1000) + 3600
+    expiresAt: Math.floor(expiresAtMs / 1000)
   };
 
   try {
@@ -263,11 +495,12 @@ async function getActiveConversationStates() {
   try {
     const response = await docClient.send(new ScanCommand({
       TableName: CONVERSATIONS_TABLE,
-      FilterExpression: 'step IN (:s1, :s2, :s3)',
+      FilterExpression: 'step IN (:s1, :s2, :s3, :s4)',
       ExpressionAttributeValues: {
         ':s1': 'awaiting_status',
         ':s2': 'awaiting_blockers',
-        ':s3': 'awaiting_advances'
+        ':s3': 'awaiting_blocker_description',
+        ':s4': 'awaiting_advances'
       }
     }));
     return response.Items || [];
@@ -277,6 +510,51 @@ async function getActiveConversationStates() {
   }
 }
 
+// Idempotencia de eventos de Slack (misma tabla de conversaciones, expira en 1 día)
+const SLACK_EVENT_TTL_SECONDS = 24 * 3600;
+
+/**
+ * Registra un evento de Slack si aún no fue recibido (event_id / trigger_id)
+ * @param {string} eventKey - Ej: "event:Ev123", "trigger:123.456"
+ * @returns {boolean} true si es la primera vez; false si es un reintento duplicado
+ */
+async function claimSlackEvent(eventKey) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: CONVERSATIONS_TABLE,
+      Item: {
+        pk: `EVENT#${eventKey}`,
+        receivedAt: new Date().toISOString(),
+        expiresAt: Math.floor(Date.now() / 1000) + SLACK_EVENT_TTL_SECONDS
+      },
+      ConditionExpression: 'attribute_not_exists(pk)'
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    console.error('Error registrando evento de Slack:', error);
+    throw error;
+  }
+}
+
+/**
+ * Libera un evento registrado para que el reintento de Slack se procese
+ * (ej: no se pudo encolar)
+ * @param {string} eventKey
+ */
+async function releaseSlackEvent(eventKey) {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: CONVERSATIONS_TABLE,
+      Key: { pk: `EVENT#${eventKey}` }
+    }));
+  } catch (error) {
+    console.error('Error liberando evento de Slack:', error);
+  }
+}
+
 /**
  * Elimina un usuario
  * @param {string} slackUserId
@@ -381,6 +659,8 @@ async function upsertProjectCache(project) {
     responsable: project.responsable || null,
     responsableKey: project.responsable ? `RESPONSABLE#${normalizeName(project.responsable)}` : null,
     pmoId: project.pmoId ? project.pmoId.toUpperCase() : null,
+    searchTokens: getProjectSearchTokens(project),
+    modifiedAt: project.modifiedAt || null,
     updatedAt: new Date().toISOString()
   };
 
@@ -392,26 +672,83 @@ async function upsertProjectCache(project) {
   });
 
   try {
-    await docClient.send(new PutCommand({
+    const response = await docClient.send(new PutCommand({
       TableName: PROJECTS_TABLE,
-      Item: item
+      Item: item,
+      ReturnValues: 'ALL_OLD'
     }));
+
+    // Se reescriben todos los tokens (idempotente) y se borran los que ya no aplican
+    const previousTokens = response?.Attributes?.searchTokens || [];
+    const removedTokens = previousTokens.filter(token => !item.searchTokens.includes(token));
+    await batchWriteProjects([
+      ...item.searchTokens.map(token => ({
+        PutRequest: { Item: { ...getSearchIndexKey(token, project.gid), gid: project.gid } }
+      })),
+      ...removedTokens.map(token => ({
+        DeleteRequest: { Key: getSearchIndexKey(token, project.gid) }
+      }))
+    ]);
   } catch (error) {
     console.error('Error guardando proyecto en cache:', error);
     throw error;
   }
 }
 
+/**
+ * Escribe en lotes de 25 en la tabla de proyectos, reintentando los items no procesados
+ * @param {Array} requests - PutRequest / DeleteRequest
+ */
+async function batchWriteProjects(requests) {
+  for (let i = 0; i < requests.length; i += BATCH_WRITE_SIZE) {
+    let pending = { [PROJECTS_TABLE]: requests.slice(i, i + BATCH_WRITE_SIZE) };
+
+    for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && pending; attempt++) {
+      const response = await docClient.send(new BatchWriteCommand({ RequestItems: pending }));
+      const unprocessed = response?.UnprocessedItems;
+      pending = unprocessed && Object.keys(unprocessed).length > 0 ? unprocessed : null;
+    }
+
+    if (pending) {
+      throw new Error(`BatchWrite sin procesar: ${pending[PROJECTS_TABLE].length} items`);
+    }
+  }
+}
+
+/**
+ * Obtiene un proyecto del cache global
+ * @param {string} projectGid
+ * @returns {Object|null}
+ */
+async function getCachedProject(projectGid) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk: 'META' }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo proyecto del cache:', error);
+    return null;
+  }
+}
+
 /**
  * Elimina un proyecto del cache global
  * @param {string} projectGid
  */
 async function deleteProjectCache(projectGid) {
   try {
-    await docClient.send(new DeleteCommand({
+    const response = await docClient.send(new DeleteCommand({
       TableName: PROJECTS_TABLE,
-      Key: { pk: `PROJECT#${projectGid}`, sk: 'META' }
+      Key: { pk: `PROJECT#${projectGid}`, sk: 'META' },
+      ReturnValues: 'ALL_OLD'
     }));
+
+    const tokens = response?.Attributes?.searchTokens || [];
+    await batchWriteProjects(tokens.map(token => ({
+      DeleteRequest: { Key: getSearchIndexKey(token, projectGid) }
+    })));
   } catch (error) {
     console.error('Error eliminando proyecto del cache:', error);
     throw error;
@@ -419,7 +756,186 @@ async function deleteProjectCache(projectGid) {
 }
 
 /**
- * Obtiene proyectos por responsable desde el cache global
+ * Obtiene gid y modifiedAt de todos los proyectos cacheados
+ * Usado por cache-refresh para detectar cambios sin re-obtener detalle.
+ *
+ * @returns {Array<{gid: string, modifiedAt: string|null}>}
+ */
+async function getCachedProjectVersions() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: PROJECTS_TABLE,
+        FilterExpression: 'sk = :meta',
+        ProjectionExpression: 'gid, modifiedAt',
+        ExpressionAttributeValues: { ':meta': 'META' },
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items.map(item => ({ gid: item.gid, modifiedAt: item.modifiedAt || null }));
+  } catch (error) {
+    console.error('Error obteniendo versiones de proyectos cacheados:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene todos los proyectos del cache global
+ * @returns {Array}
+ */
+async function getAllCachedProjects() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: PROJECTS_TABLE,
+        FilterExpression: 'sk = :meta',
+        ExpressionAttributeValues: { ':meta': 'META' },
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo proyectos cacheados:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene el estado de la ultima corrida de cache-refresh
+ * @returns {{lastSuccessAt: string, lastFullRunAt: string}|null}
+ */
+async function getCacheRefreshState() {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: 'CACHE#REFRESH', sk: 'STATE' }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo estado de cache-refresh:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda el estado de la ultima corrida exitosa de cache-refresh
+ * @param {Object} state - { lastSuccessAt, lastFullRunAt, lastSummary }
+ */
+async function saveCacheRefreshState(state) {
+  try {
+    await docClient.send(new PutCommand({
+      TableName: PROJECTS_TABLE,
+      Item: {
+        pk: 'CACHE#REFRESH',
+        sk: 'STATE',
+        ...state,
+        updatedAt: new Date().toISOString()
+      }
+    }));
+  } catch (error) {
+    console.error('Error guardando estado de cache-refresh:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene las reasignaciones de proyectos hechas por los admins
+ * @returns {Object<string, Object>} gid -> { asanaName, assigneeKey, slackUserId, assignedBy, assignedAt }
+ */
+async function getProjectAssignments() {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: 'ASSIGNMENTS', sk: 'STATE' }
+    }));
+    return response?.Item?.assignments || {};
+  } catch (error) {
+    console.error('Error obteniendo reasignaciones de proyectos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reasigna un proyecto a otro responsable sin modificar Asana. El cache-refresh
+ * no la pisa: se aplica al consultar los proyectos por responsable.
+ * Cada reasignación modifica solo su entrada del mapa (SET/REMOVE), así dos
+ * comandos simultáneos no se pisan.
+ * @param {string} projectGid
+ * @param {Object|null} assignment - { asanaName, slackUserId, assignedBy }; null la elimina
+ */
+async function setProjectAssignment(projectGid, assignment) {
+  const key = { pk: 'ASSIGNMENTS', sk: 'STATE' };
+  const now = new Date().toISOString();
+
+  try {
+    if (!assignment) {
+      await docClient.send(new UpdateCommand({
+        TableName: PROJECTS_TABLE,
+        Key: key,
+        UpdateExpression: 'REMOVE assignments.#gid SET updatedAt = :now',
+        ConditionExpression: 'attribute_exists(assignments)',
+        ExpressionAttributeNames: { '#gid': projectGid },
+        ExpressionAttributeValues: { ':now': now }
+      }));
+      return;
+    }
+
+    const setAssignment = new UpdateCommand({
+      TableName: PROJECTS_TABLE,
+      Key: key,
+      UpdateExpression: 'SET assignments.#gid = :assignment, updatedAt = :now',
+      ConditionExpression: 'attribute_exists(assignments)',
+      ExpressionAttributeNames: { '#gid': projectGid },
+      ExpressionAttributeValues: {
+        ':assignment': {
+          asanaName: assignment.asanaName,
+          assigneeKey: `RESPONSABLE#${normalizeName(assignment.asanaName)}`,
+          slackUserId: assignment.slackUserId || null,
+          assignedBy: assignment.assignedBy || null,
+          assignedAt: now
+        },
+        ':now': now
+      }
+    });
+
+    try {
+      await docClient.send(setAssignment);
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') throw error;
+      // Primera reasignación: crear el mapa (sin pisar uno creado en paralelo) y reintentar
+      await docClient.send(new UpdateCommand({
+        TableName: PROJECTS_TABLE,
+        Key: key,
+        UpdateExpression: 'SET assignments = if_not_exists(assignments, :empty)',
+        ExpressionAttributeValues: { ':empty': {} }
+      }));
+      await docClient.send(setAssignment);
+    }
+  } catch (error) {
+    // Quitar una reasignación cuando no hay ninguna: nada que hacer
+    if (!assignment && error.name === 'ConditionalCheckFailedException') {
+      return;
+    }
+    console.error('Error guardando reasignación de proyecto:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene proyectos por responsable desde el cache global, aplicando las
+ * reasignaciones de los admins (ver setProjectAssignment)
  * @param {string} responsableName
  * @returns {Array<{gid: string, name: string, pmoId?: string, status?: string}>}
  */
@@ -428,13 +944,25 @@ async function getProjectsByResponsableName(responsableName) {
   const responsableKey = `RESPONSABLE#${normalizeName(responsableName)}`;
 
   try {
-    const response = await docClient.send(new QueryCommand({
-      TableName: PROJECTS_TABLE,
-      IndexName: 'ResponsableIndex',
-      KeyConditionExpression: 'responsableKey = :rk',
-      ExpressionAttributeValues: { ':rk': responsableKey }
-    }));
-    return response.Items || [];
+    const [response, assignments] = await Promise.all([
+      docClient.send(new QueryCommand({
+        TableName: PROJECTS_TABLE,
+        IndexName: 'ResponsableIndex',
+        KeyConditionExpression: 'responsableKey = :rk',
+        ExpressionAttributeValues: { ':rk': responsableKey }
+      })),
+      getProjectAssignments()
+    ]);
+
+    // Sin los reasignados a otro responsable, más los reasignados a este
+    const projects = (response.Items || [])
+      .filter(p => !assignments[p.gid] || assignments[p.gid].assigneeKey === responsableKey);
+    const assignedGids = Object.keys(assignments)
+      .filter(gid => assignments[gid].assigneeKey === responsableKey && !projects.some(p => p.gid === gid));
+    if (assignedGids.length > 0) {
+      projects.push(...await getCachedProjectsByGids(assignedGids));
+    }
+    return projects;
   } catch (error) {
     console.error('Error obteniendo proyectos por responsable:', error);
     return [];
@@ -463,49 +991,730 @@ async function getProjectByPmoIdCached(pmoId) {
   }
 }
 
+// Funciones para canales vinculados a proyectos
 
-async function searchProjects(query, limit = 50) {
-  const q = (query || '').toLowerCase().trim();
-  if (!q) return [];
+/**
+ * Vincula un canal de Slack a un proyecto. Se guardan dos items en la tabla de
+ * proyectos: el vínculo (PROJECT#gid / CHANNEL) y el índice inverso
+ * (CHANNEL#channelId / LINK) para resolver el proyecto desde el canal.
+ * @param {Object} link - { projectGid, projectName, pmoId, channelId, linkedBy, pulseInChannel }
+ * @returns {Object} Vínculo guardado
+ */
+async function saveProjectChannel(link) {
+  const item = {
+    pk: `PROJECT#${link.projectGid}`,
+    sk: 'CHANNEL',
+    projectGid: link.projectGid,
+    projectName: link.projectName,
+    // projectPmoId y no pmoId: pmoId es la clave del índice PmoIdIndex
+    projectPmoId: link.pmoId || null,
+    channelId: link.channelId,
+    pulseInChannel: Boolean(link.pulseInChannel),
+    linkedBy: link.linkedBy || null,
+    linkedAt: new Date().toISOString()
+  };
 
   try {
-    const response = await docClient.send(new ScanCommand({
-      TableName: PROJECTS_TABLE,
-      FilterExpression: 'contains(#nameLower, :q) OR contains(#clienteLower, :q)',
-      ExpressionAttributeNames: {
-        '#nameLower': 'nameLower',
-        '#clienteLower': 'clienteLower'
-      },
-      ExpressionAttributeValues: {
-        ':q': q
+    await batchWriteProjects([
+      { PutRequest: { Item: item } },
+      {
+        PutRequest: {
+          Item: { pk: `CHANNEL#${link.channelId}`, sk: 'LINK', channelId: link.channelId, projectGid: link.projectGid }
+        }
       }
-    }));
+    ]);
+    return item;
+  } catch (error) {
+    console.error('Error vinculando canal a proyecto:', error);
+    throw error;
+  }
+}
 
-    const items = response.Items || [];
-    items.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
-    return items.slice(0, limit);
+/**
+ * Obtiene el canal vinculado a un proyecto
+ * @param {string} projectGid
+ * @returns {Object|null} { projectGid, projectName, projectPmoId, channelId, pulseInChannel, linkedBy, linkedAt }
+ */
+async function getProjectChannel(projectGid) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk: 'CHANNEL' }
+    }));
+    return response.Item || null;
   } catch (error) {
-    console.error('Error buscando proyectos por texto:', error);
-    return [];
+    console.error('Error obteniendo canal del proyecto:', error);
+    throw error;
   }
 }
+
+/**
+ * Obtiene el proyecto vinculado a un canal (índice inverso)
+ * @param {string} channelId
+ * @returns {Object|null} { channelId, projectGid }
+ */
+async function getChannelLink(channelId) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: `CHANNEL#${channelId}`, sk: 'LINK' }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo vínculo del canal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina el vínculo entre un proyecto y un canal (ambos items)
+ * @param {string} projectGid
+ * @param {string} channelId
+ */
+async function deleteProjectChannel(projectGid, channelId) {
+  try {
+    await batchWriteProjects([
+      { DeleteRequest: { Key: { pk: `PROJECT#${projectGid}`, sk: 'CHANNEL' } } },
+      { DeleteRequest: { Key: { pk: `CHANNEL#${channelId}`, sk: 'LINK' } } }
+    ]);
+  } catch (error) {
+    console.error('Error desvinculando canal del proyecto:', error);
+    throw error;
+  }
+}
+
+/**
+ * Define si el pulse del proyecto se envía al canal vinculado en lugar del DM del PM
+ * @param {string} projectGid
+ * @param {boolean} enabled
+ * @returns {Object|null} Vínculo actualizado (null si el proyecto ya no tiene canal)
+ */
+async function setProjectChannelPulse(projectGid, enabled) {
+  try {
+    const response = await docClient.send(new UpdateCommand({
+      TableName: PROJECTS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk: 'CHANNEL' },
+      UpdateExpression: 'SET pulseInChannel = :enabled',
+      ConditionExpression: 'attribute_exists(pk)',
+      ExpressionAttributeValues: { ':enabled': Boolean(enabled) },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return response.Attributes || null;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    console.error('Error cambiando el destino del pulse del canal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los vínculos cuyo canal recibe el pulse del proyecto
+ * @returns {Array}
+ */
+async function getPulseChannelLinks() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: PROJECTS_TABLE,
+        FilterExpression: 'sk = :channel AND pulseInChannel = :true',
+        ExpressionAttributeValues: { ':channel': 'CHANNEL', ':true': true },
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo canales con pulse:', error);
+    throw error;
+  }
+}
+
+
+/**
+ * Minutos que el bot espera el handshake de Asana tras iniciar un registro
+ */
+const WEBHOOK_REGISTRATION_WINDOW_MINUTES = 5;
+
+/**
+ * Marca un registro de webhook iniciado por el bot. Debe llamarse antes de
+ * POST /webhooks: solo se acepta el handshake de un recurso con esta marca.
+ * Quita el webhookGid y el secreto anteriores: Asana elimina por su cuenta los
+ * webhooks que fallan seguido, y sin esto el recurso no se podría registrar otra vez.
+ * @param {string} resourceGid - Recurso observado (workspace o proyecto)
+ */
+async function startWebhookRegistration(resourceGid) {
+  const now = new Date().toISOString();
+
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: WEBHOOKS_TABLE,
+      Key: { pk: `WEBHOOK#${resourceGid}` },
+      UpdateExpression: 'SET resourceGid = :resourceGid, pendingRegistrationAt = :now, updatedAt = :now ' +
+        'REMOVE webhookGid, secret',
+      ExpressionAttributeValues: {
+        ':resourceGid': resourceGid,
+        ':now': now
+      }
+    }));
+  } catch (error) {
+    console.error('Error marcando registro de webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Guarda el secreto recibido en el handshake de un webhook de Asana.
+ * Solo si hay un registro pendiente reciente (startWebhookRegistration),
+ * que se consume en la misma escritura.
+ * @param {string} resourceGid - Recurso observado (workspace o proyecto)
+ * @param {string} secret - Valor de X-Hook-Secret
+ * @returns {Object|null} Estado guardado, o null si no habia registro pendiente
+ */
+async function saveWebhookSecret(resourceGid, secret) {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - WEBHOOK_REGISTRATION_WINDOW_MINUTES * 60 * 1000);
+
+  try {
+    const response = await docClient.send(new UpdateCommand({
+      TableName: WEBHOOKS_TABLE,
+      Key: { pk: `WEBHOOK#${resourceGid}` },
+      UpdateExpression: 'SET secret = :secret, createdAt = if_not_exists(createdAt, :now), updatedAt = :now ' +
+        'REMOVE pendingRegistrationAt',
+      ConditionExpression: 'pendingRegistrationAt >= :cutoff',
+      ExpressionAttributeValues: {
+        ':secret': secret,
+        ':now': now.toISOString(),
+        ':cutoff': cutoff.toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return response.Attributes || null;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    console.error('Error guardando secreto de webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene el estado de un webhook de Asana
+ * @param {string} resourceGid
+ * @returns {Object|null} { resourceGid, secret, webhookGid, target }
+ */
+async function getWebhookState(resourceGid) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: WEBHOOKS_TABLE,
+      Key: { pk: `WEBHOOK#${resourceGid}` }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo estado de webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Registra el GID y target de un webhook ya creado en Asana
+ * @param {string} resourceGid
+ * @param {Object} fields - { webhookGid, target }
+ */
+async function setWebhookRegistration(resourceGid, fields) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: WEBHOOKS_TABLE,
+      Key: { pk: `WEBHOOK#${resourceGid}` },
+      UpdateExpression: 'SET webhookGid = :webhookGid, target = :target, updatedAt = :updatedAt',
+      ExpressionAttributeValues: {
+        ':webhookGid': fields.webhookGid,
+        ':target': fields.target || null,
+        ':updatedAt': new Date().toISOString()
+      }
+    }));
+  } catch (error) {
+    console.error('Error registrando webhook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina el estado de un webhook
+ * @param {string} resourceGid
+ */
+async function deleteWebhookState(resourceGid) {
+  try {
+    await docClient.send(new DeleteCommand({
+      TableName: WEBHOOKS_TABLE,
+      Key: { pk: `WEBHOOK#${resourceGid}` }
+    }));
+  } catch (error) {
+    console.error('Error eliminando estado de webhook:', error);
+    throw error;
+  }
+}
+
+// Funciones para bloqueos
+
+/**
+ * Registra un bloqueo nuevo de un proyecto
+ * @param {Object} blocker - { projectGid, projectName, description, category, ownerSlackId, openedInUpdate }
+ * @returns {Object} Item guardado (sk = BLOCKER#<openedAt>)
+ */
+async function createBlocker(blocker) {
+  const openedAt = new Date().toISOString();
+  const item = {
+    pk: `PROJECT#${blocker.projectGid}`,
+    sk: `BLOCKER#${openedAt}`,
+    projectGid: blocker.projectGid,
+    projectName: blocker.projectName,
+    description: blocker.description,
+    category: blocker.category || 'otro',
+    ownerSlackId: blocker.ownerSlackId,
+    blockerStatus: 'open',
+    openedAt,
+    openedInUpdate: blocker.openedInUpdate || null,
+    lastConfirmedAt: openedAt,
+    resolvedAt: null
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: BLOCKERS_TABLE,
+      Item: item
+    }));
+    return item;
+  } catch (error) {
+    console.error('Error guardando bloqueo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene los bloqueos abiertos de un proyecto (más antiguos primero)
+ * @param {string} projectGid
+ * @returns {Array}
+ */
+async function getOpenBlockers(projectGid) {
+  try {
+    const response = await docClient.send(new QueryCommand({
+      TableName: BLOCKERS_TABLE,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      FilterExpression: 'blockerStatus = :open',
+      ExpressionAttributeValues: {
+        ':pk': `PROJECT#${projectGid}`,
+        ':prefix': 'BLOCKER#',
+        ':open': 'open'
+      }
+    }));
+    return response.Items || [];
+  } catch (error) {
+    console.error('Error obteniendo bloqueos abiertos:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca un bloqueo como vigente en un update posterior
+ * @param {string} projectGid
+ * @param {string} sk - Sort key del bloqueo (BLOCKER#openedAt)
+ */
+async function confirmBlocker(projectGid, sk) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: BLOCKERS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk },
+      UpdateExpression: 'SET lastConfirmedAt = :now',
+      ExpressionAttributeValues: { ':now': new Date().toISOString() }
+    }));
+  } catch (error) {
+    console.error('Error confirmando bloqueo:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca un bloqueo como resuelto
+ * @param {string} projectGid
+ * @param {string} sk - Sort key del bloqueo (BLOCKER#openedAt)
+ * @param {string|null} resolvedInUpdate - Sort key del update que lo resolvió
+ */
+async function resolveBlocker(projectGid, sk, resolvedInUpdate = null) {
+  try {
+    await docClient.send(new UpdateCommand({
+      TableName: BLOCKERS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk },
+      UpdateExpression: 'SET blockerStatus = :resolved, resolvedAt = :now, resolvedInUpdate = :update',
+      ExpressionAttributeValues: {
+        ':resolved': 'resolved',
+        ':now': new Date().toISOString(),
+        ':update': resolvedInUpdate
+      }
+    }));
+  } catch (error) {
+    console.error('Error resolviendo bloqueo:', error);
+    throw error;
+  }
+}
+
+// Funciones para alertas de riesgo
+
+/**
+ * Registra una alerta publicada en Slack
+ * @param {Object} alert - { projectGid, projectName, channel, ts, pmSlackId, severity, firedRules, ... }
+ * @returns {Object} Item guardado (sk = ALERT#<openedAt>)
+ */
+async function createAlert(alert) {
+  const openedAt = new Date().toISOString();
+  const item = {
+    ...alert,
+    pk: `PROJECT#${alert.projectGid}`,
+    sk: `ALERT#${openedAt}`,
+    alertStatus: 'open',
+    openedAt,
+    lastAlertAt: openedAt,
+    escalationCount: 0
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: ALERTS_TABLE,
+      Item: item
+    }));
+    return item;
+  } catch (error) {
+    console.error('Error guardando alerta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene una alerta por su clave
+ * @param {string} projectGid
+ * @param {string} sk - ALERT#<openedAt>
+ * @returns {Object|null}
+ */
+async function getAlert(projectGid, sk) {
+  try {
+    const response = await docClient.send(new GetCommand({
+      TableName: ALERTS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk }
+    }));
+    return response.Item || null;
+  } catch (error) {
+    console.error('Error obteniendo alerta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene las alertas no resueltas de un proyecto (open o acknowledged)
+ * @param {string} projectGid
+ * @returns {Array}
+ */
+async function getOpenAlerts(projectGid) {
+  try {
+    const response = await docClient.send(new QueryCommand({
+      TableName: ALERTS_TABLE,
+      KeyConditionExpression: 'pk = :pk AND begins_with(sk, :prefix)',
+      FilterExpression: 'alertStatus <> :resolved',
+      ExpressionAttributeValues: {
+        ':pk': `PROJECT#${projectGid}`,
+        ':prefix': 'ALERT#',
+        ':resolved': 'resolved'
+      }
+    }));
+    return response.Items || [];
+  } catch (error) {
+    console.error('Error obteniendo alertas abiertas:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene todas las alertas sin reconocer (candidatas a escalamiento)
+ * @returns {Array}
+ */
+async function getUnacknowledgedAlerts() {
+  const items = [];
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new ScanCommand({
+        TableName: ALERTS_TABLE,
+        FilterExpression: 'alertStatus = :open',
+        ExpressionAttributeValues: { ':open': 'open' },
+        ExclusiveStartKey: lastKey
+      }));
+      items.push(...(response.Items || []));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo alertas sin reconocer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Actualiza campos de una alerta
+ * @param {string} projectGid
+ * @param {string} sk - ALERT#<openedAt>
+ * @param {Object} updates - Campos a actualizar
+ * @returns {Object} Alerta actualizada
+ */
+async function updateAlert(projectGid, sk, updates) {
+  const updateExpressions = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+
+  Object.entries(updates).forEach(([key, value], index) => {
+    updateExpressions.push(`#field${index} = :value${index}`);
+    expressionAttributeNames[`#field${index}`] = key;
+    expressionAttributeValues[`:value${index}`] = value;
+  });
+
+  try {
+    const response = await docClient.send(new UpdateCommand({
+      TableName: ALERTS_TABLE,
+      Key: { pk: `PROJECT#${projectGid}`, sk },
+      UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    }));
+    return response.Attributes || null;
+  } catch (error) {
+    console.error('Error actualizando alerta:', error);
+    throw error;
+  }
+}
+
+/**
+ * Busca en el índice los proyectos con algún token que empieza con el término
+ * @param {string} term - Token normalizado (getSearchTokens), mínimo 3 caracteres
+ * @returns {Array<string>} gids
+ */
+async function searchProjectIndex(term) {
+  if (!term || term.length < SEARCH_PREFIX_LENGTH) return [];
+
+  const gids = new Set();
+  let lastKey;
+
+  try {
+    do {
+      const response = await docClient.send(new QueryCommand({
+        TableName: PROJECTS_TABLE,
+        KeyConditionExpression: 'pk = :pk AND begins_with(sk, :term)',
+        ProjectionExpression: 'gid',
+        ExpressionAttributeValues: {
+          ':pk': `SEARCH#${term.slice(0, SEARCH_PREFIX_LENGTH)}`,
+          ':term': term
+        },
+        ExclusiveStartKey: lastKey
+      }));
+      (response.Items || []).forEach(item => gids.add(item.gid));
+      lastKey = response.LastEvaluatedKey;
+    } while (lastKey);
+
+    return [...gids];
+  } catch (error) {
+    console.error('Error consultando índice de búsqueda:', error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene varios proyectos del cache global por gid (BatchGet de a 100)
+ * @param {Array<string>} gids
+ * @returns {Array}
+ */
+async function getCachedProjectsByGids(gids) {
+  const items = [];
+
+  try {
+    for (let i = 0; i < gids.length; i += BATCH_GET_SIZE) {
+      let pending = {
+        [PROJECTS_TABLE]: {
+          Keys: gids.slice(i, i + BATCH_GET_SIZE).map(gid => ({ pk: `PROJECT#${gid}`, sk: 'META' }))
+        }
+      };
+
+      for (let attempt = 0; attempt < BATCH_MAX_ATTEMPTS && pending; attempt++) {
+        const response = await docClient.send(new BatchGetCommand({ RequestItems: pending }));
+        items.push(...(response.Responses?.[PROJECTS_TABLE] || []));
+        const unprocessed = response.UnprocessedKeys;
+        pending = unprocessed && Object.keys(unprocessed).length > 0 ? unprocessed : null;
+      }
+
+      if (pending) {
+        throw new Error(`BatchGet sin procesar: ${pending[PROJECTS_TABLE].Keys.length} proyectos`);
+      }
+    }
+
+    return items;
+  } catch (error) {
+    console.error('Error obteniendo proyectos del cache por gid:', error);
+    throw error;
+  }
+}
+
+// Funciones para suscripciones
+
+/**
+ * Guarda (o reemplaza) la suscripción de un usuario a un proyecto o cliente
+ * @param {Object} subscription - { targetKey, targetType, slackUserId, projectGid, pmoId,
+ *   projectName, client, filter, language }
+ * @returns {Object} Item guardado (pk = targetKey, sk = USER#slackUserId)
+ */
+async function saveSubscription(subscription) {
+  const item = {
+    ...subscription,
+    pk: subscription.targetKey,
+    sk: `USER#${subscription.slackUserId}`,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await docClient.send(new PutCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      Item: item
+    }));
+    return item;
+  } catch (error) {
+    console.error('Error guardando suscripción:', error);
+    throw error;
+  }
+}
+
+/**
+ * Elimina la suscripción de un usuario
+ * @param {string} targetKey - PROJECT#<gid> | CLIENT#<cliente normalizado>
+ * @param {string} slackUserId
+ * @returns {Object|null} Suscripción eliminada (null si no existía)
+ */
+async function deleteSubscription(targetKey, slackUserId) {
+  try {
+    const response = await docClient.send(new DeleteCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      Key: { pk: targetKey, sk: `USER#${slackUserId}` },
+      ReturnValues: 'ALL_OLD'
+    }));
+    return response?.Attributes || null;
+  } catch (error) {
+    console.error('Error eliminando suscripción:', error);
+    throw error;
+  }
+}
+
+/**
+ * Suscriptores de un proyecto o cliente
+ * @param {string} targetKey - PROJECT#<gid> | CLIENT#<cliente normalizado>
+ * @returns {Array}
+ */
+async function getSubscriptionsByTarget(targetKey) {
+  try {
+    const response = await docClient.send(new QueryCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: { ':pk': targetKey }
+    }));
+    return response.Items || [];
+  } catch (error) {
+    console.error('Error obteniendo suscriptores:', error);
+    throw error;
+  }
+}
+
+/**
+ * Suscripciones de un usuario (índice SubscriberIndex)
+ * @param {string} slackUserId
+ * @returns {Array}
+ */
+async function getUserSubscriptions(slackUserId) {
+  try {
+    const response = await docClient.send(new QueryCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      IndexName: 'SubscriberIndex',
+      KeyConditionExpression: 'slackUserId = :user',
+      ExpressionAttributeValues: { ':user': slackUserId }
+    }));
+    return response.Items || [];
+  } catch (error) {
+    console.error('Error obteniendo suscripciones del usuario:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getUser,
   saveUser,
   updateUser,
   deleteUser,
   getAllOnboardedUsers,
+  getAllUsers,
   saveUpdate,
+  getUpdate,
   getLastUpdates,
+  getProjectUpdates,
+  setUpdateAsanaSync,
+  getPendingAsanaSyncUpdates,
   getProjectsUpdatedToday,
+  getUpdatesBetween,
   getConversationState,
   setConversationState,
   clearConversationState,
   getActiveConversationStates,
+  claimSlackEvent,
+  releaseSlackEvent,
   cacheUserProjects,
   getCachedUserProjects,
   upsertProjectCache,
+  getCachedProject,
   deleteProjectCache,
+  getCachedProjectVersions,
+  getAllCachedProjects,
+  getCacheRefreshState,
+  saveCacheRefreshState,
+  getProjectAssignments,
+  setProjectAssignment,
   getProjectsByResponsableName,
-  getProjectByPmoIdCached
+  getProjectByPmoIdCached,
+  saveProjectChannel,
+  getProjectChannel,
+  getChannelLink,
+  deleteProjectChannel,
+  setProjectChannelPulse,
+  getPulseChannelLinks,
+  getSearchTokens,
+  searchProjectIndex,
+  getCachedProjectsByGids,
+  startWebhookRegistration,
+  saveWebhookSecret,
+  getWebhookState,
+  setWebhookRegistration,
+  deleteWebhookState,
+  createBlocker,
+  getOpenBlockers,
+  confirmBlocker,
+  resolveBlocker,
+  createAlert,
+  getAlert,
+  getOpenAlerts,
+  getUnacknowledgedAlerts,
+  updateAlert,
+  saveSubscription,
+  deleteSubscription,
+  getSubscriptionsByTarget,
+  getUserSubscriptions
 };
@@ -0,0 +1,66 @@
+/**
+ * Event Queue
+ *
+ * Entrega los eventos de Slack ya verificados al worker que los procesa, para
+ * que el handler HTTP responda dentro de los 3 segundos que exige Slack.
+ *
+ * - En AWS (SLACK_WORKER_FUNCTION definido): invocación asíncrona de la
+ *   Lambda worker (InvocationType Event)
+ * - Local (sam local, scripts, tests): cola en el mismo proceso; drain()
+ *   espera a que terminen los trabajos pendientes
+ */
+
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+
+let lambdaClient = null;
+const pending = new Set();
+
+/**
+ * Encola un trabajo para el worker
+ * @param {Object} job - { type, ... } (ver slack-events.processJob)
+ * @param {Function} processLocally - Procesador para la cola en proceso
+ * @returns {string} 'lambda' | 'local'
+ */
+async function enqueue(job, processLocally) {
+  const functionName = process.env.SLACK_WORKER_FUNCTION;
+
+  if (functionName) {
+    if (!lambdaClient) {
+      lambdaClient = new LambdaClient({
+        region: process.env.AWS_REGION || 'us-east-1'
+      });
+    }
+    try {
+      await lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: Buffer.from(JSON.stringify(job))
+      }));
+      return 'lambda';
+    } catch (error) {
+      console.error('Error encolando evento en el worker:', error);
+      throw error;
+    }
+  }
+
+  const task = new Promise(resolve => setImmediate(resolve))
+    .then(() => processLocally(job))
+    .catch(error => console.error(`Error procesando evento ${job.type} en la cola local:`, error))
+    .finally(() => pending.delete(task));
+  pending.add(task);
+  return 'local';
+}
+
+/**
+ * Espera a que termine la cola local (incluye trabajos encolados mientras tanto)
+ */
+async function drain() {
+  while (pending.size > 0) {
+    await Promise.all([...pending]);
+  }
+}
+
+module.exports = {
+  enqueue,
+  drain
+};
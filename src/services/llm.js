@@ -0,0 +1,261 @@
+/**
+ * LLM Service
+ *
+ * Capa de proveedores de lenguaje para el agente. Todas las llamadas usan el
+ * formato de mensajes y herramientas de OpenAI (chat completions) y retornan
+ * una respuesta normalizada, sin importar el proveedor:
+ *
+ * - groq: API de Groq (GROQ_API_KEY), Llama 3.1 8B por defecto
+ * - openai: cualquier endpoint compatible con OpenAI (LLM_BASE_URL), ej: un
+ *   servidor local de modelos (Ollama, vLLM, LM Studio)
+ * - bedrock: Amazon Bedrock via la API Converse (permisos IAM de la Lambda)
+ *
+ * Configuración por entorno:
+ *   LLM_PROVIDER     groq | openai | bedrock | none (sin valor: groq si hay GROQ_API_KEY)
+ *   LLM_MODEL        Modelo (opcional; default por proveedor)
+ *   LLM_BASE_URL     URL base del endpoint compatible con OpenAI (proveedor openai)
+ *   LLM_API_KEY      API key del endpoint compatible con OpenAI (opcional)
+ *   LLM_TIMEOUT_MS   Timeout por intento (default 8000)
+ *   LLM_MAX_RETRIES  Reintentos ante timeout, 429 o 5xx (default 1)
+ */
+
+const { BedrockRuntimeClient, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+
+const GROQ_BASE_URL = 'https://api.groq.com/openai/v1';
+
+const DEFAULT_MODELS = {
+  groq: 'llama-3.1-8b-instant',
+  bedrock: 'anthropic.claude-3-haiku-20240307-v1:0'
+};
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 1;
+const RETRY_DELAY_MS = 500;
+
+let bedrockClient = null;
+
+/**
+ * Configuración del proveedor según el entorno
+ * @returns {{provider: string, model: string, baseUrl: string|null, apiKey: string|null,
+ *   timeoutMs: number, maxRetries: number}|null} null si no hay proveedor configurado
+ */
+function getConfig() {
+  const provider = (process.env.LLM_PROVIDER || (process.env.GROQ_API_KEY ? 'groq' : 'none'))
+    .trim().toLowerCase();
+
+  const base = {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider] || null,
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    maxRetries: process.env.LLM_MAX_RETRIES !== undefined && process.env.LLM_MAX_RETRIES !== ''
+      ? Math.max(0, Number(process.env.LLM_MAX_RETRIES) || 0)
+      : DEFAULT_MAX_RETRIES
+  };
+
+  switch (provider) {
+    case 'groq':
+      if (!process.env.GROQ_API_KEY) return null;
+      return { ...base, baseUrl: GROQ_BASE_URL, apiKey: process.env.GROQ_API_KEY };
+
+    case 'openai':
+      if (!process.env.LLM_BASE_URL || !base.model) return null;
+      return { ...base, baseUrl: process.env.LLM_BASE_URL.replace(/\/+$/, ''), apiKey: process.env.LLM_API_KEY || null };
+
+    case 'bedrock':
+      return { ...base, baseUrl: null, apiKey: null };
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Indica si hay un proveedor de LLM configurado
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return getConfig() !== null;
+}
+
+/**
+ * Error de un proveedor; retryable para timeouts, 429 y 5xx
+ */
+function providerError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Llamada a un endpoint compatible con OpenAI (Groq o servidor propio)
+ */
+async function callOpenAICompatible(config, request) {
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {}),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages: request.messages,
+        ...(request.tools?.length > 0 ? { tools: request.tools, tool_choice: 'auto' } : {}),
+        max_tokens: request.maxTokens,
+        temperature: request.temperature
+      }),
+      signal: AbortSignal.timeout(config.timeoutMs)
+    });
+  } catch (error) {
+    throw providerError(`${config.provider}: ${error.name === 'TimeoutError' ? 'timeout' : error.message}`, true);
+  }
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw providerError(`${config.provider} ${response.status}: ${body}`,
+      response.status === 429 || response.status >= 500);
+  }
+
+  const data = await response.json();
+  const message = data.choices?.[0]?.message || {};
+  return {
+    content: message.content || null,
+    toolCalls: (message.tool_calls || []).map(toolCall => ({
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      arguments: toolCall.function?.arguments || '{}'
+    }))
+  };
+}
+
+/**
+ * Convierte los mensajes (formato OpenAI) al formato de Bedrock Converse.
+ * Los resultados de herramientas consecutivos van juntos en un mensaje del usuario.
+ */
+function toBedrockMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  const push = (role, blocks) => {
+    const last = converted[converted.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      system.push({ text: message.content });
+    } else if (message.role === 'tool') {
+      push('user', [{ toolResult: { toolUseId: message.tool_call_id, content: [{ text: message.content }] } }]);
+    } else if (message.role === 'assistant') {
+      push('assistant', [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.tool_calls || []).map(toolCall => ({
+          toolUse: {
+            toolUseId: toolCall.id,
+            name: toolCall.function.name,
+            input: JSON.parse(toolCall.function.arguments || '{}')
+          }
+        }))
+      ]);
+    } else {
+      push('user', [{ text: message.content }]);
+    }
+  }
+
+  return { system, messages: converted };
+}
+
+/**
+ * Llamada a Amazon Bedrock (API Converse)
+ */
+async function callBedrock(config, request) {
+  if (!bedrockClient) {
+    bedrockClient = new BedrockRuntimeClient({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+
+  const { system, messages } = toBedrockMessages(request.messages);
+  const command = new ConverseCommand({
+    modelId: config.model,
+    system,
+    messages,
+    inferenceConfig: { maxTokens: request.maxTokens, temperature: request.temperature },
+    ...(request.tools?.length > 0 ? {
+      toolConfig: {
+        tools: request.tools.map(tool => ({
+          toolSpec: {
+            name: tool.function.name,
+            description: tool.function.description,
+            inputSchema: { json: tool.function.parameters }
+          }
+        }))
+      }
+    } : {})
+  });
+
+  let response;
+  try {
+    response = await bedrockClient.send(command, { abortSignal: AbortSignal.timeout(config.timeoutMs) });
+  } catch (error) {
+    const status = error.$metadata?.httpStatusCode;
+    const retryable = !status || status === 429 || status >= 500 || error.name === 'ThrottlingException';
+    throw providerError(`bedrock: ${error.name === 'TimeoutError' || error.name === 'AbortError' ? 'timeout' : error.message}`, retryable);
+  }
+
+  const blocks = response.output?.message?.content || [];
+  const text = blocks.filter(block => block.text).map(block => block.text).join('\n');
+  return {
+    content: text || null,
+    toolCalls: blocks.filter(block => block.toolUse).map(block => ({
+      id: block.toolUse.toolUseId,
+      name: block.toolUse.name,
+      arguments: JSON.stringify(block.toolUse.input || {})
+    }))
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Envía una conversación al proveedor configurado, con timeout y reintentos
+ * @param {Object} request - { messages, tools, maxTokens, temperature }
+ * @returns {{content: string|null, toolCalls: Array<{id: string, name: string, arguments: string}>}}
+ * @throws Error si no hay proveedor o si falla tras los reintentos
+ */
+async function chat(request) {
+  const config = getConfig();
+  if (!config) {
+    throw providerError('No hay proveedor de LLM configurado', false);
+  }
+
+  const call = config.provider === 'bedrock' ? callBedrock : callOpenAICompatible;
+  const normalized = { maxTokens: 512, temperature: 0, ...request };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call(config, normalized);
+    } catch (error) {
+      if (!error.retryable || attempt >= config.maxRetries) {
+        console.error(`Error del proveedor de LLM (intento ${attempt + 1}):`, error.message);
+        throw error;
+      }
+      console.warn(`Reintentando proveedor de LLM tras error: ${error.message}`);
+      await sleep(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+}
+
+module.exports = {
+  getConfig,
+  isConfigured,
+  toBedrockMessages,
+  chat
+};
@@ -9,6 +9,7 @@
 const { WebClient } = require('@slack/web-api');
 const crypto = require('crypto');
 const messages = require('../lib/messages');
+const i18n = require('../lib/i18n');
 
 // Cliente de Slack
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
@@ -64,14 +65,15 @@ function verifySlackSignature(headers, body) {
  * @param {string} slackUserId - ID de usuario de Slack
  * @param {string} projectName - Nombre del proyecto
  * @param {string} projectGid - GID del proyecto en Asana
+ * @param {string} lang - Idioma del PM (user.language)
  */
-async function sendUpdateRequest(slackUserId, projectName, projectGid) {
-  const blocks = messages.getUpdateRequestBlocks(projectName, projectGid);
+async function sendUpdateRequest(slackUserId, projectName, projectGid, lang = i18n.DEFAULT_LANGUAGE) {
+  const blocks = messages.getUpdateRequestBlocks(projectName, projectGid, lang);
 
   try {
     await slackClient.chat.postMessage({
       channel: slackUserId,
-      text: `Es momento del update para ${projectName}`,
+      text: i18n.t(lang, 'update.requestText', { project: projectName }),
       blocks
     });
     console.log(`Solicitud de update enviada a ${slackUserId} para proyecto ${projectGid}`);
@@ -126,22 +128,30 @@ async function sendOnboardingQuestion(slackUserId, question, options = null) {
  * @param {string} status
  * @param {string} advances
  * @param {boolean} hasBlockers
+ * @param {Array} blockers - Bloqueos abiertos del proyecto
+ * @param {Object} options - { channel, firedRules } (channel default: SLACK_CHANNEL_PMO)
+ * @returns {Object|null} Respuesta de Slack (incluye channel y ts del mensaje)
  */
-async function sendAlertToPMO(projectName, pmSlackId, status, advances, hasBlockers) {
-  if (!PMO_CHANNEL_ID) {
+async function sendAlertToPMO(projectName, pmSlackId, status, advances, hasBlockers, blockers = [], options = {}) {
+  const channel = options.channel || PMO_CHANNEL_ID;
+  if (!channel) {
     console.error('SLACK_CHANNEL_PMO no configurado');
-    return;
+    return null;
   }
 
-  const blocks = messages.getAlertBlocks(projectName, pmSlackId, status, advances, hasBlockers);
+  const lang = i18n.getChannelLanguage();
+  const blocks = messages.getAlertBlocks(
+    projectName, pmSlackId, status, advances, hasBlockers, blockers, options.firedRules || [], lang
+  );
 
   try {
-    await slackClient.chat.postMessage({
-      channel: PMO_CHANNEL_ID,
-      text: `Alerta: ${projectName}`,
+    const response = await slackClient.chat.postMessage({
+      channel,
+      text: i18n.t(lang, 'alert.text', { project: projectName }),
       blocks
     });
     console.log(`Alerta enviada a PMO para proyecto ${projectName}`);
+    return response;
   } catch (error) {
     console.error('Error enviando alerta a PMO:', error);
     throw error;
@@ -153,9 +163,12 @@ async function sendAlertToPMO(projectName, pmSlackId, status, advances, hasBlock
  * @param {string} channel - User ID (para DM) o Channel ID
  * @param {string} text - Texto del mensaje
  * @param {Array|null} blocks - Bloques opcionales
+ * @param {Object} options - Opciones extra de chat.postMessage (ej: { thread_ts })
+ * @returns {Object} Respuesta de Slack (incluye ts del mensaje)
  */
-async function sendMessage(channel, text, blocks = null) {
+async function sendMessage(channel, text, blocks = null, options = {}) {
   const messagePayload = {
+    ...options,
     channel,
     text: text || 'Mensaje del bot'
   };
@@ -165,7 +178,7 @@ async function sendMessage(channel, text, blocks = null) {
   }
 
   try {
-    await slackClient.chat.postMessage(messagePayload);
+    return await slackClient.chat.postMessage(messagePayload);
   } catch (error) {
     console.error(`Error enviando mensaje a ${channel}:`, error);
     throw error;
@@ -173,13 +186,124 @@ async function sendMessage(channel, text, blocks = null) {
 }
 
 /**
- * Obtiene información de un usuario de Slack
+ * Responde a un slash command o interacción vía response_url (mensaje efímero)
+ * @param {string} responseUrl - response_url enviado por Slack
+ * @param {string} text - Texto del mensaje
+ * @param {Array|null} blocks - Bloques opcionales
+ */
+async function respondToUrl(responseUrl, text, blocks = null) {
+  const payload = {
+    response_type: 'ephemeral',
+    text: text || 'Mensaje del bot'
+  };
+
+  if (blocks) {
+    payload.blocks = blocks;
+  }
+
+  try {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) {
+      throw new Error(`response_url respondio ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Error respondiendo via response_url:', error);
+    throw error;
+  }
+}
+
+/**
+ * Reemplaza el contenido de un mensaje ya publicado (chat.update)
+ * @param {string} channel - Channel ID del mensaje
+ * @param {string} ts - Timestamp del mensaje
+ * @param {string} text - Texto de respaldo
+ * @param {Array|null} blocks - Bloques nuevos
+ */
+async function updateMessage(channel, ts, text, blocks = null) {
+  const payload = { channel, ts, text: text || 'Mensaje del bot' };
+  if (blocks) {
+    payload.blocks = blocks;
+  }
+
+  try {
+    return await slackClient.chat.update(payload);
+  } catch (error) {
+    console.error(`Error actualizando mensaje ${ts} en ${channel}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Abre un modal (views.open). El trigger_id de la interacción vence a los 3 segundos.
+ * @param {string} triggerId - trigger_id del block_action
+ * @param {Object} view - Definición del modal
+ * @returns {Object} Respuesta de Slack (incluye view.id)
+ */
+async function openModal(triggerId, view) {
+  try {
+    return await slackClient.views.open({
+      trigger_id: triggerId,
+      view
+    });
+  } catch (error) {
+    console.error('Error abriendo modal:', error);
+    throw error;
+  }
+}
+
+/**
+ * Publica la pestaña Home del usuario (views.publish)
+ * @param {string} userId
+ * @param {Object} view - View de tipo home
+ * @returns {Object} Respuesta de Slack
+ */
+async function publishHomeView(userId, view) {
+  try {
+    return await slackClient.views.publish({
+      user_id: userId,
+      view
+    });
+  } catch (error) {
+    console.error(`Error publicando Home de ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sube un archivo al DM de un usuario (files.uploadV2; requiere los scopes
+ * files:write e im:write)
+ * @param {string} userId
+ * @param {Object} file - { filename, content (Buffer), title, initialComment }
+ * @returns {Object} Respuesta de Slack
+ */
+async function uploadFile(userId, { filename, content, title = null, initialComment = null }) {
+  try {
+    const { channel } = await slackClient.conversations.open({ users: userId });
+    return await slackClient.filesUploadV2({
+      channel_id: channel.id,
+      file: content,
+      filename,
+      title: title || filename,
+      initial_comment: initialComment || undefined
+    });
+  } catch (error) {
+    console.error(`Error subiendo archivo ${filename} a ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Obtiene información de un usuario de Slack (incluye locale, ej: "pt-BR")
  * @param {string} userId
  * @returns {Object}
  */
 async function getUserInfo(userId) {
   try {
-    const response = await slackClient.users.info({ user: userId });
+    const response = await slackClient.users.info({ user: userId, include_locale: true });
     return response.user;
   } catch (error) {
     console.error(`Error obteniendo info de usuario ${userId}:`, error);
@@ -208,6 +332,11 @@ module.exports = {
   sendOnboardingQuestion,
   sendAlertToPMO,
   sendMessage,
+  respondToUrl,
+  openModal,
+  publishHomeView,
+  updateMessage,
+  uploadFile,
   getUserInfo,
   verifyToken
 };
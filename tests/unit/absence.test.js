@@ -0,0 +1,120 @@
+/**
+ * Tests para absence.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getProjectsByResponsableName: jest.fn(),
+  getLastUpdates: jest.fn(),
+  updateUser: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn()
+}));
+
+const { DateTime } = require('luxon');
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const absence = require('../../src/lib/absence');
+
+const TODAY = '2024-12-10';
+
+describe('Absence', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SLACK_CHANNEL_PMO = 'CPMO';
+  });
+
+  describe('parseAbsenceCommand', () => {
+
+    test('debe leer rango de fechas y backup', () => {
+      const command = absence.parseAbsenceCommand('Vacaciones desde 20/12 hasta 05/01 delegar a <@U999|ana>', TODAY);
+
+      expect(command).toEqual({ action: 'set', from: '2024-12-20', to: '2025-01-05', delegateSlackId: 'U999' });
+    });
+
+    test('debe aceptar inglés, portugués y fecha de inicio implícita', () => {
+      expect(absence.parseAbsenceCommand('vacation from 2024-12-20 to 2024-12-31', TODAY))
+        .toMatchObject({ action: 'set', from: '2024-12-20', to: '2024-12-31' });
+      expect(absence.parseAbsenceCommand('férias até 15/12', TODAY))
+        .toMatchObject({ action: 'set', from: TODAY, to: '2024-12-15', delegateSlackId: null });
+    });
+
+    test('debe reconocer consulta y cancelación', () => {
+      expect(absence.parseAbsenceCommand('vacaciones', TODAY)).toEqual({ action: 'status' });
+      expect(absence.parseAbsenceCommand('vacaciones cancelar', TODAY)).toEqual({ action: 'cancel' });
+    });
+
+    test('debe rechazar rangos inválidos', () => {
+      expect(absence.parseAbsenceCommand('vacaciones desde 20/12/2024 hasta 15/12/2024', TODAY)).toEqual({ action: 'invalid' });
+      expect(absence.parseAbsenceCommand('vacaciones hasta 01/12/2024', TODAY)).toEqual({ action: 'invalid' });
+      expect(absence.parseAbsenceCommand('vacaciones pronto', TODAY)).toEqual({ action: 'invalid' });
+    });
+
+    test('debe ignorar textos que no son el comando', () => {
+      expect(absence.parseAbsenceCommand('las vacaciones del equipo retrasaron QA', TODAY)).toBeNull();
+    });
+
+  });
+
+  describe('isAbsent', () => {
+
+    test('debe considerar la fecha local del usuario (rango inclusivo)', () => {
+      const user = { timezone: 'America/Lima', absence: { from: '2024-12-20', to: '2024-12-31' } };
+
+      // 2024-12-20 03:00 UTC = 19/12 22:00 en Lima
+      expect(absence.isAbsent(user, DateTime.fromISO('2024-12-20T03:00:00Z', { zone: 'utc' }))).toBe(false);
+      expect(absence.isAbsent(user, DateTime.fromISO('2024-12-20T15:00:00Z', { zone: 'utc' }))).toBe(true);
+      expect(absence.isAbsent(user, DateTime.fromISO('2024-12-31T23:00:00Z', { zone: 'utc' }))).toBe(true);
+      expect(absence.isAbsent({}, DateTime.utc())).toBe(false);
+    });
+
+  });
+
+  describe('notifyCoverageGap', () => {
+
+    const user = {
+      slackUserId: 'U123',
+      asanaName: 'Ana PM',
+      absence: { from: '2024-12-20', to: '2024-12-31', delegateSlackId: null }
+    };
+
+    test('debe avisar al canal PMO los proyectos Off Track sin backup', async () => {
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([
+        { gid: 'p1', name: 'Portal', pmoId: 'PMO-1', status: 'On track' },
+        { gid: 'p2', name: 'ERP', pmoId: 'PMO-2', status: null },
+        { gid: 'p3', name: 'Cerrado', status: 'completed' }
+      ]);
+      dynamoService.getLastUpdates.mockImplementation(async (gid) => (
+        gid === 'p2' ? [{ status: 'off_track' }] : []
+      ));
+
+      const result = await absence.notifyCoverageGap(user);
+
+      expect(result).toEqual({ notified: true, offTrack: 1 });
+      const [channel, , blocks] = slackService.sendMessage.mock.calls[0];
+      expect(channel).toBe('CPMO');
+      const content = JSON.stringify(blocks);
+      expect(content).toContain('PMO-2 | ERP');
+      expect(content).not.toContain('Portal');
+      expect(content).toContain('Sin backup asignado');
+      expect(dynamoService.updateUser).toHaveBeenCalledWith('U123', {
+        absence: expect.objectContaining({ gapNotifiedAt: expect.any(String) })
+      });
+    });
+
+    test('sin proyectos Off Track no debe publicar, pero sí marcar la ausencia', async () => {
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([{ gid: 'p1', name: 'Portal', status: 'On track' }]);
+      dynamoService.getLastUpdates.mockResolvedValue([{ status: 'on_track' }]);
+
+      const result = await absence.notifyCoverageGap(user);
+
+      expect(result.notified).toBe(false);
+      expect(slackService.sendMessage).not.toHaveBeenCalled();
+      expect(dynamoService.updateUser).toHaveBeenCalled();
+    });
+
+  });
+
+});
@@ -0,0 +1,248 @@
+/**
+ * Tests para admin.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  ...jest.requireActual('../../src/services/dynamo'),
+  getUser: jest.fn(),
+  getAllUsers: jest.fn(),
+  updateUser: jest.fn(),
+  deleteUser: jest.fn(),
+  getProjectsByResponsableName: jest.fn(),
+  getProjectByPmoIdCached: jest.fn(),
+  setProjectAssignment: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn()
+}));
+
+jest.mock('../../src/lib/conversation-state', () => ({
+  ...jest.requireActual('../../src/lib/conversation-state'),
+  getConversationState: jest.fn()
+}));
+
+jest.mock('../../src/handlers/scheduled-pulse', () => ({
+  runPulse: jest.fn()
+}));
+
+jest.mock('../../src/handlers/cache-refresh', () => ({
+  runCacheRefresh: jest.fn()
+}));
+
+jest.mock('../../src/handlers/reminder', () => ({
+  runReminders: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const conversationState = require('../../src/lib/conversation-state');
+const scheduledPulse = require('../../src/handlers/scheduled-pulse');
+const cacheRefresh = require('../../src/handlers/cache-refresh');
+const reminder = require('../../src/handlers/reminder');
+const admin = require('../../src/lib/admin');
+
+const ana = { slackUserId: 'U1', asanaName: 'Ana Pérez', onboarded: true, role: 'pm', language: 'en' };
+
+describe('Admin', () => {
+
+  const originalAdmins = process.env.ADMIN_SLACK_IDS;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.ADMIN_SLACK_IDS = 'UADMIN';
+    dynamoService.getUser.mockImplementation(async id => (id === 'U1' ? ana : null));
+    slackService.sendMessage.mockResolvedValue({ ts: '1.0' });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    if (originalAdmins === undefined) {
+      delete process.env.ADMIN_SLACK_IDS;
+    } else {
+      process.env.ADMIN_SLACK_IDS = originalAdmins;
+    }
+  });
+
+  describe('parseAdminCommand', () => {
+
+    test('debe interpretar subcomando, menciones, PMO-IDs y rol', () => {
+      expect(admin.parseAdminCommand('admin rol <@U1|ana> PMO')).toEqual({
+        action: 'role', userIds: ['U1'], pmoIds: [], role: 'pmo', all: false, full: false
+      });
+      expect(admin.parseAdminCommand('Admin reasignar pmo911 PMO-912 <@U1>')).toMatchObject({
+        action: 'reassign', userIds: ['U1'], pmoIds: ['PMO-911', 'PMO-912']
+      });
+      expect(admin.parseAdminCommand('admin usuarios').action).toBe('users');
+      expect(admin.parseAdminCommand('admin pulse todos')).toMatchObject({ action: 'pulse', all: true });
+      expect(admin.parseAdminCommand('admin refrescar cache completo')).toMatchObject({ action: 'cache', full: true });
+      expect(admin.parseAdminCommand('admin remind').action).toBe('remind');
+      expect(admin.parseAdminCommand('admin lo que sea').action).toBe('help');
+    });
+
+    test('un Slack ID no debe leerse como PMO-ID', () => {
+      expect(admin.parseAdminCommand('admin pulse <@UPMO12>')).toMatchObject({ userIds: ['UPMO12'], pmoIds: [] });
+    });
+
+    test('un texto que no empieza con admin no es un comando', () => {
+      expect(admin.parseAdminCommand('administración del portal')).toBeNull();
+      expect(admin.parseAdminCommand('el admin me pidió el update')).toBeNull();
+    });
+
+  });
+
+  test('admin usuarios debe listar por rol', async () => {
+    dynamoService.getAllUsers.mockResolvedValue([
+      { slackUserId: 'U2', asanaName: 'Luis Soto', onboarded: false },
+      ana,
+      { slackUserId: 'UADMIN', asanaName: 'Marta Ruiz', onboarded: true }
+    ]);
+
+    const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin usuarios'), 'es');
+
+    expect(reply.split('\n')).toEqual([
+      '*3 usuarios:*',
+      '• <@UADMIN> · admin · Marta Ruiz · ADMIN_SLACK_IDS',
+      '• <@U1> · PM · Ana Pérez',
+      '• <@U2> · viewer · Luis Soto · onboarding pendiente'
+    ]);
+  });
+
+  describe('admin rol', () => {
+
+    test('debe guardar el rol y avisar al usuario en su idioma', async () => {
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin rol <@U1> pmo'), 'es');
+
+      expect(reply).toBe('✅ <@U1> ahora es *PMO*.');
+      expect(dynamoService.updateUser).toHaveBeenCalledWith('U1', { role: 'pmo', roleUpdatedBy: 'UADMIN' });
+      expect(slackService.sendMessage).toHaveBeenCalledWith('U1', 'Your Pulse role is now *PMO* (changed by <@UADMIN>).');
+    });
+
+    test('no debe cambiar el rol de un admin de ADMIN_SLACK_IDS ni aceptar roles inválidos', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'UADMIN', onboarded: true });
+
+      expect(await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin rol <@UADMIN> viewer'), 'es'))
+        .toContain('ADMIN_SLACK_IDS');
+      expect(await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin rol <@UADMIN> jefe'), 'es'))
+        .toContain('Rol no válido');
+      expect(dynamoService.updateUser).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('ejecuciones a pedido', () => {
+
+    test('admin pulse @usuario debe forzar el pulse solo de ese usuario y responder las estadísticas', async () => {
+      scheduledPulse.runPulse.mockResolvedValue({ usersProcessed: 1, requestsSent: 1, errors: [] });
+
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin pulse <@U1>'), 'es');
+
+      expect(scheduledPulse.runPulse).toHaveBeenCalledWith({ userIds: ['U1'], force: true });
+      expect(reply).toBe('✅ Pulse de <@U1> ejecutado:\n' +
+        '```{\n  "usersProcessed": 1,\n  "requestsSent": 1,\n  "errors": []\n}```');
+    });
+
+    test('admin pulse todos debe forzar el pulse de todos sin pedir mención', async () => {
+      scheduledPulse.runPulse.mockResolvedValue({ usersProcessed: 12, requestsSent: 9 });
+
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin pulse todos'), 'es');
+
+      expect(scheduledPulse.runPulse).toHaveBeenCalledWith({ force: true });
+      expect(reply).toContain('todos los usuarios');
+      expect(reply).toContain('"requestsSent": 9');
+    });
+
+    test('admin pulse no debe ejecutarse para un usuario sin perfil', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: false });
+
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin pulse <@U1>'), 'es');
+
+      expect(reply).toContain('no ha completado su perfil');
+      expect(scheduledPulse.runPulse).not.toHaveBeenCalled();
+    });
+
+    test('admin refrescar cache y admin recordar deben responder el resumen de cada cron', async () => {
+      cacheRefresh.runCacheRefresh.mockResolvedValue({ mode: 'full', updated: 40, deleted: 2, skipped: 1 });
+      reminder.runReminders.mockResolvedValue({ processed: 3, reminded: 2, advanced: 1 });
+
+      const cacheReply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin refresh cache full'), 'en');
+      const remindReply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin recordar'), 'es');
+
+      expect(cacheRefresh.runCacheRefresh).toHaveBeenCalledWith({ fullRefresh: true });
+      expect(cacheReply).toMatch(/^✅ Projects cache refreshed:\n```/);
+      expect(cacheReply).toContain('"updated": 40');
+      expect(remindReply).toContain('"reminded": 2');
+    });
+
+    test('un error del cron debe volver como respuesta', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      cacheRefresh.runCacheRefresh.mockRejectedValue(new Error('Asana no responde'));
+
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin refrescar cache'), 'es');
+
+      expect(cacheRefresh.runCacheRefresh).toHaveBeenCalledWith({ fullRefresh: false });
+      expect(reply).toBe('❌ No pude completar la ejecución: Asana no responde');
+      console.error.mockRestore();
+    });
+
+  });
+
+  describe('admin reasignar', () => {
+
+    test('debe reasignar, quitar la reasignación al responsable de Asana y avisar', async () => {
+      dynamoService.getProjectByPmoIdCached.mockImplementation(async pmoId => ({
+        'PMO-911': { gid: '1', pmoId, responsable: 'Luis Soto' },
+        'PMO-912': { gid: '2', pmoId, responsable: 'Ana Perez' }
+      }[pmoId] || null));
+
+      const reply = await admin.executeAdminCommand(
+        'UADMIN', admin.parseAdminCommand('admin reasignar PMO-911 PMO-912 PMO-999 <@U1>'), 'es'
+      );
+
+      expect(dynamoService.setProjectAssignment).toHaveBeenCalledWith('1', {
+        asanaName: 'Ana Pérez', slackUserId: 'U1', assignedBy: 'UADMIN'
+      });
+      expect(dynamoService.setProjectAssignment).toHaveBeenCalledWith('2', null);
+      expect(reply).toBe('✅ Reasigné 2 proyectos a <@U1> (Ana Pérez): PMO-911, PMO-912\n' +
+        'No encontre proyectos con ID PMO-999');
+      expect(slackService.sendMessage.mock.calls[0][1]).toContain('<@UADMIN> assigned you 2 projects');
+    });
+
+    test('no debe reasignar proyectos a un viewer', async () => {
+      dynamoService.getUser.mockResolvedValue({ ...ana, role: 'viewer' });
+
+      const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin reasignar PMO-911 <@U1>'), 'es');
+
+      expect(reply).toContain('es *viewer*');
+      expect(dynamoService.setProjectAssignment).not.toHaveBeenCalled();
+    });
+
+  });
+
+  test('admin pendientes debe mostrar la cola desde el proyecto en curso', async () => {
+    conversationState.getConversationState.mockResolvedValue({
+      step: 'awaiting_blockers',
+      currentIndex: 1,
+      currentProjectGid: '2',
+      pendingProjects: [
+        { gid: '1', pmoId: 'PMO-911', name: 'Portal' },
+        { gid: '2', pmoId: 'PMO-912', name: 'App' },
+        { gid: '3', pmoId: null, name: 'ERP' }
+      ]
+    });
+
+    const reply = await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin pendientes <@U1>'), 'es');
+
+    expect(reply).toBe('*<@U1> tiene 2 updates pendientes:*\n• PMO-912 · App (en curso)\n• ERP');
+  });
+
+  test('sin mención o con un usuario no registrado debe explicar qué falta', async () => {
+    expect(await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin reset'), 'es'))
+      .toContain('mención');
+    expect(await admin.executeAdminCommand('UADMIN', admin.parseAdminCommand('admin reset <@U9>'), 'es'))
+      .toBe('<@U9> no está registrado en Pulse.');
+    expect(dynamoService.deleteUser).not.toHaveBeenCalled();
+  });
+
+});
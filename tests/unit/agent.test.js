@@ -0,0 +1,210 @@
+/**
+ * Tests para agent.js
+ */
+
+const agentService = require('../../src/services/agent');
+
+function groqReply(message) {
+  return {
+    ok: true,
+    json: async () => ({ choices: [{ message }] })
+  };
+}
+
+function toolCall(id, name, args) {
+  return { id, type: 'function', function: { name, arguments: JSON.stringify(args) } };
+}
+
+describe('Agent Service', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.GROQ_API_KEY = 'gsk_test';
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    delete process.env.GROQ_API_KEY;
+  });
+
+  test('debe enviar la memoria y el contexto de la conversación', async () => {
+    global.fetch.mockResolvedValueOnce(groqReply({ content: 'Termina el 30/06.' }));
+    const history = [
+      { role: 'user', content: 'PMO-911' },
+      { role: 'assistant', content: '[buscar_proyecto]' }
+    ];
+
+    const result = await agentService.processMessage('¿y cuándo termina?', {
+      history,
+      state: { lastProjectName: 'Portal', lastProjectPmoId: 'PMO-911', lastProjectDueOn: '2024-06-30' }
+    });
+
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body.messages[1].content).toContain('PMO-911 · Portal (fecha de término: 2024-06-30)');
+    expect(body.messages.slice(2)).toEqual([...history, { role: 'user', content: '¿y cuándo termina?' }]);
+    expect(result).toEqual({ response: 'Termina el 30/06.', toolsUsed: [] });
+  });
+
+  test('debe devolver los datos de las herramientas al modelo hasta la respuesta final', async () => {
+    global.fetch
+      .mockResolvedValueOnce(groqReply({
+        content: null,
+        tool_calls: [toolCall('c1', 'analizar_riesgo', { pmo_id: 'PMO-911' })]
+      }))
+      .mockResolvedValueOnce(groqReply({ content: 'PMO-911 está en riesgo alto.' }));
+    const executeTool = jest.fn().mockResolvedValue({ shown: false, data: { nivelRiesgo: 'high' } });
+
+    const result = await agentService.processMessage('¿cómo está PMO-911?', { executeTool });
+
+    expect(executeTool).toHaveBeenCalledWith('analizar_riesgo', { pmo_id: 'PMO-911' });
+    const body = JSON.parse(global.fetch.mock.calls[1][1].body);
+    expect(body.messages.slice(-1)).toEqual([
+      { role: 'tool', tool_call_id: 'c1', content: JSON.stringify({ nivelRiesgo: 'high' }) }
+    ]);
+    expect(result).toEqual({ response: 'PMO-911 está en riesgo alto.', toolsUsed: ['analizar_riesgo'] });
+  });
+
+  test('las herramientas que ya mostraron su resultado deben terminar el turno', async () => {
+    global.fetch.mockResolvedValueOnce(groqReply({
+      tool_calls: [toolCall('c1', 'ver_historial', { pmo_id: 'PMO-911' })]
+    }));
+    const executeTool = jest.fn().mockResolvedValue({ shown: true, data: {} });
+
+    const result = await agentService.processMessage('historial del 911', { executeTool });
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ response: null, toolsUsed: ['ver_historial'] });
+  });
+
+  test('respuesta_directa debe responder sin ejecutar herramientas', async () => {
+    global.fetch.mockResolvedValueOnce(groqReply({
+      tool_calls: [toolCall('c1', 'respuesta_directa', { mensaje: '¡Hola!' })]
+    }));
+    const executeTool = jest.fn();
+
+    const result = await agentService.processMessage('hola', { executeTool });
+
+    expect(executeTool).not.toHaveBeenCalled();
+    expect(result.response).toBe('¡Hola!');
+  });
+
+  test('debe cortar el loop tras el máximo de vueltas', async () => {
+    global.fetch.mockResolvedValue(groqReply({
+      tool_calls: [toolCall('c1', 'buscar_proyectos', { cliente: 'Acme' })]
+    }));
+    const executeTool = jest.fn().mockResolvedValue({ shown: false, data: { total: 0 } });
+
+    const result = await agentService.processMessage('proyectos de acme', { executeTool });
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(result.response).toBe('No entendí tu mensaje. Escribe "ayuda" para ver qué puedo hacer.');
+  });
+
+  test('sin proveedor debe usar el clasificador por reglas', async () => {
+    delete process.env.GROQ_API_KEY;
+    const executeTool = jest.fn().mockResolvedValue({ shown: true, data: {} });
+
+    const result = await agentService.processMessage('quiero ver el historial del pmo 911', { executeTool });
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(executeTool).toHaveBeenCalledWith('ver_historial', { pmo_id: 'PMO-911' });
+    expect(result).toEqual({ response: null, toolsUsed: ['ver_historial'], fallback: true });
+
+    const unmatched = await agentService.processMessage('¿qué opinas del clima?', { executeTool, language: 'en' });
+    expect(unmatched.response).toBe('The agent is not configured. Use direct commands such as "help" or "my projects".');
+  });
+
+  test('si el proveedor falla debe responder con el clasificador por reglas', async () => {
+    process.env.LLM_MAX_RETRIES = '0';
+    global.fetch.mockRejectedValue(new Error('ECONNRESET'));
+    const executeTool = jest.fn().mockResolvedValue({ shown: false, data: { error: 'proyecto no encontrado', pmoId: 'PMO-404' } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await agentService.processMessage('PMO-404', { executeTool });
+
+    expect(executeTool).toHaveBeenCalledWith('buscar_proyecto', { pmo_id: 'PMO-404' });
+    expect(result).toEqual({
+      response: 'No encontre ningun proyecto con ID PMO-404',
+      toolsUsed: ['buscar_proyecto'],
+      fallback: true
+    });
+
+    const greeting = await agentService.processMessage('hola', { executeTool });
+    expect(greeting.response).toBe('¡Hola! Soy Pulse Bot. Escribe un PMO ID, "mis proyectos" o "ayuda".');
+    console.error.mockRestore();
+    delete process.env.LLM_MAX_RETRIES;
+  });
+
+  describe('summarizeUpdate', () => {
+    const update = {
+      status: 'at_risk',
+      advances: 'Migramos 3 servidores a EC2. Falta la base de datos.',
+      blockerDescription: 'Sin acceso a la VPN del cliente',
+      nextSteps: '- Migrar RDS\n- Pruebas de carga'
+    };
+
+    test('debe guardar el resumen estructurado del LLM', async () => {
+      global.fetch.mockResolvedValueOnce(groqReply({
+        content: '{"headline": "EC2 migrado; falta la base de datos", "risks": ["Sin VPN"], "decisions": [], "nextSteps": ["Migrar RDS"]}'
+      }));
+
+      const summary = await agentService.summarizeUpdate(update);
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.tools).toBeUndefined();
+      expect(body.messages[1].content).toContain('Bloqueo: Sin acceso a la VPN del cliente');
+      expect(summary).toEqual({
+        headline: 'EC2 migrado; falta la base de datos',
+        risks: ['Sin VPN'],
+        decisions: [],
+        nextSteps: ['Migrar RDS'],
+        source: 'llm'
+      });
+    });
+
+    test('sin LLM o con respuesta inválida debe resumir por reglas', async () => {
+      global.fetch.mockResolvedValueOnce(groqReply({ content: 'No puedo resumir eso' }));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const expected = {
+        headline: 'Migramos 3 servidores a EC2.',
+        risks: ['Sin acceso a la VPN del cliente'],
+        decisions: [],
+        nextSteps: ['Migrar RDS', 'Pruebas de carga'],
+        source: 'rules'
+      };
+      expect(await agentService.summarizeUpdate(update)).toEqual(expected);
+
+      delete process.env.GROQ_API_KEY;
+      expect(await agentService.summarizeUpdate(update)).toEqual(expected);
+      expect(await agentService.summarizeUpdate({ advances: '  ' })).toBeNull();
+      console.warn.mockRestore();
+    });
+  });
+
+  test('appendHistory debe guardar solo los últimos turnos', () => {
+    let history = [];
+    for (let i = 0; i < 7; i++) {
+      history = agentService.appendHistory(history, `mensaje ${i}`, { response: `respuesta ${i}`, toolsUsed: [] });
+    }
+    history = agentService.appendHistory(history, 'PMO-911', { response: null, toolsUsed: ['buscar_proyecto'] });
+
+    expect(history).toHaveLength(10);
+    expect(history[0].content).toBe('mensaje 3');
+    expect(history.slice(-1)).toEqual([{ role: 'assistant', content: '[buscar_proyecto]' }]);
+  });
+
+  test('getStateContext debe resumir la última búsqueda y el update en curso', () => {
+    const context = agentService.getStateContext({
+      searchQuery: 'acme',
+      searchResults: [{ pmoId: 'PMO-912', name: 'Retail', status: 'off_track' }],
+      currentProjectName: 'Portal'
+    });
+
+    expect(context).toContain('Última búsqueda "acme" (1 resultados): PMO-912 Retail (off_track)');
+    expect(context).toContain('Update en curso: Portal');
+    expect(agentService.getStateContext({})).toBeNull();
+  });
+
+});
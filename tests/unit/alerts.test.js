@@ -0,0 +1,274 @@
+/**
+ * Tests para alerts.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getOpenAlerts: jest.fn(),
+  getAlert: jest.fn(),
+  createAlert: jest.fn(),
+  updateAlert: jest.fn(),
+  getUnacknowledgedAlerts: jest.fn(),
+  getAllCachedProjects: jest.fn(),
+  getLastUpdates: jest.fn(),
+  getOpenBlockers: jest.fn(),
+  getAllOnboardedUsers: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn(),
+  updateMessage: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const alerts = require('../../src/lib/alerts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const update = {
+  projectGid: '123',
+  projectName: 'Proyecto Test',
+  pmSlackId: 'U123',
+  status: 'off_track',
+  advances: 'Avances',
+  hasBlockers: false
+};
+
+const offTrackRule = { id: 'off_track', severity: 'high', reason: 'Proyecto Off Track', channel: null };
+
+function openAlert(overrides = {}) {
+  return {
+    projectGid: '123',
+    sk: 'ALERT#2025-01-01T00:00:00.000Z',
+    projectName: 'Proyecto Test',
+    channel: 'CPMO',
+    ts: '111.222',
+    alertStatus: 'open',
+    openedAt: '2025-01-01T00:00:00.000Z',
+    escalationCount: 0,
+    ...overrides
+  };
+}
+
+describe('Alerts', () => {
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    process.env.SLACK_CHANNEL_PMO = 'CPMO';
+    delete process.env.PMO_LEAD_SLACK_ID;
+    delete process.env.ALERT_ESCALATION_DAYS;
+    slackService.sendMessage.mockResolvedValue({ ts: '999.000' });
+    dynamoService.updateAlert.mockImplementation(async (gid, sk, fields) => ({ ...openAlert({ sk }), ...fields }));
+  });
+
+  describe('processRiskAlerts', () => {
+
+    test('debe abrir una alerta nueva y guardar el ts del mensaje', async () => {
+      dynamoService.getOpenAlerts.mockResolvedValue([]);
+      dynamoService.createAlert.mockImplementation(async (a) => ({ ...a, sk: 'ALERT#new', alertStatus: 'open' }));
+
+      const result = await alerts.processRiskAlerts({ update, firedRules: [offTrackRule] });
+
+      expect(result).toEqual({ opened: 1, followUps: 0, closed: 0 });
+      expect(dynamoService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        projectGid: '123', channel: 'CPMO', severity: 'high'
+      }));
+      const [channel, , blocks, options] = slackService.sendMessage.mock.calls[0];
+      expect(channel).toBe('CPMO');
+      expect(options).toBeUndefined();
+      expect(blocks.some(b => b.block_id === 'alert_actions')).toBe(true);
+      expect(dynamoService.updateAlert).toHaveBeenCalledWith('123', 'ALERT#new', { ts: '999.000' });
+    });
+
+    test('la alerta debe guardar el resumen del update y la clave para ver el texto completo', async () => {
+      const summary = { headline: 'Cutover postergado', risks: ['Ventana del cliente'], decisions: [], nextSteps: [] };
+      dynamoService.getOpenAlerts.mockResolvedValue([]);
+      dynamoService.createAlert.mockImplementation(async (a) => ({ ...a, sk: 'ALERT#new', alertStatus: 'open' }));
+
+      await alerts.processRiskAlerts({ update: { ...update, sk: 'UPDATE#1', summary }, firedRules: [offTrackRule] });
+
+      expect(dynamoService.createAlert).toHaveBeenCalledWith(expect.objectContaining({ summary, updateSk: 'UPDATE#1' }));
+      const blocks = slackService.sendMessage.mock.calls[0][2];
+      expect(JSON.stringify(blocks)).toContain('*Cutover postergado*');
+      expect(blocks.find(b => b.elements?.[0]?.action_id === 'advances_expand')).toBeDefined();
+    });
+
+    test('debe responder en el hilo si ya hay una alerta abierta en el canal', async () => {
+      dynamoService.getOpenAlerts.mockResolvedValue([openAlert()]);
+
+      const result = await alerts.processRiskAlerts({ update, firedRules: [offTrackRule] });
+
+      expect(result).toEqual({ opened: 0, followUps: 1, closed: 0 });
+      expect(dynamoService.createAlert).not.toHaveBeenCalled();
+      expect(slackService.sendMessage.mock.calls[0][3]).toEqual({ thread_ts: '111.222' });
+    });
+
+    test('debe cerrar la alerta cuando el proyecto vuelve a On Track', async () => {
+      dynamoService.getOpenAlerts.mockResolvedValue([openAlert()]);
+
+      const result = await alerts.processRiskAlerts({ update: { ...update, status: 'on_track' }, firedRules: [] });
+
+      expect(result).toEqual({ opened: 0, followUps: 0, closed: 1 });
+      expect(dynamoService.updateAlert).toHaveBeenCalledWith('123', openAlert().sk, expect.objectContaining({
+        alertStatus: 'resolved', resolvedReason: 'on_track'
+      }));
+      expect(slackService.updateMessage).toHaveBeenCalledWith('CPMO', '111.222', expect.any(String), expect.any(Array));
+    });
+
+    test('no debe cerrar alertas si el proyecto no está On Track', async () => {
+      dynamoService.getOpenAlerts.mockResolvedValue([openAlert()]);
+
+      const result = await alerts.processRiskAlerts({ update: { ...update, status: 'at_risk' }, firedRules: [] });
+
+      expect(result).toEqual({ opened: 0, followUps: 0, closed: 0 });
+      expect(dynamoService.updateAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAlertAction', () => {
+
+    test('resolve debe cerrar la alerta y registrarlo en el hilo', async () => {
+      dynamoService.getAlert.mockResolvedValue(openAlert());
+
+      const updated = await alerts.handleAlertAction('resolve', { projectGid: '123', sk: openAlert().sk }, 'U999');
+
+      expect(updated.alertStatus).toBe('resolved');
+      expect(updated.resolvedBy).toBe('U999');
+      expect(slackService.sendMessage).toHaveBeenCalledWith('CPMO', expect.stringContaining('<@U999>'), null, { thread_ts: '111.222' });
+    });
+
+    test('assign debe asignar y reconocer una alerta abierta', async () => {
+      dynamoService.getAlert.mockResolvedValue(openAlert());
+
+      const updated = await alerts.handleAlertAction('assign', { projectGid: '123', sk: openAlert().sk }, 'U999');
+
+      expect(updated.assignedTo).toBe('U999');
+      expect(updated.alertStatus).toBe('acknowledged');
+    });
+
+    test('no debe modificar una alerta ya resuelta', async () => {
+      dynamoService.getAlert.mockResolvedValue(openAlert({ alertStatus: 'resolved' }));
+
+      await alerts.handleAlertAction('ack', { projectGid: '123', sk: openAlert().sk }, 'U999');
+
+      expect(dynamoService.updateAlert).not.toHaveBeenCalled();
+      expect(slackService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('escalateStaleAlerts', () => {
+
+    test('debe escalar solo las alertas sin reconocer por más de N días', async () => {
+      process.env.PMO_LEAD_SLACK_ID = 'ULEAD';
+      const now = new Date('2025-01-10T00:00:00.000Z');
+      dynamoService.getUnacknowledgedAlerts.mockResolvedValue([
+        openAlert({ openedAt: new Date(now.getTime() - 4 * DAY_MS).toISOString() }),
+        openAlert({ sk: 'ALERT#reciente', openedAt: new Date(now.getTime() - 1 * DAY_MS).toISOString() })
+      ]);
+
+      const stats = await alerts.escalateStaleAlerts(now);
+
+      expect(stats).toEqual({ checked: 2, escalated: 1, errors: [] });
+      const [, text, , options] = slackService.sendMessage.mock.calls[0];
+      expect(text).toContain('<@ULEAD>');
+      expect(options).toEqual({ thread_ts: '111.222', reply_broadcast: true });
+      expect(dynamoService.updateAlert).toHaveBeenCalledWith('123', openAlert().sk, expect.objectContaining({ escalationCount: 1 }));
+    });
+
+    test('debe contar los días desde el último escalamiento', async () => {
+      const now = new Date('2025-01-10T00:00:00.000Z');
+      dynamoService.getUnacknowledgedAlerts.mockResolvedValue([
+        openAlert({ escalatedAt: new Date(now.getTime() - 1 * DAY_MS).toISOString(), escalationCount: 1 })
+      ]);
+
+      const stats = await alerts.escalateStaleAlerts(now);
+
+      expect(stats.escalated).toBe(0);
+      expect(slackService.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkQuietProjects', () => {
+
+    const now = new Date('2025-01-20T12:00:00.000Z');
+    const reportedDaysAgo = days => ({
+      ...update,
+      status: 'on_track',
+      sk: 'UPDATE#x',
+      timestamp: new Date(now.getTime() - days * DAY_MS).toISOString()
+    });
+
+    beforeEach(() => {
+      dynamoService.getAllCachedProjects.mockResolvedValue([{ gid: '123', name: 'Proyecto Test', status: 'On Track' }]);
+      dynamoService.getOpenAlerts.mockResolvedValue([]);
+      dynamoService.getOpenBlockers.mockResolvedValue([]);
+      dynamoService.createAlert.mockImplementation(async alert => ({ ...alert, sk: 'ALERT#nuevo' }));
+    });
+
+    test('debe alertar stale_update si el último update tiene 10 días o más', async () => {
+      dynamoService.getLastUpdates.mockResolvedValue([reportedDaysAgo(12), reportedDaysAgo(20)]);
+
+      const stats = await alerts.checkQuietProjects(now);
+
+      expect(stats).toEqual({ checked: 1, alerted: 1, errors: [] });
+      expect(dynamoService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        projectGid: '123',
+        channel: 'CPMO',
+        severity: 'low',
+        firedRules: [expect.objectContaining({ id: 'stale_update' })]
+      }));
+    });
+
+    test('debe alertar stale_update a un proyecto que nunca reportó por el bot', async () => {
+      dynamoService.getAllCachedProjects.mockResolvedValue([{
+        gid: '123',
+        name: 'Proyecto Test',
+        status: 'At Risk',
+        responsable: 'Ana Pérez',
+        lastUpdateAt: new Date(now.getTime() - 15 * DAY_MS).toISOString()
+      }]);
+      dynamoService.getLastUpdates.mockResolvedValue([]);
+      dynamoService.getAllOnboardedUsers.mockResolvedValue([{ slackUserId: 'UANA', asanaName: 'Ana Perez' }]);
+
+      const stats = await alerts.checkQuietProjects(now);
+
+      expect(stats).toEqual({ checked: 1, alerted: 1, errors: [] });
+      expect(dynamoService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        projectGid: '123',
+        pmSlackId: 'UANA',
+        status: 'at_risk',
+        firedRules: [expect.objectContaining({ id: 'stale_update' })]
+      }));
+    });
+
+    test('sin reportes ni status de Asana debe medir desde la última modificación', async () => {
+      const project = { gid: '123', name: 'Proyecto Test', status: 'On Track' };
+      dynamoService.getLastUpdates.mockResolvedValue([]);
+      dynamoService.getAllOnboardedUsers.mockResolvedValue([]);
+
+      dynamoService.getAllCachedProjects.mockResolvedValueOnce([
+        { ...project, modifiedAt: new Date(now.getTime() - 2 * DAY_MS).toISOString() }
+      ]);
+      expect(await alerts.checkQuietProjects(now)).toEqual({ checked: 1, alerted: 0, errors: [] });
+
+      dynamoService.getAllCachedProjects.mockResolvedValueOnce([
+        { ...project, modifiedAt: new Date(now.getTime() - 30 * DAY_MS).toISOString() }
+      ]);
+      expect((await alerts.checkQuietProjects(now)).alerted).toBe(1);
+    });
+
+    test('no debe alertar proyectos con updates recientes ni repetir una alerta abierta', async () => {
+      dynamoService.getLastUpdates.mockResolvedValueOnce([reportedDaysAgo(3)]);
+      expect((await alerts.checkQuietProjects(now)).alerted).toBe(0);
+
+      dynamoService.getLastUpdates.mockResolvedValueOnce([reportedDaysAgo(12)]);
+      dynamoService.getOpenAlerts.mockResolvedValue([openAlert({ firedRules: [{ id: 'stale_update' }] })]);
+      expect((await alerts.checkQuietProjects(now)).alerted).toBe(0);
+
+      expect(slackService.sendMessage).not.toHaveBeenCalled();
+      // Un update On Track viejo no debe cerrar las alertas abiertas
+      expect(dynamoService.updateAlert).not.toHaveBeenCalled();
+    });
+
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests para app-home.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getUser: jest.fn(),
+  getProjectsByResponsableName: jest.fn(),
+  getLastUpdates: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  publishHomeView: jest.fn(),
+  sendMessage: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const appHome = require('../../src/lib/app-home');
+const { getProjectHistoryText } = require('../../src/lib/messages');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const user = {
+  slackUserId: 'U123',
+  asanaName: 'Ana PM',
+  timezone: 'America/Lima',
+  onboarded: true
+};
+
+describe('App Home', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('sin onboarding debe invitar a configurar el perfil', async () => {
+    dynamoService.getUser.mockResolvedValue(null);
+
+    await appHome.publishHome('U999');
+
+    const [userId, view] = slackService.publishHomeView.mock.calls[0];
+    expect(userId).toBe('U999');
+    expect(view.type).toBe('home');
+    expect(JSON.stringify(view)).toContain('configurar tu perfil');
+    expect(dynamoService.getProjectsByResponsableName).not.toHaveBeenCalled();
+  });
+
+  test('debe listar los proyectos activos con estado, pulse y botones', async () => {
+    dynamoService.getUser.mockResolvedValue(user);
+    dynamoService.getProjectsByResponsableName.mockResolvedValue([
+      { gid: 'p2', name: 'ERP', pmoId: 'PMO-2', status: 'Off track', permalinkUrl: 'https://app.asana.com/0/p2' },
+      { gid: 'p1', name: 'Portal', pmoId: 'PMO-1', status: 'On track', pendingTasks: 3, totalTasks: 10 },
+      { gid: 'p3', name: 'Cerrado', pmoId: 'PMO-3', status: 'completed' }
+    ]);
+    dynamoService.getLastUpdates.mockImplementation(async (gid) => (
+      gid === 'p1'
+        ? [{ status: 'at_risk', timestamp: new Date(Date.now() - 3 * DAY_MS - 60 * 60 * 1000).toISOString() }]
+        : []
+    ));
+
+    await appHome.publishHome('U123');
+
+    const view = slackService.publishHomeView.mock.calls[0][1];
+    const content = JSON.stringify(view);
+    expect(content).toContain('Tus proyectos activos (2)');
+    expect(content).not.toContain('Cerrado');
+
+    const sections = view.blocks.filter(b => b.type === 'section' && b.fields);
+    // Ordenados por PMO-ID; el estado sale del último update o del Status de Asana
+    expect(sections[0].text.text).toBe('🟡 *PMO-1 | Portal*');
+    expect(sections[0].fields.map(f => f.text)).toContain('*Último pulse:* hace 3 días');
+    expect(sections[0].fields.map(f => f.text)).toContain('*Tareas pendientes:* 3/10');
+    expect(sections[1].text.text).toBe('🔴 *PMO-2 | ERP*');
+    expect(sections[1].fields.map(f => f.text)).toContain('*Último pulse:* nunca');
+
+    const actionIds = view.blocks
+      .filter(b => b.type === 'actions')
+      .flatMap(b => b.elements.map(e => e.action_id));
+    expect(actionIds).toEqual(expect.arrayContaining([
+      'home_update_p1', 'home_snooze_p1', 'home_history_p1', 'home_asana_p2'
+    ]));
+    expect(actionIds).not.toContain('home_asana_p1');
+    expect(content).toContain('absence_open');
+    expect(content).toContain('schedule_open');
+  });
+
+  test('refreshHome no debe propagar errores de Slack', async () => {
+    dynamoService.getUser.mockResolvedValue(null);
+    slackService.publishHomeView.mockRejectedValueOnce(new Error('not_enabled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(appHome.refreshHome('U123')).resolves.toBeUndefined();
+    console.error.mockRestore();
+  });
+
+  test('el historial debe mostrar transiciones, bloqueos y sparkline', () => {
+    const text = getProjectHistoryText('PMO-911 · Portal', {
+      entries: [
+        { status: 'off_track', previousStatus: 'on_track', timestamp: '2024-03-04T15:00:00Z', pmSlackId: 'U123', advances: 'Deploy falló', hasBlockers: true, blockerDescription: 'Sin VPN' },
+        { status: 'on_track', previousStatus: null, timestamp: '2024-02-29T15:00:00Z', pmSlackId: 'U123', advances: null, hasBlockers: false }
+      ],
+      page: 0,
+      totalPages: 1,
+      total: 2,
+      sparkline: '🟢🔴'
+    });
+
+    expect(text).toContain('*Historial de PMO-911 · Portal* (2 updates)');
+    expect(text).toContain('Tendencia: 🟢🔴');
+    expect(text).toContain('🔴 *04-03-2024* · <@U123> · 🟢 On Track → 🔴 Off Track');
+    expect(text).toContain('🚫 Bloqueo: Sin VPN');
+    expect(text).toContain('🟢 *29-02-2024* · <@U123> · 🟢 On Track\nAvances: Sin avances');
+    expect(text).not.toContain('siguiente');
+    expect(getProjectHistoryText('Portal', { entries: [], page: 0, totalPages: 1, total: 0, sparkline: '' }))
+      .toContain('Aún no hay updates');
+  });
+
+});
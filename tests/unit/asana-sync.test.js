@@ -0,0 +1,101 @@
+/**
+ * Tests para asana-sync.js
+ */
+
+const mockCreateProjectStatus = jest.fn();
+
+jest.mock('asana', () => ({
+  ApiClient: { instance: { authentications: { token: {} } } },
+  UsersApi: jest.fn(),
+  WorkspacesApi: jest.fn(),
+  ProjectsApi: jest.fn(),
+  TasksApi: jest.fn(),
+  ProjectStatusesApi: jest.fn(() => ({ createProjectStatusForProject: mockCreateProjectStatus })),
+  WebhooksApi: jest.fn()
+}));
+
+jest.mock('../../src/services/dynamo', () => ({
+  setUpdateAsanaSync: jest.fn(),
+  getPendingAsanaSyncUpdates: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const asanaSync = require('../../src/lib/asana-sync');
+
+function rateLimitError(retryAfter) {
+  return Object.assign(new Error('Too Many Requests'), {
+    status: 429,
+    response: { status: 429, headers: { 'retry-after': String(retryAfter) } }
+  });
+}
+
+const update = {
+  projectGid: '111',
+  sk: 'UPDATE#2025-03-10T15:00:00.000Z',
+  status: 'on_track',
+  advances: 'Avance',
+  hasBlockers: false,
+  timestamp: '2025-03-10T15:00:00.000Z'
+};
+
+describe('Asana Sync', () => {
+
+  beforeAll(() => {
+    process.env.ASANA_PAT = 'test-pat';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('debe publicar el update y marcarlo como sincronizado', async () => {
+    mockCreateProjectStatus.mockResolvedValue({ data: { gid: 'S1' } });
+
+    const result = await asanaSync.syncUpdateToAsana(update);
+
+    expect(result).toEqual({ synced: true, queued: false, asanaStatusGid: 'S1' });
+    expect(dynamoService.setUpdateAsanaSync).toHaveBeenCalledWith('111', update.sk, {
+      asanaSyncStatus: 'synced',
+      asanaStatusGid: 'S1'
+    });
+  });
+
+  test('debe encolar el update sin esperar si Retry-After supera el límite', async () => {
+    mockCreateProjectStatus.mockRejectedValue(rateLimitError(120));
+
+    const startedAt = Date.now();
+    const result = await asanaSync.syncUpdateToAsana(update);
+
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+    expect(mockCreateProjectStatus).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ synced: false, queued: true });
+    expect(dynamoService.setUpdateAsanaSync).toHaveBeenCalledWith('111', update.sk, expect.objectContaining({
+      asanaSyncStatus: 'pending'
+    }));
+  });
+
+  test('debe encolar el update si Asana falla con un error temporal (5xx)', async () => {
+    mockCreateProjectStatus.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { status: 503 }));
+
+    const result = await asanaSync.syncUpdateToAsana(update);
+
+    expect(result).toEqual({ synced: false, queued: true });
+    expect(dynamoService.setUpdateAsanaSync).toHaveBeenCalledWith('111', update.sk, {
+      asanaSyncStatus: 'pending',
+      asanaSyncError: 'Service Unavailable'
+    });
+  });
+
+  test('debe marcar como fallido un error que no es temporal', async () => {
+    mockCreateProjectStatus.mockRejectedValue(Object.assign(new Error('Forbidden'), { status: 403 }));
+
+    const result = await asanaSync.syncUpdateToAsana(update);
+
+    expect(result).toEqual({ synced: false, queued: false });
+    expect(dynamoService.setUpdateAsanaSync).toHaveBeenCalledWith('111', update.sk, {
+      asanaSyncStatus: 'failed',
+      asanaSyncError: 'Forbidden'
+    });
+  });
+
+});
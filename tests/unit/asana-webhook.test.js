@@ -0,0 +1,77 @@
+/**
+ * Tests para asana-webhook.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getWebhookState: jest.fn(),
+  saveWebhookSecret: jest.fn(),
+  upsertProjectCache: jest.fn(),
+  deleteProjectCache: jest.fn()
+}));
+
+jest.mock('../../src/services/asana', () => ({
+  verifyWebhookSignature: jest.fn(),
+  getProjectForCache: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const asanaWebhook = require('../../src/handlers/asana-webhook');
+
+function handshake(secret) {
+  return {
+    pathParameters: { resourceGid: 'ws-001' },
+    headers: { 'X-Hook-Secret': secret },
+    body: ''
+  };
+}
+
+describe('Asana Webhook', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamoService.getWebhookState.mockResolvedValue(null);
+  });
+
+  test('debe completar el handshake de un registro iniciado por el bot', async () => {
+    dynamoService.saveWebhookSecret.mockResolvedValue({ pk: 'WEBHOOK#ws-001', secret: 'secret-abc' });
+
+    const response = await asanaWebhook.handler(handshake('secret-abc'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['X-Hook-Secret']).toBe('secret-abc');
+    expect(dynamoService.saveWebhookSecret).toHaveBeenCalledWith('ws-001', 'secret-abc');
+  });
+
+  test('debe aceptar un nuevo registro después de que Asana eliminó el webhook', async () => {
+    // Estado tras startWebhookRegistration: sin el webhookGid ni el secreto anteriores
+    dynamoService.getWebhookState.mockResolvedValue({
+      resourceGid: 'ws-001',
+      pendingRegistrationAt: new Date().toISOString()
+    });
+    dynamoService.saveWebhookSecret.mockResolvedValue({ pk: 'WEBHOOK#ws-001', secret: 'secret-nuevo', webhookGid: undefined });
+
+    const response = await asanaWebhook.handler(handshake('secret-nuevo'));
+
+    expect(response.statusCode).toBe(200);
+    expect(dynamoService.saveWebhookSecret).toHaveBeenCalledWith('ws-001', 'secret-nuevo');
+  });
+
+  test('debe rechazar el handshake sin registro pendiente', async () => {
+    dynamoService.saveWebhookSecret.mockResolvedValue(null);
+
+    const response = await asanaWebhook.handler(handshake('secret-intruso'));
+
+    expect(response.statusCode).toBe(403);
+    expect(response.headers).toBeUndefined();
+  });
+
+  test('no debe reemplazar el secreto de un webhook ya registrado', async () => {
+    dynamoService.getWebhookState.mockResolvedValue({ secret: 'secret-abc', webhookGid: 'WH1' });
+
+    const response = await asanaWebhook.handler(handshake('secret-intruso'));
+
+    expect(response.statusCode).toBe(409);
+    expect(dynamoService.saveWebhookSecret).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests para blockers.js
+ */
+
+const {
+  categorizeBlocker,
+  getBlockerAgeDays,
+  formatBlockerLine,
+  reconcileBlockers
+} = require('../../src/lib/blockers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function mockDynamo(openBlockers) {
+  return {
+    getOpenBlockers: jest.fn().mockResolvedValue(openBlockers),
+    resolveBlocker: jest.fn().mockResolvedValue(),
+    confirmBlocker: jest.fn().mockResolvedValue(),
+    createBlocker: jest.fn().mockImplementation(async (b) => ({ ...b, sk: 'BLOCKER#new', openedAt: new Date().toISOString() }))
+  };
+}
+
+describe('Blockers', () => {
+
+  describe('categorizeBlocker', () => {
+
+    test('debe inferir la categoría por palabras clave', () => {
+      expect(categorizeBlocker('Esperando aprobación del cliente')).toBe('cliente');
+      expect(categorizeBlocker('El proveedor no entrega la licencia')).toBe('proveedor');
+      expect(categorizeBlocker('Dev principal con licencia médica')).toBe('recursos');
+      expect(categorizeBlocker('Sin acceso al ambiente de QA')).toBe('tecnico');
+      expect(categorizeBlocker('Otra cosa')).toBe('otro');
+    });
+
+  });
+
+  describe('antigüedad', () => {
+
+    test('debe calcular días abiertos y formatear la línea', () => {
+      const now = new Date('2024-01-10T12:00:00Z');
+      const blocker = {
+        description: 'Sin acceso a QA',
+        category: 'tecnico',
+        openedAt: new Date(now.getTime() - 3 * DAY_MS).toISOString()
+      };
+
+      expect(getBlockerAgeDays(blocker, now)).toBe(3);
+      expect(formatBlockerLine(blocker, now)).toBe('• Sin acceso a QA (Técnico, abierto hace 3 días)');
+      expect(formatBlockerLine(blocker, now, 'en')).toBe('• Sin acceso a QA (Technical, opened 3 days ago)');
+    });
+
+  });
+
+  describe('reconcileBlockers', () => {
+
+    const update = {
+      projectGid: 'proj-001',
+      projectName: 'Proyecto Test',
+      pmSlackId: 'U12345',
+      sk: 'UPDATE#2024-01-10',
+      hasBlockers: true,
+      blockerDescription: 'Esperando firma del cliente'
+    };
+
+    test('debe resolver los desmarcados, confirmar el resto y crear el nuevo', async () => {
+      const dynamo = mockDynamo([
+        { sk: 'BLOCKER#1', description: 'Sin acceso a QA' },
+        { sk: 'BLOCKER#2', description: 'Falta presupuesto' }
+      ]);
+
+      const result = await reconcileBlockers(update, dynamo, { resolveIds: ['BLOCKER#1'] });
+
+      expect(dynamo.resolveBlocker).toHaveBeenCalledWith('proj-001', 'BLOCKER#1', 'UPDATE#2024-01-10');
+      expect(dynamo.confirmBlocker).toHaveBeenCalledWith('proj-001', 'BLOCKER#2');
+      expect(dynamo.createBlocker).toHaveBeenCalledWith(expect.objectContaining({ category: 'cliente' }));
+      expect(result.open.map(b => b.sk)).toEqual(['BLOCKER#2', 'BLOCKER#new']);
+      expect(result.resolved).toHaveLength(1);
+    });
+
+    test('no debe duplicar un bloqueo abierto con la misma descripción', async () => {
+      const dynamo = mockDynamo([{ sk: 'BLOCKER#1', description: 'Esperando firma del cliente' }]);
+
+      const result = await reconcileBlockers(update, dynamo);
+
+      expect(dynamo.createBlocker).not.toHaveBeenCalled();
+      expect(result.created).toBeNull();
+    });
+
+    test('un update sin bloqueos debe resolver todos los abiertos', async () => {
+      const dynamo = mockDynamo([{ sk: 'BLOCKER#1', description: 'Sin acceso a QA' }]);
+
+      const result = await reconcileBlockers(
+        { ...update, hasBlockers: false, blockerDescription: null },
+        dynamo,
+        { resolveAll: true }
+      );
+
+      expect(dynamo.resolveBlocker).toHaveBeenCalledTimes(1);
+      expect(result.open).toHaveLength(0);
+    });
+
+  });
+
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests para cache-refresh.js
+ */
+
+jest.mock('../../src/services/asana');
+jest.mock('../../src/services/dynamo');
+jest.mock('../../src/lib/asana-sync');
+
+const asanaService = require('../../src/services/asana');
+const dynamoService = require('../../src/services/dynamo');
+const asanaSync = require('../../src/lib/asana-sync');
+const cacheRefresh = require('../../src/handlers/cache-refresh');
+
+describe('Cache Refresh', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    asanaSync.retryPendingSyncs.mockResolvedValue({ pending: 0, synced: 0, failed: 0 });
+    dynamoService.getCacheRefreshState.mockResolvedValue(null);
+    asanaService.listAllProjects.mockResolvedValue([
+      { gid: '1', modifiedAt: '2025-03-10T10:00:00.000Z' },
+      { gid: '2', modifiedAt: '2025-03-10T10:00:00.000Z' }
+    ]);
+    dynamoService.getCachedProjectVersions.mockResolvedValue([{ gid: '1', modifiedAt: '2025-03-01T10:00:00.000Z' }]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('un proyecto cacheado que pierde PMO ID y responsable debe salir del cache', async () => {
+    asanaService.getProjectsWithDetail.mockResolvedValue([
+      { gid: '1', name: 'Portal', status: 'On Track', pmoId: null, responsable: null },
+      { gid: '2', name: 'Interno', status: 'On Track', pmoId: null, responsable: null }
+    ]);
+
+    const summary = await cacheRefresh.runCacheRefresh({ fullRefresh: true });
+
+    expect(dynamoService.deleteProjectCache).toHaveBeenCalledTimes(1);
+    expect(dynamoService.deleteProjectCache).toHaveBeenCalledWith('1');
+    expect(dynamoService.upsertProjectCache).not.toHaveBeenCalled();
+    expect(summary).toMatchObject({ deleted: 1, skipped: 1, updated: 0 });
+  });
+
+  test('un error al reintentar updates pendientes de Asana no debe detener el refresh', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    asanaSync.retryPendingSyncs.mockRejectedValue(new Error('DynamoDB no disponible'));
+    asanaService.getProjectsWithDetail.mockResolvedValue([
+      { gid: '1', name: 'Portal', status: 'On Track', pmoId: 'PMO-001', responsable: 'Ana' }
+    ]);
+
+    const summary = await cacheRefresh.runCacheRefresh({ fullRefresh: true });
+
+    expect(dynamoService.upsertProjectCache).toHaveBeenCalled();
+    expect(summary.asanaSync).toEqual({ pending: 0, synced: 0, failed: 0, error: 'DynamoDB no disponible' });
+    console.error.mockRestore();
+  });
+
+});
@@ -3,7 +3,17 @@
  */
 
 const { mockClient } = require('aws-sdk-client-mock');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand, ScanCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  UpdateCommand,
+  BatchGetCommand,
+  BatchWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
 
 // Mock del cliente antes de importar el módulo
 const ddbMock = mockClient(DynamoDBDocumentClient);
@@ -155,6 +165,304 @@ describe('DynamoDB Service', () => {
 
   });
 
+  describe('updates resumidos', () => {
+
+    test('saveUpdate debe guardar el resumen y getUpdate leerlo por su clave', async () => {
+      ddbMock.on(PutCommand).resolves({});
+      const summary = { headline: 'Todo bien', risks: [], decisions: [], nextSteps: [], source: 'rules' };
+
+      const saved = await dynamoService.saveUpdate({ projectGid: 'proj-001', advances: 'Todo bien', summary });
+      expect(saved.summary).toEqual(summary);
+
+      ddbMock.on(GetCommand).resolves({ Item: saved });
+      expect(await dynamoService.getUpdate('proj-001', saved.sk)).toEqual(saved);
+      expect(ddbMock.commandCalls(GetCommand)[0].args[0].input.Key).toEqual({ pk: 'PROJECT#proj-001', sk: saved.sk });
+    });
+
+  });
+
+  describe('idempotencia de eventos de Slack', () => {
+
+    test('claimSlackEvent debe registrar el evento solo la primera vez', async () => {
+      ddbMock.on(PutCommand).resolvesOnce({}).rejectsOnce(
+        Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' })
+      );
+
+      expect(await dynamoService.claimSlackEvent('event:Ev1')).toBe(true);
+      expect(await dynamoService.claimSlackEvent('event:Ev1')).toBe(false);
+
+      const input = ddbMock.commandCalls(PutCommand)[0].args[0].input;
+      expect(input.Item.pk).toBe('EVENT#event:Ev1');
+      expect(input.ConditionExpression).toBe('attribute_not_exists(pk)');
+      expect(input.Item.expiresAt).toBeGreaterThan(Math.floor(Date.now() / 1000));
+    });
+
+    test('claimSlackEvent debe propagar otros errores y releaseSlackEvent borrar el registro', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      ddbMock.on(PutCommand).rejects(new Error('throttled'));
+      ddbMock.on(DeleteCommand).resolves({});
+
+      await expect(dynamoService.claimSlackEvent('trigger:1.2')).rejects.toThrow('throttled');
+      await dynamoService.releaseSlackEvent('trigger:1.2');
+
+      expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ pk: 'EVENT#trigger:1.2' });
+      console.error.mockRestore();
+    });
+
+  });
+
+  describe('asana sync', () => {
+
+    test('saveUpdate debe dejar el update pendiente de publicar en Asana', async () => {
+      ddbMock.on(PutCommand).resolves({});
+
+      const result = await dynamoService.saveUpdate({
+        projectGid: 'proj-001',
+        projectName: 'Test Project',
+        pmSlackId: 'U12345',
+        status: 'at_risk',
+        advances: 'Avance parcial',
+        hasBlockers: false
+      });
+
+      expect(result.asanaSyncStatus).toBe('pending');
+      expect(result.asanaSyncPending).toBe('pending');
+    });
+
+    test('setUpdateAsanaSync debe guardar gid del status de Asana', async () => {
+      ddbMock.on(UpdateCommand).resolves({});
+
+      await dynamoService.setUpdateAsanaSync('proj-001', 'UPDATE#2026-01-30T10:00:00Z', {
+        asanaSyncStatus: 'synced',
+        asanaStatusGid: 'status-123'
+      });
+
+      const input = ddbMock.calls()[0].args[0].input;
+      expect(input.Key).toEqual({ pk: 'PROJECT#proj-001', sk: 'UPDATE#2026-01-30T10:00:00Z' });
+      expect(input.ExpressionAttributeValues[':syncStatus']).toBe('synced');
+      expect(input.ExpressionAttributeValues[':statusGid']).toBe('status-123');
+      expect(input.UpdateExpression).toContain('REMOVE asanaSyncPending');
+    });
+
+    test('setUpdateAsanaSync debe mantener en el indice los updates que siguen pendientes', async () => {
+      ddbMock.on(UpdateCommand).resolves({});
+
+      await dynamoService.setUpdateAsanaSync('proj-001', 'UPDATE#2026-01-30T10:00:00Z', {
+        asanaSyncStatus: 'pending',
+        asanaSyncError: 'Service Unavailable'
+      });
+
+      const input = ddbMock.calls()[0].args[0].input;
+      expect(input.UpdateExpression).toContain('asanaSyncPending = :pending');
+      expect(input.UpdateExpression).not.toContain('REMOVE');
+      expect(input.ExpressionAttributeValues[':pending']).toBe('pending');
+    });
+
+    test('getPendingAsanaSyncUpdates debe consultar el indice de pendientes y paginar', async () => {
+      ddbMock.on(QueryCommand)
+        .resolvesOnce({
+          Items: [{ projectGid: 'proj-001', timestamp: '2026-01-29T10:00:00Z' }],
+          LastEvaluatedKey: { pk: 'PROJECT#proj-001' }
+        })
+        .resolvesOnce({
+          Items: [{ projectGid: 'proj-002', timestamp: '2026-01-30T10:00:00Z' }]
+        });
+
+      const result = await dynamoService.getPendingAsanaSyncUpdates();
+
+      expect(ddbMock.commandCalls(ScanCommand)).toHaveLength(0);
+      const calls = ddbMock.commandCalls(QueryCommand);
+      expect(calls).toHaveLength(2);
+      expect(calls[0].args[0].input.IndexName).toBe('AsanaSyncPendingIndex');
+      expect(calls[0].args[0].input.ScanIndexForward).toBe(true);
+      expect(calls[1].args[0].input.ExclusiveStartKey).toEqual({ pk: 'PROJECT#proj-001' });
+      expect(result.map(u => u.projectGid)).toEqual(['proj-001', 'proj-002']);
+    });
+
+  });
+
+  describe('cache incremental', () => {
+
+    test('getCachedProjectVersions debe paginar y retornar gid/modifiedAt', async () => {
+      ddbMock.on(ScanCommand)
+        .resolvesOnce({
+          Items: [{ gid: 'proj-001', modifiedAt: '2026-01-30T10:00:00Z' }],
+          LastEvaluatedKey: { pk: 'PROJECT#proj-001', sk: 'META' }
+        })
+        .resolvesOnce({ Items: [{ gid: 'proj-002' }] });
+
+      const result = await dynamoService.getCachedProjectVersions();
+
+      expect(result).toEqual([
+        { gid: 'proj-001', modifiedAt: '2026-01-30T10:00:00Z' },
+        { gid: 'proj-002', modifiedAt: null }
+      ]);
+      expect(ddbMock.calls()[0].args[0].input.FilterExpression).toBe('sk = :meta');
+    });
+
+    test('upsertProjectCache debe guardar modifiedAt', async () => {
+      ddbMock.on(PutCommand).resolves({});
+
+      await dynamoService.upsertProjectCache({
+        gid: 'proj-001',
+        name: 'Proyecto',
+        responsable: 'Harold Gomez',
+        modifiedAt: '2026-01-30T10:00:00Z'
+      });
+
+      const item = ddbMock.calls()[0].args[0].input.Item;
+      expect(item.modifiedAt).toBe('2026-01-30T10:00:00Z');
+    });
+
+  });
+
+  describe('índice de búsqueda', () => {
+
+    test('getSearchTokens debe normalizar tildes, mayúsculas y separadores', () => {
+      expect(dynamoService.getSearchTokens('Migración Banco-Estado (Fase 2)'))
+        .toEqual(['migracion', 'banco', 'estado', 'fase', '2']);
+      expect(dynamoService.getSearchTokens(null)).toEqual([]);
+    });
+
+    test('upsertProjectCache debe indexar palabras y borrar las que ya no aplican', async () => {
+      ddbMock.on(PutCommand).resolves({ Attributes: { searchTokens: ['portal', 'antiguo'] } });
+      ddbMock.on(BatchWriteCommand).resolves({});
+
+      await dynamoService.upsertProjectCache({
+        gid: 'proj-001',
+        name: 'Portal Clientes',
+        clienteNuevo: 'Acmé',
+        responsable: 'Ana Pérez',
+        pmoId: 'pmo-911'
+      });
+
+      const item = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+      expect(item.searchTokens).toEqual(['portal', 'clientes', 'acme', 'ana', 'perez', 'pmo', '911']);
+
+      const requests = ddbMock.commandCalls(BatchWriteCommand)[0].args[0].input.RequestItems['pmo-bot-projects'];
+      expect(requests[0].PutRequest.Item).toEqual({ pk: 'SEARCH#por', sk: 'portal#proj-001', gid: 'proj-001' });
+      expect(requests.filter(r => r.DeleteRequest).map(r => r.DeleteRequest.Key))
+        .toEqual([{ pk: 'SEARCH#ant', sk: 'antiguo#proj-001' }]);
+    });
+
+    test('deleteProjectCache debe borrar las entradas del índice', async () => {
+      ddbMock.on(DeleteCommand).resolves({ Attributes: { searchTokens: ['portal'] } });
+      ddbMock.on(BatchWriteCommand).resolves({});
+
+      await dynamoService.deleteProjectCache('proj-001');
+
+      const requests = ddbMock.commandCalls(BatchWriteCommand)[0].args[0].input.RequestItems['pmo-bot-projects'];
+      expect(requests).toEqual([{ DeleteRequest: { Key: { pk: 'SEARCH#por', sk: 'portal#proj-001' } } }]);
+    });
+
+    test('searchProjectIndex debe consultar por prefijo y paginar', async () => {
+      ddbMock.on(QueryCommand)
+        .resolvesOnce({ Items: [{ gid: 'p1' }], LastEvaluatedKey: { pk: 'SEARCH#mig', sk: 'migracion#p1' } })
+        .resolvesOnce({ Items: [{ gid: 'p2' }, { gid: 'p1' }] });
+
+      const gids = await dynamoService.searchProjectIndex('migra');
+
+      expect(gids).toEqual(['p1', 'p2']);
+      const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+      expect(input.ExpressionAttributeValues).toEqual({ ':pk': 'SEARCH#mig', ':term': 'migra' });
+      expect(await dynamoService.searchProjectIndex('mi')).toEqual([]);
+    });
+
+    test('getCachedProjectsByGids debe reintentar las claves no procesadas', async () => {
+      const unprocessed = { 'pmo-bot-projects': { Keys: [{ pk: 'PROJECT#p2', sk: 'META' }] } };
+      ddbMock.on(BatchGetCommand)
+        .resolvesOnce({ Responses: { 'pmo-bot-projects': [{ gid: 'p1' }] }, UnprocessedKeys: unprocessed })
+        .resolvesOnce({ Responses: { 'pmo-bot-projects': [{ gid: 'p2' }] } });
+
+      const projects = await dynamoService.getCachedProjectsByGids(['p1', 'p2']);
+
+      expect(projects.map(p => p.gid)).toEqual(['p1', 'p2']);
+      expect(ddbMock.commandCalls(BatchGetCommand)[1].args[0].input.RequestItems).toEqual(unprocessed);
+    });
+
+  });
+
+  describe('webhooks de Asana', () => {
+
+    test('startWebhookRegistration debe marcar el registro como pendiente', async () => {
+      ddbMock.on(UpdateCommand).resolves({});
+
+      await dynamoService.startWebhookRegistration('ws-001');
+
+      const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+      expect(input.Key).toEqual({ pk: 'WEBHOOK#ws-001' });
+      expect(input.UpdateExpression).toContain('pendingRegistrationAt = :now');
+      // El webhook anterior pudo haberlo eliminado Asana: no debe bloquear el nuevo registro
+      expect(input.UpdateExpression).toContain('REMOVE webhookGid, secret');
+    });
+
+    test('saveWebhookSecret debe guardar secreto solo con registro pendiente', async () => {
+      ddbMock.on(UpdateCommand).resolves({
+        Attributes: { pk: 'WEBHOOK#ws-001', resourceGid: 'ws-001', secret: 'secret-abc' }
+      });
+
+      const result = await dynamoService.saveWebhookSecret('ws-001', 'secret-abc');
+
+      expect(result.pk).toBe('WEBHOOK#ws-001');
+      expect(result.secret).toBe('secret-abc');
+      const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+      expect(input.ConditionExpression).toBe('pendingRegistrationAt >= :cutoff');
+      expect(input.UpdateExpression).toContain('REMOVE pendingRegistrationAt');
+      expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+    });
+
+    test('saveWebhookSecret debe retornar null sin registro pendiente', async () => {
+      ddbMock.on(UpdateCommand).rejects(
+        Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' })
+      );
+
+      const result = await dynamoService.saveWebhookSecret('ws-001', 'secret-intruso');
+
+      expect(result).toBeNull();
+    });
+
+    test('getWebhookState debe retornar null si no existe', async () => {
+      ddbMock.on(GetCommand).resolves({ Item: undefined });
+
+      const result = await dynamoService.getWebhookState('ws-999');
+
+      expect(result).toBeNull();
+    });
+
+  });
+
+  describe('bloqueos', () => {
+
+    test('createBlocker debe guardar bloqueo abierto con fecha de apertura', async () => {
+      ddbMock.on(PutCommand).resolves({});
+
+      const result = await dynamoService.createBlocker({
+        projectGid: 'proj-001',
+        projectName: 'Proyecto Test',
+        description: 'Sin acceso a QA',
+        category: 'tecnico',
+        ownerSlackId: 'U12345'
+      });
+
+      expect(result.pk).toBe('PROJECT#proj-001');
+      expect(result.sk).toBe(`BLOCKER#${result.openedAt}`);
+      expect(result.blockerStatus).toBe('open');
+      expect(result.resolvedAt).toBeNull();
+    });
+
+    test('resolveBlocker debe registrar fecha de resolución', async () => {
+      ddbMock.on(UpdateCommand).resolves({});
+
+      await dynamoService.resolveBlocker('proj-001', 'BLOCKER#2024-01-01T00:00:00.000Z', 'UPDATE#2024-01-05');
+
+      const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+      expect(input.Key).toEqual({ pk: 'PROJECT#proj-001', sk: 'BLOCKER#2024-01-01T00:00:00.000Z' });
+      expect(input.ExpressionAttributeValues[':resolved']).toBe('resolved');
+      expect(input.ExpressionAttributeValues[':update']).toBe('UPDATE#2024-01-05');
+    });
+
+  });
+
   describe('getLastUpdates', () => {
 
     test('debe retornar últimos N updates ordenados', async () => {
@@ -175,6 +483,29 @@ describe('DynamoDB Service', () => {
 
   });
 
+  describe('getProjectUpdates', () => {
+
+    test('debe paginar todos los updates en orden ascendente', async () => {
+      ddbMock.on(QueryCommand)
+        .resolvesOnce({
+          Items: [{ sk: 'UPDATE#2026-01-20T10:00:00Z', status: 'on_track' }],
+          LastEvaluatedKey: { pk: 'PROJECT#1', sk: 'UPDATE#2026-01-20T10:00:00Z' }
+        })
+        .resolvesOnce({
+          Items: [{ sk: 'UPDATE#2026-01-27T10:00:00Z', status: 'at_risk' }]
+        });
+
+      const result = await dynamoService.getProjectUpdates('1');
+
+      expect(result.map(u => u.status)).toEqual(['on_track', 'at_risk']);
+      const calls = ddbMock.calls();
+      expect(calls).toHaveLength(2);
+      expect(calls[0].args[0].input.ScanIndexForward).toBe(true);
+      expect(calls[1].args[0].input.ExclusiveStartKey).toEqual({ pk: 'PROJECT#1', sk: 'UPDATE#2026-01-20T10:00:00Z' });
+    });
+
+  });
+
   describe('getProjectsUpdatedToday', () => {
 
     test('debe retornar projectGids únicos', async () => {
@@ -195,6 +526,195 @@ describe('DynamoDB Service', () => {
 
   });
 
+  describe('getActiveConversationStates', () => {
+
+    test('debe incluir todos los pasos del flujo de update', async () => {
+      ddbMock.on(ScanCommand).resolves({ Items: [{ slackUserId: 'U1', step: 'awaiting_blocker_description' }] });
+
+      const result = await dynamoService.getActiveConversationStates();
+
+      expect(result).toHaveLength(1);
+      expect(Object.values(ddbMock.commandCalls(ScanCommand)[0].args[0].input.ExpressionAttributeValues)).toEqual([
+        'awaiting_status', 'awaiting_blockers', 'awaiting_blocker_description', 'awaiting_advances'
+      ]);
+    });
+
+  });
+
+  describe('getUpdatesBetween', () => {
+
+    test('debe recorrer todas las páginas del rango y ordenar por fecha', async () => {
+      ddbMock.on(ScanCommand)
+        .resolvesOnce({
+          Items: [{ projectGid: '2', timestamp: '2026-09-30T18:00:00Z' }],
+          LastEvaluatedKey: { pk: 'PROJECT#2', sk: 'UPDATE#2026-09-30T18:00:00Z' }
+        })
+        .resolvesOnce({ Items: [{ projectGid: '1', timestamp: '2026-09-01T10:00:00Z' }] });
+
+      const result = await dynamoService.getUpdatesBetween('2026-09-01', '2026-09-30');
+
+      expect(result.map(u => u.projectGid)).toEqual(['1', '2']);
+      const calls = ddbMock.commandCalls(ScanCommand);
+      expect(calls).toHaveLength(2);
+      expect(calls[0].args[0].input.ExpressionAttributeValues).toEqual({
+        ':from': 'UPDATE#2026-09-01',
+        ':to': 'UPDATE#2026-09-30~'
+      });
+    });
+
+    test('sin rango debe traer todos los updates', async () => {
+      ddbMock.on(ScanCommand).resolves({ Items: [] });
+
+      await dynamoService.getUpdatesBetween();
+
+      expect(ddbMock.commandCalls(ScanCommand)[0].args[0].input.ExpressionAttributeValues).toEqual({
+        ':from': 'UPDATE#',
+        ':to': 'UPDATE#~'
+      });
+    });
+
+  });
+
+  describe('canales vinculados', () => {
+
+    test('saveProjectChannel debe guardar el vínculo y el índice inverso sin pmoId', async () => {
+      ddbMock.on(BatchWriteCommand).resolves({});
+
+      const link = await dynamoService.saveProjectChannel({
+        projectGid: 'proj-001',
+        projectName: 'Portal',
+        pmoId: 'PMO-911',
+        channelId: 'C123',
+        linkedBy: 'U1'
+      });
+
+      const requests = ddbMock.commandCalls(BatchWriteCommand)[0].args[0].input.RequestItems['pmo-bot-projects'];
+      expect(requests.map(r => [r.PutRequest.Item.pk, r.PutRequest.Item.sk])).toEqual([
+        ['PROJECT#proj-001', 'CHANNEL'],
+        ['CHANNEL#C123', 'LINK']
+      ]);
+      expect(link).toMatchObject({ projectPmoId: 'PMO-911', channelId: 'C123', pulseInChannel: false });
+      // pmoId es la clave de PmoIdIndex: el vínculo no debe aparecer en ese índice
+      expect(link.pmoId).toBeUndefined();
+    });
+
+    test('setProjectChannelPulse debe retornar null si el proyecto ya no tiene canal', async () => {
+      ddbMock.on(UpdateCommand)
+        .resolvesOnce({ Attributes: { projectGid: 'proj-001', pulseInChannel: true } })
+        .rejectsOnce(Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' }));
+
+      expect(await dynamoService.setProjectChannelPulse('proj-001', true)).toMatchObject({ pulseInChannel: true });
+      expect(await dynamoService.setProjectChannelPulse('proj-001', false)).toBeNull();
+      expect(ddbMock.commandCalls(UpdateCommand)[0].args[0].input.Key).toEqual({ pk: 'PROJECT#proj-001', sk: 'CHANNEL' });
+    });
+
+  });
+
+  describe('suscripciones', () => {
+
+    test('saveSubscription debe guardar una suscripción por destino y usuario', async () => {
+      ddbMock.on(PutCommand).resolves({});
+
+      const subscription = await dynamoService.saveSubscription({
+        targetKey: 'PROJECT#proj-001',
+        slackUserId: 'U1',
+        targetType: 'project',
+        filter: 'status_change'
+      });
+
+      const input = ddbMock.commandCalls(PutCommand)[0].args[0].input;
+      expect(input.TableName).toBe('pmo-bot-subscriptions');
+      expect(input.Item).toMatchObject({ pk: 'PROJECT#proj-001', sk: 'USER#U1', slackUserId: 'U1', filter: 'status_change' });
+      expect(subscription.createdAt).toBeDefined();
+    });
+
+    test('getUserSubscriptions debe consultar el índice por suscriptor', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [{ pk: 'CLIENT#acme', sk: 'USER#U1' }] });
+
+      const result = await dynamoService.getUserSubscriptions('U1');
+
+      expect(result).toHaveLength(1);
+      const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+      expect(input.IndexName).toBe('SubscriberIndex');
+      expect(input.ExpressionAttributeValues).toEqual({ ':user': 'U1' });
+    });
+
+  });
+
+  describe('reasignaciones de proyectos', () => {
+
+    test('getProjectsByResponsableName debe aplicar las reasignaciones', async () => {
+      ddbMock.on(QueryCommand).resolves({ Items: [{ gid: '1', name: 'Portal' }, { gid: '2', name: 'App' }] });
+      ddbMock.on(GetCommand).resolves({
+        Item: {
+          pk: 'ASSIGNMENTS',
+          sk: 'STATE',
+          assignments: {
+            2: { asanaName: 'Luis Soto', assigneeKey: 'RESPONSABLE#luis soto' },
+            3: { asanaName: 'Ana Pérez', assigneeKey: 'RESPONSABLE#ana perez' }
+          }
+        }
+      });
+      ddbMock.on(BatchGetCommand).resolves({ Responses: { 'pmo-bot-projects': [{ gid: '3', name: 'ERP' }] } });
+
+      const result = await dynamoService.getProjectsByResponsableName('Ana Pérez');
+
+      expect(result.map(p => p.gid)).toEqual(['1', '3']);
+      expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExpressionAttributeValues)
+        .toEqual({ ':rk': 'RESPONSABLE#ana perez' });
+    });
+
+    test('setProjectAssignment debe modificar solo la entrada del proyecto', async () => {
+      ddbMock.on(UpdateCommand).resolves({});
+
+      await dynamoService.setProjectAssignment('1', { asanaName: 'Ana Pérez', slackUserId: 'U1', assignedBy: 'UADMIN' });
+      await dynamoService.setProjectAssignment('9', null);
+
+      const [added, removed] = ddbMock.commandCalls(UpdateCommand).map(call => call.args[0].input);
+      expect(ddbMock.commandCalls(GetCommand)).toHaveLength(0);
+      expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+      expect(added.Key).toEqual({ pk: 'ASSIGNMENTS', sk: 'STATE' });
+      expect(added.UpdateExpression).toBe('SET assignments.#gid = :assignment, updatedAt = :now');
+      expect(added.ExpressionAttributeNames).toEqual({ '#gid': '1' });
+      expect(added.ExpressionAttributeValues[':assignment']).toMatchObject({
+        assigneeKey: 'RESPONSABLE#ana perez', slackUserId: 'U1', assignedBy: 'UADMIN'
+      });
+      expect(removed.UpdateExpression).toBe('REMOVE assignments.#gid SET updatedAt = :now');
+      expect(removed.ExpressionAttributeNames).toEqual({ '#gid': '9' });
+    });
+
+    test('setProjectAssignment debe crear el mapa en la primera reasignación', async () => {
+      const conditionFailed = Object.assign(new Error('The conditional request failed'), { name: 'ConditionalCheckFailedException' });
+      ddbMock.on(UpdateCommand).rejectsOnce(conditionFailed).resolves({});
+
+      await dynamoService.setProjectAssignment('1', { asanaName: 'Ana Pérez', slackUserId: 'U1' });
+
+      const expressions = ddbMock.commandCalls(UpdateCommand).map(call => call.args[0].input.UpdateExpression);
+      expect(expressions).toEqual([
+        'SET assignments.#gid = :assignment, updatedAt = :now',
+        'SET assignments = if_not_exists(assignments, :empty)',
+        'SET assignments.#gid = :assignment, updatedAt = :now'
+      ]);
+
+      // Quitar una reasignación sin mapa no es un error
+      ddbMock.reset();
+      ddbMock.on(UpdateCommand).rejects(conditionFailed);
+      await expect(dynamoService.setProjectAssignment('1', null)).resolves.toBeUndefined();
+    });
+
+    test('getAllUsers debe paginar el scan', async () => {
+      ddbMock.on(ScanCommand)
+        .resolvesOnce({ Items: [{ pk: 'USER#U1' }], LastEvaluatedKey: { pk: 'USER#U1' } })
+        .resolvesOnce({ Items: [{ pk: 'USER#U2', onboarded: false }] });
+
+      const result = await dynamoService.getAllUsers();
+
+      expect(result).toHaveLength(2);
+      expect(ddbMock.commandCalls(ScanCommand)[0].args[0].input.FilterExpression).toBeUndefined();
+    });
+
+  });
+
   describe('conversation state', () => {
 
     test('getConversationState debe retornar estado si existe', async () => {
@@ -0,0 +1,56 @@
+/**
+ * Tests para event-queue.js
+ */
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+
+const lambdaMock = mockClient(LambdaClient);
+
+const eventQueue = require('../../src/services/event-queue');
+
+describe('Event Queue', () => {
+
+  beforeEach(() => {
+    lambdaMock.reset();
+    delete process.env.SLACK_WORKER_FUNCTION;
+  });
+
+  test('sin worker configurado debe procesar en el mismo proceso después de responder', async () => {
+    const processed = [];
+    const processJob = jest.fn(async (job) => processed.push(job.type));
+
+    const mode = await eventQueue.enqueue({ type: 'event_callback' }, processJob);
+
+    expect(mode).toBe('local');
+    expect(processJob).not.toHaveBeenCalled();
+    await eventQueue.drain();
+    expect(processed).toEqual(['event_callback']);
+  });
+
+  test('un error en la cola local no debe propagarse', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await eventQueue.enqueue({ type: 'block_actions' }, async () => { throw new Error('falló'); });
+    await eventQueue.drain();
+
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('block_actions'), expect.any(Error));
+    console.error.mockRestore();
+  });
+
+  test('con worker configurado debe invocar la Lambda de forma asíncrona', async () => {
+    process.env.SLACK_WORKER_FUNCTION = 'pulse-bot-slack-worker-dev';
+    lambdaMock.on(InvokeCommand).resolves({ StatusCode: 202 });
+    const processJob = jest.fn();
+
+    const mode = await eventQueue.enqueue({ type: 'slash_command', body: { text: 'mine' } }, processJob);
+
+    expect(mode).toBe('lambda');
+    expect(processJob).not.toHaveBeenCalled();
+    const input = lambdaMock.commandCalls(InvokeCommand)[0].args[0].input;
+    expect(input.FunctionName).toBe('pulse-bot-slack-worker-dev');
+    expect(input.InvocationType).toBe('Event');
+    expect(JSON.parse(Buffer.from(input.Payload).toString())).toEqual({ type: 'slash_command', body: { text: 'mine' } });
+  });
+
+});
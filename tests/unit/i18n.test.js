@@ -0,0 +1,79 @@
+/**
+ * Tests para i18n.js
+ */
+
+const {
+  normalizeLanguage,
+  getUserLanguage,
+  getChannelLanguage,
+  has,
+  t,
+  formatDate
+} = require('../../src/lib/i18n');
+
+describe('i18n', () => {
+
+  describe('normalizeLanguage', () => {
+
+    test('debe convertir locales de Slack a idiomas soportados', () => {
+      expect(normalizeLanguage('en-US')).toBe('en');
+      expect(normalizeLanguage('pt-BR')).toBe('pt');
+      expect(normalizeLanguage('ES')).toBe('es');
+    });
+
+    test('idiomas desconocidos o vacíos deben usar Español', () => {
+      expect(normalizeLanguage('fr-FR')).toBe('es');
+      expect(normalizeLanguage(undefined)).toBe('es');
+      expect(getUserLanguage(null)).toBe('es');
+    });
+
+    test('el idioma de canal debe venir de PMO_LANGUAGE', () => {
+      const original = process.env.PMO_LANGUAGE;
+      process.env.PMO_LANGUAGE = 'en';
+      expect(getChannelLanguage()).toBe('en');
+      delete process.env.PMO_LANGUAGE;
+      expect(getChannelLanguage()).toBe('es');
+      if (original !== undefined) process.env.PMO_LANGUAGE = original;
+    });
+
+  });
+
+  describe('t', () => {
+
+    test('debe interpolar parámetros', () => {
+      expect(t('en', 'project.notFound', { pmoId: 'PMO-7' })).toBe('I could not find any project with ID PMO-7');
+      expect(t('es', 'project.notFound', { pmoId: 'PMO-7' })).toBe('No encontre ningun proyecto con ID PMO-7');
+    });
+
+    test('debe elegir singular o plural según count', () => {
+      expect(t('en', 'blockers.daysAgo', { count: 1 })).toBe('1 day ago');
+      expect(t('pt', 'blockers.daysAgo', { count: 4 })).toBe('há 4 dias');
+    });
+
+    test('idiomas no soportados deben resolverse en Español', () => {
+      expect(t('fr', 'update.button')).toBe('Actualizar');
+    });
+
+    test('claves sin traducción deben retornar la clave', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(has('en', 'riskRules.off_track')).toBe(true);
+      expect(has('es', 'riskRules.off_track')).toBe(false);
+      expect(t('en', 'clave.inexistente')).toBe('clave.inexistente');
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+  });
+
+  describe('formatDate', () => {
+
+    test('debe formatear según el idioma', () => {
+      const date = new Date(2024, 2, 15);
+      expect(formatDate(date, 'es')).toBe('15-03-2024');
+      expect(formatDate(date, 'en')).toBe('3/15/2024');
+      expect(formatDate(date, 'pt')).toBe('15/03/2024');
+    });
+
+  });
+
+});
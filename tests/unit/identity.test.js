@@ -0,0 +1,103 @@
+/**
+ * Tests para identity.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getSearchTokens: jest.requireActual('../../src/services/dynamo').getSearchTokens,
+  getAllCachedProjects: jest.fn()
+}));
+
+jest.mock('../../src/services/asana', () => ({
+  getUserByEmail: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const asanaService = require('../../src/services/asana');
+const identity = require('../../src/lib/identity');
+const { getResponsableMatchBlocks, getOnboardingNameBlocks } = require('../../src/lib/messages');
+
+const projects = [
+  { gid: 'p1', responsable: 'Harold Gómez Pérez', responsableKey: 'RESPONSABLE#harold gomez perez', status: 'on_track' },
+  { gid: 'p2', responsable: 'Harold Gómez Pérez', responsableKey: 'RESPONSABLE#harold gomez perez', status: 'at_risk' },
+  { gid: 'p3', responsable: 'Ana María Soto', responsableKey: 'RESPONSABLE#ana maria soto', status: 'on_track' },
+  { gid: 'p4', responsable: 'Luis Soto', responsableKey: 'RESPONSABLE#luis soto', status: 'completed' },
+  { gid: 'p5', name: 'Sin responsable', status: 'on_track' }
+];
+
+describe('Identity', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamoService.getAllCachedProjects.mockResolvedValue(projects);
+  });
+
+  test('levenshtein debe contar ediciones', () => {
+    expect(identity.levenshtein('gomez', 'gomes')).toBe(1);
+    expect(identity.levenshtein('', 'ana')).toBe(3);
+    expect(identity.levenshtein('harold', 'harold')).toBe(0);
+  });
+
+  test('scoreNameMatch debe tolerar tildes, tipeos y apellidos omitidos', () => {
+    expect(identity.scoreNameMatch('HAROLD GOMEZ PEREZ', 'Harold Gómez Pérez')).toBe(1);
+    expect(identity.scoreNameMatch('Harold Gomez', 'Harold Gómez Pérez')).toBeGreaterThanOrEqual(0.8);
+    expect(identity.scoreNameMatch('Harld Gomez', 'Harold Gómez Pérez')).toBeGreaterThanOrEqual(0.7);
+    expect(identity.scoreNameMatch('Pedro Ruiz', 'Harold Gómez Pérez')).toBeLessThan(0.5);
+    expect(identity.scoreNameMatch('', 'Harold')).toBe(0);
+  });
+
+  test('getDistinctResponsables debe agrupar y excluir completados', () => {
+    expect(identity.getDistinctResponsables(projects)).toEqual([
+      { name: 'Harold Gómez Pérez', projectCount: 2 },
+      { name: 'Ana María Soto', projectCount: 1 }
+    ]);
+  });
+
+  test('findResponsableMatches debe ordenar por similitud', async () => {
+    const matches = await identity.findResponsableMatches('harold gomes');
+
+    expect(matches.map(m => m.name)).toEqual(['Harold Gómez Pérez']);
+    expect(matches[0].projectCount).toBe(2);
+    expect(identity.isExactMatch('harold gomes', matches[0])).toBe(false);
+    expect(identity.isExactMatch('Harold Gomez-Perez', matches[0])).toBe(true);
+  });
+
+  test('resolveIdentityByEmail debe sugerir el responsable del usuario de Asana', async () => {
+    asanaService.getUserByEmail.mockResolvedValue({ gid: 'a1', name: 'Harold Gomez Perez', email: 'harold@empresa.com' });
+
+    const resolved = await identity.resolveIdentityByEmail('harold@empresa.com');
+
+    expect(resolved.asanaUser.gid).toBe('a1');
+    expect(resolved.match.name).toBe('Harold Gómez Pérez');
+  });
+
+  test('resolveIdentityByEmail no debe interrumpir el onboarding si Asana falla', async () => {
+    asanaService.getUserByEmail.mockRejectedValue(new Error('401'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await identity.resolveIdentityByEmail('harold@empresa.com')).toBeNull();
+    expect(await identity.resolveIdentityByEmail(null)).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test('los bloques deben ofrecer cada responsable y el nombre escrito', () => {
+    const blocks = getResponsableMatchBlocks('harold gomes', [{ name: 'Harold Gómez Pérez', projectCount: 2 }]);
+    const buttons = blocks.find(b => b.type === 'actions').elements;
+
+    expect(blocks[0].text.text).toContain('¿Cuál eres tú?');
+    expect(buttons.map(b => [b.action_id, b.value, b.text.text])).toEqual([
+      ['responsable_pick_0', 'Harold Gómez Pérez', 'Harold Gómez Pérez (2 proyectos)'],
+      ['responsable_keep', 'harold gomes', 'Ninguno, usar "harold gomes"']
+    ]);
+    expect(getResponsableMatchBlocks('xyz', [], 'en')[0].text.text).toContain('could not find owners');
+  });
+
+  test('el onboarding debe mostrar la sugerencia por email', () => {
+    const blocks = getOnboardingNameBlocks('es', { asanaName: 'Harold Gomez Perez', name: 'Harold Gómez Pérez' });
+    const confirm = blocks.flatMap(b => b.elements || []).find(e => e.action_id === 'responsable_pick_0');
+
+    expect(confirm.value).toBe('Harold Gómez Pérez');
+    expect(getOnboardingNameBlocks('es').flatMap(b => b.elements || [])
+      .some(e => e.action_id === 'responsable_pick_0')).toBe(false);
+  });
+
+});
@@ -0,0 +1,30 @@
+/**
+ * Tests para intent-classifier.js
+ */
+
+const { classifyIntent, extractPmoIds } = require('../../src/lib/intent-classifier');
+
+describe('Intent Classifier', () => {
+
+  test('extractPmoIds debe normalizar los PMO IDs sin duplicados', () => {
+    expect(extractPmoIds('pmo911, PMO 12 y PMO-911')).toEqual(['PMO-911', 'PMO-12']);
+    expect(extractPmoIds('sin ids')).toEqual([]);
+  });
+
+  test('debe reconocer intenciones en los tres idiomas', () => {
+    expect(classifyIntent('Quiero ver el historial del PMO-911')).toEqual({ tool: 'ver_historial', params: { pmo_id: 'PMO-911' } });
+    expect(classifyIntent('¿cómo va el pmo911?')).toEqual({ tool: 'buscar_proyecto', params: { pmo_id: 'PMO-911' } });
+    expect(classifyIntent('quiero actualizar PMO-1 y PMO-2')).toEqual({ tool: 'iniciar_update', params: { pmo_ids: ['PMO-1', 'PMO-2'] } });
+    expect(classifyIntent('muéstrame mis proyectos por favor')).toEqual({ tool: 'mis_proyectos', params: {} });
+    expect(classifyIntent('show my projects')).toEqual({ tool: 'mis_proyectos', params: {} });
+    expect(classifyIntent('o que você faz?')).toEqual({ tool: 'mostrar_ayuda', params: {} });
+    expect(classifyIntent('Buenos días')).toEqual({ tool: 'saludo', params: {} });
+  });
+
+  test('sin regla que calce debe retornar null', () => {
+    expect(classifyIntent('¿cuál es la capital de Francia?')).toBeNull();
+    expect(classifyIntent('this is history')).toBeNull();
+    expect(classifyIntent('   ')).toBeNull();
+  });
+
+});
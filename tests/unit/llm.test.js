@@ -0,0 +1,172 @@
+/**
+ * Tests para llm.js
+ */
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { BedrockRuntimeClient, ConverseCommand } = require('@aws-sdk/client-bedrock-runtime');
+
+const bedrockMock = mockClient(BedrockRuntimeClient);
+
+const llmService = require('../../src/services/llm');
+
+const ENV_KEYS = ['GROQ_API_KEY', 'LLM_PROVIDER', 'LLM_MODEL', 'LLM_BASE_URL', 'LLM_API_KEY', 'LLM_TIMEOUT_MS', 'LLM_MAX_RETRIES'];
+
+const TOOLS = [{
+  type: 'function',
+  function: { name: 'buscar_proyecto', description: 'Detalle', parameters: { type: 'object', properties: {} } }
+}];
+
+function jsonResponse(status, body) {
+  return {
+    ok: status < 400,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+describe('LLM Service', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    global.fetch = jest.fn();
+    bedrockMock.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    jest.restoreAllMocks();
+  });
+
+  describe('getConfig', () => {
+    test('debe usar Groq por defecto si hay GROQ_API_KEY', () => {
+      process.env.GROQ_API_KEY = 'gsk_test';
+
+      expect(llmService.getConfig()).toMatchObject({
+        provider: 'groq',
+        model: 'llama-3.1-8b-instant',
+        timeoutMs: 8000,
+        maxRetries: 1
+      });
+    });
+
+    test('sin proveedor o con configuración incompleta no debe estar configurado', () => {
+      expect(llmService.isConfigured()).toBe(false);
+
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_BASE_URL = 'http://localhost:11434/v1';
+      expect(llmService.isConfigured()).toBe(false);
+
+      process.env.LLM_MODEL = 'llama3.1';
+      expect(llmService.getConfig()).toMatchObject({ provider: 'openai', baseUrl: 'http://localhost:11434/v1', apiKey: null });
+
+      process.env.LLM_PROVIDER = 'none';
+      process.env.GROQ_API_KEY = 'gsk_test';
+      expect(llmService.isConfigured()).toBe(false);
+    });
+  });
+
+  describe('chat', () => {
+    test('debe normalizar las herramientas de un endpoint compatible con OpenAI', async () => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_BASE_URL = 'http://localhost:11434/v1/';
+      process.env.LLM_MODEL = 'llama3.1';
+      global.fetch.mockResolvedValue(jsonResponse(200, {
+        choices: [{
+          message: {
+            content: null,
+            tool_calls: [{ id: 'c1', function: { name: 'buscar_proyecto', arguments: '{"pmo_id":"PMO-911"}' } }]
+          }
+        }]
+      }));
+
+      const reply = await llmService.chat({ messages: [{ role: 'user', content: 'PMO-911' }], tools: TOOLS });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(options.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(options.body)).toMatchObject({ model: 'llama3.1', tool_choice: 'auto', temperature: 0 });
+      expect(reply).toEqual({
+        content: null,
+        toolCalls: [{ id: 'c1', name: 'buscar_proyecto', arguments: '{"pmo_id":"PMO-911"}' }]
+      });
+    });
+
+    test('debe reintentar ante 5xx y no ante 4xx', async () => {
+      process.env.GROQ_API_KEY = 'gsk_test';
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(503, { error: 'unavailable' }))
+        .mockResolvedValueOnce(jsonResponse(200, { choices: [{ message: { content: 'Hola' } }] }));
+
+      expect(await llmService.chat({ messages: [] })).toEqual({ content: 'Hola', toolCalls: [] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      global.fetch.mockReset();
+      global.fetch.mockResolvedValue(jsonResponse(401, { error: 'invalid key' }));
+      await expect(llmService.chat({ messages: [] })).rejects.toThrow('groq 401');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('debe fallar tras los reintentos si el proveedor no responde', async () => {
+      process.env.GROQ_API_KEY = 'gsk_test';
+      process.env.LLM_MAX_RETRIES = '0';
+      global.fetch.mockRejectedValue(Object.assign(new Error('aborted'), { name: 'TimeoutError' }));
+
+      await expect(llmService.chat({ messages: [] })).rejects.toThrow('groq: timeout');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('sin proveedor debe fallar', async () => {
+      await expect(llmService.chat({ messages: [] })).rejects.toThrow('No hay proveedor de LLM configurado');
+    });
+
+    test('debe usar la API Converse de Bedrock', async () => {
+      process.env.LLM_PROVIDER = 'bedrock';
+      bedrockMock.on(ConverseCommand).resolves({
+        output: {
+          message: {
+            role: 'assistant',
+            content: [{ toolUse: { toolUseId: 't1', name: 'buscar_proyecto', input: { pmo_id: 'PMO-911' } } }]
+          }
+        }
+      });
+
+      const reply = await llmService.chat({
+        messages: [{ role: 'system', content: 'Eres Pulse Bot' }, { role: 'user', content: 'PMO-911' }],
+        tools: TOOLS
+      });
+
+      const input = bedrockMock.commandCalls(ConverseCommand)[0].args[0].input;
+      expect(input.modelId).toBe('anthropic.claude-3-haiku-20240307-v1:0');
+      expect(input.system).toEqual([{ text: 'Eres Pulse Bot' }]);
+      expect(input.toolConfig.tools[0].toolSpec.name).toBe('buscar_proyecto');
+      expect(reply.toolCalls).toEqual([{ id: 't1', name: 'buscar_proyecto', arguments: '{"pmo_id":"PMO-911"}' }]);
+    });
+  });
+
+  test('toBedrockMessages debe agrupar resultados de herramientas', () => {
+    const { system, messages } = llmService.toBedrockMessages([
+      { role: 'system', content: 'Prompt' },
+      { role: 'user', content: '¿riesgo de PMO-1 y PMO-2?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'a', function: { name: 'analizar_riesgo', arguments: '{"pmo_id":"PMO-1"}' } },
+          { id: 'b', function: { name: 'analizar_riesgo', arguments: '{"pmo_id":"PMO-2"}' } }
+        ]
+      },
+      { role: 'tool', tool_call_id: 'a', content: '{}' },
+      { role: 'tool', tool_call_id: 'b', content: '{}' }
+    ]);
+
+    expect(system).toEqual([{ text: 'Prompt' }]);
+    expect(messages.map(m => [m.role, m.content.length])).toEqual([['user', 1], ['assistant', 2], ['user', 2]]);
+    expect(messages[2].content[1]).toEqual({ toolResult: { toolUseId: 'b', content: [{ text: '{}' }] } });
+  });
+
+});
@@ -4,11 +4,26 @@
 
 const {
   getUpdateRequestBlocks,
+  getUpdateModalView,
+  parseUpdateModalValues,
   getOnboardingEmailBlocks,
   getOnboardingTimezoneBlocks,
   getOnboardingCompleteBlocks,
   getAlertBlocks,
-  getStatusEmoji
+  getStatusEmoji,
+  getWeeklyDigestBlocks,
+  getResponsableDigestBlocks,
+  getProjectDetailText,
+  getProjectDetailBlocks,
+  getChannelLinkedBlocks,
+  getChannelUpdateBlocks,
+  getSubscriptionUpdateBlocks,
+  getProjectListText,
+  getMyProjectsBlocks,
+  getSlashCommandHelpBlocks,
+  getOnboardingNameBlocks,
+  getScheduleModalView,
+  parseScheduleModalValues
 } = require('../../src/lib/messages');
 
 describe('Messages', () => {
@@ -44,16 +59,15 @@ describe('Messages', () => {
       expect(hasProjectName).toBe(true);
     });
 
-    test('debe incluir botones de estado', () => {
+    test('debe incluir botón para abrir el formulario', () => {
       const blocks = getUpdateRequestBlocks('Proyecto Test', '12345');
 
       const actionsBlock = blocks.find(b => b.type === 'actions');
       expect(actionsBlock).toBeDefined();
 
-      const buttonTexts = actionsBlock.elements.map(e => e.text.text);
-      expect(buttonTexts).toContain('🟢 On Track');
-      expect(buttonTexts).toContain('🟡 At Risk');
-      expect(buttonTexts).toContain('🔴 Off Track');
+      const button = actionsBlock.elements[0];
+      expect(button.text.text).toBe('Actualizar');
+      expect(button.action_id).toBe('updateform_12345');
     });
 
     test('action_id debe incluir projectGid', () => {
@@ -68,6 +82,73 @@ describe('Messages', () => {
 
   });
 
+  describe('getUpdateModalView', () => {
+
+    test('debe guardar el proyecto en private_metadata', () => {
+      const view = getUpdateModalView({ gid: '12345', name: 'Proyecto Test', pmoId: 'PMO-911' });
+
+      expect(view.callback_id).toBe('update_form');
+      expect(JSON.parse(view.private_metadata)).toEqual({
+        projectGid: '12345',
+        projectName: 'Proyecto Test',
+        pmoId: 'PMO-911',
+        blockerIds: []
+      });
+    });
+
+    test('debe incluir los campos del formulario', () => {
+      const view = getUpdateModalView({ gid: '12345', name: 'Proyecto Test' });
+
+      const blockIds = view.blocks.map(b => b.block_id).filter(Boolean);
+      expect(blockIds).toEqual([
+        'status', 'has_blockers', 'blocker_description', 'blocker_category', 'advances', 'next_steps', 'due_date'
+      ]);
+    });
+
+  });
+
+  describe('getUpdateModalView con bloqueos abiertos', () => {
+
+    test('debe preguntar si siguen vigentes, marcados por defecto', () => {
+      const view = getUpdateModalView({ gid: '12345', name: 'Proyecto Test' }, [
+        { sk: 'BLOCKER#1', description: 'Sin acceso a QA', category: 'tecnico', openedAt: new Date().toISOString() }
+      ]);
+
+      const block = view.blocks.find(b => b.block_id === 'open_blockers');
+      expect(block.element.initial_options.map(o => o.value)).toEqual(['BLOCKER#1']);
+      expect(JSON.parse(view.private_metadata).blockerIds).toEqual(['BLOCKER#1']);
+    });
+
+  });
+
+  describe('parseUpdateModalValues', () => {
+
+    test('debe extraer los valores del formulario', () => {
+      const values = parseUpdateModalValues({
+        status: { value: { selected_option: { value: 'at_risk' } } },
+        open_blockers: { value: { selected_options: [{ value: 'BLOCKER#1' }] } },
+        has_blockers: { value: { selected_options: [{ value: 'yes' }] } },
+        blocker_description: { value: { value: ' Falta acceso a QA ' } },
+        blocker_category: { value: { selected_option: { value: 'tecnico' } } },
+        advances: { value: { value: 'Deploy a staging' } },
+        next_steps: { value: { value: '' } },
+        due_date: { value: { selected_date: '2030-01-15' } }
+      });
+
+      expect(values).toEqual({
+        status: 'at_risk',
+        hasBlockers: true,
+        blockerDescription: 'Falta acceso a QA',
+        blockerCategory: 'tecnico',
+        stillOpenBlockerIds: ['BLOCKER#1'],
+        advances: 'Deploy a staging',
+        nextSteps: null,
+        newDueDate: '2030-01-15'
+      });
+    });
+
+  });
+
   describe('getOnboardingEmailBlocks', () => {
 
     test('debe tener mensaje de bienvenida', () => {
@@ -127,6 +208,39 @@ describe('Messages', () => {
 
   });
 
+  describe('horario de updates', () => {
+
+    test('el onboarding debe mostrar el horario elegido', () => {
+      const blocks = getOnboardingCompleteBlocks('America/Lima', { days: [2, 3, 5], hour: 15, frequency: 'biweekly' });
+
+      const content = JSON.stringify(blocks);
+      expect(content).toContain('3:00 PM');
+      expect(content).toContain('Martes, Miércoles y Viernes');
+      expect(content).toContain('Cada 2 semanas');
+    });
+
+    test('el formulario debe precargar el horario actual', () => {
+      const view = getScheduleModalView({ days: [1, 4], hour: 9, frequency: 'weekly' });
+
+      expect(view.callback_id).toBe('schedule_form');
+      const days = view.blocks.find(b => b.block_id === 'schedule_days');
+      expect(days.element.initial_options.map(o => o.value)).toEqual(['1', '4']);
+      const hour = view.blocks.find(b => b.block_id === 'schedule_hour');
+      expect(hour.element.initial_option.value).toBe('9');
+    });
+
+    test('debe leer los valores del formulario de horario', () => {
+      const values = parseScheduleModalValues({
+        schedule_days: { value: { selected_options: [{ value: '2' }, { value: '5' }] } },
+        schedule_hour: { value: { selected_option: { value: '8' } } },
+        schedule_frequency: { value: { selected_option: { value: 'biweekly' } } }
+      });
+
+      expect(values).toEqual({ days: [2, 5], hour: 8, frequency: 'biweekly' });
+    });
+
+  });
+
   describe('getAlertBlocks', () => {
 
     test('debe incluir información del proyecto', () => {
@@ -164,6 +278,241 @@ describe('Messages', () => {
       expect(JSON.stringify(blocksWithoutBlockers)).toContain('No');
     });
 
+    test('debe listar bloqueos abiertos con su antigüedad', () => {
+      const blocks = getAlertBlocks('Proyecto', 'U123', 'at_risk', 'Avances', true, [
+        { description: 'Sin acceso a QA', category: 'tecnico', openedAt: new Date().toISOString() }
+      ]);
+
+      const content = JSON.stringify(blocks);
+      expect(content).toContain('Bloqueos abiertos');
+      expect(content).toContain('Sin acceso a QA (Técnico, abierto hoy)');
+    });
+
+    test('con resumen debe mostrarlo en lugar de los avances y ofrecer el texto completo', () => {
+      const summary = { headline: 'Migración de EC2 completa', risks: ['Sin VPN'], decisions: [], nextSteps: ['Migrar RDS', 'Pruebas'] };
+      const blocks = getAlertBlocks('Proyecto', 'U123', 'at_risk', 'Texto largo del PM', false, [], [], 'es', {
+        summary,
+        updateKey: { projectGid: 'p1', sk: 'UPDATE#1' }
+      });
+
+      const content = JSON.stringify(blocks);
+      expect(content).not.toContain('Texto largo del PM');
+      expect(content).toContain('*Migración de EC2 completa*\\n⚠️ Riesgos: Sin VPN\\n➡️ Próximos pasos: Migrar RDS; Pruebas');
+      const button = blocks.find(b => b.type === 'actions').elements[0];
+      expect(button.action_id).toBe('advances_expand');
+      expect(JSON.parse(button.value)).toEqual({ projectGid: 'p1', sk: 'UPDATE#1' });
+    });
+
+  });
+
+  describe('getWeeklyDigestBlocks', () => {
+
+    const entry = {
+      gid: 'p1', name: 'Proyecto Digest', pmoId: 'PMO-1', status: 'off_track',
+      hasBlockers: true, trend: 'worsening', lastUpdateAt: null
+    };
+
+    const digest = {
+      weekStart: '2026-01-30T20:00:00Z',
+      weekEnd: '2026-02-06T20:00:00Z',
+      total: 1,
+      byStatus: { on_track: 0, at_risk: 0, off_track: 1, no_status: 0 },
+      byRiskLevel: { high: 1, medium: 0, low: 0, unknown: 0 },
+      withBlockers: [entry],
+      withoutUpdate: [entry],
+      worsening: [entry],
+      byResponsable: [{ responsable: 'Harold Gomez', projects: [entry] }]
+    };
+
+    test('debe incluir conteos y proyectos destacados', () => {
+      const content = JSON.stringify(getWeeklyDigestBlocks(digest));
+
+      expect(content).toContain('Off Track: 1');
+      expect(content).toContain('PMO-1');
+      expect(content).toContain('sin updates');
+    });
+
+    test('detalle por responsable debe separar en secciones de 10 proyectos', () => {
+      const projects = Array.from({ length: 12 }, (_, i) => ({ ...entry, gid: `p${i}` }));
+      const blocks = getResponsableDigestBlocks({ responsable: 'Harold Gomez', projects });
+
+      expect(blocks[0].text.text).toContain('Harold Gomez');
+      expect(blocks).toHaveLength(3);
+    });
+
+  });
+
+  describe('getProjectDetailText', () => {
+
+    test('debe incluir datos del proyecto y usar PMO ID de respaldo', () => {
+      const text = getProjectDetailText({
+        name: 'Proyecto Detalle',
+        responsable: 'Harold Gomez',
+        pendingTasks: 0,
+        totalTasks: 10
+      }, 'PMO-911');
+
+      expect(text).toContain('*Proyecto Detalle*');
+      expect(text).toContain('PMO ID: PMO-911');
+      expect(text).toContain('Tareas pendientes: 0 / 10');
+    });
+
+    test('debe incluir el resumen del último update con botón para el texto completo', () => {
+      const lastUpdate = {
+        projectGid: 'p1',
+        sk: 'UPDATE#2024-03-05T15:00:00.000Z',
+        timestamp: '2024-03-05T15:00:00.000Z',
+        advances: 'Texto completo',
+        summary: { headline: 'Cutover listo', risks: [], decisions: ['Congelar cambios'], nextSteps: [] }
+      };
+      const text = getProjectDetailText({ name: 'Proyecto Detalle' }, 'PMO-911', [], 'es', lastUpdate);
+
+      expect(text).toContain(': *Cutover listo*\n  🧭 Decisiones: Congelar cambios');
+      const blocks = getProjectDetailBlocks(text, lastUpdate);
+      expect(blocks[0].text.text).toBe(text);
+      expect(blocks[1].elements[0].action_id).toBe('advances_expand');
+      expect(getProjectDetailBlocks(text, { advances: 'Sin resumen' })).toBeNull();
+    });
+
+  });
+
+  describe('getProjectListText', () => {
+
+    test('debe generar una línea por proyecto', () => {
+      const text = getProjectListText([
+        { name: 'A', pmoId: 'PMO-1', status: 'On track' },
+        { name: 'B' }
+      ]);
+
+      expect(text.split('\n')).toHaveLength(2);
+      expect(text).toContain('PMO-N/A | B | Sin estado');
+    });
+
+  });
+
+  describe('getMyProjectsBlocks', () => {
+
+    test('debe ofrecer solo proyectos activos en el selector', () => {
+      const blocks = getMyProjectsBlocks([
+        { gid: '1', name: 'A', pmoId: 'PMO-1', status: 'On track' },
+        { gid: '2', name: 'B', pmoId: 'PMO-2', status: 'Completed' }
+      ]);
+
+      const actions = blocks.find(b => b.type === 'actions');
+      const select = actions.elements.find(e => e.action_id === 'updatepick_select');
+      expect(select.options.map(o => o.value)).toEqual(['1']);
+      expect(actions.elements.map(e => e.action_id)).toContain('updatepick_all');
+    });
+
+    test('no debe incluir acciones si no hay proyectos activos', () => {
+      const blocks = getMyProjectsBlocks([{ gid: '2', name: 'B', status: 'Completed' }]);
+
+      expect(blocks.some(b => b.type === 'actions')).toBe(false);
+    });
+
+  });
+
+  describe('idiomas', () => {
+
+    test('debe renderizar la solicitud de update en inglés y portugués', () => {
+      const en = getUpdateRequestBlocks('Portal', '12345', 'en');
+      const pt = getUpdateRequestBlocks('Portal', '12345', 'pt');
+
+      expect(en.find(b => b.type === 'actions').elements[0].text.text).toBe('Update');
+      expect(pt.find(b => b.type === 'actions').elements[0].text.text).toBe('Atualizar');
+      expect(en.find(b => b.type === 'actions').elements[0].action_id).toBe('updateform_12345');
+    });
+
+    test('debe traducir las razones de las reglas de riesgo', () => {
+      const rule = { id: 'off_track', severity: 'high', reason: 'Proyecto reportado como Off Track' };
+
+      expect(JSON.stringify(getAlertBlocks('P', 'U', 'off_track', 'A', false, [], [rule], 'en')))
+        .toContain('Project reported as Off Track');
+      expect(JSON.stringify(getAlertBlocks('P', 'U', 'off_track', 'A', false, [], [rule])))
+        .toContain('Proyecto reportado como Off Track');
+    });
+
+    test('el onboarding debe ofrecer el selector de idioma', () => {
+      const blocks = getOnboardingNameBlocks('en');
+      const picker = blocks.find(b => b.block_id === 'language_picker');
+
+      expect(picker.elements.map(e => e.action_id)).toEqual(['language_es', 'language_en', 'language_pt']);
+      expect(JSON.stringify(blocks)).toContain('What is your name');
+    });
+
+  });
+
+  describe('canales vinculados', () => {
+
+    test('la confirmación debe ofrecer el botón según el destino del pulse', () => {
+      const link = { projectGid: '123', projectName: 'Portal', projectPmoId: 'PMO-911', pulseInChannel: false };
+
+      const blocks = getChannelLinkedBlocks(link, 'U1');
+      expect(blocks[0].text.text).toContain('*PMO-911 | Portal*');
+      expect(blocks[2].elements[0]).toMatchObject({ action_id: 'channelpulse_on', value: '123' });
+
+      const enabled = getChannelLinkedBlocks({ ...link, pulseInChannel: true }, 'U1', 'en');
+      expect(enabled[2].elements[0].action_id).toBe('channelpulse_off');
+      expect(enabled[1].elements[0].text).toBe('The update request goes to this channel.');
+    });
+
+    test('el update publicado debe usar el resumen si lo tiene', () => {
+      const update = {
+        projectGid: '123',
+        sk: 'UPDATE#2026-01-30T10:00:00Z',
+        projectName: 'Portal',
+        pmSlackId: 'U1',
+        status: 'at_risk',
+        advances: 'Texto largo',
+        hasBlockers: true,
+        blockerDescription: 'Falta acceso',
+        timestamp: '2026-01-30T10:00:00Z'
+      };
+
+      const raw = getChannelUpdateBlocks(update);
+      expect(raw[0].text.text).toContain('>Texto largo');
+      expect(raw[0].text.text).toContain('🚧 Bloqueo: Falta acceso');
+      expect(raw.some(b => b.type === 'actions')).toBe(false);
+
+      const summarized = getChannelUpdateBlocks({ ...update, summary: { headline: 'Atraso en QA', risks: [], decisions: [], nextSteps: [] } });
+      expect(summarized[0].text.text).toContain('*Atraso en QA*');
+      expect(summarized[0].text.text).not.toContain('Texto largo');
+      expect(summarized[1].elements[0].action_id).toBe('advances_expand');
+    });
+
+  });
+
+  describe('getSubscriptionUpdateBlocks', () => {
+
+    test('debe mostrar el cambio de estado, los bloqueos y el motivo del DM', () => {
+      const blocks = getSubscriptionUpdateBlocks(
+        { projectGid: '123', projectName: 'Portal', status: 'off_track', advances: 'Atraso en QA' },
+        {
+          pmoId: 'PMO-911',
+          previousStatus: 'on_track',
+          blockers: [{ description: 'Falta acceso' }],
+          subscription: { targetType: 'client', client: 'Acme', filter: 'status_change' }
+        }
+      );
+
+      expect(blocks[0].text.text).toContain('*PMO-911 | Portal*');
+      expect(blocks[0].text.text).toContain('→');
+      expect(blocks[0].text.text).toContain('Falta acceso');
+      expect(blocks[1].elements[0].text).toContain('cliente Acme (solo cambios de estado)');
+    });
+
+  });
+
+  describe('getSlashCommandHelpBlocks', () => {
+
+    test('debe listar los subcomandos de /pulse', () => {
+      const content = JSON.stringify(getSlashCommandHelpBlocks());
+
+      ['update', 'status', 'mine', 'search', 'snooze', 'help'].forEach((sub) => {
+        expect(content).toContain(`/pulse ${sub}`);
+      });
+    });
+
   });
 
 });
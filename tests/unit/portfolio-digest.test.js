@@ -0,0 +1,62 @@
+/**
+ * Tests para portfolio-digest.js
+ */
+
+const { buildPortfolioDigest, normalizeProjectStatus } = require('../../src/lib/portfolio-digest');
+
+describe('Portfolio Digest', () => {
+
+  const now = new Date('2026-02-06T20:00:00Z');
+
+  const projects = [
+    { gid: 'p1', name: 'Migración A', pmoId: 'PMO-1', responsable: 'Harold Gomez', status: 'On track' },
+    { gid: 'p2', name: 'Migración B', pmoId: 'PMO-2', responsable: 'Harold Gomez', status: 'At risk' },
+    { gid: 'p3', name: 'Migración C', pmoId: 'PMO-3', responsable: 'Ana Perez', status: null }
+  ];
+
+  const analyses = new Map([
+    ['p1', { riskLevel: 'low', latestStatus: 'on_track', hasBlockers: false, lastUpdateAt: '2026-02-05T12:00:00Z', trend: 'stable', trendDelta: 0 }],
+    ['p2', { riskLevel: 'high', latestStatus: 'off_track', hasBlockers: true, lastUpdateAt: '2026-01-20T12:00:00Z', trend: 'worsening', trendDelta: 2 }],
+    ['p3', { riskLevel: 'unknown', alerts: [] }]
+  ]);
+
+  describe('normalizeProjectStatus', () => {
+
+    test('debe convertir el Status de Asana al formato de updates', () => {
+      expect(normalizeProjectStatus('On track')).toBe('on_track');
+      expect(normalizeProjectStatus('Off track')).toBe('off_track');
+      expect(normalizeProjectStatus('On hold')).toBeNull();
+    });
+
+  });
+
+  describe('buildPortfolioDigest', () => {
+
+    test('debe contar por estado usando el último update', () => {
+      const digest = buildPortfolioDigest(projects, analyses, now);
+
+      expect(digest.total).toBe(3);
+      expect(digest.byStatus.on_track).toBe(1);
+      expect(digest.byStatus.off_track).toBe(1);
+      expect(digest.byStatus.no_status).toBe(1);
+      expect(digest.byRiskLevel.high).toBe(1);
+    });
+
+    test('debe listar bloqueos, sin update y tendencias que empeoran', () => {
+      const digest = buildPortfolioDigest(projects, analyses, now);
+
+      expect(digest.withBlockers.map(p => p.gid)).toEqual(['p2']);
+      expect(digest.withoutUpdate.map(p => p.gid)).toEqual(['p2', 'p3']);
+      expect(digest.worsening.map(p => p.gid)).toEqual(['p2']);
+    });
+
+    test('debe agrupar por responsable ordenado por nombre', () => {
+      const digest = buildPortfolioDigest(projects, analyses, now);
+
+      expect(digest.byResponsable.map(g => g.responsable)).toEqual(['Ana Perez', 'Harold Gomez']);
+      expect(digest.byResponsable[1].projects[0].gid).toBe('p2');
+    });
+
+  });
+
+});
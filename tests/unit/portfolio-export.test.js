@@ -0,0 +1,131 @@
+/**
+ * Tests para portfolio-export.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  ...jest.requireActual('../../src/services/dynamo'),
+  getAllCachedProjects: jest.fn(),
+  getAllOnboardedUsers: jest.fn(),
+  getUpdatesBetween: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  uploadFile: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const portfolioExport = require('../../src/lib/portfolio-export');
+
+const TODAY = '2026-10-19';
+
+const projects = [
+  { gid: '1', name: 'Portal', pmoId: 'PMO-911', clienteNuevo: 'Banco Estado', responsable: 'Ana Perez', status: 'On Track', progressPercent: 40 },
+  { gid: '2', name: 'App móvil', pmoId: 'PMO-912', clienteNuevo: 'Acme', responsable: 'Luis Soto', status: 'Off Track' }
+];
+
+const updates = [
+  { projectGid: '1', projectName: 'Portal', status: 'at_risk', advances: 'Primero', pmSlackId: 'U1', timestamp: '2026-10-01T10:00:00.000Z' },
+  { projectGid: '2', projectName: 'App móvil', status: 'off_track', advances: 'Atraso', hasBlockers: true, blockerDescription: 'Sin accesos', pmSlackId: 'U2', timestamp: '2026-10-05T12:30:00.000Z' },
+  { projectGid: '1', projectName: 'Portal', status: 'on_track', advances: 'Texto largo', summary: { headline: 'QA listo' }, pmSlackId: 'U1', timestamp: '2026-10-10T09:15:00.000Z' }
+];
+
+describe('Portfolio Export', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dynamoService.getAllCachedProjects.mockResolvedValue(projects);
+    dynamoService.getAllOnboardedUsers.mockResolvedValue([{ slackUserId: 'U1', asanaName: 'Ana Perez' }]);
+    dynamoService.getUpdatesBetween.mockResolvedValue(updates);
+    slackService.uploadFile.mockResolvedValue({ ok: true });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  describe('parseExportCommand', () => {
+
+    test('debe interpretar el portafolio con formato y filtros', () => {
+      expect(portfolioExport.parseExportCommand('Exportar xlsx cliente:"banco estado" estado:rojo', TODAY)).toEqual({
+        type: 'portfolio',
+        format: 'xlsx',
+        from: null,
+        to: null,
+        filters: { cliente: 'banco estado', estado: 'rojo' }
+      });
+    });
+
+    test('debe interpretar el historial con rango de fechas', () => {
+      expect(portfolioExport.parseExportCommand('exportar updates desde 01/09 hasta 2026-09-30', TODAY))
+        .toMatchObject({ type: 'updates', format: 'csv', from: '2026-09-01', to: '2026-09-30' });
+      // Por defecto: últimos 30 días
+      expect(portfolioExport.parseExportCommand('export history', TODAY))
+        .toMatchObject({ type: 'updates', from: '2026-09-19', to: TODAY });
+      // Un DD/MM futuro es del año anterior
+      expect(portfolioExport.parseExportCommand('exportar desde 01/12', TODAY))
+        .toMatchObject({ type: 'updates', from: '2025-12-01', to: TODAY });
+    });
+
+    test('debe rechazar argumentos que no entiende', () => {
+      expect(portfolioExport.parseExportCommand('exportar el proyecto', TODAY)).toEqual({ invalid: true });
+      expect(portfolioExport.parseExportCommand('exportar updates desde 30/09 hasta 01/09', TODAY)).toEqual({ invalid: true });
+      expect(portfolioExport.parseExportCommand('exportar desde ayer', TODAY)).toEqual({ invalid: true });
+      expect(portfolioExport.parseExportCommand('exportaciones del mes', TODAY)).toBeNull();
+    });
+
+  });
+
+  test('el portafolio debe tener el último update de cada proyecto', async () => {
+    const file = await portfolioExport.buildExport(
+      portfolioExport.parseExportCommand('exportar', TODAY), 'es'
+    );
+
+    expect(file.filename).toMatch(/^portfolio-\d{4}-\d{2}-\d{2}\.csv$/);
+    expect(file.count).toBe(2);
+    const lines = file.content.toString('utf8').slice(1).split('\r\n');
+    expect(lines[0]).toBe('PMO ID,Proyecto,Cliente,Responsable,Estado Asana,Avance,Fecha fin,Último update (UTC),' +
+      'Estado reportado,Resumen,Bloqueos,Próximos pasos,PM');
+    expect(lines[1]).toBe('PMO-912,App móvil,Acme,Luis Soto,Off Track,,,2026-10-05 12:30,Off Track,Atraso,Sin accesos,,U2');
+    expect(lines[2]).toBe('PMO-911,Portal,Banco Estado,Ana Perez,On Track,40,,2026-10-10 09:15,On Track,QA listo,,,Ana Perez');
+  });
+
+  test('el historial debe filtrar por cliente y por estado reportado', async () => {
+    const command = portfolioExport.parseExportCommand('exportar updates desde 01/10 cliente:banco estado:riesgo', TODAY);
+
+    const file = await portfolioExport.buildExport(command, 'en');
+
+    expect(dynamoService.getUpdatesBetween).toHaveBeenCalledWith('2026-10-01', TODAY);
+    expect(file.filename).toBe('updates-2026-10-01_2026-10-19.csv');
+    expect(file.count).toBe(1);
+    const lines = file.content.toString('utf8').slice(1).split('\r\n');
+    expect(lines[0].startsWith('Date (UTC),PMO ID,Project,Client,Owner,Reported status')).toBe(true);
+    expect(lines[1]).toContain('2026-10-01 10:00,PMO-911,Portal,Banco Estado,Ana Perez,At Risk,Primero');
+  });
+
+  describe('sendExport', () => {
+
+    test('debe subir el archivo al DM con el resumen y los filtros', async () => {
+      const command = portfolioExport.parseExportCommand('exportar xlsx responsable:ana', TODAY);
+
+      const result = await portfolioExport.sendExport('U9', command, 'es');
+
+      expect(result.count).toBe(1);
+      const [userId, file] = slackService.uploadFile.mock.calls[0];
+      expect(userId).toBe('U9');
+      expect(file.filename).toMatch(/\.xlsx$/);
+      expect(file.content.slice(0, 2).toString()).toBe('PK');
+      expect(file.initialComment).toBe('📊 Portafolio: 1 proyecto con su último update\nFiltros: responsable:ana');
+    });
+
+    test('sin filas no debe subir nada', async () => {
+      const command = portfolioExport.parseExportCommand('exportar cliente:inexistente', TODAY);
+
+      expect(await portfolioExport.sendExport('U9', command, 'es')).toEqual({ count: 0 });
+      expect(slackService.uploadFile).not.toHaveBeenCalled();
+    });
+
+  });
+
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests para project-channels.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getChannelLink: jest.fn(),
+  getProjectChannel: jest.fn(),
+  saveProjectChannel: jest.fn(),
+  deleteProjectChannel: jest.fn(),
+  setProjectChannelPulse: jest.fn(),
+  getPulseChannelLinks: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const projectChannels = require('../../src/lib/project-channels');
+
+const project = { gid: '123', name: 'Portal', pmoId: 'PMO-911' };
+
+function link(overrides = {}) {
+  return {
+    projectGid: '123',
+    projectName: 'Portal',
+    projectPmoId: 'PMO-911',
+    channelId: 'C1',
+    pulseInChannel: false,
+    ...overrides
+  };
+}
+
+describe('Project Channels', () => {
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    slackService.sendMessage.mockResolvedValue({ ts: '1.0' });
+    dynamoService.saveProjectChannel.mockImplementation(async l => ({ ...l, projectPmoId: l.pmoId }));
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  describe('linkChannel', () => {
+
+    test('debe reemplazar los vínculos anteriores del canal y del proyecto', async () => {
+      dynamoService.getChannelLink.mockResolvedValue({ channelId: 'C1', projectGid: '999' });
+      dynamoService.getProjectChannel
+        .mockResolvedValueOnce(link({ projectGid: '999' }))
+        .mockResolvedValueOnce(link({ channelId: 'C2' }));
+
+      const result = await projectChannels.linkChannel('C1', project, 'U1');
+
+      expect(result.linked).toBe(true);
+      expect(dynamoService.deleteProjectChannel).toHaveBeenCalledWith('999', 'C1');
+      expect(dynamoService.deleteProjectChannel).toHaveBeenCalledWith('123', 'C2');
+      expect(dynamoService.saveProjectChannel).toHaveBeenCalledWith(expect.objectContaining({
+        projectGid: '123', channelId: 'C1', linkedBy: 'U1', pulseInChannel: false
+      }));
+      expect(slackService.sendMessage).toHaveBeenCalledWith('C1', expect.any(String), expect.any(Array));
+    });
+
+    test('re-vincular el mismo canal debe conservar el destino del pulse', async () => {
+      dynamoService.getChannelLink.mockResolvedValue({ channelId: 'C1', projectGid: '123' });
+      dynamoService.getProjectChannel.mockResolvedValue(link({ pulseInChannel: true }));
+
+      await projectChannels.linkChannel('C1', project, 'U1');
+
+      expect(dynamoService.deleteProjectChannel).not.toHaveBeenCalled();
+      expect(dynamoService.saveProjectChannel).toHaveBeenCalledWith(expect.objectContaining({ pulseInChannel: true }));
+    });
+
+    test('sin acceso al canal debe deshacer el vínculo', async () => {
+      slackService.sendMessage.mockRejectedValue(Object.assign(new Error('An API error occurred: not_in_channel'), {
+        data: { error: 'not_in_channel' }
+      }));
+
+      const result = await projectChannels.linkChannel('C1', project, 'U1');
+
+      expect(result).toEqual({ linked: false, reason: 'not_in_channel' });
+      expect(dynamoService.deleteProjectChannel).toHaveBeenCalledWith('123', 'C1');
+    });
+
+  });
+
+  test('getChannelProject debe ignorar un índice inverso desactualizado', async () => {
+    dynamoService.getChannelLink.mockResolvedValue({ channelId: 'C1', projectGid: '123' });
+    dynamoService.getProjectChannel.mockResolvedValue(link({ channelId: 'C2' }));
+
+    expect(await projectChannels.getChannelProject('C1')).toBeNull();
+
+    dynamoService.getChannelLink.mockResolvedValue(null);
+    expect(await projectChannels.getChannelProject('C3')).toBeNull();
+  });
+
+  test('unlinkChannel debe eliminar el vínculo y avisar en el canal', async () => {
+    dynamoService.getChannelLink.mockResolvedValue({ channelId: 'C1', projectGid: '123' });
+    dynamoService.getProjectChannel.mockResolvedValue(link());
+
+    const removed = await projectChannels.unlinkChannel('C1', 'U1');
+
+    expect(removed.projectGid).toBe('123');
+    expect(dynamoService.deleteProjectChannel).toHaveBeenCalledWith('123', 'C1');
+    expect(slackService.sendMessage.mock.calls[0][1]).toContain('*Portal*');
+  });
+
+  test('setChannelPulse debe avisar el cambio con el botón para revertirlo', async () => {
+    dynamoService.setProjectChannelPulse.mockResolvedValue(link({ pulseInChannel: true }));
+
+    await projectChannels.setChannelPulse('123', true, 'U1');
+
+    const [channel, text, blocks] = slackService.sendMessage.mock.calls[0];
+    expect(channel).toBe('C1');
+    expect(text).toContain('<@U1>');
+    expect(blocks[1].elements[0].action_id).toBe('channelpulse_off');
+  });
+
+  describe('crossPostUpdate', () => {
+
+    const update = { projectGid: '123', projectName: 'Portal', pmSlackId: 'U2', status: 'on_track', advances: 'Listo' };
+
+    test('debe publicar el update en el canal vinculado', async () => {
+      dynamoService.getProjectChannel.mockResolvedValue(link());
+
+      expect(await projectChannels.crossPostUpdate(update)).toBe(true);
+      expect(slackService.sendMessage).toHaveBeenCalledWith('C1', 'Nuevo update de Portal', expect.any(Array));
+    });
+
+    test('sin canal o con error no debe publicar ni fallar', async () => {
+      dynamoService.getProjectChannel.mockResolvedValueOnce(null);
+      expect(await projectChannels.crossPostUpdate(update)).toBe(false);
+
+      dynamoService.getProjectChannel.mockResolvedValueOnce(link());
+      slackService.sendMessage.mockRejectedValueOnce(new Error('channel_not_found'));
+      expect(await projectChannels.crossPostUpdate(update)).toBe(false);
+    });
+
+  });
+
+  test('sendChannelPulse debe enviar el formulario de update al canal', async () => {
+    dynamoService.getPulseChannelLinks.mockResolvedValue([link({ pulseInChannel: true })]);
+
+    const channels = await projectChannels.getPulseChannels();
+    await projectChannels.sendChannelPulse(project, channels.get('123'));
+
+    const [channel, , blocks] = slackService.sendMessage.mock.calls[0];
+    expect(channel).toBe('C1');
+    expect(JSON.stringify(blocks)).toContain('updateform_123');
+  });
+
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests para project-history.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getProjectUpdates: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const projectHistory = require('../../src/lib/project-history');
+const { getProjectHistoryText } = require('../../src/lib/messages');
+
+function makeUpdates(statuses) {
+  return statuses.map((status, i) => ({
+    status,
+    timestamp: new Date(Date.UTC(2024, 0, 1 + i * 3, 15)).toISOString(),
+    pmSlackId: 'U123',
+    advances: `Avance ${i + 1}`,
+    hasBlockers: false
+  }));
+}
+
+describe('Project History', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('parseHistoryCommand debe reconocer el comando con o sin PMO ID', () => {
+    expect(projectHistory.parseHistoryCommand('historial PMO-911')).toEqual({ pmoId: 'PMO-911' });
+    expect(projectHistory.parseHistoryCommand('History pmo911')).toEqual({ pmoId: 'PMO-911' });
+    expect(projectHistory.parseHistoryCommand('histórico PMO-12')).toEqual({ pmoId: 'PMO-12' });
+    expect(projectHistory.parseHistoryCommand('historial')).toEqual({ pmoId: null });
+    expect(projectHistory.parseHistoryCommand('historial del proyecto portal')).toBeNull();
+    expect(projectHistory.parseHistoryCommand('PMO-911')).toBeNull();
+  });
+
+  test('el sparkline debe usar los últimos estados del más antiguo al más reciente', () => {
+    const updates = makeUpdates(['on_track', 'on_track', 'at_risk', 'off_track', null]);
+
+    expect(projectHistory.getStatusSparkline(updates)).toBe('🟢🟢🟡🔴⚪');
+    expect(projectHistory.getStatusSparkline(updates, 2)).toBe('🔴⚪');
+  });
+
+  test('la línea de tiempo debe ir del más reciente al más antiguo con el estado anterior', () => {
+    const timeline = projectHistory.buildTimeline(makeUpdates(['on_track', 'at_risk', 'off_track']));
+
+    expect(timeline.map(u => [u.previousStatus, u.status])).toEqual([
+      ['at_risk', 'off_track'],
+      ['on_track', 'at_risk'],
+      [null, 'on_track']
+    ]);
+  });
+
+  test('getHistoryPage debe paginar de a 5 updates', () => {
+    const updates = makeUpdates(Array(7).fill('on_track'));
+
+    const first = projectHistory.getHistoryPage(updates, 0);
+    expect(first.entries).toHaveLength(5);
+    expect(first.entries[0].advances).toBe('Avance 7');
+    expect(first).toMatchObject({ page: 0, totalPages: 2, total: 7 });
+
+    const second = projectHistory.getHistoryPage(updates, 1);
+    expect(second.entries.map(u => u.advances)).toEqual(['Avance 2', 'Avance 1']);
+
+    expect(projectHistory.getHistoryPage(updates, 2)).toBeNull();
+  });
+
+  test('un proyecto sin updates debe tener una página vacía', () => {
+    const history = projectHistory.getHistoryPage([], 0);
+
+    expect(history).toMatchObject({ entries: [], total: 0, totalPages: 1 });
+    expect(getProjectHistoryText('Portal', history)).toBe('Aún no hay updates registrados para *Portal*.');
+  });
+
+  test('loadHistoryPage debe leer todos los updates del proyecto', async () => {
+    dynamoService.getProjectUpdates.mockResolvedValue(makeUpdates(Array(6).fill('at_risk')));
+
+    const history = await projectHistory.loadHistoryPage('p1', 0);
+
+    expect(dynamoService.getProjectUpdates).toHaveBeenCalledWith('p1');
+    expect(getProjectHistoryText('Portal', history)).toContain('Página 1 de 2. Escribe "siguiente" para ver updates anteriores.');
+  });
+
+  test('el historial debe mostrarse en el idioma del usuario', () => {
+    const history = projectHistory.getHistoryPage(makeUpdates(['on_track', 'at_risk']), 0);
+    const text = getProjectHistoryText('Portal', history, 'en');
+
+    expect(text).toContain('*History of Portal* (2 updates)');
+    expect(text).toContain('Trend: 🟢🟡');
+    expect(text).toContain('🟢 On Track → 🟡 At Risk');
+  });
+
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests para project-search.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getSearchTokens: jest.requireActual('../../src/services/dynamo').getSearchTokens,
+  searchProjectIndex: jest.fn(),
+  getCachedProjectsByGids: jest.fn(),
+  getAllCachedProjects: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const projectSearch = require('../../src/lib/project-search');
+
+const projects = {
+  p1: { gid: 'p1', name: 'Migración Banco Estado', clienteNuevo: 'Banco Estado', responsable: 'Ana Pérez', pmoId: 'PMO-911', status: 'on_track' },
+  p2: { gid: 'p2', name: 'Migración Retail', clienteNuevo: 'Acme', responsable: 'Luis Soto', pmoId: 'PMO-912', status: 'off_track' },
+  p3: { gid: 'p3', name: 'Data Lake Migraciones', clienteNuevo: 'Acme', responsable: 'Ana Pérez', pmoId: 'PMO-913', status: 'at_risk' }
+};
+
+// Índice simulado: gids con algún token que empieza con el término
+function mockIndex() {
+  dynamoService.searchProjectIndex.mockImplementation(async (term) =>
+    Object.values(projects)
+      .filter(p => [p.name, p.clienteNuevo, p.responsable, p.pmoId]
+        .flatMap(dynamoService.getSearchTokens)
+        .some(token => token.startsWith(term)))
+      .map(p => p.gid)
+  );
+  dynamoService.getCachedProjectsByGids.mockImplementation(async gids => gids.map(gid => projects[gid]));
+}
+
+describe('Project Search', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockIndex();
+  });
+
+  test('parseSearchQuery debe separar palabras y filtros', () => {
+    expect(projectSearch.parseSearchQuery('Migración cliente:"Banco Estado" estado:riesgo owner:ana')).toEqual({
+      terms: ['migracion'],
+      filters: { cliente: 'Banco Estado', estado: 'riesgo', responsable: 'ana' }
+    });
+    expect(projectSearch.hasSearchFilters('proyectos Cliente:acme')).toBe(true);
+    expect(projectSearch.hasSearchFilters('proyecto del cliente acme')).toBe(false);
+  });
+
+  test('normalizeStatusFilter debe aceptar alias de estado', () => {
+    expect(projectSearch.normalizeStatusFilter('At Risk')).toBe('at_risk');
+    expect(projectSearch.normalizeStatusFilter('rojo')).toBe('off_track');
+    expect(projectSearch.normalizeStatusFilter('on_hold')).toBe('on_hold');
+  });
+
+  test('debe buscar sin tildes y combinar palabras con AND', async () => {
+    const results = await projectSearch.searchProjects('migracion banco');
+
+    expect(results.map(p => p.gid)).toEqual(['p1']);
+    expect(dynamoService.searchProjectIndex).toHaveBeenCalledWith('migracion');
+    expect(dynamoService.searchProjectIndex).toHaveBeenCalledWith('banco');
+    expect(dynamoService.getCachedProjectsByGids).toHaveBeenCalledWith(['p1']);
+  });
+
+  test('debe ordenar por calidad del match y luego por estado', async () => {
+    const results = await projectSearch.searchProjects('MIGRACIÓN');
+
+    // Exactos en el nombre primero (Off Track antes que On Track), prefijo al final
+    expect(results.map(p => p.gid)).toEqual(['p2', 'p1', 'p3']);
+  });
+
+  test('debe aplicar filtros de cliente, responsable y estado', async () => {
+    expect((await projectSearch.searchProjects('migra cliente:acme')).map(p => p.gid)).toEqual(['p2', 'p3']);
+    expect((await projectSearch.searchProjects('responsable:"ana perez" estado:riesgo')).map(p => p.gid)).toEqual(['p3']);
+  });
+
+  test('solo con filtro de estado debe recorrer el cache completo', async () => {
+    dynamoService.getAllCachedProjects.mockResolvedValue(Object.values(projects));
+
+    const results = await projectSearch.searchProjects('estado:off_track');
+
+    expect(results.map(p => p.gid)).toEqual(['p2']);
+    expect(dynamoService.searchProjectIndex).not.toHaveBeenCalled();
+  });
+
+  test('debe retornar vacío sin consulta o si falla el índice', async () => {
+    expect(await projectSearch.searchProjects('  ')).toEqual([]);
+
+    dynamoService.searchProjectIndex.mockRejectedValueOnce(new Error('throttled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(await projectSearch.searchProjects('portal')).toEqual([]);
+    console.error.mockRestore();
+  });
+
+});
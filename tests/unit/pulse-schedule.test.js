@@ -0,0 +1,80 @@
+/**
+ * Tests para pulse-schedule.js
+ */
+
+const { DateTime } = require('luxon');
+const {
+  normalizeSchedule,
+  getUserSchedule,
+  isPulseDue,
+  formatHour
+} = require('../../src/lib/pulse-schedule');
+
+// Lunes 2024-03-04 14:00 UTC = 9:00 en Lima (UTC-5) y 8:00 en Ciudad de México (UTC-6)
+const MONDAY_14_UTC = DateTime.fromISO('2024-03-04T14:00:00Z', { zone: 'utc' });
+
+describe('Pulse Schedule', () => {
+
+  describe('normalizeSchedule', () => {
+
+    test('sin horario debe usar Lunes y Jueves 9:00 semanal', () => {
+      expect(getUserSchedule({})).toEqual({ days: [1, 4], hour: 9, frequency: 'weekly', startDate: null });
+    });
+
+    test('debe descartar valores inválidos', () => {
+      const schedule = normalizeSchedule({ days: [5, '2', 9, 2], hour: 30, frequency: 'daily' });
+
+      expect(schedule.days).toEqual([2, 5]);
+      expect(schedule.hour).toBe(9);
+      expect(schedule.frequency).toBe('weekly');
+    });
+
+  });
+
+  describe('isPulseDue', () => {
+
+    test('debe usar la hora local de cada usuario', () => {
+      expect(isPulseDue({ timezone: 'America/Lima' }, MONDAY_14_UTC)).toBe(true);
+      expect(isPulseDue({ timezone: 'America/Mexico_City' }, MONDAY_14_UTC)).toBe(false);
+
+      const mexico = { timezone: 'America/Mexico_City', schedule: { days: [1], hour: 8 } };
+      expect(isPulseDue(mexico, MONDAY_14_UTC)).toBe(true);
+    });
+
+    test('no debe enviar en días fuera del horario', () => {
+      const user = { timezone: 'America/Lima', schedule: { days: [2, 5], hour: 9 } };
+      expect(isPulseDue(user, MONDAY_14_UTC)).toBe(false);
+    });
+
+    test('no debe repetir la solicitud el mismo día', () => {
+      const user = { timezone: 'America/Lima', lastPulseAt: '2024-03-04T13:59:00Z' };
+      expect(isPulseDue(user, MONDAY_14_UTC)).toBe(false);
+
+      user.lastPulseAt = '2024-02-29T12:00:00Z';
+      expect(isPulseDue(user, MONDAY_14_UTC)).toBe(true);
+    });
+
+    test('cada 2 semanas debe alternar desde la semana de inicio', () => {
+      const user = {
+        timezone: 'America/Lima',
+        schedule: { days: [1], hour: 9, frequency: 'biweekly', startDate: '2024-02-28' }
+      };
+
+      expect(isPulseDue(user, MONDAY_14_UTC.minus({ weeks: 1 }))).toBe(true);
+      expect(isPulseDue(user, MONDAY_14_UTC)).toBe(false);
+      expect(isPulseDue(user, MONDAY_14_UTC.plus({ weeks: 1 }))).toBe(true);
+    });
+
+  });
+
+  describe('formatHour', () => {
+
+    test('debe formatear en 12 horas', () => {
+      expect(formatHour(9)).toBe('9:00 AM');
+      expect(formatHour(12)).toBe('12:00 PM');
+      expect(formatHour(18)).toBe('6:00 PM');
+    });
+
+  });
+
+});
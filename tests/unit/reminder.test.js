@@ -0,0 +1,90 @@
+/**
+ * Tests para reminder.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  getActiveConversationStates: jest.fn(),
+  getUser: jest.fn(),
+  getLastUpdates: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn(),
+  sendUpdateRequest: jest.fn()
+}));
+
+jest.mock('../../src/lib/conversation-state', () => ({
+  ...jest.requireActual('../../src/lib/conversation-state'),
+  setConversationState: jest.fn(),
+  clearConversationState: jest.fn()
+}));
+
+jest.mock('../../src/lib/update-flow', () => ({
+  advanceToNextProject: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const conversationState = require('../../src/lib/conversation-state');
+const updateFlow = require('../../src/lib/update-flow');
+const reminder = require('../../src/handlers/reminder');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-03-10T15:00:00.000Z');
+
+function pendingState(overrides = {}) {
+  return {
+    slackUserId: 'U1',
+    step: 'awaiting_blocker_description',
+    currentProjectGid: '111',
+    currentProjectName: 'Portal',
+    language: 'es',
+    lastPromptAt: new Date(now.getTime() - 2 * HOUR_MS).toISOString(),
+    ...overrides
+  };
+}
+
+describe('Reminder', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true });
+    dynamoService.getLastUpdates.mockResolvedValue([]);
+  });
+
+  test('debe recordar la descripción del bloqueo a quien no respondió', async () => {
+    dynamoService.getActiveConversationStates.mockResolvedValue([pendingState()]);
+
+    const stats = await reminder.runReminders(now);
+
+    expect(stats).toEqual({ processed: 1, reminded: 1, advanced: 0 });
+    expect(slackService.sendMessage).toHaveBeenCalledWith('U1', expect.stringContaining('describir el bloqueo de *Portal*'));
+    expect(conversationState.setConversationState).toHaveBeenCalledWith('U1', expect.objectContaining({
+      step: 'awaiting_blocker_description'
+    }));
+  });
+
+  test('debe pasar al siguiente proyecto si el actual ya se actualizó por otra vía', async () => {
+    dynamoService.getActiveConversationStates.mockResolvedValue([pendingState()]);
+    dynamoService.getLastUpdates.mockResolvedValue([{ timestamp: new Date(now.getTime() - HOUR_MS).toISOString() }]);
+    updateFlow.advanceToNextProject.mockResolvedValue(true);
+
+    const stats = await reminder.runReminders(now);
+
+    expect(stats).toEqual({ processed: 1, reminded: 0, advanced: 1 });
+    expect(updateFlow.advanceToNextProject).toHaveBeenCalledWith('U1', expect.objectContaining({ currentProjectGid: '111' }));
+    expect(slackService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('no debe insistir antes de una hora', async () => {
+    dynamoService.getActiveConversationStates.mockResolvedValue([
+      pendingState({ lastPromptAt: new Date(now.getTime() - 30 * 60 * 1000).toISOString() })
+    ]);
+
+    const stats = await reminder.runReminders(now);
+
+    expect(stats.reminded).toBe(0);
+    expect(dynamoService.getUser).not.toHaveBeenCalled();
+  });
+
+});
@@ -2,7 +2,7 @@
  * Tests para risk-detector.js
  */
 
-const { shouldAlert, getRiskScore, generateRiskSummary } = require('../../src/lib/risk-detector');
+const { shouldAlert, getRiskScore, getRiskTrend, generateRiskSummary, analyzeProjectRisk } = require('../../src/lib/risk-detector');
 
 describe('Risk Detector', () => {
 
@@ -64,6 +64,48 @@ describe('Risk Detector', () => {
 
   });
 
+  describe('shouldAlert con reglas', () => {
+
+    test('debe retornar todas las reglas que se cumplen, la más severa primero', () => {
+      const result = shouldAlert(
+        { status: 'off_track', hasBlockers: true },
+        [{ status: 'on_track' }]
+      );
+
+      expect(result.firedRules.map(r => r.id)).toEqual(['off_track', 'green_to_red', 'blocker_not_green']);
+      expect(result.severity).toBe('high');
+    });
+
+    test('debe evaluar campos del proyecto en cache', () => {
+      const now = new Date('2024-03-01T12:00:00Z');
+      const result = shouldAlert(
+        { status: 'on_track', hasBlockers: false },
+        [],
+        { project: { dueOn: '2024-03-10', progressPercent: '60%' }, now }
+      );
+
+      expect(result.shouldAlert).toBe(true);
+      expect(result.firedRules.map(r => r.id)).toEqual(['due_soon_low_progress']);
+    });
+
+    test('debe aceptar reglas propias', () => {
+      const rules = [{
+        id: 'any_blocker',
+        severity: 'low',
+        reason: 'Bloqueo reportado',
+        channel: 'C-BLOQUEOS',
+        when: { all: [{ fact: 'hasBlockers', op: 'eq', value: true }] }
+      }];
+
+      const result = shouldAlert({ status: 'on_track', hasBlockers: true }, [], { rules });
+
+      expect(result.firedRules).toEqual([
+        { id: 'any_blocker', severity: 'low', reason: 'Bloqueo reportado', channel: 'C-BLOQUEOS' }
+      ]);
+    });
+
+  });
+
   describe('getRiskScore', () => {
 
     test('on_track debe tener score 0', () => {
@@ -84,6 +126,54 @@ describe('Risk Detector', () => {
 
   });
 
+  describe('getRiskTrend', () => {
+
+    test('debe detectar empeoramiento (updates del más reciente al más antiguo)', () => {
+      const trend = getRiskTrend([{ status: 'off_track' }, { status: 'at_risk' }, { status: 'on_track' }]);
+
+      expect(trend.direction).toBe('worsening');
+      expect(trend.delta).toBe(2);
+    });
+
+    test('debe detectar mejora', () => {
+      const trend = getRiskTrend([{ status: 'on_track' }, { status: 'off_track' }]);
+
+      expect(trend.direction).toBe('improving');
+      expect(trend.delta).toBe(-2);
+    });
+
+    test('un solo update es estable', () => {
+      expect(getRiskTrend([{ status: 'off_track' }]).direction).toBe('stable');
+    });
+
+  });
+
+  describe('analyzeProjectRisk', () => {
+
+    test('no debe reportar tendencia creciente cuando el proyecto mejora', async () => {
+      const dynamoService = {
+        getLastUpdates: async () => [{ status: 'at_risk' }, { status: 'off_track' }]
+      };
+
+      const result = await analyzeProjectRisk('proj-001', dynamoService);
+
+      expect(result.trend).toBe('improving');
+      expect(result.alerts).not.toContain('Tendencia de riesgo creciente');
+    });
+
+    test('debe reportar tendencia creciente cuando el proyecto empeora', async () => {
+      const dynamoService = {
+        getLastUpdates: async () => [{ status: 'off_track' }, { status: 'at_risk' }, { status: 'on_track' }]
+      };
+
+      const result = await analyzeProjectRisk('proj-001', dynamoService);
+
+      expect(result.trend).toBe('worsening');
+      expect(result.alerts).toContain('Tendencia de riesgo creciente');
+    });
+
+  });
+
   describe('generateRiskSummary', () => {
 
     test('debe contar correctamente por nivel de riesgo', () => {
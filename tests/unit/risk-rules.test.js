@@ -0,0 +1,145 @@
+/**
+ * Tests para risk-rules.js
+ */
+
+const { validateRule, loadRiskRules, getQuietRules, buildRiskFacts, evaluateRules } = require('../../src/lib/risk-rules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Risk Rules', () => {
+
+  describe('loadRiskRules', () => {
+
+    test('las reglas por defecto deben ser válidas', () => {
+      const defaultConfig = require('../../src/config/risk-rules.json');
+
+      defaultConfig.rules.forEach((rule) => {
+        expect(validateRule(rule)).toEqual([]);
+      });
+      expect(loadRiskRules()).toHaveLength(defaultConfig.rules.length);
+    });
+
+    test('debe descartar reglas deshabilitadas o inválidas', () => {
+      const rules = loadRiskRules({
+        rules: [
+          { id: 'ok', severity: 'low', reason: 'OK', when: { all: [{ fact: 'status', op: 'eq', value: 'at_risk' }] } },
+          { id: 'off', enabled: false, severity: 'low', reason: 'Off', when: { all: [{ fact: 'status', op: 'eq', value: 'x' }] } },
+          { id: 'bad', severity: 'urgent', reason: 'Bad', when: { all: [{ fact: 'presupuesto', op: 'gt', value: 1 }] } }
+        ]
+      });
+
+      expect(rules.map(r => r.id)).toEqual(['ok']);
+    });
+
+  });
+
+  describe('buildRiskFacts', () => {
+
+    const now = new Date('2024-03-01T12:00:00Z');
+
+    test('debe calcular facts del historial y del proyecto', () => {
+      const facts = buildRiskFacts(
+        { status: 'at_risk', hasBlockers: false, pendingTasks: 12, timestamp: now.toISOString() },
+        [
+          { status: 'at_risk', pendingTasks: 10, timestamp: new Date(now.getTime() - 11 * DAY_MS).toISOString() },
+          { status: 'on_track', pendingTasks: 8 },
+          { status: 'on_track', pendingTasks: 9 }
+        ],
+        { dueOn: '2024-03-08', progressPercent: '75%' },
+        now
+      );
+
+      expect(facts).toEqual({
+        status: 'at_risk',
+        previousStatus: 'at_risk',
+        hasBlockers: false,
+        consecutiveStatusCount: 2,
+        daysSinceLastUpdate: 11,
+        daysToDue: 6,
+        progressPercent: 75,
+        pendingTasks: 12,
+        pendingTasksIncreasingUpdates: 2
+      });
+    });
+
+    test('sin datos del proyecto los facts quedan en null', () => {
+      const facts = buildRiskFacts({ status: 'on_track' }, [], null, now);
+
+      expect(facts.daysSinceLastUpdate).toBeNull();
+      expect(facts.daysToDue).toBeNull();
+      expect(facts.progressPercent).toBeNull();
+      expect(facts.pendingTasksIncreasingUpdates).toBe(0);
+    });
+
+  });
+
+  describe('pending_tasks_growing', () => {
+
+    const now = new Date('2024-03-01T12:00:00Z');
+    const rules = loadRiskRules();
+    const fires = (current, ...previous) => evaluateRules(
+      rules,
+      buildRiskFacts({ status: 'on_track', pendingTasks: current }, previous.map(pendingTasks => ({ status: 'on_track', pendingTasks })), null, now)
+    ).some(rule => rule.id === 'pending_tasks_growing');
+
+    test('no debe dispararse con solo 2 aumentos seguidos', () => {
+      expect(fires(12, 10, 8, 9)).toBe(false);
+    });
+
+    test('debe dispararse con 3 aumentos seguidos', () => {
+      expect(fires(12, 10, 8, 6)).toBe(true);
+    });
+
+  });
+
+  describe('stale_update', () => {
+
+    const now = new Date('2024-03-01T12:00:00Z');
+    const rules = loadRiskRules();
+
+    test('debe cumplirse si el update anterior tiene 10 días o más', () => {
+      const current = { status: 'on_track', hasBlockers: false, timestamp: now.toISOString() };
+
+      const stale = buildRiskFacts(current, [{ status: 'on_track', timestamp: new Date(now.getTime() - 10 * DAY_MS).toISOString() }], null, now);
+      const recent = buildRiskFacts(current, [{ status: 'on_track', timestamp: new Date(now.getTime() - 3 * DAY_MS).toISOString() }], null, now);
+
+      expect(stale.daysSinceLastUpdate).toBe(10);
+      expect(evaluateRules(rules, stale).map(r => r.id)).toEqual(['stale_update']);
+      expect(evaluateRules(rules, recent)).toEqual([]);
+    });
+
+    test('sin reportes anteriores debe usar el último status de Asana del cache', () => {
+      const facts = buildRiskFacts({ status: 'on_track' }, [], { lastUpdateAt: '2024-02-15T12:00:00Z' }, now);
+
+      expect(facts.daysSinceLastUpdate).toBe(15);
+    });
+
+    test('getQuietRules debe incluir solo las reglas que no necesitan un update nuevo', () => {
+      expect(getQuietRules(rules).map(r => r.id)).toEqual(['stale_update']);
+    });
+
+  });
+
+  describe('evaluateRules', () => {
+
+    const rules = [
+      { id: 'stale', severity: 'low', reason: 'Sin updates', when: { all: [{ fact: 'daysSinceLastUpdate', op: 'gte', value: 10 }] } },
+      { id: 'red', severity: 'high', reason: 'Off track', when: { any: [{ fact: 'status', op: 'in', value: ['off_track'] }] } },
+      { id: 'no_due', severity: 'medium', reason: 'Sin fecha', when: { all: [{ fact: 'daysToDue', op: 'exists', value: false }] } }
+    ];
+
+    test('debe retornar todas las reglas cumplidas ordenadas por severidad', () => {
+      const fired = evaluateRules(rules, { status: 'off_track', daysSinceLastUpdate: 12, daysToDue: null });
+
+      expect(fired.map(r => r.id)).toEqual(['red', 'no_due', 'stale']);
+    });
+
+    test('una condición sobre un fact nulo no se cumple', () => {
+      const fired = evaluateRules(rules, { status: 'on_track', daysSinceLastUpdate: null, daysToDue: 30 });
+
+      expect(fired).toEqual([]);
+    });
+
+  });
+
+});
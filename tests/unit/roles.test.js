@@ -0,0 +1,63 @@
+/**
+ * Tests para roles.js
+ */
+
+const roles = require('../../src/lib/roles');
+
+describe('Roles', () => {
+
+  const originalAdmins = process.env.ADMIN_SLACK_IDS;
+
+  beforeEach(() => {
+    process.env.ADMIN_SLACK_IDS = 'UADMIN1, uadmin2';
+  });
+
+  afterEach(() => {
+    if (originalAdmins === undefined) {
+      delete process.env.ADMIN_SLACK_IDS;
+    } else {
+      process.env.ADMIN_SLACK_IDS = originalAdmins;
+    }
+  });
+
+  test('getAdminIds debe aceptar comas y espacios', () => {
+    expect(roles.getAdminIds()).toEqual(['UADMIN1', 'UADMIN2']);
+
+    process.env.ADMIN_SLACK_IDS = '';
+    expect(roles.getAdminIds()).toEqual([]);
+  });
+
+  test('getRole debe priorizar ADMIN_SLACK_IDS y luego el rol guardado', () => {
+    expect(roles.getRole({ slackUserId: 'UADMIN2', role: 'viewer' })).toBe('admin');
+    expect(roles.getRole(null, 'UADMIN1')).toBe('admin');
+    expect(roles.getRole({ slackUserId: 'U1', role: 'pmo', onboarded: true })).toBe('pmo');
+  });
+
+  test('sin rol guardado: pm si está onboarded (usuarios anteriores a los roles), viewer si no', () => {
+    expect(roles.getRole({ slackUserId: 'U1', onboarded: true })).toBe('pm');
+    expect(roles.getRole({ slackUserId: 'U1', onboarded: true, role: 'superuser' })).toBe('pm');
+    expect(roles.getRole({ slackUserId: 'U1', onboarded: false })).toBe('viewer');
+    expect(roles.getRole(null, 'U1')).toBe('viewer');
+  });
+
+  test('can debe respetar los permisos de cada rol', () => {
+    const pm = { slackUserId: 'U1', role: 'pm' };
+    const viewer = { slackUserId: 'U2', role: 'viewer' };
+
+    expect(roles.can(pm, 'reportUpdates')).toBe(true);
+    expect(roles.can(pm, 'updateAnyProject')).toBe(false);
+    expect(roles.can(pm, 'manageAlerts')).toBe(false);
+    expect(roles.can(pm, 'exportData')).toBe(false);
+    expect(roles.can({ slackUserId: 'U3', role: 'pmo' }, 'exportData')).toBe(true);
+    expect(roles.can(viewer, 'viewProjects')).toBe(false);
+    expect(roles.can({ slackUserId: 'U3', role: 'pmo' }, 'manageAlerts')).toBe(true);
+    expect(roles.can(null, 'admin', 'UADMIN1')).toBe(true);
+    expect(() => roles.can(pm, 'deleteEverything')).toThrow('Permiso desconocido');
+  });
+
+  test('getInitialRole debe depender de los proyectos del responsable', () => {
+    expect(roles.getInitialRole([{ gid: '1' }])).toBe('pm');
+    expect(roles.getInitialRole([])).toBe('viewer');
+  });
+
+});
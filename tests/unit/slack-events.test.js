@@ -0,0 +1,518 @@
+/**
+ * Tests para el handler HTTP de slack-events.js (ack, idempotencia y cola)
+ */
+
+jest.mock('../../src/services/slack');
+jest.mock('../../src/services/dynamo');
+jest.mock('../../src/services/asana');
+jest.mock('../../src/services/agent');
+jest.mock('../../src/services/event-queue');
+
+const slackService = require('../../src/services/slack');
+const dynamoService = require('../../src/services/dynamo');
+const eventQueue = require('../../src/services/event-queue');
+const slackEvents = require('../../src/handlers/slack-events');
+
+function messageEvent(headers = {}) {
+  return {
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify({
+      type: 'event_callback',
+      event_id: 'Ev123',
+      event: { type: 'message', channel_type: 'im', user: 'U123', text: 'hola' }
+    })
+  };
+}
+
+describe('Slack Events handler', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    slackService.verifySlackSignature.mockReturnValue(true);
+    dynamoService.claimSlackEvent.mockResolvedValue(true);
+    eventQueue.enqueue.mockResolvedValue('lambda');
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('debe encolar el evento y responder de inmediato', async () => {
+    const response = await slackEvents.handler(messageEvent());
+
+    expect(response).toEqual({ statusCode: 200, body: 'OK' });
+    expect(dynamoService.claimSlackEvent).toHaveBeenCalledWith('event:Ev123');
+    expect(eventQueue.enqueue).toHaveBeenCalledWith(
+      { type: 'event_callback', body: expect.objectContaining({ event_id: 'Ev123' }) },
+      expect.any(Function)
+    );
+    expect(slackService.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('un reintento de un evento ya recibido no debe procesarse otra vez', async () => {
+    dynamoService.claimSlackEvent.mockResolvedValue(false);
+
+    const response = await slackEvents.handler(messageEvent({ 'x-slack-retry-num': '1' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(eventQueue.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('un reintento de un evento no registrado debe procesarse', async () => {
+    const response = await slackEvents.handler(messageEvent({ 'x-slack-retry-num': '1', 'x-slack-retry-reason': 'http_timeout' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(eventQueue.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('si no se puede encolar debe liberar el evento para el reintento', async () => {
+    eventQueue.enqueue.mockRejectedValue(new Error('Lambda throttled'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await slackEvents.handler(messageEvent());
+
+    expect(response.statusCode).toBe(500);
+    expect(dynamoService.releaseSlackEvent).toHaveBeenCalledWith('event:Ev123');
+    console.error.mockRestore();
+  });
+
+  test('el slash command debe deduplicarse por trigger_id y responder sin texto', async () => {
+    const response = await slackEvents.handler({
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ command: '/pulse', text: 'mine', user_id: 'U123', trigger_id: '1.2.abc' }).toString()
+    });
+
+    expect(response).toEqual({ statusCode: 200, body: '' });
+    expect(dynamoService.claimSlackEvent).toHaveBeenCalledWith('trigger:1.2.abc');
+    expect(eventQueue.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'slash_command' }),
+      expect.any(Function)
+    );
+  });
+
+  test('los botones y comandos que abren un modal deben procesarse en línea', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U123', onboarded: true, language: 'es', timezone: 'America/Santiago' });
+    const interaction = (triggerId, actionId) => slackEvents.handler({
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        payload: JSON.stringify({
+          type: 'block_actions',
+          trigger_id: triggerId,
+          user: { id: 'U123' },
+          actions: [{ action_id: actionId }]
+        })
+      }).toString()
+    });
+
+    await slackEvents.handler({
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ command: '/pulse', text: 'horario', user_id: 'U123', trigger_id: '7.7.a' }).toString()
+    });
+    await interaction('7.7.b', 'schedule_open');
+    await interaction('7.7.c', 'absence_open');
+
+    expect(slackService.openModal.mock.calls.map(call => call[0])).toEqual(['7.7.a', '7.7.b', '7.7.c']);
+    expect(eventQueue.enqueue).not.toHaveBeenCalled();
+
+    // Cancelar la ausencia no abre un modal: va al worker
+    const response = await interaction('7.7.d', 'absence_cancel');
+    expect(response).toEqual({ statusCode: 200, body: 'OK' });
+    expect(eventQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({ type: 'block_actions' }), expect.any(Function));
+  });
+
+  test('el formulario de update debe validarse en línea y procesarse en el worker', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U123', onboarded: true, language: 'es' });
+    const submit = (triggerId, values) => slackEvents.handler({
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        payload: JSON.stringify({
+          type: 'view_submission',
+          trigger_id: triggerId,
+          user: { id: 'U123' },
+          view: { callback_id: 'update_form', private_metadata: '{}', state: { values } }
+        })
+      }).toString()
+    });
+
+    const invalid = await submit('9.9.a', { has_blockers: { value: { selected_options: [{ value: 'yes' }] } } });
+    expect(JSON.parse(invalid.body).response_action).toBe('errors');
+    expect(eventQueue.enqueue).not.toHaveBeenCalled();
+
+    const valid = await submit('9.9.b', { advances: { value: { value: 'Listo' } } });
+    expect(valid).toEqual({ statusCode: 200, body: '' });
+    expect(eventQueue.enqueue).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'update_form' }),
+      expect.any(Function)
+    );
+  });
+
+  test('los formularios de horario y ausencia deben validarse en línea y guardarse en el worker', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U123', onboarded: true, language: 'es', timezone: 'America/Santiago' });
+    const submit = (triggerId, callbackId, values) => slackEvents.handler({
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        payload: JSON.stringify({
+          type: 'view_submission',
+          trigger_id: triggerId,
+          user: { id: 'U123' },
+          view: { callback_id: callbackId, state: { values } }
+        })
+      }).toString()
+    });
+
+    const noDays = await submit('8.8.a', 'schedule_form', {});
+    expect(JSON.parse(noDays.body).errors).toHaveProperty('schedule_days');
+
+    const selfDelegate = await submit('8.8.b', 'absence_form', {
+      absence_from: { value: { selected_date: '2999-01-05' } },
+      absence_to: { value: { selected_date: '2999-01-09' } },
+      absence_delegate: { value: { selected_user: 'U123' } }
+    });
+    expect(JSON.parse(selfDelegate.body).errors).toHaveProperty('absence_delegate');
+    expect(eventQueue.enqueue).not.toHaveBeenCalled();
+
+    const absenceForm = await submit('8.8.c', 'absence_form', {
+      absence_from: { value: { selected_date: '2999-01-05' } },
+      absence_to: { value: { selected_date: '2999-01-09' } }
+    });
+    expect(absenceForm).toEqual({ statusCode: 200, body: '' });
+    expect(eventQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({ type: 'absence_form' }), expect.any(Function));
+    expect(dynamoService.updateUser).not.toHaveBeenCalled();
+    expect(slackService.sendMessage).not.toHaveBeenCalled();
+
+    await slackEvents.worker(eventQueue.enqueue.mock.calls[0][0]);
+    expect(dynamoService.updateUser).toHaveBeenCalledWith('U123', {
+      absence: expect.objectContaining({ from: '2999-01-05', to: '2999-01-09', delegateSlackId: null })
+    });
+  });
+
+  test('una mención con status debe responder en el hilo con el proyecto vinculado', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, language: 'es' });
+    const getChannelProject = jest.spyOn(require('../../src/lib/project-channels'), 'getChannelProject')
+      .mockResolvedValue({ projectGid: '123', projectPmoId: 'PMO-911', channelId: 'C1' });
+    dynamoService.getCachedProject.mockResolvedValue({ gid: '123', name: 'Portal', status: 'On Track' });
+    dynamoService.getOpenBlockers.mockResolvedValue([]);
+    dynamoService.getLastUpdates.mockResolvedValue([]);
+
+    await slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'app_mention', user: 'U1', channel: 'C1', ts: '10.1', text: '<@UBOT> status' } }
+    });
+
+    const [channel, text, , options] = slackService.sendMessage.mock.calls[0];
+    expect(channel).toBe('C1');
+    expect(text).toContain('Portal');
+    expect(options).toEqual({ thread_ts: '10.1' });
+    getChannelProject.mockRestore();
+  });
+
+  describe('comandos de canal', () => {
+
+    const mention = text => slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'app_mention', user: 'U1', channel: 'C1', ts: '10.1', text: `<@UBOT> ${text}` } }
+    });
+
+    test('un viewer no debe poder consultar el status desde un canal', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, role: 'viewer', language: 'es' });
+
+      await mention('status PMO-911');
+
+      expect(dynamoService.getProjectByPmoIdCached).not.toHaveBeenCalled();
+      expect(slackService.sendMessage.mock.calls[0][1]).toContain('no permite');
+    });
+
+    test('un PM solo debe poder vincular sus proyectos', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, asanaName: 'Luis Soto', language: 'es' });
+      dynamoService.getProjectByPmoIdCached.mockResolvedValue({ gid: '123', name: 'Portal', pmoId: 'PMO-911' });
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([{ gid: '999' }]);
+
+      await mention('vincular PMO-911');
+
+      expect(dynamoService.saveProjectChannel).not.toHaveBeenCalled();
+      expect(slackService.sendMessage.mock.calls[0][1]).toContain('PMO-911 no está(n) asignado(s) a ti');
+
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([{ gid: '123' }]);
+      dynamoService.getChannelLink.mockResolvedValue(null);
+      dynamoService.getProjectChannel.mockResolvedValue(null);
+      dynamoService.saveProjectChannel.mockImplementation(async link => link);
+
+      await mention('vincular PMO-911');
+
+      expect(dynamoService.saveProjectChannel).toHaveBeenCalledWith(expect.objectContaining({ projectGid: '123', channelId: 'C1' }));
+    });
+
+    test('un PM no debe poder desvincular el canal de otro proyecto', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, asanaName: 'Luis Soto', language: 'es' });
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([]);
+      dynamoService.getChannelLink.mockResolvedValue({ projectGid: '123' });
+      dynamoService.getProjectChannel.mockResolvedValue({ projectGid: '123', projectPmoId: 'PMO-911', channelId: 'C1' });
+
+      await mention('desvincular');
+
+      expect(dynamoService.deleteProjectChannel).not.toHaveBeenCalled();
+      expect(slackService.sendMessage.mock.calls[0][1]).toContain('PMO-911 no está(n) asignado(s) a ti');
+    });
+
+    test('el destino del pulse solo debe cambiarlo quien administra el proyecto', async () => {
+      const channelPulse = userRecord => {
+        dynamoService.getUser.mockResolvedValue(userRecord);
+        return slackEvents.worker({
+          type: 'block_actions',
+          body: {
+            user: { id: 'U1' },
+            channel: { id: 'C1' },
+            response_url: 'https://hooks',
+            actions: [{ action_id: 'channelpulse_on', value: '123' }]
+          }
+        });
+      };
+      dynamoService.getProjectChannel.mockResolvedValue({ projectGid: '123', projectPmoId: 'PMO-911', channelId: 'C1' });
+
+      await channelPulse(null);
+      expect(slackService.respondToUrl).toHaveBeenLastCalledWith('https://hooks', expect.stringContaining('no permite'));
+
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([]);
+      await channelPulse({ slackUserId: 'U1', onboarded: true, asanaName: 'Luis Soto' });
+      expect(slackService.respondToUrl).toHaveBeenLastCalledWith('https://hooks', expect.stringContaining('PMO-911 no está(n) asignado(s) a ti'));
+      expect(dynamoService.setProjectChannelPulse).not.toHaveBeenCalled();
+
+      dynamoService.setProjectChannelPulse.mockResolvedValue({ projectGid: '123', projectName: 'Portal', channelId: 'C1', pulseInChannel: true });
+      await channelPulse({ slackUserId: 'U1', onboarded: true, role: 'pmo' });
+      expect(dynamoService.setProjectChannelPulse).toHaveBeenCalledWith('123', true);
+    });
+
+  });
+
+  test('/pulse vincular por DM debe pedir usarlo en un canal', async () => {
+    dynamoService.getUser.mockResolvedValue({ language: 'es' });
+
+    await slackEvents.worker({
+      type: 'slash_command',
+      body: { command: '/pulse', text: 'vincular PMO-911', user_id: 'U1', channel_id: 'D1', response_url: 'https://hooks' }
+    });
+
+    expect(slackService.respondToUrl).toHaveBeenCalledWith('https://hooks', expect.stringContaining('dentro del canal'), null);
+    expect(dynamoService.saveProjectChannel).not.toHaveBeenCalled();
+  });
+
+  test('/pulse exportar debe quedar reservado a la PMO', async () => {
+    dynamoService.getUser.mockResolvedValue({ onboarded: true, language: 'es' });
+
+    await slackEvents.worker({
+      type: 'slash_command',
+      body: { command: '/pulse', text: 'exportar', user_id: 'U1', channel_id: 'C1', response_url: 'https://hooks' }
+    });
+
+    expect(slackService.uploadFile).not.toHaveBeenCalled();
+    expect(slackService.respondToUrl).toHaveBeenCalledWith('https://hooks', expect.stringContaining('Tu rol (*PM*) no permite'), null);
+  });
+
+  test('/pulse exportar debe enviar el archivo por DM', async () => {
+    dynamoService.getUser.mockResolvedValue({ onboarded: true, role: 'pmo', language: 'es' });
+    dynamoService.getAllCachedProjects.mockResolvedValue([{ gid: '123', name: 'Portal', pmoId: 'PMO-911' }]);
+    dynamoService.getAllOnboardedUsers.mockResolvedValue([]);
+    dynamoService.getUpdatesBetween.mockResolvedValue([]);
+
+    await slackEvents.worker({
+      type: 'slash_command',
+      body: { command: '/pulse', text: 'exportar xlsx', user_id: 'U1', channel_id: 'C1', response_url: 'https://hooks' }
+    });
+
+    expect(slackService.uploadFile).toHaveBeenCalledWith('U1', expect.objectContaining({ filename: expect.stringMatching(/\.xlsx$/) }));
+    expect(slackService.respondToUrl).toHaveBeenLastCalledWith('https://hooks', expect.stringContaining('por DM'), null);
+  });
+
+  test('reset debe quedar reservado a los admins', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, language: 'es' });
+
+    await slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'reset' } }
+    });
+
+    expect(dynamoService.deleteUser).not.toHaveBeenCalled();
+    expect(slackService.sendMessage.mock.calls[0][1]).toContain('Solo un admin');
+  });
+
+  test('un viewer no debe poder consultar un PMO-ID', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, role: 'viewer', language: 'es' });
+
+    await slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'PMO-911' } }
+    });
+
+    expect(dynamoService.getProjectByPmoIdCached).not.toHaveBeenCalled();
+    expect(slackService.sendMessage.mock.calls[0][1]).toContain('Tu rol (*viewer*) no permite');
+  });
+
+  test('un PM solo debe poder actualizar sus proyectos', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true, asanaName: 'Ana Perez', language: 'es' });
+    dynamoService.getProjectsByResponsableName.mockResolvedValue([{ gid: '1', pmoId: 'PMO-911' }]);
+    dynamoService.getProjectByPmoIdCached.mockResolvedValue({ gid: '2', pmoId: 'PMO-912', name: 'App' });
+
+    await slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U1', text: 'actualizar PMO-912' } }
+    });
+
+    expect(slackService.sendUpdateRequest).not.toHaveBeenCalled();
+    expect(slackService.sendMessage).toHaveBeenCalledWith('U1', expect.stringContaining('PMO-912 no está(n) asignado(s) a ti'));
+  });
+
+  test('los botones de alertas requieren rol pmo', async () => {
+    dynamoService.getUser.mockResolvedValue({ slackUserId: 'U1', onboarded: true });
+
+    await slackEvents.worker({
+      type: 'block_actions',
+      body: {
+        user: { id: 'U1' },
+        channel: { id: 'CPMO' },
+        response_url: 'https://hooks',
+        actions: [{ action_id: 'alert_ack', value: JSON.stringify({ projectGid: '1', sk: 'ALERT#1' }) }]
+      }
+    });
+
+    expect(dynamoService.updateAlert).not.toHaveBeenCalled();
+    expect(slackService.respondToUrl).toHaveBeenCalledWith('https://hooks', expect.stringContaining('(*PM*)'));
+  });
+
+  describe('formulario de update desde un canal vinculado', () => {
+
+    const viewer = { slackUserId: 'U7', onboarded: true, role: 'viewer', language: 'es' };
+
+    test('un viewer no debe poder abrir el formulario del pulse del canal', async () => {
+      dynamoService.getUser.mockResolvedValue(viewer);
+
+      await slackEvents.worker({
+        type: 'block_actions',
+        body: {
+          user: { id: 'U7' },
+          channel: { id: 'CPROJ' },
+          trigger_id: '5.5.a',
+          response_url: 'https://hooks',
+          actions: [{ action_id: 'updateform_123', value: 'Portal' }]
+        }
+      });
+
+      expect(slackService.openModal).not.toHaveBeenCalled();
+      expect(slackService.respondToUrl).toHaveBeenCalledWith('https://hooks', expect.stringContaining('Tu rol (*viewer*) no permite'));
+    });
+
+    test('un PM que no reporta el proyecto no debe poder abrir el formulario', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U8', onboarded: true, asanaName: 'Luis Soto', language: 'es' });
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([{ gid: '999' }]);
+      dynamoService.getAllOnboardedUsers.mockResolvedValue([]);
+
+      await slackEvents.worker({
+        type: 'block_actions',
+        body: {
+          user: { id: 'U8' },
+          channel: { id: 'CPROJ' },
+          trigger_id: '5.5.c',
+          response_url: 'https://hooks',
+          actions: [{ action_id: 'updateform_123', value: 'Portal' }]
+        }
+      });
+
+      expect(slackService.openModal).not.toHaveBeenCalled();
+      expect(slackService.respondToUrl).toHaveBeenCalledWith('https://hooks', expect.stringContaining('Portal no está(n) asignado(s) a ti'));
+    });
+
+    test('el backup de un PM ausente debe poder abrir el formulario de su proyecto', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U8', onboarded: true, asanaName: 'Luis Soto', language: 'es' });
+      dynamoService.getProjectsByResponsableName.mockImplementation(async name => (name === 'Ana Perez' ? [{ gid: '123' }] : []));
+      dynamoService.getAllOnboardedUsers.mockResolvedValue([{
+        slackUserId: 'U1',
+        asanaName: 'Ana Perez',
+        absence: { from: '2000-01-01', to: '2999-12-31', delegateSlackId: 'U8' }
+      }]);
+      dynamoService.getOpenBlockers.mockResolvedValue([]);
+
+      await slackEvents.worker({
+        type: 'block_actions',
+        body: {
+          user: { id: 'U8' },
+          channel: { id: 'CPROJ' },
+          trigger_id: '5.5.d',
+          actions: [{ action_id: 'updateform_123', value: 'Portal' }]
+        }
+      });
+
+      expect(slackService.openModal).toHaveBeenCalledWith('5.5.d', expect.any(Object));
+    });
+
+    test('un PM que no reporta el proyecto no debe poder guardar el formulario', async () => {
+      dynamoService.getUser.mockResolvedValue({ slackUserId: 'U8', onboarded: true, asanaName: 'Luis Soto', language: 'es' });
+      dynamoService.getProjectsByResponsableName.mockResolvedValue([]);
+      dynamoService.getAllOnboardedUsers.mockResolvedValue([]);
+
+      await slackEvents.worker({
+        type: 'update_form',
+        payload: {
+          user: { id: 'U8' },
+          view: {
+            callback_id: 'update_form',
+            private_metadata: JSON.stringify({ projectGid: '123', projectName: 'Portal' }),
+            state: { values: { advances: { value: { value: 'Listo' } } } }
+          }
+        }
+      });
+
+      expect(dynamoService.saveUpdate).not.toHaveBeenCalled();
+      expect(slackService.sendMessage).toHaveBeenCalledWith('U8', expect.stringContaining('Portal no está(n) asignado(s) a ti'));
+    });
+
+    test('un viewer no debe poder enviar el formulario', async () => {
+      dynamoService.getUser.mockResolvedValue(viewer);
+      const payload = {
+        type: 'view_submission',
+        trigger_id: '5.5.b',
+        user: { id: 'U7' },
+        view: {
+          callback_id: 'update_form',
+          private_metadata: JSON.stringify({ projectGid: '123', projectName: 'Portal' }),
+          state: { values: { advances: { value: { value: 'Listo' } } } }
+        }
+      };
+
+      const response = await slackEvents.handler({
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ payload: JSON.stringify(payload) }).toString()
+      });
+      expect(JSON.parse(response.body)).toEqual({
+        response_action: 'errors',
+        errors: { status: expect.stringContaining('Tu rol (*viewer*) no permite') }
+      });
+      expect(eventQueue.enqueue).not.toHaveBeenCalled();
+
+      // Un envío que llegue igual al worker tampoco se guarda
+      await slackEvents.worker({ type: 'update_form', payload });
+      expect(dynamoService.saveUpdate).not.toHaveBeenCalled();
+      expect(slackService.sendMessage).toHaveBeenCalledWith('U7', expect.stringContaining('Tu rol (*viewer*) no permite'));
+    });
+
+  });
+
+  test('un stakeholder sin onboarding debe poder seguir un proyecto', async () => {
+    dynamoService.getUser.mockResolvedValue(null);
+    slackService.getUserInfo.mockResolvedValue({ locale: 'es-LA' });
+    dynamoService.getProjectByPmoIdCached.mockResolvedValue({ gid: '123', pmoId: 'PMO-911', name: 'Portal' });
+
+    await slackEvents.worker({
+      type: 'event_callback',
+      body: { event: { type: 'message', channel_type: 'im', channel: 'D1', user: 'U9', text: 'seguir PMO-911 solo cambios' } }
+    });
+
+    expect(dynamoService.saveSubscription).toHaveBeenCalledWith(expect.objectContaining({
+      targetKey: 'PROJECT#123', slackUserId: 'U9', filter: 'status_change', language: 'es'
+    }));
+    expect(slackService.sendMessage.mock.calls[0][1]).toContain('PMO-911 | Portal');
+    expect(dynamoService.saveUser).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests para spreadsheet.js
+ */
+
+const zlib = require('zlib');
+const { toCsv, toXlsx, columnLetter } = require('../../src/lib/spreadsheet');
+
+const columns = [
+  { key: 'pmoId', label: 'PMO ID' },
+  { key: 'advances', label: 'Avances' },
+  { key: 'progress', label: 'Avance' }
+];
+
+/**
+ * Lee los archivos de un ZIP a partir del directorio central
+ */
+function unzip(buffer) {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.slice(offset + 46, offset + 46 + nameLength).toString('utf8');
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    files[name] = zlib.inflateRawSync(buffer.slice(dataStart, dataStart + compressedSize)).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return files;
+}
+
+describe('Spreadsheet', () => {
+
+  test('toCsv debe escapar comillas, comas y saltos de línea', () => {
+    const csv = toCsv(columns, [
+      { pmoId: 'PMO-911', advances: 'Listo, con "QA"\nfaltan pruebas', progress: 45 },
+      { pmoId: 'PMO-912', advances: null }
+    ]).toString('utf8');
+
+    expect(csv.charCodeAt(0)).toBe(0xFEFF);
+    expect(csv.slice(1).split('\r\n')).toEqual([
+      'PMO ID,Avances,Avance',
+      'PMO-911,"Listo, con ""QA""\nfaltan pruebas",45',
+      'PMO-912,,',
+      ''
+    ]);
+  });
+
+  test('toCsv no debe dejar textos que Excel interprete como fórmula', () => {
+    const csv = toCsv(columns, [{ pmoId: 'PMO-1', advances: '=HYPERLINK("x")', progress: -5 }]).toString('utf8');
+
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(csv).toContain(',-5');
+  });
+
+  test('toXlsx debe generar un libro con una hoja y el texto escapado', () => {
+    const files = unzip(toXlsx(columns, [{ pmoId: 'PMO-911', advances: 'Cliente <Acme> & co', progress: 45 }], 'Portafolio'));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/styles.xml'
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Portafolio"');
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">PMO ID</t></is></c>');
+    expect(sheet).toContain('Cliente &lt;Acme&gt; &amp; co');
+    expect(sheet).toContain('<c r="C2"><v>45</v></c>');
+  });
+
+  test('columnLetter debe seguir la numeración de Excel', () => {
+    expect([0, 25, 26, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests para subscriptions.js
+ */
+
+jest.mock('../../src/services/dynamo', () => ({
+  ...jest.requireActual('../../src/services/dynamo'),
+  getSubscriptionsByTarget: jest.fn(),
+  getUser: jest.fn()
+}));
+
+jest.mock('../../src/services/slack', () => ({
+  sendMessage: jest.fn()
+}));
+
+jest.mock('../../src/lib/project-search', () => ({
+  searchProjects: jest.fn()
+}));
+
+const dynamoService = require('../../src/services/dynamo');
+const slackService = require('../../src/services/slack');
+const projectSearch = require('../../src/lib/project-search');
+const subscriptions = require('../../src/lib/subscriptions');
+
+describe('Subscriptions', () => {
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    slackService.sendMessage.mockResolvedValue({ ts: '1.0' });
+    dynamoService.getUser.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('parseFollowCommand', () => {
+
+    test('debe interpretar proyecto, cliente y filtros', () => {
+      expect(subscriptions.parseFollowCommand('Seguir PMO-911')).toEqual({
+        action: 'follow', target: { type: 'project', pmoId: 'PMO-911' }, filter: 'all'
+      });
+      expect(subscriptions.parseFollowCommand('seguir cliente Banco Estado solo cambios')).toEqual({
+        action: 'follow', target: { type: 'client', name: 'banco estado' }, filter: 'status_change'
+      });
+      expect(subscriptions.parseFollowCommand('follow PMO-12 only off track').filter).toBe('off_track');
+    });
+
+    test('debe interpretar dejar de seguir y el listado', () => {
+      expect(subscriptions.parseFollowCommand('dejar de seguir todo').target).toEqual({ type: 'all' });
+      expect(subscriptions.parseFollowCommand('unfollow client acme').action).toBe('unfollow');
+      expect(subscriptions.parseFollowCommand('Siguiendo')).toEqual({ action: 'list', target: null, filter: 'all' });
+      expect(subscriptions.parseFollowCommand('seguir')).toEqual({ action: 'follow', target: null, filter: 'all' });
+    });
+
+    test('un texto libre no debe ser un comando', () => {
+      expect(subscriptions.parseFollowCommand('seguir con el update')).toBeNull();
+      expect(subscriptions.parseFollowCommand('follow up on PMO-911')).toBeNull();
+      expect(subscriptions.parseFollowCommand('status PMO-911')).toBeNull();
+    });
+
+  });
+
+  test('matchesFilter debe respetar el filtro de la suscripción', () => {
+    const offTrack = { status: 'off_track' };
+    expect(subscriptions.matchesFilter('all', offTrack, null)).toBe(true);
+    expect(subscriptions.matchesFilter('off_track', { status: 'at_risk' }, null)).toBe(false);
+    expect(subscriptions.matchesFilter('status_change', offTrack, 'off_track')).toBe(false);
+    expect(subscriptions.matchesFilter('status_change', offTrack, 'on_track')).toBe(true);
+    expect(subscriptions.matchesFilter('status_change', offTrack, null)).toBe(false);
+  });
+
+  test('resolveClient debe retornar el nombre del cliente como está en el cache', async () => {
+    projectSearch.searchProjects.mockResolvedValue([
+      { clienteNuevo: 'Banco Estado Seguros' },
+      { clienteNuevo: 'Banco Estado' }
+    ]);
+
+    expect(await subscriptions.resolveClient('banco estado')).toBe('Banco Estado');
+    expect(projectSearch.searchProjects).toHaveBeenCalledWith('cliente:"banco estado"', 50);
+
+    projectSearch.searchProjects.mockResolvedValue([]);
+    expect(await subscriptions.resolveClient('nadie')).toBeNull();
+  });
+
+  describe('notifySubscribers', () => {
+
+    const update = { projectGid: '123', projectName: 'Portal', pmSlackId: 'UPM', status: 'off_track', advances: 'Atraso' };
+    const project = { gid: '123', pmoId: 'PMO-911', clienteNuevo: 'Banco Estado' };
+
+    test('debe enviar un DM por suscriptor sin avisar al PM del update', async () => {
+      dynamoService.getSubscriptionsByTarget.mockImplementation(async key => (key === 'PROJECT#123'
+        ? [
+          { pk: key, slackUserId: 'U1', filter: 'all' },
+          { pk: key, slackUserId: 'UPM', filter: 'all' }
+        ]
+        : [
+          { pk: key, slackUserId: 'U1', filter: 'all' },
+          { pk: key, slackUserId: 'U2', filter: 'status_change' },
+          { pk: key, slackUserId: 'U3', filter: 'off_track', language: 'en' }
+        ]));
+
+      const sent = await subscriptions.notifySubscribers(update, { project, previousStatus: 'off_track' });
+
+      expect(dynamoService.getSubscriptionsByTarget).toHaveBeenCalledWith('CLIENT#banco estado');
+      expect(sent).toBe(2);
+      expect(slackService.sendMessage.mock.calls.map(call => call[0])).toEqual(['U1', 'U3']);
+      expect(slackService.sendMessage.mock.calls[1][1]).toBe('New update for Portal');
+    });
+
+    test('un error al notificar no debe interrumpir el resto', async () => {
+      dynamoService.getSubscriptionsByTarget.mockResolvedValue([
+        { slackUserId: 'U1', filter: 'all' },
+        { slackUserId: 'U2', filter: 'all' }
+      ]);
+      slackService.sendMessage.mockRejectedValueOnce(new Error('user_not_found'));
+
+      expect(await subscriptions.notifySubscribers(update, { project: { gid: '123' } })).toBe(1);
+
+      dynamoService.getSubscriptionsByTarget.mockRejectedValue(new Error('DynamoDB caído'));
+      expect(await subscriptions.notifySubscribers(update)).toBe(0);
+    });
+
+  });
+
+});
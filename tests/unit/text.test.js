@@ -0,0 +1,28 @@
+/**
+ * Tests para text.js
+ */
+
+const text = require('../../src/lib/text');
+
+describe('Text', () => {
+
+  test('normalizeText debe quitar tildes y mayúsculas', () => {
+    expect(text.normalizeText('Información Técnica')).toBe('informacion tecnica');
+    expect(text.normalizeText('Atualização')).toBe('atualizacao');
+    expect(text.normalizeText(null)).toBe('');
+  });
+
+  test('parseCommandDate debe aceptar YYYY-MM-DD, DD/MM/YYYY y DD/MM', () => {
+    expect(text.parseCommandDate('2025-12-20', '2025-03-10')).toBe('2025-12-20');
+    expect(text.parseCommandDate('20/12/25', '2025-03-10')).toBe('2025-12-20');
+    expect(text.parseCommandDate('31/02', '2025-03-10')).toBeNull();
+    expect(text.parseCommandDate('mañana', '2025-03-10')).toBeNull();
+  });
+
+  test('parseCommandDate sin año debe usar el próximo o el último DD/MM', () => {
+    expect(text.parseCommandDate('05/01', '2025-03-10')).toBe('2026-01-05');
+    expect(text.parseCommandDate('20/12', '2025-03-10', 'past')).toBe('2024-12-20');
+    expect(text.parseCommandDate('05/03', '2025-03-10', 'past')).toBe('2025-03-05');
+  });
+
+});